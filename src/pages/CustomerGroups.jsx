@@ -17,6 +17,7 @@ import puPoints from "./data/pu_points.json";
 import demosMapping from "./data/demos-mapping.json";
 import codeToTextMapRaw from "./data/code-to-text-map.json";
 import { ComposableMap, Geographies, Geography } from "react-simple-maps";
+import { US_TOPO, US_STATE_ABBR_TO_NAME, toStateName } from "./usStates";
 import { Lock, Unlock } from "lucide-react";
 
 const SERIES_COLORS = [
@@ -47,63 +48,6 @@ const clusterColor = (k) =>
   FIXED_CLUSTER_COLORS[k] ??
   SERIES_COLORS[(Number(k) - 1 + SERIES_COLORS.length) % SERIES_COLORS.length];
 
-const US_TOPO = "https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json";
-
-const US_STATE_ABBR_TO_NAME = {
-  AL: "Alabama",
-  AK: "Alaska",
-  AZ: "Arizona",
-  AR: "Arkansas",
-  CA: "California",
-  CO: "Colorado",
-  CT: "Connecticut",
-  DE: "Delaware",
-  FL: "Florida",
-  GA: "Georgia",
-  HI: "Hawaii",
-  ID: "Idaho",
-  IL: "Illinois",
-  IN: "Indiana",
-  IA: "Iowa",
-  KS: "Kansas",
-  KY: "Kentucky",
-  LA: "Louisiana",
-  ME: "Maine",
-  MD: "Maryland",
-  MA: "Massachusetts",
-  MI: "Michigan",
-  MN: "Minnesota",
-  MS: "Mississippi",
-  MO: "Missouri",
-  MT: "Montana",
-  NE: "Nebraska",
-  NV: "Nevada",
-  NH: "New Hampshire",
-  NJ: "New Jersey",
-  NM: "New Mexico",
-  NY: "New York",
-  NC: "North Carolina",
-  ND: "North Dakota",
-  OH: "Ohio",
-  OK: "Oklahoma",
-  OR: "Oregon",
-  PA: "Pennsylvania",
-  RI: "Rhode Island",
-  SC: "South Carolina",
-  SD: "South Dakota",
-  TN: "Tennessee",
-  TX: "Texas",
-  UT: "Utah",
-  VT: "Vermont",
-  VA: "Virginia",
-  WA: "Washington",
-  WV: "West Virginia",
-  WI: "Wisconsin",
-  WY: "Wyoming",
-  DC: "District of Columbia",
-};
-const US_STATE_NAME_SET = new Set(Object.values(US_STATE_ABBR_TO_NAME));
-
 const LAYOUT = {
   topRowHeight: 620,
   bottomMinHeight: 760,
@@ -111,22 +55,6 @@ const LAYOUT = {
   bottomCardHeight: 420,
 };
 
-function toStateName(labelRaw) {
-  if (!labelRaw) return null;
-  const s = String(labelRaw).trim();
-  const up = s.toUpperCase();
-  if (US_STATE_ABBR_TO_NAME[up]) return US_STATE_ABBR_TO_NAME[up];
-  const lower = s.toLowerCase();
-  for (const name of US_STATE_NAME_SET) {
-    if (name.toLowerCase() === lower) return name;
-  }
-  const two = (s.match(/\b[A-Z]{2}\b/g) || []).find(
-    (tok) => US_STATE_ABBR_TO_NAME[tok.toUpperCase()]
-  );
-  if (two) return US_STATE_ABBR_TO_NAME[two.toUpperCase()];
-  return null;
-}
-
 const hexToRgbStr = (hex) => {
   const h = hex.replace("#", "");
   const full =
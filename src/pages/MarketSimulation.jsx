@@ -1,5 +1,6 @@
 // src/pages/MarketSimulation.jsx
-import React, { useMemo, useState } from "react";
+import React, { useCallback, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 
 import {
   ResponsiveContainer,
@@ -12,23 +13,173 @@ import {
   Legend,
   AreaChart,
   Area,
+  ReferenceLine,
   LineChart,
   Line,
   BarChart,
   Bar,
 } from "recharts";
+import { ComposableMap, Geographies, Geography } from "react-simple-maps";
+import {
+  readHistoryFile,
+  parseHistoryRows,
+  mergeHistoryIntoProfile,
+} from "./simulation/historyLoader";
+import { forecastProfile, FORECAST_DEFAULTS } from "./simulation/forecast";
+import {
+  COEFF_FIELDS,
+  BUILTIN_COEFFS,
+  calibratedCoeffs,
+  coeffRangeProblem,
+  resolveCoeffs,
+  deviatingFields,
+  coeffStdErrors,
+} from "./simulation/model";
+import { readCoefficientFile } from "./simulation/coefficientLoader";
+import {
+  listScenarios,
+  saveScenario,
+  renameScenario,
+  duplicateScenario,
+  deleteScenario,
+  loadScenario,
+} from "./simulation/scenarios";
+import {
+  BUILTIN_EXPANSION,
+  builtinCrossWeight,
+  resolveCrossWeights,
+} from "./simulation/crossEffects";
+import {
+  EDIT_FIELDS,
+  yearMonthIndices,
+  yearScopeLabel,
+  applyFieldEdit,
+  driversAt,
+  hasEdits,
+} from "./simulation/edits";
+import {
+  marketVolume,
+  simulateMonth,
+  simulateProfiles,
+  sumMonthResults,
+} from "./simulation/simulate";
+import { solveGoal } from "./simulation/goalSeek";
+import { tornado } from "./simulation/sensitivity";
+import { MONTE_CARLO_DEFAULTS } from "./simulation/monteCarlo";
+import { runMonteCarloAsync } from "./simulation/monteCarloRunner";
+import { mulberry32 } from "./simulation/random";
+import { downloadScenarioWorkbook } from "./simulation/exportWorkbook";
+import {
+  CUSTOM_SEGMENT_SOURCES,
+  BASELINE_FIELDS,
+  listCustomSegments,
+  saveCustomSegment,
+  deleteCustomSegment,
+  aggregateBaseline,
+  aggregateProfiles,
+  aggregateCoeffs,
+} from "./simulation/customSegments";
+import {
+  matrixKey,
+  matrixKeys,
+  matrixBaselines,
+  splitMatrixKey,
+  blendCoeffs,
+  rollUpMatrix,
+} from "./simulation/matrix";
+import {
+  NAMEPLATE_KEYS,
+  nameplateInfo,
+  nameplatesOf,
+  nameplateBaselines,
+  nameplateProfiles,
+  rollUpNameplates,
+} from "./simulation/nameplates";
+import {
+  ENTRANT_RAMPS,
+  ENTRANT_LIMITS,
+  defaultSources,
+  validateEntrant,
+  simulateEntrants,
+  entrantLossesBy,
+  applyEntrantLosses,
+} from "./simulation/entrants";
+import {
+  MACRO_DRIVERS,
+  MACRO_SHIFT_KINDS,
+  builtinMacroSeries,
+  fittedMacroBase,
+  readMacroFile,
+  parseMacroRows,
+  applyMacroShifts,
+  applyMacro,
+  describeMacroShift,
+  formatMacroValue,
+} from "./simulation/macroDrivers";
+import {
+  CENSUS_REGIONS,
+  US_STATES,
+  stateInfo,
+  stateWeights,
+  scopeGroups,
+  scopeShare,
+  stateVolumes,
+  regionTotals,
+} from "./simulation/regions";
+import {
+  MIN_RANGE_SPAN,
+  WHEEL_ZOOM_STEP,
+  normalizeRange,
+  panRange,
+  stepIndex,
+  zoomRange,
+} from "./simulation/chartRange";
+import {
+  AGGREGATIONS,
+  aggregateBands,
+  aggregateSeries,
+  buildPeriods,
+  monthName,
+  periodMonths,
+  weightedMean,
+} from "./simulation/calendar";
+import { decodeViewLink, encodeViewLink } from "./simulation/deepLink";
+import {
+  emptyHistory,
+  historyLabel,
+  recordChange,
+  travel,
+} from "./simulation/history";
+import {
+  auditEntryText,
+  listNotes,
+  readAuthor,
+  recordAuditEntry,
+  saveAuthor,
+} from "./simulation/auditTrail";
+import { printScenarioSummary } from "./simulation/scenarioSummary";
+import { shareKpis, stackedShareRows } from "./simulation/marketShare";
+import { kpiDelta, movedBaselines } from "./simulation/kpiDeltas";
+import {
+  DEFAULT_COST_SHARE,
+  defaultUnitCost,
+  maximize,
+  rangeProfit,
+} from "./simulation/profit";
+import { US_TOPO } from "./usStates";
 
 /**
- * Market Simulation (Segments / Powertrains) — Unified
- * - Both modes now have:
- *    • Range-aware KPIs
- *    • Date range selectors + Reset range + Clear selection
- *    • Line chart with hover + click-to-select month
- *    • Future beyond cutoff rendered with dashed bridge
- *    • Cards that use range averages when no month is selected,
- *      or snapshot for the selected month when it is
+ * Market Simulation — Unified
+ * - Three modes (Segments, Powertrains, Segment × Powertrain) share one
+ *   page: pick keys, a date range and a month, edit the drivers on each
+ *   key's card, and the chart, KPIs and map show the simulated market
+ *   against the baseline.
+ * - The model, forecasting, calendar roll-up, scenarios, links, exports
+ *   and the rest of the pure logic live in simulation/*.js, each with its
+ *   own notes; this file holds the state and the UI.
  * - State persists per-mode while you switch tabs. Your selections,
- *   inputs, and date range remain until you refresh or leave the page.
+ *   inputs, and date range remain until you refresh or leave the page,
+ *   unless saved as a named scenario.
  */
 
 const SUV_COLORS = {
@@ -52,6 +203,207 @@ const PT_COLORS = {
   BEV: "#3B82F6",
 };
 
+// Built-in keys and their baseline drivers
+function basePack(
+  atp,
+  fleetPct,
+  leasePct,
+  days,
+  incentives,
+  monthNum,
+  baseVol
+) {
+  return {
+    price: atp,
+    fleet: fleetPct,
+    lease: leasePct,
+    days,
+    incentives,
+    month: monthNum,
+    base_volume: baseVol,
+  };
+}
+
+const SEGMENT_BASELINES = {
+  "S SUV": basePack(38_000, 10_000, 14, 50, 750, 6, 24_000),
+  "M SUV": basePack(45_000, 12_000, 16, 55, 1_000, 6, 40_000),
+  "L SUV": basePack(54_000, 14_000, 18, 60, 1_500, 6, 28_000),
+  "XL SUV": basePack(62_000, 16_000, 20, 65, 2_000, 6, 16_000),
+  "S Pickup": basePack(42_000, 11_000, 13, 55, 700, 6, 20_000),
+  "M Pickup": basePack(50_000, 13_000, 15, 60, 1_100, 6, 36_000),
+  "L Pickup": basePack(58_000, 15_000, 17, 65, 1_600, 6, 26_000),
+  "XL Pickup": basePack(66_000, 17_000, 19, 70, 2_200, 6, 14_000),
+};
+const BUILTIN_SEGMENT_KEYS = Object.keys(SEGMENT_BASELINES);
+const POWERTRAIN_BASELINES = {
+  ICE: basePack(40_000, 9_000, 15, 55, 750, 6, 70_000),
+  HEV: basePack(44_000, 12_000, 17, 50, 1_000, 6, 28_000),
+  PHEV: basePack(50_000, 15_000, 18, 60, 1_500, 6, 14_000),
+  BEV: basePack(48_000, 10_000, 20, 65, 2_500, 6, 18_000),
+};
+const POWERTRAIN_KEYS = Object.keys(POWERTRAIN_BASELINES);
+const NAMEPLATE_BASELINES = nameplateBaselines(SEGMENT_BASELINES);
+const MATRIX_KEYS = matrixKeys(BUILTIN_SEGMENT_KEYS, POWERTRAIN_KEYS);
+
+const HISTORY_ISSUE_LABELS = {
+  malformed: "Malformed row",
+  duplicate: "Duplicate",
+  "unknown-key": "Unknown key",
+  "out-of-range": "Outside window",
+  "missing-months": "Missing months",
+  "no-history": "No history",
+};
+
+// Fresh per-mode state; also the template saved scenarios are merged onto
+function makeModeState(selected) {
+  return {
+    selected,
+    edits: {}, // edits[key][monthIdx] = { price, ... } (simulation/edits.js)
+    selectedMonthIdx: null,
+    rangeStartIdx: null,
+    rangeEndIdx: null,
+    applyScope: "month", // 'month' | 'year'
+    aggregation: "month", // 'month' | 'quarter' | 'year' (simulation/calendar.js)
+    fiscalStartMonth: 1, // 1 = calendar year
+    coeffEdits: {}, // per-key coefficient overrides
+    editStates: {}, // key → { field → state codes its edits are limited to }
+    unitCosts: {}, // key → unit cost ($) for margin (simulation/profit.js)
+    cross: {
+      enabled: true,
+      expansion: null,
+      nameplateExpansion: null,
+      weightEdits: {},
+    },
+    uncertainty: { enabled: false, ...MONTE_CARLO_DEFAULTS },
+    // Scenario variants: `edits` above mirrors the active one
+    variants: [{ id: "A", name: "Variant A", edits: {} }],
+    activeVariantId: "A",
+    compareBaseline: "baseline", // 'baseline' (no edits) | variant id
+    // Segments only: { segment, parentSelected } while viewing the
+    // segment's nameplates
+    drill: null,
+  };
+}
+
+// Card input bounds, [min, max]
+const FIELD_LIMITS = {
+  price: [1000, 250000],
+  fleet: [0, 100000],
+  lease: [0, 100000],
+  days: [0, 400],
+  incentives: [0, 25000],
+};
+
+// Card fields in words, for the undo history
+const FIELD_WORDS = {
+  price: "price",
+  fleet: "fleet",
+  lease: "lease",
+  days: "days' supply",
+  incentives: "incentives",
+};
+
+// Undo steps named after the first view field they change, for writes
+// that do not describe themselves (see updateView)
+const VIEW_FIELD_WORDS = {
+  edits: "Card edits",
+  selected: "Selection",
+  rangeStartIdx: "Date range",
+  selectedMonthIdx: "Selected month",
+  applyScope: "Apply scope",
+  aggregation: "View",
+  fiscalStartMonth: "Fiscal year start",
+  coeffEdits: "Coefficients",
+  cross: "Cross effects",
+  uncertainty: "Uncertainty settings",
+  editStates: "Card edit states",
+  unitCosts: "Unit costs",
+  drill: "Drill-down",
+  activeVariantId: "Active variant",
+  variants: "Variants",
+  compareBaseline: "Comparison baseline",
+};
+
+function describeViewPatch(patch) {
+  const field = Object.keys(patch).find((f) => VIEW_FIELD_WORDS[f]);
+  return { subject: `${VIEW_FIELD_WORDS[field] || "View"} changed` };
+}
+
+// View fields whose writes are driver edits, and so go in the change log
+const LOGGED_VIEW_FIELDS = ["edits", "coeffEdits", "unitCosts", "editStates"];
+
+// Entrant fields as the change log names them
+const ENTRANT_FIELD_WORDS = {
+  name: "name",
+  segment: "segment",
+  powertrain: "powertrain",
+  launchYM: "launch",
+  price: "price",
+  share: "mature share",
+  ramp: "ramp curve",
+  rampMonths: "months to maturity",
+  newToMarket: "new to market",
+  sources: "sources of volume",
+  color: "color",
+};
+
+const ENTRANT_COLORS = ["#14B8A6", "#EC4899", "#84CC16", "#F97316"];
+
+const MAX_VARIANTS = 4;
+const VARIANT_COLORS = {
+  baseline: "#9CA3AF",
+  A: "#3B82F6",
+  B: "#F59E0B",
+  C: "#10B981",
+  D: "#A855F7",
+};
+
+function syncActiveVariant(view, patch) {
+  if (!("edits" in patch) || !view.variants) return view;
+  return {
+    ...view,
+    variants: view.variants.map((v) =>
+      v.id === view.activeVariantId ? { ...v, edits: view.edits } : v
+    ),
+  };
+}
+
+// Moves a key's selection and edits to a new name, or drops them when `to`
+// is null (a custom segment renamed or deleted).
+function renameModeKey(st, from, to) {
+  const move = (obj) => {
+    if (!obj || !(from in obj)) return obj;
+    const { [from]: v, ...rest } = obj;
+    return to ? { ...rest, [to]: v } : rest;
+  };
+  return {
+    ...st,
+    selected: st.selected.flatMap((k) => (k !== from ? [k] : to ? [to] : [])),
+    edits: move(st.edits),
+    coeffEdits: move(st.coeffEdits),
+    editStates: move(st.editStates),
+    variants: st.variants.map((v) => ({ ...v, edits: move(v.edits) })),
+  };
+}
+
+function pickKeys(obj, keys) {
+  const out = {};
+  for (const k of keys) if (obj?.[k]) out[k] = obj[k];
+  return out;
+}
+
+function mapModes(byMode, fn) {
+  return Object.fromEntries(
+    Object.entries(byMode).map(([m, v]) => [m, fn(v, m)])
+  );
+}
+
+const BUILTIN_CALIBRATION = {
+  source: "Built-in defaults",
+  byMode: BUILTIN_COEFFS,
+  issues: [],
+};
+
 function getKeyColor(label) {
   return SUV_COLORS[label] || PICKUP_COLORS[label] || PT_COLORS[label] || null;
 }
@@ -90,71 +442,51 @@ export default function MarketSimulation({ COLORS, useStyles }) {
   const DEFAULT_SELECTED = {
     segments: ["M SUV", "L Pickup"],
     powertrains: ["ICE", "HEV", "PHEV", "BEV"],
+    matrix: ["M SUV · ICE", "M SUV · BEV"],
   };
 
-  const MODES = {
-    segments: {
-      label: "Segments",
-      keys: [
-        "S SUV",
-        "M SUV",
-        "L SUV",
-        "XL SUV",
-        "S Pickup",
-        "M Pickup",
-        "L Pickup",
-        "XL Pickup",
-      ],
-      baselines: {
-        "S SUV": basePack(38_000, 10_000, 14, 50, 750, 6, 24_000),
-        "M SUV": basePack(45_000, 12_000, 16, 55, 1_000, 6, 40_000),
-        "L SUV": basePack(54_000, 14_000, 18, 60, 1_500, 6, 28_000),
-        "XL SUV": basePack(62_000, 16_000, 20, 65, 2_000, 6, 16_000),
-        "S Pickup": basePack(42_000, 11_000, 13, 55, 700, 6, 20_000),
-        "M Pickup": basePack(50_000, 13_000, 15, 60, 1_100, 6, 36_000),
-        "L Pickup": basePack(58_000, 15_000, 17, 65, 1_600, 6, 26_000),
-        "XL Pickup": basePack(66_000, 17_000, 19, 70, 2_200, 6, 14_000),
+  // Saved custom segments (simulation/customSegments.js) join the
+  // Segments mode after the built-in keys, keyed by name.
+  const [customSegments, setCustomSegments] = useState(() =>
+    listCustomSegments()
+  );
+  const customSegmentByKey = Object.fromEntries(
+    customSegments.map((s) => [s.name, s])
+  );
+
+  const MODES = useMemo(
+    () => ({
+      segments: {
+        label: "Segments",
+        keys: [...BUILTIN_SEGMENT_KEYS, ...customSegments.map((s) => s.name)],
+        builtInKeys: BUILTIN_SEGMENT_KEYS,
+        baselines: {
+          ...SEGMENT_BASELINES,
+          ...Object.fromEntries(
+            customSegments.map((s) => [
+              s.name,
+              s.source === "members"
+                ? aggregateBaseline(s.members, SEGMENT_BASELINES)
+                : { ...s.baseline, month: 6 },
+            ])
+          ),
+        },
       },
-    },
-    powertrains: {
-      label: "Powertrains",
-      keys: ["ICE", "HEV", "PHEV", "BEV"],
-      baselines: {
-        ICE: basePack(40_000, 9_000, 15, 55, 750, 6, 70_000),
-        HEV: basePack(44_000, 12_000, 17, 50, 1_000, 6, 28_000),
-        PHEV: basePack(50_000, 15_000, 18, 60, 1_500, 6, 14_000),
-        BEV: basePack(48_000, 10_000, 20, 65, 2_500, 6, 18_000),
+      powertrains: {
+        label: "Powertrains",
+        keys: POWERTRAIN_KEYS,
+        builtInKeys: POWERTRAIN_KEYS,
+        baselines: POWERTRAIN_BASELINES,
       },
-    },
-  };
-
-  const COEFFS = {
-    E_PRICE: -1.1,
-    B_FLEET_PER10PP: 0.06,
-    B_LEASE_PER10PP: 0.04,
-    B_INCENTIVES_PER_K: 0.05,
-    B_DAYS_PER10: -0.05,
-  };
-
-  function basePack(
-    atp,
-    fleetPct,
-    leasePct,
-    days,
-    incentives,
-    monthNum,
-    baseVol
-  ) {
-    return {
-      price: atp,
-      fleet: fleetPct,
-      lease: leasePct,
-      days,
-      incentives,
-      month: monthNum,
-      base_volume: baseVol,
-    };
-  }
+      matrix: {
+        label: "Segment × Powertrain",
+        keys: MATRIX_KEYS,
+        builtInKeys: MATRIX_KEYS,
+        baselines: matrixBaselines(SEGMENT_BASELINES, POWERTRAIN_BASELINES),
+      },
+    }),
+    [customSegments]
+  );
 
   /* -------------------- Shared time axis -------------------- */
 
@@ -175,70 +507,628 @@ export default function MarketSimulation({ COLORS, useStyles }) {
     return i >= 0 ? i : monthTicks.length - 1;
   }, [monthTicks]);
 
-  /* -------------------- Profiles for BOTH modes -------------------- */
+  /* -------------------- Loaded history -------------------- */
+
+  // { fileName, loadedAt, seriesByMode, issues, rowCount } once a file is read
+  const [history, setHistory] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  const [historyBusy, setHistoryBusy] = useState(false);
+  const [showHistoryIssues, setShowHistoryIssues] = useState(false);
+  const historyInputRef = React.useRef(null);
+
+  async function handleHistoryFile(file) {
+    if (!file) return;
+    setHistoryBusy(true);
+    setHistoryError(null);
+    try {
+      const rows = await readHistoryFile(file);
+      const parsed = parseHistoryRows(rows, {
+        knownKeysByMode: {
+          // Grouped custom segments take their history from their members
+          segments: MODES.segments.keys.filter(
+            (k) => customSegmentByKey[k]?.source !== "members"
+          ),
+          powertrains: MODES.powertrains.keys,
+          matrix: MODES.matrix.keys,
+          nameplates: NAMEPLATE_KEYS,
+        },
+        monthTicks,
+        histStartYM: HIST_START_YM,
+        cutoffYM: FUTURE_CUTOFF_YM,
+      });
+      setHistory({ fileName: file.name, loadedAt: new Date(), ...parsed });
+      setShowHistoryIssues(parsed.issues.length > 0);
+    } catch (err) {
+      setHistoryError(`Could not read ${file.name}: ${err.message || err}`);
+    } finally {
+      setHistoryBusy(false);
+    }
+  }
+
+  /* -------------------- Model coefficients -------------------- */
+
+  const [calibration, setCalibration] = useState(BUILTIN_CALIBRATION);
+  const [coeffError, setCoeffError] = useState(null);
+  const [showCoeffPanel, setShowCoeffPanel] = useState(false);
+
+  async function handleCoefficientFile(file) {
+    if (!file) return;
+    setCoeffError(null);
+    try {
+      const parsed = await readCoefficientFile(file, {
+        segments: MODES.segments.keys,
+        powertrains: MODES.powertrains.keys,
+        matrix: MODES.matrix.keys,
+        nameplates: NAMEPLATE_KEYS,
+      });
+      // Keys missing from the file keep their built-in set
+      const byMode = {};
+      const keysByMode = {
+        ...mapModes(MODES, (d) => d.keys),
+        nameplates: NAMEPLATE_KEYS,
+      };
+      for (const [m, keys] of Object.entries(keysByMode)) {
+        byMode[m] = {};
+        for (const key of keys) {
+          // Custom segments, matrix cells and nameplates only get a set
+          // when the file has one; otherwise they are derived (see
+          // modelCalibration)
+          if (!BUILTIN_COEFFS[m]?.[key] && !parsed.byMode[m]?.[key]) continue;
+          byMode[m][key] = {
+            ...BUILTIN_COEFFS[m]?.[key],
+            ...(parsed.byMode[m]?.[key] || {}),
+          };
+        }
+      }
+      setCalibration({
+        source: file.name,
+        loadedAt: new Date(),
+        byMode,
+        issues: parsed.issues,
+      });
+    } catch (err) {
+      setCoeffError(`Could not read ${file.name}: ${err.message || err}`);
+    }
+  }
+
+  /* -------------------- Forecast settings -------------------- */
+
+  const maxForecastHorizon = monthTicks.length - 1 - futureCutoffIdx;
+  const [forecastHorizon, setForecastHorizon] = useState(maxForecastHorizon);
+  const [forecastLevel, setForecastLevel] = useState(FORECAST_DEFAULTS.level);
+  const lastDataIdx =
+    futureCutoffIdx + Math.min(forecastHorizon, maxForecastHorizon);
+
+  /* -------------------- Profiles for every mode -------------------- */
 
   const profilesByMode = useMemo(() => {
+    const forecast = (prof) =>
+      forecastProfile(prof, {
+        histStartIdx: DEFAULT_RANGE_START,
+        cutoffIdx: futureCutoffIdx,
+        horizon: forecastHorizon,
+        level: forecastLevel,
+        phase: ymToMonthNumber(HIST_START_YM) - 1,
+      });
     const out = {};
-    ["segments", "powertrains"].forEach((m) => {
+    Object.keys(MODES).forEach((m) => {
       const profileByKey = {};
       const keys = MODES[m].keys;
+      const loaded = history?.seriesByMode?.[m] || {};
+      const histByKey = {};
       for (const key of keys) {
         const base = MODES[m].baselines[key];
-        profileByKey[key] = buildDummyProfileForKey(
-          key,
-          base,
-          monthTicks.length
-        );
+        const group = m === "segments" ? customSegmentByKey[key] : null;
+        histByKey[key] =
+          group?.source === "members"
+            ? aggregateProfiles(group.members, histByKey)
+            : mergeHistoryIntoProfile(
+                loaded[key],
+                buildDummyProfileForKey(key, base, monthTicks.length)
+              );
       }
+      for (const key of keys) profileByKey[key] = forecast(histByKey[key]);
       out[m] = { monthTicks, profileByKey };
+
+      if (m === "segments") {
+        // Nameplates follow their segment unless the file has their rows
+        const loadedNameplates = history?.seriesByMode?.nameplates || {};
+        const nameplateByKey = {};
+        for (const seg of BUILTIN_SEGMENT_KEYS) {
+          const synthetic = nameplateProfiles(seg, histByKey[seg]);
+          for (const [name, prof] of Object.entries(synthetic)) {
+            nameplateByKey[name] = forecast(
+              mergeHistoryIntoProfile(loadedNameplates[name], prof)
+            );
+          }
+        }
+        out.nameplates = { monthTicks, profileByKey: nameplateByKey };
+      }
     });
     return out;
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [monthTicks]);
+  }, [monthTicks, history, forecastHorizon, forecastLevel, customSegments]);
 
   /* -------------------- PERSISTENT PER-MODE STATE -------------------- */
 
   const [mode, setMode] = useState("segments");
-  const [stateByMode, setStateByMode] = useState(() => ({
-    segments: {
-      selected: DEFAULT_SELECTED.segments,
-      edits: {},
-      selectedMonthIdx: null,
-      rangeStartIdx: null,
-      rangeEndIdx: null,
-      applyScope: "month", // ← NEW: 'month' | 'year'
-    },
-    powertrains: {
-      selected: DEFAULT_SELECTED.powertrains,
-      edits: {},
-      selectedMonthIdx: null,
-      rangeStartIdx: null,
-      rangeEndIdx: null,
-      applyScope: "month", // ← NEW: 'month' | 'year'
-    },
-  }));
+  const [stateByMode, setStateByMode] = useState(() =>
+    mapModes(DEFAULT_SELECTED, (selected) => makeModeState(selected))
+  );
+  // Undo / redo per mode; steps are recorded by updateView only, so
+  // defaults, opened links and scenarios are not steps of their own
+  const [undoByMode, setUndoByMode] = useState(() =>
+    mapModes(DEFAULT_SELECTED, emptyHistory)
+  );
+  const [showUndoHistory, setShowUndoHistory] = useState(false);
+  // Main chart: volume lines, or the selected keys' mix as a 100% stack
+  const [chartStyle, setChartStyle] = useState("volume");
 
   // After monthTicks known, assign defaults only where null
   React.useEffect(() => {
-    setStateByMode((prev) => ({
-      segments: {
-        ...prev.segments,
-        rangeStartIdx: prev.segments.rangeStartIdx ?? DEFAULT_RANGE_START,
-        rangeEndIdx: prev.segments.rangeEndIdx ?? DEFAULT_RANGE_END,
-      },
-      powertrains: {
-        ...prev.powertrains,
-        rangeStartIdx: prev.powertrains.rangeStartIdx ?? DEFAULT_RANGE_START,
-        rangeEndIdx: prev.powertrains.rangeEndIdx ?? DEFAULT_RANGE_END,
-      },
-    }));
+    setStateByMode((prev) =>
+      mapModes(prev, (st) => ({
+        ...st,
+        rangeStartIdx: st.rangeStartIdx ?? DEFAULT_RANGE_START,
+        rangeEndIdx: st.rangeEndIdx ?? DEFAULT_RANGE_END,
+      }))
+    );
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [DEFAULT_RANGE_START, DEFAULT_RANGE_END]);
 
+  // A shorter forecast horizon pulls ranges and selections back inside it
+  React.useEffect(() => {
+    const fit = (v) => {
+      const ui = { ...v };
+      if (ui.rangeEndIdx != null && ui.rangeEndIdx > lastDataIdx) {
+        ui.rangeEndIdx = lastDataIdx;
+        ui.rangeStartIdx = Math.min(ui.rangeStartIdx ?? 0, lastDataIdx);
+      }
+      if (ui.selectedMonthIdx != null && ui.selectedMonthIdx > lastDataIdx) {
+        ui.selectedMonthIdx = null;
+      }
+      return ui;
+    };
+    setStateByMode((prev) => mapModes(prev, fit));
+  }, [lastDataIdx]);
+
   function switchMode(nextMode) {
     setMode(nextMode); // keep per-mode state intact
   }
 
+  /* -------------------- Custom segments -------------------- */
+
+  const [showCustomSegments, setShowCustomSegments] = useState(false);
+  const [customSegmentError, setCustomSegmentError] = useState(null);
+
+  // Returns true once saved, so the editor can reset
+  function handleSaveCustomSegment(def) {
+    try {
+      const prev = customSegments.find((s) => s.id === def.id);
+      const saved = saveCustomSegment(def, BUILTIN_SEGMENT_KEYS);
+      setCustomSegments(listCustomSegments());
+      if (prev && prev.name !== saved.name) {
+        setStateByMode((st) => ({
+          ...st,
+          segments: renameModeKey(st.segments, prev.name, saved.name),
+        }));
+        setUndoByMode((u) => ({ ...u, segments: emptyHistory() }));
+      }
+      setCustomSegmentError(null);
+      return true;
+    } catch (err) {
+      setCustomSegmentError(err.message || String(err));
+      return false;
+    }
+  }
+
+  function handleDeleteCustomSegment(id) {
+    const seg = customSegments.find((s) => s.id === id);
+    try {
+      deleteCustomSegment(id);
+      setCustomSegmentError(null);
+    } catch (err) {
+      setCustomSegmentError(err.message || String(err));
+      return;
+    }
+    setCustomSegments(listCustomSegments());
+    if (seg) {
+      setStateByMode((st) => ({
+        ...st,
+        segments: renameModeKey(st.segments, seg.name, null),
+      }));
+      setUndoByMode((u) => ({ ...u, segments: emptyHistory() }));
+    }
+  }
+
+  /* -------------------- New entrants -------------------- */
+
+  // Market-wide: every mode sees the same entrants, saved with the scenario
+  const [entrants, setEntrants] = useState([]);
+
+  // An entrant's name is its chart line and KPI key, so it must not match
+  // any key or another entrant
+  function entrantRules(id) {
+    return {
+      takenNames: [
+        ...MODES.segments.keys,
+        ...POWERTRAIN_KEYS,
+        ...MATRIX_KEYS,
+        ...NAMEPLATE_KEYS,
+        ...entrants.filter((e) => e.id !== id).map((e) => e.name),
+      ],
+      segments: BUILTIN_SEGMENT_KEYS,
+      powertrains: POWERTRAIN_KEYS,
+    };
+  }
+
+  function addEntrant() {
+    const rules = entrantRules(null);
+    let name = "New entrant";
+    for (let n = 2; rules.takenNames.includes(name); n++) {
+      name = `New entrant ${n}`;
+    }
+    const segment = "M SUV";
+    const entrant = validateEntrant(
+      {
+        id: `ne-${Date.now().toString(36)}`,
+        name,
+        color: ENTRANT_COLORS[entrants.length % ENTRANT_COLORS.length],
+        segment,
+        powertrain: "BEV",
+        // January after the history cutoff
+        launchYM:
+          monthTicks.find((m) => m > FUTURE_CUTOFF_YM && m.endsWith("-01")) ??
+          FUTURE_CUTOFF_YM,
+        price: SEGMENT_BASELINES[segment].price,
+        share: 5,
+        ramp: "scurve",
+        rampMonths: 12,
+        newToMarket: 20,
+        sources: defaultSources(segment, BUILTIN_SEGMENT_KEYS),
+      },
+      rules
+    );
+    setEntrants((prev) => [...prev, entrant]);
+    logEdit({ subject: `Add entrant ${entrant.name}` });
+  }
+
+  // Returns an error message, or null once applied. A new segment resets
+  // the sources to that segment's defaults.
+  function updateEntrant(id, patch) {
+    const prev = entrants.find((e) => e.id === id);
+    if (!prev) return null;
+    const next = { ...prev, ...patch };
+    if (patch.segment && patch.segment !== prev.segment) {
+      next.sources = defaultSources(patch.segment, BUILTIN_SEGMENT_KEYS);
+    }
+    try {
+      const entrant = validateEntrant(next, entrantRules(id));
+      setEntrants((list) => list.map((e) => (e.id === id ? entrant : e)));
+      for (const field of Object.keys(patch)) {
+        const [from, to] = [prev[field], entrant[field]];
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        const scalar = typeof to !== "object";
+        logEdit({
+          subject: `${prev.name} ${ENTRANT_FIELD_WORDS[field] ?? field}`,
+          from: scalar ? String(from) : undefined,
+          to: scalar ? String(to) : undefined,
+          group: `entrant:${id}:${field}`,
+        });
+      }
+      return null;
+    } catch (err) {
+      return err.message || String(err);
+    }
+  }
+
+  function removeEntrant(id) {
+    const entrant = entrants.find((e) => e.id === id);
+    setEntrants((list) => list.filter((e) => e.id !== id));
+    if (entrant) logEdit({ subject: `Remove entrant ${entrant.name}` });
+  }
+
+  /* -------------------- Macro drivers -------------------- */
+
+  // Market-wide like entrants. The base path is the built-in outlook until
+  // a file is loaded over it ({ source, loadedAt, series, issues }); shifts
+  // are the scenario's changes to it.
+  const builtinMacro = useMemo(
+    () => ({
+      source: "Built-in outlook",
+      series: builtinMacroSeries(monthTicks),
+      issues: [],
+    }),
+    [monthTicks]
+  );
+  const [macroFile, setMacroFile] = useState(null);
+  const [macroShifts, setMacroShifts] = useState([]);
+  const [macroError, setMacroError] = useState(null);
+  const [showMacroPanel, setShowMacroPanel] = useState(false);
+  const macro = macroFile || builtinMacro;
+
+  async function handleMacroFile(file) {
+    if (!file) return;
+    setMacroError(null);
+    try {
+      const rows = await readMacroFile(file);
+      const parsed = parseMacroRows(rows, { monthTicks });
+      setMacroFile({
+        source: file.name,
+        loadedAt: new Date(),
+        series: parsed.series,
+        issues: parsed.issues,
+      });
+    } catch (err) {
+      setMacroError(`Could not read ${file.name}: ${err.message || err}`);
+    }
+  }
+
+  function addMacroShift() {
+    const shift = {
+      id: `ms-${Date.now().toString(36)}`,
+      driver: "apr",
+      kind: "add",
+      value: 150,
+      // January after the history cutoff, to the end of the horizon
+      fromYM:
+        monthTicks.find((m) => m > FUTURE_CUTOFF_YM && m.endsWith("-01")) ??
+        FUTURE_CUTOFF_YM,
+      toYM: null,
+    };
+    setMacroShifts((prev) => [...prev, shift]);
+    logEdit({
+      subject: `Add macro shift ${describeMacroShift(shift, ymToLabel)}`,
+    });
+  }
+
+  function updateMacroShift(id, patch) {
+    const prev = macroShifts.find((s) => s.id === id);
+    setMacroShifts((list) =>
+      list.map((s) => (s.id === id ? { ...s, ...patch } : s))
+    );
+    const from = prev && describeMacroShift(prev, ymToLabel);
+    const to = prev && describeMacroShift({ ...prev, ...patch }, ymToLabel);
+    if (from !== to) {
+      logEdit({ subject: "Macro shift", from, to, group: `macro:${id}` });
+    }
+  }
+
+  function removeMacroShift(id) {
+    const shift = macroShifts.find((s) => s.id === id);
+    setMacroShifts((list) => list.filter((s) => s.id !== id));
+    if (shift) {
+      logEdit({
+        subject: `Remove macro shift ${describeMacroShift(shift, ymToLabel)}`,
+      });
+    }
+  }
+
+  const shiftedMacro = useMemo(
+    () => applyMacroShifts(macro.series, macroShifts, monthTicks),
+    [macro.series, macroShifts, monthTicks]
+  );
+  // What the profiles already assume: a loaded file's history, the
+  // built-in outlook after the cutoff
+  const macroBase = useMemo(
+    () =>
+      fittedMacroBase(macro.series, builtinMacro.series, futureCutoffIdx + 1),
+    [macro.series, builtinMacro.series, futureCutoffIdx]
+  );
+
+  /* -------------------- Saved scenarios -------------------- */
+
+  const [savedScenarios, setSavedScenarios] = useState(() => listScenarios());
+  const [activeScenario, setActiveScenario] = useState(null); // { id, name }
+  const [scenarioNotice, setScenarioNotice] = useState(null);
+  const [showScenarios, setShowScenarios] = useState(false);
+
+  // Audit trail of the scenario (simulation/auditTrail.js): card edits are
+  // logged by updateView and travelView, notes are { [mode]: { [key]: text } }
+  const [changeLog, setChangeLog] = useState([]);
+  const [cardNotes, setCardNotes] = useState({});
+  const [author, setAuthor] = useState(() => readAuthor());
+  const [showChangeLog, setShowChangeLog] = useState(false);
+
+  function scenarioData() {
+    return {
+      mode,
+      stateByMode,
+      forecast: { horizon: forecastHorizon, level: forecastLevel },
+      calibration:
+        calibration.byMode === BUILTIN_COEFFS
+          ? null
+          : { source: calibration.source, byMode: calibration.byMode },
+      historyFileName: history?.fileName ?? null,
+      entrants,
+      // Like the calibration, the base path is only saved when loaded
+      macro: {
+        source: macroFile?.source ?? null,
+        series: macroFile?.series ?? null,
+        shifts: macroShifts,
+      },
+      audit: { log: changeLog, notes: cardNotes },
+    };
+  }
+
+  function applyScenarioData(data) {
+    const nextState = {};
+    for (const m of Object.keys(MODES)) {
+      const saved = data.stateByMode?.[m] || {};
+      const base = makeModeState(DEFAULT_SELECTED[m]);
+      nextState[m] = {
+        ...base,
+        ...saved,
+        selected: (saved.selected || base.selected).filter((k) =>
+          (saved.drill
+            ? nameplatesOf(saved.drill.segment)
+            : MODES[m].keys
+          ).includes(k)
+        ),
+        cross: { ...base.cross, ...(saved.cross || {}) },
+        uncertainty: { ...base.uncertainty, ...(saved.uncertainty || {}) },
+      };
+      const vs = nextState[m].variants;
+      if (
+        !vs?.length ||
+        !vs.some((v) => v.id === nextState[m].activeVariantId)
+      ) {
+        nextState[m].variants = base.variants.map((v) => ({
+          ...v,
+          edits: nextState[m].edits,
+        }));
+        nextState[m].activeVariantId = base.activeVariantId;
+      }
+    }
+    setStateByMode(nextState);
+    setUndoByMode(mapModes(DEFAULT_SELECTED, emptyHistory));
+    setMode(MODES[data.mode] ? data.mode : "segments");
+    if (data.forecast?.horizon) setForecastHorizon(data.forecast.horizon);
+    if (data.forecast?.level) setForecastLevel(data.forecast.level);
+    setCalibration(
+      data.calibration
+        ? { ...data.calibration, issues: [] }
+        : BUILTIN_CALIBRATION
+    );
+    setEntrants(Array.isArray(data.entrants) ? data.entrants : []);
+    setMacroFile(
+      data.macro?.series
+        ? { source: data.macro.source, series: data.macro.series, issues: [] }
+        : null
+    );
+    setMacroShifts(Array.isArray(data.macro?.shifts) ? data.macro.shifts : []);
+    setChangeLog(Array.isArray(data.audit?.log) ? data.audit.log : []);
+    setCardNotes(data.audit?.notes || {});
+  }
+
+  // Every scenario action reports failures (quota, corrupt entries, newer
+  // schema) through the notice line instead of throwing into render. An
+  // action may also return a notice of its own.
+  function runScenarioAction(fn) {
+    try {
+      setScenarioNotice(fn() || null);
+    } catch (err) {
+      setScenarioNotice(err.message || String(err));
+    }
+    setSavedScenarios(listScenarios());
+  }
+
+  function handleSaveScenario(name, asNew) {
+    runScenarioAction(() => {
+      const meta = saveScenario({
+        id: asNew ? null : activeScenario?.id,
+        name,
+        data: scenarioData(),
+      });
+      setActiveScenario({ id: meta.id, name: meta.name });
+    });
+  }
+
+  function handleOpenScenario(id) {
+    runScenarioAction(() => {
+      const sc = loadScenario(id);
+      applyScenarioData(sc.data);
+      setActiveScenario({ id: sc.id, name: sc.name });
+      const wantFile = sc.data.historyFileName;
+      if (wantFile && wantFile !== history?.fileName) {
+        return `Saved with history file "${wantFile}"; load it again to reproduce the numbers exactly.`;
+      }
+      return null;
+    });
+  }
+
+  function handleRenameScenario(id, name) {
+    runScenarioAction(() => {
+      renameScenario(id, name);
+      if (activeScenario?.id === id) {
+        setActiveScenario({ id, name: name.trim() });
+      }
+    });
+  }
+
+  function handleDuplicateScenario(id) {
+    runScenarioAction(() => {
+      duplicateScenario(id);
+    });
+  }
+
+  function handleDeleteScenario(id) {
+    runScenarioAction(() => {
+      deleteScenario(id);
+      if (activeScenario?.id === id) setActiveScenario(null);
+    });
+  }
+
+  /* -------------------- Deep links -------------------- */
+
+  // The active mode's view lives in the query string (simulation/deepLink.js):
+  // a link is read once on arrival, then kept in step with the view.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [linkRead, setLinkRead] = useState(false);
+
+  React.useEffect(() => {
+    if (linkRead) return;
+    const link = decodeViewLink(searchParams, {
+      modes: mapModes(MODES, (d) => d.keys),
+      nameplatesOf,
+      nameplateKeys: NAMEPLATE_KEYS,
+      monthTicks,
+      lastIdx: lastDataIdx,
+      limits: FIELD_LIMITS,
+      stateCodes: US_STATES.map((st) => st.abbr),
+    });
+    if (link) {
+      setStateByMode((prev) => {
+        const st = prev[link.mode];
+        const patch = { ...link.patch };
+        if (link.mode === "segments") {
+          patch.drill = link.drill
+            ? { segment: link.drill, parentSelected: st.selected }
+            : null;
+          if (link.drill && !patch.selected) {
+            patch.selected = nameplatesOf(link.drill);
+          }
+        }
+        return {
+          ...prev,
+          [link.mode]: syncActiveVariant({ ...st, ...patch }, patch),
+        };
+      });
+      setMode(link.mode);
+      if (link.dropped.length) {
+        setScenarioNotice(
+          `Opened the shared view without ${link.dropped.join("; ")}`
+        );
+      }
+    }
+    setLinkRead(true);
+  }, [linkRead, searchParams, MODES, monthTicks, lastDataIdx]);
+
+  // Debounced: typing into a card should not flood the history API
+  React.useEffect(() => {
+    if (!linkRead) return undefined;
+    const t = setTimeout(() => {
+      const next = encodeViewLink(mode, stateByMode[mode], monthTicks);
+      if (next.toString() !== searchParams.toString()) {
+        setSearchParams(next, { replace: true });
+      }
+    }, 300);
+    return () => clearTimeout(t);
+  }, [linkRead, mode, stateByMode, monthTicks, searchParams, setSearchParams]);
+
+  function handleCopyLink() {
+    const query = encodeViewLink(mode, stateByMode[mode], monthTicks);
+    const url = `${window.location.origin}${window.location.pathname}?${query}`;
+    const fallback = () => setScenarioNotice(`Link to this view: ${url}`);
+    if (!navigator.clipboard) {
+      fallback();
+      return;
+    }
+    navigator.clipboard
+      .writeText(url)
+      .then(() => setScenarioNotice("Link to this view copied"), fallback);
+  }
+
   // Convenience getters/setters scoped to active mode
   const view = stateByMode[mode];
   const {
@@ -248,38 +1138,178 @@ export default function MarketSimulation({ COLORS, useStyles }) {
     rangeStartIdx,
     rangeEndIdx,
     applyScope,
+    aggregation = "month",
+    fiscalStartMonth = 1,
+    coeffEdits,
+    cross,
+    uncertainty,
+    variants,
+    activeVariantId,
+    compareBaseline,
+    unitCosts = {},
   } = view;
 
-  const defs = MODES[mode];
-  const activeProfiles = profilesByMode[mode];
+  // Drilled into a segment, its nameplates stand in for the mode's keys:
+  // cards, chart, KPIs and coefficients all work on them ("nameplates"
+  // is their calibration / cross-effects mode).
+  const drill = mode === "segments" ? view.drill : null;
+  const simMode = drill ? "nameplates" : mode;
+  const defs = useMemo(
+    () =>
+      drill
+        ? {
+            label: `${drill.segment} nameplates`,
+            keys: nameplatesOf(drill.segment),
+            builtInKeys: nameplatesOf(drill.segment),
+            baselines: NAMEPLATE_BASELINES,
+          }
+        : MODES[mode],
+    [drill, mode, MODES]
+  );
+  const activeProfiles = profilesByMode[simMode];
+
+  // Unit cost for margin: set on the card, else a share of the key's
+  // baseline price (an entrant's own price)
+  const unitCostOf = useCallback(
+    (key) => {
+      if (unitCosts[key] != null) return unitCosts[key];
+      const entrant = entrants.find((e) => e.name === key);
+      return defaultUnitCost(
+        entrant ? entrant.price : defs.baselines[key]?.price
+      );
+    },
+    [unitCosts, entrants, defs]
+  );
 
-  function updateView(patch) {
-    setStateByMode((prev) => ({
+  // `edits` is the working copy of the active variant; every write goes
+  // through here so the variant list never goes stale. Each write is an
+  // undo step described by `change` ({ subject, from, to, group }, see
+  // simulation/history.js); a second write from the same handler joins
+  // the first one's step. Card edits also go to the change log, except a
+  // variant switch bringing its own.
+  function updateView(patch, change = describeViewPatch(patch)) {
+    const state = stateByMode[mode];
+    setUndoByMode((prev) => ({
       ...prev,
-      [mode]: { ...prev[mode], ...patch },
+      [mode]: recordChange(prev[mode], { ...change, state, at: Date.now() }),
     }));
-  }
-  function updateViewField(field, value) {
+    if (
+      LOGGED_VIEW_FIELDS.some((f) => f in patch) &&
+      !("activeVariantId" in patch)
+    ) {
+      logEdit(change);
+    }
     setStateByMode((prev) => ({
       ...prev,
-      [mode]: { ...prev[mode], [field]: value },
+      [mode]: syncActiveVariant({ ...prev[mode], ...patch }, patch),
     }));
   }
+  function updateViewField(field, value, change) {
+    updateView({ [field]: value }, change);
+  }
+
+  // Undo (steps < 0) or redo (steps > 0) in the current mode
+  function travelView(steps) {
+    const history = undoByMode[mode];
+    const res = travel(history, stateByMode[mode], steps);
+    if (!res) return;
+    if (LOGGED_VIEW_FIELDS.some((f) => res.state[f] !== stateByMode[mode][f])) {
+      const step =
+        steps === -1
+          ? history.past[history.past.length - 1]
+          : steps === 1
+          ? history.future[0]
+          : null;
+      const what = step ? historyLabel(step) : `${Math.abs(steps)} steps`;
+      logEdit({ subject: `${steps < 0 ? "Undo" : "Redo"} ${what}` });
+    }
+    setUndoByMode((prev) => ({ ...prev, [mode]: res.history }));
+    setStateByMode((prev) => ({ ...prev, [mode]: res.state }));
+  }
+  const undoSteps = undoByMode[mode];
+
+  function logEdit({ subject, from, to, group = null, period = null }) {
+    setChangeLog((log) =>
+      recordAuditEntry(log, {
+        at: new Date().toISOString(),
+        author,
+        mode: defs.label,
+        variant: variants.find((v) => v.id === activeVariantId)?.name ?? "",
+        subject,
+        from,
+        to,
+        period,
+        group,
+      })
+    );
+  }
+
+  // Where a card edit lands, for the change log
+  function editPeriodLabel() {
+    if (selectedPeriod) return selectedPeriod.label;
+    if (selectedMonthIdx == null) return null;
+    const ym = monthTicks[selectedMonthIdx];
+    return applyScope === "year" ? yearLabel : ymToLabel(ym);
+  }
+
+  function setCardNote(key, text) {
+    setCardNotes((prev) => {
+      const byKey = { ...(prev[mode] || {}), [key]: text };
+      if (!text) delete byKey[key];
+      return { ...prev, [mode]: byKey };
+    });
+  }
 
-  function getRangeBounds() {
+  function handleAuthorChange(name) {
+    setAuthor(name);
+    saveAuthor(name);
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac; Ctrl+Y redoes too), except while
+  // typing in a text field, where the browser's own undo applies
+  const travelRef = React.useRef(travelView);
+  travelRef.current = travelView;
+  React.useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      const redo = (key === "z" && e.shiftKey) || key === "y";
+      if (key !== "z" && !redo) return;
+      const t = e.target;
+      if (
+        t?.tagName === "TEXTAREA" ||
+        (t?.tagName === "INPUT" && t.type === "text")
+      ) {
+        return;
+      }
+      e.preventDefault();
+      travelRef.current(redo ? 1 : -1);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const getRangeBounds = useCallback(() => {
     const rs = Math.max(
       0,
       Math.min(rangeStartIdx ?? DEFAULT_RANGE_START, monthTicks.length - 1)
     );
     const re = Math.max(
       rs,
-      Math.min(rangeEndIdx ?? DEFAULT_RANGE_END, monthTicks.length - 1)
+      Math.min(rangeEndIdx ?? DEFAULT_RANGE_END, lastDataIdx)
     );
     return [rs, re];
-  }
+  }, [
+    rangeStartIdx,
+    rangeEndIdx,
+    DEFAULT_RANGE_START,
+    DEFAULT_RANGE_END,
+    monthTicks.length,
+    lastDataIdx,
+  ]);
 
   function rangeStatsForKey(key, rs, re) {
-    const prof = activeProfiles.profileByKey[key];
+    const prof = simProfiles[key];
     if (!prof) {
       return {
         avgPrice: 0,
@@ -321,150 +1351,1338 @@ export default function MarketSimulation({ COLORS, useStyles }) {
   }
 
   function clearSelectedMonthToRange() {
-    const [rs, re] = getRangeBounds();
-    const newEdits = { ...edits };
-    for (const key of selected) {
-      const stats = rangeStatsForKey(key, rs, re);
-      newEdits[key] = {
-        ...(newEdits[key] || {}),
-        price: stats.avgPrice,
-        fleet: stats.avgFleet,
-        lease: stats.avgLease,
-        days: stats.avgDays,
-        incentives: stats.avgIncentives,
-      };
-    }
-    updateView({ edits: newEdits, selectedMonthIdx: null });
+    updateViewField("selectedMonthIdx", null, {
+      subject: "Cleared the selected month",
+    });
   }
 
-  /* -------------------- Derived rows -------------------- */
-
-  const rows = useMemo(() => {
-    const [rs, re] = getRangeBounds();
+  /* -------------------- Calendar aggregation -------------------- */
 
-    return selected.map((key) => {
+  // Periods at the chosen grain (months are their own period); a selected
+  // month stands for the quarter or year it falls in
+  const calendar = useMemo(
+    () => buildPeriods(monthTicks, aggregation, fiscalStartMonth, lastDataIdx),
+    [monthTicks, aggregation, fiscalStartMonth, lastDataIdx]
+  );
+  const selectedPeriod =
+    aggregation !== "month" && selectedMonthIdx != null
+      ? calendar.periods[calendar.periodIdx[selectedMonthIdx]] ?? null
+      : null;
+  // The year a "Total Year" edit spans, shared by its button, the cards
+  // and the change log
+  const yearLabel =
+    selectedMonthIdx == null
+      ? null
+      : yearScopeLabel(monthTicks[selectedMonthIdx], fiscalStartMonth);
+
+  // Months the cards show and edit: the selected month or period, or the
+  // whole range when nothing is selected
+  const cardWindow = useCallback(() => {
+    if (selectedPeriod) return [selectedPeriod.start, selectedPeriod.end];
+    if (selectedMonthIdx != null) return [selectedMonthIdx, selectedMonthIdx];
+    return getRangeBounds();
+  }, [selectedPeriod, selectedMonthIdx, getRangeBounds]);
+
+  // LineChartGeneric props at the chosen grain: series summed by period,
+  // and the range, selection and history cutoff mapped to period indexes
+  // (chart picks map back to a period's first month)
+  function chartFrame({
+    seriesByKey,
+    baselineByKey = {},
+    uncertaintyByKey = {},
+    markers = [],
+  }) {
+    const [rs, re] = getRangeBounds();
+    if (aggregation === "month") {
+      return {
+        monthTicks,
+        seriesByKey,
+        baselineByKey,
+        uncertaintyByKey,
+        markers,
+        selectedIndex: selectedMonthIdx,
+        onSelectIndex: applyMonthToInputs,
+        rangeStart: rs,
+        rangeEnd: re,
+        maxIndex: lastDataIdx,
+        onRangeChange: applyRange,
+        futureCutoffIdx,
+      };
+    }
+    const { periods, periodIdx } = calendar;
+    const pOf = (i) => periodIdx[Math.max(0, Math.min(i, lastDataIdx))];
+    const roll = (byKey) =>
+      Object.fromEntries(
+        Object.entries(byKey).map(([k, values]) => [
+          k,
+          aggregateSeries(values, periods),
+        ])
+      );
+    const cut = pOf(futureCutoffIdx);
+    return {
+      monthTicks: periods.map((p) => p.label),
+      formatTick: (label) => label,
+      seriesByKey: roll(seriesByKey),
+      baselineByKey: roll(baselineByKey),
+      uncertaintyByKey: Object.fromEntries(
+        Object.entries(uncertaintyByKey).map(([k, bands]) => [
+          k,
+          aggregateBands(bands, seriesByKey[k] || [], periods),
+        ])
+      ),
+      markers: markers.map((m) => ({ ...m, i: pOf(m.i) })),
+      selectedIndex: selectedMonthIdx == null ? null : pOf(selectedMonthIdx),
+      onSelectIndex: (p) => applyMonthToInputs(periods[p].start),
+      rangeStart: pOf(rs),
+      rangeEnd: pOf(re),
+      maxIndex: periods.length - 1,
+      onRangeChange: (s, e) => applyRange(periods[s].start, periods[e].end),
+      // A period counts as history only when all of its months do
+      futureCutoffIdx: periods[cut].end > futureCutoffIdx ? cut - 1 : cut,
+    };
+  }
+
+  /* -------------------- Simulation -------------------- */
+
+  // Keys without a calibrated set of their own derive one: grouped custom
+  // segments from their members (weighted by baseline volume), matrix
+  // cells from their segment and powertrain (see matrix.js), nameplates
+  // from their segment.
+  const modelCalibration = useMemo(() => {
+    const byMode = calibration.byMode;
+    const segments = { ...byMode.segments };
+    for (const g of customSegments) {
+      if (g.source !== "members" || segments[g.name]) continue;
+      segments[g.name] = {
+        ...aggregateCoeffs(g.members, SEGMENT_BASELINES, (k) =>
+          calibratedCoeffs(calibration, "segments", k)
+        ),
+        se: aggregateCoeffs(g.members, SEGMENT_BASELINES, (k) =>
+          coeffStdErrors(calibration, "segments", k)
+        ),
+      };
+    }
+    const matrix = { ...byMode.matrix };
+    for (const key of MATRIX_KEYS) {
+      if (matrix[key]) continue;
+      const { segment, powertrain } = splitMatrixKey(key);
+      matrix[key] = {
+        ...blendCoeffs(
+          calibratedCoeffs(calibration, "segments", segment),
+          calibratedCoeffs(calibration, "powertrains", powertrain)
+        ),
+        se: blendCoeffs(
+          coeffStdErrors(calibration, "segments", segment),
+          coeffStdErrors(calibration, "powertrains", powertrain)
+        ),
+      };
+    }
+    const nameplates = { ...byMode.nameplates };
+    for (const key of NAMEPLATE_KEYS) {
+      if (nameplates[key]) continue;
+      const { segment } = nameplateInfo(key);
+      nameplates[key] = {
+        ...calibratedCoeffs(calibration, "segments", segment),
+        se: coeffStdErrors(calibration, "segments", segment),
+      };
+    }
+    return {
+      ...calibration,
+      byMode: { ...byMode, segments, matrix, nameplates },
+    };
+  }, [calibration, customSegments]);
+
+  // Custom segments overlap the built-in ones, so only built-in keys
+  // substitute for each other; a missing weight counts as 0.
+  const crossWeights = useMemo(
+    () => resolveCrossWeights(simMode, defs.builtInKeys, cross.weightEdits),
+    [simMode, defs.builtInKeys, cross.weightEdits]
+  );
+  // Nameplates keep an expansion share of their own
+  const expansionField = drill ? "nameplateExpansion" : "expansion";
+  const marketExpansion = cross[expansionField] ?? BUILTIN_EXPANSION[simMode];
+
+  // Profiles of every mode with the loaded outlook and macro shifts
+  // applied, through each key's coefficients (nameplates take the
+  // segments' coefficient edits). They stand under entrants and edits;
+  // the KPI and chart baselines stay on the unshifted profiles.
+  const marketProfilesByMode = useMemo(() => {
+    if (shiftedMacro === macroBase) return profilesByMode;
+    const coeffEditsByMode = {
+      segments: stateByMode.segments.coeffEdits,
+      powertrains: stateByMode.powertrains.coeffEdits,
+      matrix: stateByMode.matrix.coeffEdits,
+      nameplates: stateByMode.segments.coeffEdits,
+    };
+    return mapModes(profilesByMode, (p, m) => ({
+      ...p,
+      profileByKey: applyMacro(p.profileByKey, {
+        base: macroBase,
+        shifted: shiftedMacro,
+        coeffsFor: (key) =>
+          resolveCoeffs(modelCalibration, coeffEditsByMode[m], m, key),
+      }),
+    }));
+  }, [
+    profilesByMode,
+    macroBase,
+    shiftedMacro,
+    modelCalibration,
+    stateByMode.segments.coeffEdits,
+    stateByMode.powertrains.coeffEdits,
+    stateByMode.matrix.coeffEdits,
+  ]);
+
+  // Entrants are simulated once against the unedited segment and
+  // powertrain profiles, priced with their segment × powertrain cell's
+  // elasticity; each mode sums their losses onto its own keys.
+  const entrantResults = useMemo(
+    () =>
+      simulateEntrants(entrants, {
+        monthTicks,
+        segmentProfiles: marketProfilesByMode.segments.profileByKey,
+        powertrainProfiles: marketProfilesByMode.powertrains.profileByKey,
+        elasticityFor: (e) =>
+          calibratedCoeffs(
+            modelCalibration,
+            "matrix",
+            matrixKey(e.segment, e.powertrain)
+          ).E_PRICE,
+      }),
+    [entrants, monthTicks, marketProfilesByMode, modelCalibration]
+  );
+  const entrantProfiles = Object.fromEntries(
+    entrantResults.map((r) => [r.name, r.profile])
+  );
+  const entrantNames = entrantResults.map((r) => r.name);
+
+  const entrantLossesFor = useCallback(
+    (m, results = entrantResults) => {
+      if (!results.length) return {};
+      if (m === "matrix") return entrantLossesBy(results, (cell) => cell);
+      if (m === "powertrains") {
+        return entrantLossesBy(
+          results,
+          (cell) => splitMatrixKey(cell).powertrain
+        );
+      }
+      const bySegment = entrantLossesBy(
+        results,
+        (cell) => splitMatrixKey(cell).segment
+      );
+      if (m === "segments") {
+        // Grouped custom segments lose what their members lose
+        for (const g of customSegments) {
+          const parts = g.members.map((k) => bySegment[k]).filter(Boolean);
+          if (!parts.length) continue;
+          bySegment[g.name] = parts[0].map((_, i) =>
+            parts.reduce((acc, p) => acc + p[i], 0)
+          );
+        }
+        return bySegment;
+      }
+      // Nameplates split their segment's loss by volume
+      const npProfiles = marketProfilesByMode.nameplates.profileByKey;
+      const out = {};
+      for (const [segment, loss] of Object.entries(bySegment)) {
+        const names = nameplatesOf(segment);
+        for (const name of names) {
+          out[name] = loss.map((x, i) => {
+            let total = 0;
+            for (const k of names) total += npProfiles[k]?.volume[i]?.v ?? 0;
+            const own = npProfiles[name]?.volume[i]?.v ?? 0;
+            return total > 0 ? (x * own) / total : 0;
+          });
+        }
+      }
+      return out;
+    },
+    [entrantResults, customSegments, marketProfilesByMode]
+  );
+
+  // State weights per key (regions.js): segments tilt by their pickup
+  // share, powertrains by their plug-in mix, matrix cells, nameplates and
+  // entrants by their segment and powertrain. Uploaded custom segments
+  // follow the plain registration shares.
+  const regionWeightsFor = useMemo(() => {
+    const cache = new Map();
+    const pickupOf = (segment) => {
+      if (BUILTIN_SEGMENT_KEYS.includes(segment)) {
+        return segment in PICKUP_COLORS ? 1 : 0;
+      }
+      const group = customSegments.find((g) => g.name === segment);
+      if (group?.source !== "members") return null;
+      let total = 0;
+      let pickups = 0;
+      for (const k of group.members) {
+        const v = SEGMENT_BASELINES[k]?.base_volume ?? 0;
+        total += v;
+        if (k in PICKUP_COLORS) pickups += v;
+      }
+      return total > 0 ? pickups / total : null;
+    };
+    const traitsOf = (m, key) => {
+      const entrant = entrants.find((e) => e.name === key);
+      if (entrant) {
+        return {
+          pickup: pickupOf(entrant.segment),
+          powertrain: entrant.powertrain,
+        };
+      }
+      if (m === "powertrains") return { powertrain: key };
+      if (m === "matrix") {
+        const { segment, powertrain } = splitMatrixKey(key);
+        return { pickup: pickupOf(segment), powertrain };
+      }
+      if (m === "nameplates") {
+        return { pickup: pickupOf(nameplateInfo(key)?.segment) };
+      }
+      return { pickup: pickupOf(key) };
+    };
+    return (m, key) => {
+      const id = `${m}|${key}`;
+      if (!cache.has(id)) cache.set(id, stateWeights(traitsOf(m, key)));
+      return cache.get(id);
+    };
+  }, [customSegments, entrants]);
+
+  // How each key with state-limited edits splits over the states
+  const regionScopesFor = useCallback(
+    (m, editStates) => {
+      const out = {};
+      for (const [key, fieldStates] of Object.entries(editStates || {})) {
+        const scope = scopeGroups(regionWeightsFor(m, key), fieldStates);
+        if (scope) out[key] = scope;
+      }
+      return out;
+    },
+    [regionWeightsFor]
+  );
+
+  // Every key of the mode takes part, selected or not: a cut on M SUV can
+  // pull volume from an L SUV that is not on screen. Macro shifts and
+  // entrant losses come in before any edits.
+  const baseContext = useMemo(
+    () => ({
+      keys: defs.keys,
+      // Custom segments overlap the built-in ones they are made of
+      marketKeys: defs.builtInKeys,
+      baselines: defs.baselines,
+      profileByKey: applyEntrantLosses(
+        marketProfilesByMode[simMode].profileByKey,
+        entrantLossesFor(simMode)
+      ),
+      coeffsFor: (key) =>
+        resolveCoeffs(modelCalibration, coeffEdits, simMode, key),
+      cross: cross.enabled
+        ? { weights: crossWeights, expansion: marketExpansion }
+        : null,
+      regionScopeByKey: regionScopesFor(simMode, view.editStates),
+    }),
+    [
+      simMode,
+      defs,
+      marketProfilesByMode,
+      entrantLossesFor,
+      modelCalibration,
+      coeffEdits,
+      cross.enabled,
+      crossWeights,
+      marketExpansion,
+      regionScopesFor,
+      view.editStates,
+    ]
+  );
+
+  // Every nameplate, for rolling nameplate edits up into the segments
+  const nameplateContext = useMemo(() => {
+    if (mode !== "segments" || drill) return null;
+    return {
+      keys: NAMEPLATE_KEYS,
+      baselines: NAMEPLATE_BASELINES,
+      profileByKey: applyEntrantLosses(
+        marketProfilesByMode.nameplates.profileByKey,
+        entrantLossesFor("nameplates")
+      ),
+      coeffsFor: (key) =>
+        resolveCoeffs(modelCalibration, coeffEdits, "nameplates", key),
+      cross: cross.enabled
+        ? {
+            weights: resolveCrossWeights(
+              "nameplates",
+              NAMEPLATE_KEYS,
+              cross.weightEdits
+            ),
+            expansion: cross.nameplateExpansion ?? BUILTIN_EXPANSION.nameplates,
+          }
+        : null,
+      regionScopeByKey: regionScopesFor("nameplates", view.editStates),
+    };
+  }, [
+    mode,
+    drill,
+    marketProfilesByMode,
+    entrantLossesFor,
+    modelCalibration,
+    coeffEdits,
+    cross,
+    regionScopesFor,
+    view.editStates,
+  ]);
+
+  // Context for a set of edits: at segment level, nameplate edits are
+  // simulated first and folded into the segment profiles that segment
+  // edits then apply to.
+  const contextFor = useCallback(
+    (editsIn) => {
+      if (!nameplateContext) return baseContext;
+      const nameplateEdits = pickKeys(editsIn, NAMEPLATE_KEYS);
+      if (!Object.keys(nameplateEdits).length) return baseContext;
+      const moved = simulateProfiles(nameplateContext, nameplateEdits);
+      return {
+        ...baseContext,
+        profileByKey: rollUpNameplates(
+          baseContext.profileByKey,
+          nameplateContext.profileByKey,
+          moved.profileByKey
+        ),
+      };
+    },
+    [baseContext, nameplateContext]
+  );
+  const simContext = useMemo(() => contextFor(edits), [contextFor, edits]);
+
+  // Edited profiles drive the cards, KPIs and chart from here on
+  const simulation = useMemo(
+    () => simulateProfiles(simContext, edits),
+    [simContext, edits]
+  );
+  const simProfiles = simulation.profileByKey;
+
+  // Market change and source-of-volume for what the cards show: the
+  // selected month or period, or every edited month in the range.
+  const cardEffects = useMemo(
+    () => sumMonthResults(simulation.monthResults, ...cardWindow()),
+    [simulation, cardWindow]
+  );
+
+  /* -------------------- Monte Carlo bands -------------------- */
+
+  const [mcResult, setMcResult] = useState(null);
+  const [mcBusy, setMcBusy] = useState(false);
+  const [mcError, setMcError] = useState(null);
+
+  // Plain data only: this is posted to the worker as is
+  const mcInput = useMemo(() => {
+    if (!uncertainty.enabled) return null;
+    const [cardFrom, cardTo] = cardWindow();
+    return {
+      keys: defs.keys,
+      baselines: defs.baselines,
+      profileByKey: simContext.profileByKey,
+      edits,
+      coeffsByKey: Object.fromEntries(
+        defs.keys.map((key) => [key, simContext.coeffsFor(key)])
+      ),
+      seByKey: Object.fromEntries(
+        defs.keys.map((key) => [
+          key,
+          coeffStdErrors(modelCalibration, simMode, key),
+        ])
+      ),
+      cross: simContext.cross,
+      regionScopeByKey: simContext.regionScopeByKey,
+      cardKeys: selected,
+      cardFrom,
+      cardTo,
+      draws: uncertainty.draws,
+      seed: uncertainty.seed,
+    };
+  }, [
+    uncertainty,
+    defs,
+    simContext,
+    edits,
+    modelCalibration,
+    simMode,
+    selected,
+    cardWindow,
+  ]);
+
+  React.useEffect(() => {
+    if (!mcInput) {
+      setMcResult(null);
+      setMcBusy(false);
+      return;
+    }
+    let live = true;
+    setMcBusy(true);
+    setMcError(null);
+    runMonteCarloAsync(mcInput).then(
+      (res) => {
+        if (!live) return;
+        setMcResult(res);
+        setMcBusy(false);
+      },
+      (err) => {
+        if (!live) return;
+        setMcError(err.message || String(err));
+        setMcBusy(false);
+      }
+    );
+    return () => {
+      live = false;
+    };
+  }, [mcInput]);
+
+  // P10–P90 per selected key in the edited months, for the chart
+  const chartUncertainty = useMemo(() => {
+    if (!mcResult || mcBusy) return {};
+    const out = {};
+    for (const key of selected) {
+      const byIdx = {};
+      for (const [i, bands] of Object.entries(mcResult.monthBands)) {
+        if (bands[key]) byIdx[i] = { lo: bands[key].p10, hi: bands[key].p90 };
+      }
+      if (Object.keys(byIdx).length) out[key] = byIdx;
+    }
+    return out;
+  }, [mcResult, mcBusy, selected]);
+
+  function updateUncertainty(patch) {
+    updateViewField(
+      "uncertainty",
+      { ...uncertainty, ...patch },
+      { subject: "Uncertainty settings changed", group: "uncertainty" }
+    );
+  }
+
+  /* -------------------- Derived rows -------------------- */
+
+  const rows = useMemo(() => {
+    const [from, to] = cardWindow();
+
+    const out = selected.map((key) => {
       const b = defs.baselines[key];
-      if (selectedMonthIdx != null) {
-        const s = { ...b, ...(edits[key] || {}) };
-        const vol = computeVolume(s, b, COEFFS);
-        return { key, label: key, ...s, volume: vol };
+      const prof = simProfiles[key];
+      const sources = cardEffects.sourcesByKey[key] ?? null;
+      // Revenue and margin over the card window, before and after edits
+      const profit = {
+        unitCost: unitCostOf(key),
+        ...rangeProfit(simProfiles, [key], from, to, unitCostOf),
+        baseline: rangeProfit(
+          activeProfiles.profileByKey,
+          [key],
+          from,
+          to,
+          unitCostOf
+        ),
+      };
+      if (selectedMonthIdx != null && !selectedPeriod) {
+        return {
+          key,
+          label: key,
+          ...b,
+          ...(prof ? monthSnapshot(prof, selectedMonthIdx, monthTicks) : {}),
+          volume: prof?.volume[selectedMonthIdx]?.v ?? 0,
+          sources,
+          profit,
+        };
       }
-      const stats = rangeStatsForKey(key, rs, re);
-      const e = edits[key] || {};
-      const s = {
+      // A period or the range: volume summed, drivers volume-weighted
+      const stats = rangeStatsForKey(key, from, to);
+      return {
+        key,
+        label: key,
         ...b,
-        price: e.price ?? stats.avgPrice,
-        fleet: e.fleet ?? stats.avgFleet,
-        lease: e.lease ?? stats.avgLease,
-        days: e.days ?? stats.avgDays,
-        incentives: e.incentives ?? stats.avgIncentives,
+        price: stats.avgPrice,
+        fleet: stats.avgFleet,
+        lease: stats.avgLease,
+        days: stats.avgDays,
+        incentives: stats.avgIncentives,
+        volume: stats.totalVolume,
+        sources,
+        profit,
       };
-      return { key, label: key, ...s, volume: stats.totalVolume };
     });
+
+    // Nameplate cards also show their share of the segment
+    if (drill) {
+      const volumeOf = (key) => rangeStatsForKey(key, from, to).totalVolume;
+      let segmentTotal = 0;
+      for (const key of defs.keys) segmentTotal += volumeOf(key);
+      for (const r of out) {
+        r.segmentShare =
+          segmentTotal > 0 ? (volumeOf(r.key) / segmentTotal) * 100 : null;
+      }
+    }
+    return out;
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [mode, selected, edits, selectedMonthIdx, rangeStartIdx, rangeEndIdx]);
+  }, [
+    mode,
+    drill,
+    selected,
+    selectedMonthIdx,
+    rangeStartIdx,
+    rangeEndIdx,
+    simProfiles,
+    cardEffects,
+    calendar,
+    unitCosts,
+  ]);
+
+  /* -------------------- Variant comparison -------------------- */
+
+  const [showCompare, setShowCompare] = useState(false);
+
+  const variantResults = useMemo(() => {
+    if (!showCompare) return null;
+    const [rs, re] = getRangeBounds();
+    const run = (id, name, editsIn) => {
+      const profiles =
+        editsIn === edits
+          ? simProfiles
+          : simulateProfiles(contextFor(editsIn), editsIn).profileByKey;
+      const volumeByKey = Object.fromEntries(
+        selected.map((key) => [
+          key,
+          rangeKpis(profiles, [key], rs, re).totalVolume,
+        ])
+      );
+      // Selected-key total per month over the range
+      const series = monthTicks.map((_, i) => {
+        if (i < rs || i > re) return { i, v: null };
+        let v = 0;
+        for (const key of selected) v += profiles[key]?.volume[i]?.v ?? 0;
+        return { i, v };
+      });
+      return {
+        id,
+        name,
+        kpis: rangeKpis(profiles, selected, rs, re, unitCostOf),
+        volumeByKey,
+        series,
+      };
+    };
+    return [
+      run("baseline", "Baseline", {}),
+      ...variants.map((v) =>
+        run(v.id, v.name, v.id === activeVariantId ? edits : v.edits)
+      ),
+    ];
+  }, [
+    showCompare,
+    variants,
+    activeVariantId,
+    edits,
+    selected,
+    getRangeBounds,
+    contextFor,
+    monthTicks,
+    simProfiles,
+    unitCostOf,
+  ]);
 
   /* -------------------- KPIs -------------------- */
 
+  // Entrants count with the selected keys; the baseline is the market
+  // before edits and launches
   const kpis = useMemo(() => {
     const [rs, re] = getRangeBounds();
-    const keys = selected;
-
-    let sumVol = 0;
-    let sumPriceVol = 0;
-    let sumFleetVol = 0;
-    let sumLeaseVol = 0;
-    let sumDaysVol = 0;
-    let sumIncVol = 0;
-
-    for (const key of keys) {
-      const prof = activeProfiles.profileByKey[key];
-      if (!prof) continue;
-
-      for (let i = rs; i <= re; i++) {
-        const v = prof.volume[i]?.v ?? 0;
-        const p = prof.price[i] ?? 0;
-        const fleet = prof.fleet[i] ?? 0;
-        const lease = prof.lease[i] ?? 0;
-        const days = prof.days[i] ?? 0;
-        const inc = prof.incentives[i] ?? 0;
-
-        sumVol += v;
-        sumPriceVol += p * v;
-        sumFleetVol += fleet * v;
-        sumLeaseVol += lease * v;
-        sumDaysVol += days * v;
-        sumIncVol += inc * v;
+    const forecastStart = Math.max(rs, futureCutoffIdx + 1);
+    return {
+      ...rangeKpis(
+        { ...simProfiles, ...entrantProfiles },
+        [...selected, ...entrantNames],
+        rs,
+        re,
+        unitCostOf
+      ),
+      // Unedited values for the deltas; null while nothing is edited
+      baseline:
+        simProfiles === activeProfiles.profileByKey
+          ? null
+          : rangeKpis(
+              activeProfiles.profileByKey,
+              selected,
+              rs,
+              re,
+              unitCostOf
+            ),
+      forecastMonths: Math.max(0, re - forecastStart + 1),
+      forecastStartIdx: forecastStart,
+      forecastEndIdx: re,
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    mode,
+    selected,
+    rangeStartIdx,
+    rangeEndIdx,
+    simProfiles,
+    entrantResults,
+    unitCosts,
+  ]);
+
+  // Share group of a key: built-in segments compete within their body
+  // style, custom segments with every built-in segment, nameplates within
+  // their segment, powertrains and matrix cells with the whole mode
+  const shareGroupOf = useCallback(
+    (key) => {
+      if (drill) return { label: drill.segment, keys: defs.keys };
+      if (mode === "segments") {
+        if (!BUILTIN_SEGMENT_KEYS.includes(key)) {
+          return { label: "all segments", keys: BUILTIN_SEGMENT_KEYS };
+        }
+        const pickup = /Pickup$/.test(key);
+        return {
+          label: pickup ? "pickups" : "SUVs",
+          keys: BUILTIN_SEGMENT_KEYS.filter(
+            (k) => /Pickup$/.test(k) === pickup
+          ),
+        };
       }
+      return mode === "matrix"
+        ? { label: "the market", keys: defs.keys }
+        : { label: "all powertrains", keys: defs.keys };
+    },
+    [drill, mode, defs]
+  );
+
+  const shares = useMemo(() => {
+    const [rs, re] = getRangeBounds();
+    return shareKpis(
+      simProfiles,
+      activeProfiles.profileByKey,
+      selected,
+      shareGroupOf,
+      rs,
+      re
+    );
+  }, [
+    getRangeBounds,
+    simProfiles,
+    activeProfiles.profileByKey,
+    selected,
+    shareGroupOf,
+  ]);
+
+  // Heatmap values: each cell's volume over the card window (the selected
+  // month or period, or the range) before and after edits, with roll-ups
+  const matrixView = useMemo(() => {
+    if (mode !== "matrix") return null;
+    const [from, to] = cardWindow();
+    const cells = {};
+    for (const key of defs.keys) {
+      cells[key] = {
+        base: rangeKpis(activeProfiles.profileByKey, [key], from, to)
+          .totalVolume,
+        sim: rangeKpis(simProfiles, [key], from, to).totalVolume,
+      };
     }
+    return { cells, ...rollUpMatrix(cells) };
+  }, [mode, defs, activeProfiles, simProfiles, cardWindow]);
+
+  // Baseline lines for keys whose simulated volume moved in any month
+  // (edited directly or through cross effects)
+  const chartBaselines = useMemo(
+    () => movedBaselines(activeProfiles.profileByKey, simProfiles, selected),
+    [selected, activeProfiles, simProfiles]
+  );
 
-    const volWeighted = (sum) => (sumVol > 0 ? sum / sumVol : 0);
+  /* -------------------- Excel export -------------------- */
 
+  // What the workbook and the printed summary show
+  function exportInput() {
+    const [rs, re] = getRangeBounds();
     return {
-      totalVolume: sumVol,
-      weightedATP: volWeighted(sumPriceVol),
-      fleetMix: volWeighted(sumFleetVol),
-      leaseMix: volWeighted(sumLeaseVol),
-      daysSupply: volWeighted(sumDaysVol),
-      incentives: volWeighted(sumIncVol),
+      scenarioName: activeScenario?.name || "Unsaved",
+      variantName: variants.find((v) => v.id === activeVariantId)?.name ?? "",
+      modeLabel: defs.label,
+      exportedAt: new Date(),
+      keys: selected,
+      monthTicks,
+      monthLabel: (i) => ymToLabel(monthTicks[i]),
+      rangeStartIdx: rs,
+      rangeEndIdx: re,
+      futureCutoffIdx,
+      selectedMonthIdx,
+      selectedLabel: selectedPeriod?.label,
+      applyScope,
+      baselineByKey: activeProfiles.profileByKey,
+      simulatedByKey: simProfiles,
+      edits,
+      cards: rows,
+      coeffsByKey: Object.fromEntries(
+        selected.map((key) => [key, simContext.coeffsFor(key)])
+      ),
+      customCoeffKeys: selected.filter(
+        (key) =>
+          deviatingFields(
+            calibratedCoeffs(modelCalibration, simMode, key),
+            coeffEdits[key]
+          ).length > 0
+      ),
+      coefficientSource: calibration.source,
+      customSegments: mode === "segments" ? customSegments : [],
+      entrants: entrants.map((e) => ({
+        ...e,
+        volume: rangeKpis(entrantProfiles, [e.name], rs, re).totalVolume,
+      })),
+      regions: { ...regionalVolumes(), editStates: view.editStates || {} },
+      kpis,
+      baselineKpis: kpis.baseline,
+      settings: [
+        ["History", history?.fileName ?? "Sample data"],
+        ["Forecast horizon (months)", forecastHorizon],
+        ["Prediction interval", `${Math.round(forecastLevel * 100)}%`],
+        ["Cross effects", cross.enabled ? "on" : "off"],
+        ["Market expansion share", marketExpansion],
+        [
+          "Aggregation",
+          aggregation === "month"
+            ? AGGREGATIONS.month
+            : `${AGGREGATIONS[aggregation]}, ${
+                fiscalStartMonth === 1
+                  ? "calendar year"
+                  : `fiscal year from ${monthName(fiscalStartMonth)}`
+              }`,
+        ],
+        ["Macro drivers", macro.source],
+        ...macroShifts.map((s) => [
+          "Macro shift",
+          describeMacroShift(s, ymToLabel),
+        ]),
+      ],
+      notes: listNotes(cardNotes, (m) => MODES[m]?.label ?? m),
+      changeLog,
     };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [mode, selected, rangeStartIdx, rangeEndIdx, activeProfiles]);
+  }
+
+  function handleExport() {
+    runScenarioAction(() => {
+      const fileName = downloadScenarioWorkbook(exportInput());
+      return `Exported ${fileName}`;
+    });
+  }
+
+  function handlePrintSummary() {
+    runScenarioAction(() => {
+      printScenarioSummary(exportInput());
+    });
+  }
 
   /* -------------------- Apply month selection -------------------- */
 
   function applyMonthToInputs(idx) {
-    const newEdits = { ...edits };
-    for (const key of selected) {
-      const prof = activeProfiles.profileByKey[key];
-      if (!prof) continue;
-      const i = Math.max(0, Math.min(idx, monthTicks.length - 1));
-      const mNum = ymToMonthNumber(monthTicks[i]);
-      newEdits[key] = {
-        ...(newEdits[key] || {}),
-        price: Math.round(prof.price[i]),
-        fleet: Math.round(prof.fleet[i]),
-        lease: Math.round(prof.lease[i]),
-        days: Math.round(prof.days[i]),
-        incentives: Math.round(prof.incentives[i]),
-        month: mNum,
-      };
+    const i = Math.max(0, Math.min(idx, monthTicks.length - 1));
+    updateViewField("selectedMonthIdx", i, {
+      subject: `Selected ${ymToLabel(monthTicks[i])}`,
+      group: "month",
+    });
+  }
+
+  // Date range from the selects, the chart brush / zoom or the navigator;
+  // a selected month outside the new range is dropped
+  function applyRange(s, e) {
+    updateView(
+      { rangeStartIdx: s, rangeEndIdx: e },
+      {
+        subject: `Range ${ymToLabel(monthTicks[s])} – ${ymToLabel(
+          monthTicks[e]
+        )}`,
+        group: "range",
+      }
+    );
+    if (
+      selectedMonthIdx != null &&
+      (selectedMonthIdx < s || selectedMonthIdx > e)
+    ) {
+      updateViewField("selectedMonthIdx", null);
     }
-    updateView({ edits: newEdits, selectedMonthIdx: idx });
   }
 
   /* -------------------- Handlers -------------------- */
 
   function toggleSelection(key) {
-    const nextSel = selected.includes(key)
+    const removing = selected.includes(key);
+    const nextSel = removing
       ? selected.filter((k) => k !== key)
       : [...selected, key];
-    updateViewField("selected", nextSel);
+    updateViewField("selected", nextSel, {
+      subject: `${removing ? "Removed" : "Added"} ${key}`,
+    });
+  }
+
+  // Whole matrix row / column: add what is missing, or clear a full one
+  function toggleSelectionGroup(keys) {
+    const all = keys.every((k) => selected.includes(k));
+    updateViewField(
+      "selected",
+      all
+        ? selected.filter((k) => !keys.includes(k))
+        : [...selected, ...keys.filter((k) => !selected.includes(k))]
+    );
+  }
+
+  // Where a card edit lands. Card edits need a month to anchor to;
+  // "Total Year" spreads the value over the selected month's year (the
+  // fiscal year when one is set)
+  // (see simulation/edits.js). At quarter / year grain the edit spreads
+  // over the selected period instead, the typed value replacing the
+  // period's volume-weighted average.
+  function editTarget(key) {
+    const prof = activeProfiles.profileByKey[key];
+    if (selectedMonthIdx == null || !prof) return null;
+    if (selectedPeriod) {
+      const indices = periodMonths(selectedPeriod);
+      const volumeAt = (i) => simProfiles[key]?.volume[i]?.v;
+      return {
+        prof,
+        indices,
+        reference: (field) =>
+          weightedMean(indices, (i) => prof[field][i], volumeAt),
+        current: (field, keyEdits) =>
+          weightedMean(
+            indices,
+            (i) => driversAt(prof, keyEdits, i)[field],
+            volumeAt
+          ),
+      };
+    }
+    return {
+      prof,
+      indices:
+        applyScope === "year"
+          ? yearMonthIndices(
+              monthTicks,
+              selectedMonthIdx,
+              lastDataIdx,
+              fiscalStartMonth
+            )
+          : [selectedMonthIdx],
+      reference: (field) => prof[field][selectedMonthIdx],
+      current: (field, keyEdits) =>
+        driversAt(prof, keyEdits, selectedMonthIdx)[field],
+    };
   }
 
   function handleChange(key, field, raw) {
-    const value = toNumberSafe(raw);
-    const newEdits = { ...(edits || {}) };
-    const next = { ...(newEdits[key] || {}) };
-    if (field === "month") next.month = clamp(Math.round(value), 1, 12);
-    else if (field === "price") next.price = clamp(value, 1000, 250000);
-    else if (field === "fleet") next.fleet = clamp(value, 0, 100000);
-    else if (field === "lease") next.lease = clamp(value, 0, 100000);
-    else if (field === "days") next.days = clamp(value, 0, 400);
-    else if (field === "incentives") next.incentives = clamp(value, 0, 25000);
-    newEdits[key] = next;
-    updateViewField("edits", newEdits);
+    const spread = editTarget(key);
+    if (!spread) return;
+    const value = clamp(toNumberSafe(raw), ...FIELD_LIMITS[field]);
+    const keyEdits = applyFieldEdit(
+      edits[key],
+      spread.prof,
+      field,
+      selectedMonthIdx,
+      spread.indices,
+      value,
+      spread.reference(field)
+    );
+    const newEdits = { ...edits, [key]: keyEdits };
+    if (!hasEdits(keyEdits)) delete newEdits[key];
+    updateViewField("edits", newEdits, {
+      subject: `${key} ${FIELD_WORDS[field]}`,
+      from: fmt(spread.current(field, edits[key]), 0),
+      to: fmt(value, 0),
+      group: `edit:${key}:${field}`,
+      period: editPeriodLabel(),
+    });
+  }
+
+  /* -------------------- Goal seek -------------------- */
+
+  const [goalSeekKey, setGoalSeekKey] = useState(null);
+
+  // All edits with the card's `values` ({ [field]: value }) applied over
+  // its edit target, as typing them would
+  function editsWithValues(key, spread, values) {
+    let keyEdits = edits[key];
+    for (const [field, v] of Object.entries(values)) {
+      keyEdits = applyFieldEdit(
+        keyEdits,
+        spread.prof,
+        field,
+        selectedMonthIdx,
+        spread.indices,
+        v,
+        spread.reference(field)
+      );
+    }
+    return { ...edits, [key]: keyEdits };
+  }
+
+  // Solve the free drivers of one card for a target volume (units over the
+  // apply scope) or share of the mode (%). Applies the edit only when the
+  // target is reachable inside FIELD_LIMITS.
+  function handleGoalSeek(key, { metric, target, fields }) {
+    const spread = editTarget(key);
+    if (!spread || !fields.length) return null;
+    const { indices } = spread;
+
+    const editsWith = (values) => editsWithValues(key, spread, values);
+    const evaluate = (values) => {
+      const e = editsWith(values);
+      let own = 0;
+      let total = 0;
+      for (const i of indices) {
+        const { volumeByKey } = simulateMonth(simContext, e, i);
+        own += volumeByKey[key] ?? 0;
+        total += marketVolume(simContext, volumeByKey);
+      }
+      return metric === "share" ? (total > 0 ? (own / total) * 100 : 0) : own;
+    };
+
+    const res = solveGoal({
+      drivers: fields.map((field) => ({
+        field,
+        start: spread.current(field, edits[key]),
+        min: FIELD_LIMITS[field][0],
+        max: FIELD_LIMITS[field][1],
+      })),
+      evaluate,
+      target,
+      tolerance: metric === "share" ? 0.005 : 0.5,
+    });
+    if (!res.reachable) return res;
+
+    const rounded = Object.fromEntries(
+      Object.entries(res.values).map(([f, v]) => [f, Math.round(v)])
+    );
+    const nextEdits = editsWith(rounded);
+    if (!hasEdits(nextEdits[key])) delete nextEdits[key];
+    updateViewField("edits", nextEdits, {
+      subject: `Goal seek on ${key}: ${Object.entries(rounded)
+        .map(([f, v]) => `${FIELD_WORDS[f]} ${fmt(v, 0)}`)
+        .join(", ")}`,
+      period: editPeriodLabel(),
+    });
+    return { ...res, values: rounded, achieved: evaluate(rounded) };
+  }
+
+  /* -------------------- Margin optimizer -------------------- */
+
+  const [optimizerKey, setOptimizerKey] = useState(null);
+
+  // Price / incentives of one card that maximize its contribution margin
+  // over the edit target, each moving at most `band` % of the current
+  // price (in dollars) and staying inside FIELD_LIMITS. The volume comes
+  // from the simulation, as for goal seek. Applies the edit when it
+  // improves the margin.
+  function handleOptimizeMargin(key, { fields, band }) {
+    const spread = editTarget(key);
+    if (!spread || !fields.length) return null;
+    const { prof, indices } = spread;
+    const cost = unitCostOf(key);
+    const reach = (spread.current("price", edits[key]) * band) / 100;
+
+    const evaluate = (values) => {
+      const e = editsWithValues(key, spread, values);
+      let margin = 0;
+      for (const i of indices) {
+        const { volumeByKey } = simulateMonth(simContext, e, i);
+        const d = driversAt(prof, e[key], i);
+        margin += (volumeByKey[key] ?? 0) * (d.price - d.incentives - cost);
+      }
+      return margin;
+    };
+
+    const res = maximize({
+      drivers: fields.map((field) => {
+        const start = spread.current(field, edits[key]);
+        return {
+          field,
+          start,
+          min: Math.max(FIELD_LIMITS[field][0], start - reach),
+          max: Math.min(FIELD_LIMITS[field][1], start + reach),
+        };
+      }),
+      evaluate,
+    });
+    const rounded = Object.fromEntries(
+      Object.entries(res.values).map(([f, v]) => [f, Math.round(v)])
+    );
+    const margin = evaluate(rounded);
+    if (margin <= res.start + 0.5) {
+      return { improved: false, values: rounded, margin: res.start };
+    }
+
+    const nextEdits = editsWithValues(key, spread, rounded);
+    if (!hasEdits(nextEdits[key])) delete nextEdits[key];
+    updateViewField("edits", nextEdits, {
+      subject: `Margin optimizer on ${key}: ${Object.entries(rounded)
+        .map(([f, v]) => `${FIELD_WORDS[f]} ${fmt(v, 0)}`)
+        .join(", ")}`,
+      period: editPeriodLabel(),
+    });
+    return { improved: true, values: rounded, margin, before: res.start };
+  }
+
+  function setUnitCost(key, raw) {
+    const next = { ...unitCosts };
+    if (raw === "") delete next[key];
+    else next[key] = Math.max(0, toNumberSafe(raw));
+    updateViewField("unitCosts", next, {
+      subject: `${key} unit cost`,
+      from: fmt(unitCostOf(key), 0),
+      to: fmt(next[key] ?? defaultUnitCost(defs.baselines[key]?.price), 0),
+      group: `cost:${key}`,
+    });
+  }
+
+  /* -------------------- Sensitivity -------------------- */
+
+  const [sensitivityKeys, setSensitivityKeys] = useState([]);
+  const [sensitivityPct, setSensitivityPct] = useState(10);
+
+  function toggleSensitivity(key) {
+    setSensitivityKeys((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  }
+
+  // Tornado for a card, over the same month / range the card shows
+  function sensitivityFor(key) {
+    const prof = simProfiles[key];
+    if (!prof) return null;
+    const [from, to] = cardWindow();
+    const months = [];
+    for (let i = from; i <= to; i++) {
+      const volume = prof.volume[i]?.v;
+      if (volume == null) continue;
+      months.push({ drivers: driversAt(prof, null, i), volume });
+    }
+    return tornado({
+      months,
+      K: simContext.coeffsFor(key),
+      pct: sensitivityPct,
+    });
+  }
+
+  /* -------------------- Nameplate drill-down -------------------- */
+
+  // Range and selected month are shared by both levels and stay put
+  function drillInto(segment) {
+    updateView(
+      {
+        drill: { segment, parentSelected: selected },
+        selected: nameplatesOf(segment),
+      },
+      { subject: `Drilled into ${segment}` }
+    );
+    setGoalSeekKey(null);
+  }
+
+  function drillOut() {
+    updateView(
+      { drill: null, selected: drill.parentSelected },
+      { subject: `Back from ${drill.segment}` }
+    );
+    setGoalSeekKey(null);
+  }
+
+  // Segments whose card includes nameplate edits
+  const segmentsWithNameplateEdits = new Set(
+    Object.keys(edits)
+      .map((k) => nameplateInfo(k)?.segment)
+      .filter(Boolean)
+  );
+
+  /* -------------------- New entrant cards -------------------- */
+
+  // Entrant volume over the card window (the selected month or period, or
+  // the range) and where it came from, on this mode's built-in keys
+  function entrantStats(name) {
+    const r = entrantResults.find((x) => x.name === name);
+    if (!r) return null;
+    const [from, to] = cardWindow();
+    let volume = 0;
+    let market = 0;
+    for (let i = from; i <= to; i++) {
+      volume += r.profile.volume[i]?.v ?? 0;
+      market += r.newToMarket[i];
+    }
+    const byKey = {};
+    for (const [key, loss] of Object.entries(entrantLossesFor(simMode, [r]))) {
+      if (!defs.builtInKeys.includes(key)) continue;
+      let taken = 0;
+      for (let i = from; i <= to; i++) taken += loss[i];
+      byKey[key] = taken;
+    }
+    return {
+      volume,
+      launched: to >= r.launchIdx,
+      sources: { own: volume, market, byKey },
+    };
   }
 
   function resetCard(key) {
     const newEdits = { ...(edits || {}) };
     delete newEdits[key];
-    updateViewField("edits", newEdits);
+    updateViewField("edits", newEdits, { subject: `Reset ${key}` });
+  }
+
+  // Typed values get the same plausibility check as a loaded file; an
+  // implausible one keeps the current value
+  function handleCoeffChange(key, id, raw) {
+    const value = toNumberSafe(raw);
+    const problem = coeffRangeProblem(id, value);
+    if (problem) {
+      setCoeffError(`${key}: kept the current value for ${problem}`);
+      return;
+    }
+    setCoeffError(null);
+    const next = { ...(coeffEdits[key] || {}), [id]: value };
+    const calibrated = calibratedCoeffs(modelCalibration, simMode, key);
+    // Drop values that match the calibration so "edited" stays meaningful
+    if (Math.abs(value - calibrated[id]) < 1e-9) delete next[id];
+    const nextAll = { ...coeffEdits, [key]: next };
+    if (!Object.keys(next).length) delete nextAll[key];
+    updateViewField("coeffEdits", nextAll, {
+      subject: `${key} coefficient ${id}`,
+      from: String(coeffEdits[key]?.[id] ?? calibrated[id]),
+      to: String(value),
+      group: `coeff:${key}:${id}`,
+    });
+  }
+
+  function resetCoeffs(key) {
+    if (key == null) {
+      updateViewField("coeffEdits", {}, { subject: "Reset all coefficients" });
+      return;
+    }
+    const nextAll = { ...coeffEdits };
+    delete nextAll[key];
+    updateViewField("coeffEdits", nextAll, {
+      subject: `Reset ${key} coefficients`,
+    });
+  }
+
+  /* -------------------- Regions -------------------- */
+
+  const [showRegions, setShowRegions] = useState(false);
+  const [regionLevel, setRegionLevel] = useState("states"); // | 'regions'
+  const [regionMetric, setRegionMetric] = useState("volume"); // | 'delta' | 'deltaPct'
+  const [pickedStates, setPickedStates] = useState([]);
+
+  // State volumes for what the cards show (the selected month or period, or
+  // the range), before and after edits; entrants count on the simulated
+  // side, and state-limited edits move only their states
+  function regionalVolumes() {
+    const [from, to] = cardWindow();
+    const weightsFor = (key) => regionWeightsFor(simMode, key);
+    return {
+      baseline: stateVolumes(
+        activeProfiles.profileByKey,
+        selected,
+        weightsFor,
+        from,
+        to
+      ),
+      simulated: stateVolumes(
+        { ...simProfiles, ...entrantProfiles },
+        [...selected, ...entrantNames],
+        weightsFor,
+        from,
+        to,
+        simulation.monthResults
+      ),
+    };
+  }
+
+  function togglePickedState(abbr) {
+    setPickedStates((prev) =>
+      prev.includes(abbr) ? prev.filter((s) => s !== abbr) : [...prev, abbr]
+    );
+  }
+
+  // Limit a key's edits of `field` to `states` (nationwide when empty)
+  function setEditStates(key, field, states) {
+    const fieldStates = { ...(view.editStates?.[key] || {}) };
+    if (states?.length) fieldStates[field] = [...states].sort();
+    else delete fieldStates[field];
+    const next = { ...(view.editStates || {}) };
+    if (Object.keys(fieldStates).length) next[key] = fieldStates;
+    else delete next[key];
+    const where = (codes) =>
+      codes?.length ? statesLabel(codes) : "nationwide";
+    updateViewField("editStates", next, {
+      subject: `${key} ${FIELD_WORDS[field]} edits`,
+      from: where(view.editStates?.[key]?.[field]),
+      to: where(fieldStates[field]),
+    });
+  }
+
+  /* -------------------- Scenario variants -------------------- */
+
+  function switchVariant(id) {
+    const v = variants.find((x) => x.id === id);
+    if (!v || id === activeVariantId) return;
+    updateView(
+      { activeVariantId: id, edits: v.edits },
+      { subject: `Switched to ${v.name}` }
+    );
+  }
+
+  function addVariant() {
+    if (variants.length >= MAX_VARIANTS) return;
+    const id = ["A", "B", "C", "D"].find(
+      (x) => !variants.some((v) => v.id === x)
+    );
+    const copy = { id, name: `Variant ${id}`, edits };
+    updateView({
+      variants: [...variants, copy],
+      activeVariantId: id,
+      edits: copy.edits,
+    });
+  }
+
+  function removeVariant(id) {
+    if (variants.length <= 1) return;
+    const rest = variants.filter((v) => v.id !== id);
+    const patch = { variants: rest };
+    if (id === activeVariantId) {
+      patch.activeVariantId = rest[0].id;
+      patch.edits = rest[0].edits;
+    }
+    if (compareBaseline === id) patch.compareBaseline = "baseline";
+    updateView(patch);
+  }
+
+  function renameVariant(id, name) {
+    updateViewField(
+      "variants",
+      variants.map((v) => (v.id === id ? { ...v, name } : v)),
+      { subject: `Renamed variant ${id}`, group: `variant:${id}` }
+    );
+  }
+
+  function updateCross(patch) {
+    updateViewField(
+      "cross",
+      { ...cross, ...patch },
+      { subject: "Cross effects changed", group: "cross" }
+    );
+  }
+
+  function handleCrossWeightChange(gainer, source, raw) {
+    const value = Math.max(0, toNumberSafe(raw));
+    const row = { ...(cross.weightEdits[gainer] || {}), [source]: value };
+    if (Math.abs(value - builtinCrossWeight(simMode, gainer, source)) < 1e-9) {
+      delete row[source];
+    }
+    const weightEdits = { ...cross.weightEdits, [gainer]: row };
+    if (!Object.keys(row).length) delete weightEdits[gainer];
+    updateCross({ weightEdits });
   }
 
   function resetAllCards() {
-    updateViewField("edits", {}); // clear all manual input overrides
-    updateViewField("selectedMonthIdx", null); // optional: also clear month selection
+    // clear all manual input overrides, and the month selection with them
+    updateView(
+      { edits: {}, selectedMonthIdx: null },
+      { subject: "Reset all cards" }
+    );
   }
 
   /* -------------------- Styles -------------------- */
@@ -517,7 +2735,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
 
   const kpiGrid = {
     display: "grid",
-    gridTemplateColumns: "repeat(6, minmax(160px, 1fr))",
+    gridTemplateColumns: "repeat(4, minmax(160px, 1fr))",
     gap: 12,
   };
   const kpiCard = {
@@ -561,9 +2779,34 @@ export default function MarketSimulation({ COLORS, useStyles }) {
     };
   };
 
-  const chipFixed = (active, label) => {
-    const base =
-      getKeyColor(label) || (/Pickup/i.test(label) ? PICKUP_BLUE : suvAccent);
+  // Matrix cells and nameplates take their segment's color, lighter or
+  // darker by powertrain / nameplate
+  const keyColor = (label) => {
+    const entrant = entrants.find((e) => e.name === label);
+    if (entrant) return entrant.color;
+    const cell = splitMatrixKey(label);
+    if (cell) {
+      const shade = (POWERTRAIN_KEYS.indexOf(cell.powertrain) - 1.5) * 0.08;
+      return shiftHexLightness(keyColor(cell.segment), shade);
+    }
+    const nameplate = nameplateInfo(label);
+    if (nameplate) {
+      const siblings = nameplatesOf(nameplate.segment);
+      const shade = (siblings.indexOf(label) - (siblings.length - 1) / 2) * 0.1;
+      return shiftHexLightness(keyColor(nameplate.segment), shade);
+    }
+    return (
+      customSegmentByKey[label]?.color ||
+      colorForKey(label, suvAccent, PICKUP_BLUE)
+    );
+  };
+
+  const chipFixed = (active, label) => {
+    const base =
+      customSegmentByKey[label]?.color ||
+      (nameplateInfo(label) && keyColor(label)) ||
+      getKeyColor(label) ||
+      (/Pickup/i.test(label) ? PICKUP_BLUE : suvAccent);
     const alpha = isDarkHex(COLORS.panel) ? 0.22 : 0.14;
 
     return {
@@ -631,6 +2874,99 @@ export default function MarketSimulation({ COLORS, useStyles }) {
             );
           })}
         </div>
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+          {customSegments.map((seg) => (
+            <button
+              key={seg.id}
+              onClick={() => toggleSelection(seg.name)}
+              style={chipFixed(selected.includes(seg.name), seg.name)}
+              title={
+                seg.source === "members"
+                  ? `Custom: ${seg.members.join(" + ")}`
+                  : "Custom: uploaded data"
+              }
+            >
+              {seg.name}
+            </button>
+          ))}
+          <button
+            onClick={() => setShowCustomSegments((v) => !v)}
+            style={{ ...chipFixed(false, ""), color: COLORS.muted }}
+            aria-expanded={showCustomSegments}
+          >
+            {customSegments.length ? "Custom segments…" : "+ Custom segment"}
+          </button>
+        </div>
+
+        {showCustomSegments && (
+          <CustomSegmentPanel
+            COLORS={COLORS}
+            style={{ ...card, marginTop: 4 }}
+            segments={customSegments}
+            builtInKeys={BUILTIN_SEGMENT_KEYS}
+            builtInBaselines={SEGMENT_BASELINES}
+            colorForKey={keyColor}
+            error={customSegmentError}
+            onSave={handleSaveCustomSegment}
+            onDelete={handleDeleteCustomSegment}
+          />
+        )}
+      </div>
+    );
+  }
+
+  function renderNameplateChips() {
+    const [from, to] = cardWindow();
+    const volumeOf = (key) =>
+      rangeKpis(simProfiles, [key], from, to).totalVolume;
+    const byBrand = {};
+    let total = 0;
+    for (const key of defs.keys) {
+      const v = volumeOf(key);
+      const { brand } = nameplateInfo(key);
+      byBrand[brand] = (byBrand[brand] ?? 0) + v;
+      total += v;
+    }
+    const brands = Object.entries(byBrand).sort((a, b) => b[1] - a[1]);
+
+    return (
+      <div style={{ display: "grid", gap: 8, marginBottom: 20 }}>
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            flexWrap: "wrap",
+            fontSize: 13,
+          }}
+        >
+          <button onClick={drillOut} style={chipFixed(false, "")}>
+            ← All segments
+          </button>
+          <span style={{ color: COLORS.muted }}>Segments ›</span>
+          <strong>{drill.segment}</strong>
+          <span style={{ color: COLORS.muted, fontSize: 12 }}>
+            {brands
+              .map(
+                ([brand, v]) =>
+                  `${brand} ${fmt(total > 0 ? (v / total) * 100 : 0, 1)}%`
+              )
+              .join(" · ")}
+          </span>
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+          {defs.keys.map((name) => (
+            <button
+              key={name}
+              onClick={() => toggleSelection(name)}
+              style={chipFixed(selected.includes(name), name)}
+              title={`${nameplateInfo(name).brand} ${name}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
       </div>
     );
   }
@@ -638,12 +2974,29 @@ export default function MarketSimulation({ COLORS, useStyles }) {
   /* -------------------- Render -------------------- */
 
   const hasAnyEdits = Object.keys(edits).length > 0;
-  const selectedMonthLabel =
-    selectedMonthIdx == null ? null : ymToLabel(monthTicks[selectedMonthIdx]);
+  const selectedMonthLabel = selectedPeriod
+    ? selectedPeriod.label
+    : selectedMonthIdx == null
+    ? null
+    : ymToLabel(monthTicks[selectedMonthIdx]);
 
   const showFutureAsDashed =
     (rangeEndIdx ?? DEFAULT_RANGE_END) > futureCutoffIdx;
 
+  const forecastTag =
+    kpis.forecastMonths > 0 ? (
+      <div
+        style={{ color: COLORS.muted, fontSize: 12 }}
+        title="The selected range includes forecasted months"
+      >
+        incl. forecast
+      </div>
+    ) : null;
+
+  const horizonOptions = [12, 24, 36, 60, 120]
+    .filter((h) => h < maxForecastHorizon)
+    .concat(maxForecastHorizon);
+
   return (
     <div>
       {/* Header */}
@@ -700,6 +3053,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
               {[
                 { id: "segments", label: "Segments" },
                 { id: "powertrains", label: "Powertrains" },
+                { id: "matrix", label: "Segment × Powertrain" },
               ].map((m) => {
                 const isActive = mode === m.id;
                 return (
@@ -732,11 +3086,31 @@ export default function MarketSimulation({ COLORS, useStyles }) {
         {/* Chips */}
         <div style={{ marginTop: 6 }}>
           <div style={{ color: COLORS.muted, marginBottom: 12 }}>
-            {MODES[mode].label}: choose one or more
+            {defs.label}: choose one or more
           </div>
 
-          {mode === "segments" ? (
+          {drill ? (
+            renderNameplateChips()
+          ) : mode === "segments" ? (
             renderSegmentChips()
+          ) : mode === "matrix" ? (
+            <MatrixGrid
+              COLORS={COLORS}
+              segments={BUILTIN_SEGMENT_KEYS}
+              powertrains={POWERTRAIN_KEYS}
+              view={matrixView}
+              selected={selected}
+              onToggle={toggleSelection}
+              onToggleGroup={toggleSelectionGroup}
+              colorForKey={keyColor}
+              tint={(hex, a) => `rgba(${hexToRgb(hex)}, ${a})`}
+              windowLabel={
+                selectedMonthLabel ||
+                `${ymToLabel(monthTicks[getRangeBounds()[0]])} – ${ymToLabel(
+                  monthTicks[getRangeBounds()[1]]
+                )}`
+              }
+            />
           ) : (
             <div
               style={{
@@ -780,6 +3154,206 @@ export default function MarketSimulation({ COLORS, useStyles }) {
         </div>
       </div>
 
+      {/* Scenario bar */}
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          flexWrap: "wrap",
+          marginLeft: 6,
+        }}
+      >
+        <span style={{ color: COLORS.muted, fontSize: 12 }}>Scenario:</span>
+        <strong style={{ fontSize: 13 }}>
+          {activeScenario?.name || "Unsaved"}
+        </strong>
+        {activeScenario && (
+          <button
+            onClick={() => handleSaveScenario(activeScenario.name, false)}
+            title="Overwrite the saved scenario with the current state"
+            style={{
+              padding: "6px 10px",
+              borderRadius: 8,
+              border: `1px solid ${COLORS.border}`,
+              background: "transparent",
+              color: COLORS.muted,
+              cursor: "pointer",
+              fontSize: 12,
+            }}
+          >
+            Save
+          </button>
+        )}
+        <button
+          onClick={() => travelView(-1)}
+          disabled={!undoSteps.past.length}
+          title={
+            undoSteps.past.length
+              ? `Undo ${historyLabel(
+                  undoSteps.past[undoSteps.past.length - 1]
+                )} (Ctrl+Z)`
+              : "Nothing to undo"
+          }
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          ↶ Undo
+        </button>
+        <button
+          onClick={() => travelView(1)}
+          disabled={!undoSteps.future.length}
+          title={
+            undoSteps.future.length
+              ? `Redo ${historyLabel(undoSteps.future[0])} (Ctrl+Shift+Z)`
+              : "Nothing to redo"
+          }
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          ↷ Redo
+        </button>
+        <button
+          onClick={() => setShowUndoHistory((v) => !v)}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          History ({undoSteps.past.length}) {showUndoHistory ? "▴" : "▾"}
+        </button>
+        <button
+          onClick={() => setShowChangeLog((v) => !v)}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          Change log ({changeLog.length}) {showChangeLog ? "▴" : "▾"}
+        </button>
+        <button
+          onClick={handleExport}
+          title="Download the selected keys, range, monthly series, inputs, coefficients and KPIs as an Excel workbook"
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          Export to Excel
+        </button>
+        <button
+          onClick={handlePrintSummary}
+          title="Print the scenario, KPIs, card inputs, assumptions and change log"
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          Print summary
+        </button>
+        <button
+          onClick={handleCopyLink}
+          title="Copy a link that opens this mode, selection, range, month and card edits"
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          Copy link
+        </button>
+        <button
+          onClick={() => setShowScenarios((v) => !v)}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: "pointer",
+            fontSize: 12,
+          }}
+        >
+          Saved scenarios ({savedScenarios.length}) {showScenarios ? "▴" : "▾"}
+        </button>
+        {scenarioNotice && (
+          <span style={{ color: COLORS.accent, fontSize: 12 }}>
+            {scenarioNotice}
+          </span>
+        )}
+      </div>
+
+      {showScenarios && (
+        <ScenarioManager
+          COLORS={COLORS}
+          style={{ ...card, marginTop: 8 }}
+          scenarios={savedScenarios}
+          activeId={activeScenario?.id}
+          onSaveNew={(name) => handleSaveScenario(name, true)}
+          onOpen={handleOpenScenario}
+          onRename={handleRenameScenario}
+          onDuplicate={handleDuplicateScenario}
+          onDelete={handleDeleteScenario}
+        />
+      )}
+
+      {showUndoHistory && (
+        <UndoHistoryPanel
+          COLORS={COLORS}
+          style={{ ...card, marginTop: 8 }}
+          history={undoSteps}
+          onJump={travelView}
+        />
+      )}
+
+      {showChangeLog && (
+        <ChangeLogPanel
+          COLORS={COLORS}
+          style={{ ...card, marginTop: 8 }}
+          log={changeLog}
+          author={author}
+          onAuthorChange={handleAuthorChange}
+        />
+      )}
+
       {/* Controls above KPIs */}
       <div
         style={{
@@ -797,14 +3371,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
           value={rangeStartIdx ?? DEFAULT_RANGE_START}
           onChange={(e) => {
             const s = Number(e.target.value);
-            const eIdx = Math.max(s, rangeEndIdx ?? DEFAULT_RANGE_END);
-            updateView({ rangeStartIdx: s, rangeEndIdx: eIdx });
-            if (
-              selectedMonthIdx != null &&
-              (selectedMonthIdx < s || selectedMonthIdx > eIdx)
-            ) {
-              updateViewField("selectedMonthIdx", null);
-            }
+            applyRange(s, Math.max(s, rangeEndIdx ?? DEFAULT_RANGE_END));
           }}
           style={{
             padding: "6px 8px",
@@ -819,7 +3386,12 @@ export default function MarketSimulation({ COLORS, useStyles }) {
           }}
         >
           {monthTicks.map((m, i) => (
-            <option key={`s-${m}`} value={i} style={optionStyle}>
+            <option
+              key={`s-${m}`}
+              value={i}
+              style={optionStyle}
+              disabled={i > lastDataIdx}
+            >
               {ymToLabel(m)}
             </option>
           ))}
@@ -831,14 +3403,10 @@ export default function MarketSimulation({ COLORS, useStyles }) {
           value={rangeEndIdx ?? DEFAULT_RANGE_END}
           onChange={(e) => {
             const eIdx = Number(e.target.value);
-            const s = Math.min(rangeStartIdx ?? DEFAULT_RANGE_START, eIdx);
-            updateView({ rangeStartIdx: s, rangeEndIdx: eIdx });
-            if (
-              selectedMonthIdx != null &&
-              (selectedMonthIdx < s || selectedMonthIdx > eIdx)
-            ) {
-              updateViewField("selectedMonthIdx", null);
-            }
+            applyRange(
+              Math.min(rangeStartIdx ?? DEFAULT_RANGE_START, eIdx),
+              eIdx
+            );
           }}
           style={{
             padding: "6px 8px",
@@ -853,7 +3421,12 @@ export default function MarketSimulation({ COLORS, useStyles }) {
           }}
         >
           {monthTicks.map((m, i) => (
-            <option key={`e-${m}`} value={i} style={optionStyle}>
+            <option
+              key={`e-${m}`}
+              value={i}
+              style={optionStyle}
+              disabled={i > lastDataIdx}
+            >
               {ymToLabel(m)}
             </option>
           ))}
@@ -862,14 +3435,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
         <button
           onClick={() => {
             const s = Math.max(0, monthTicks.indexOf(HIST_START_YM));
-            const e = Math.max(s, monthTicks.indexOf(FUTURE_CUTOFF_YM));
-            updateView({ rangeStartIdx: s, rangeEndIdx: e });
-            if (
-              selectedMonthIdx != null &&
-              (selectedMonthIdx < s || selectedMonthIdx > e)
-            ) {
-              updateViewField("selectedMonthIdx", null);
-            }
+            applyRange(s, Math.max(s, monthTicks.indexOf(FUTURE_CUTOFF_YM)));
           }}
           style={{
             padding: "6px 10px",
@@ -902,32 +3468,256 @@ export default function MarketSimulation({ COLORS, useStyles }) {
             Clear selection
           </button>
         )}
-      </div>
 
-      {/* KPIs + Chart */}
-      <div style={{ ...card, marginTop: 8 }}>
-        <div style={kpiGrid}>
-          <div style={kpiCard}>
-            <div style={{ color: COLORS.muted, fontSize: 18 }}>
-              Total Volume
-            </div>
-            <div style={{ fontWeight: 700, fontSize: 28 }}>
-              {fmt(kpis.totalVolume, 0)}
-            </div>
-          </div>
+        <span style={{ color: COLORS.muted, fontSize: 12, marginLeft: 16 }}>
+          View:
+        </span>
+        <select
+          aria-label="Aggregation"
+          value={aggregation}
+          onChange={(e) => updateViewField("aggregation", e.target.value)}
+          title="Roll the chart and cards up to quarters or years"
+          style={{
+            padding: "6px 8px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: COLORS.panel,
+            color: COLORS.text,
+            fontSize: 12,
+          }}
+        >
+          {Object.entries(AGGREGATIONS).map(([id, name]) => (
+            <option key={id} value={id} style={optionStyle}>
+              {name}
+            </option>
+          ))}
+        </select>
+        {aggregation !== "month" && (
+          <select
+            aria-label="Fiscal year start"
+            value={fiscalStartMonth}
+            onChange={(e) =>
+              updateViewField("fiscalStartMonth", Number(e.target.value))
+            }
+            title="First month of the fiscal year"
+            style={{
+              padding: "6px 8px",
+              borderRadius: 8,
+              border: `1px solid ${COLORS.border}`,
+              background: COLORS.panel,
+              color: COLORS.text,
+              fontSize: 12,
+            }}
+          >
+            {Array.from({ length: 12 }, (_, i) => i + 1).map((m) => (
+              <option key={m} value={m} style={optionStyle}>
+                {m === 1 ? "Calendar year" : `FY from ${monthName(m)}`}
+              </option>
+            ))}
+          </select>
+        )}
 
-          <div style={kpiCard}>
-            <div style={{ color: COLORS.muted, fontSize: 18 }}>Price Paid</div>
-            <div style={{ fontWeight: 700, fontSize: 28 }}>
-              ${fmt(kpis.weightedATP, 0)}
-            </div>
-          </div>
+        <span style={{ color: COLORS.muted, fontSize: 12, marginLeft: 16 }}>
+          Forecast:
+        </span>
+        <select
+          value={Math.min(forecastHorizon, maxForecastHorizon)}
+          onChange={(e) => setForecastHorizon(Number(e.target.value))}
+          title="How many months after the history cutoff to forecast"
+          style={{
+            padding: "6px 8px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: COLORS.panel,
+            color: COLORS.text,
+            fontSize: 12,
+          }}
+        >
+          {horizonOptions.map((h) => (
+            <option key={`h-${h}`} value={h} style={optionStyle}>
+              {h === maxForecastHorizon
+                ? `to ${ymToLabel(monthTicks[monthTicks.length - 1])}`
+                : `${h} months`}
+            </option>
+          ))}
+        </select>
+        <select
+          value={forecastLevel}
+          onChange={(e) => setForecastLevel(Number(e.target.value))}
+          title="Prediction interval shown on the chart"
+          style={{
+            padding: "6px 8px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: COLORS.panel,
+            color: COLORS.text,
+            fontSize: 12,
+          }}
+        >
+          {[0.8, 0.9, 0.95].map((lv) => (
+            <option key={`lv-${lv}`} value={lv} style={optionStyle}>
+              {Math.round(lv * 100)}% interval
+            </option>
+          ))}
+        </select>
+      </div>
 
-          <div style={kpiCard}>
-            <div style={{ color: COLORS.muted, fontSize: 18 }}>Fleet Mix</div>
-            <div style={{ fontWeight: 700, fontSize: 28 }}>
-              {fmt(kpis.fleetMix, 1)}%
-            </div>
+      {/* Data source */}
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          marginTop: 8,
+          flexWrap: "wrap",
+          marginLeft: 6,
+        }}
+      >
+        <span style={{ color: COLORS.muted, fontSize: 12 }}>Data:</span>
+        <span style={{ fontSize: 12 }}>
+          {history
+            ? `${history.fileName} · ${fmt(history.rowCount, 0)} rows`
+            : "Synthetic sample (no history file loaded)"}
+        </span>
+
+        <input
+          ref={historyInputRef}
+          type="file"
+          accept=".csv,.xlsx,.xls"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            handleHistoryFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+        <button
+          onClick={() => historyInputRef.current?.click()}
+          disabled={historyBusy}
+          title="Load monthly history (CSV or XLSX): month, mode, key, price, fleet, lease, days, incentives, volume"
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.muted,
+            cursor: historyBusy ? "wait" : "pointer",
+            fontSize: 12,
+            marginLeft: 8,
+          }}
+        >
+          {historyBusy ? "Loading…" : "Load history…"}
+        </button>
+
+        {history && (
+          <button
+            onClick={() => {
+              setHistory(null);
+              setShowHistoryIssues(false);
+            }}
+            style={{
+              padding: "6px 10px",
+              borderRadius: 8,
+              border: `1px solid ${COLORS.border}`,
+              background: "transparent",
+              color: COLORS.muted,
+              cursor: "pointer",
+              fontSize: 12,
+            }}
+          >
+            Use sample data
+          </button>
+        )}
+
+        {history?.issues.length > 0 && (
+          <button
+            onClick={() => setShowHistoryIssues((v) => !v)}
+            style={{
+              padding: "6px 10px",
+              borderRadius: 8,
+              border: `1px solid ${COLORS.accent}`,
+              background: "transparent",
+              color: COLORS.text,
+              cursor: "pointer",
+              fontSize: 12,
+            }}
+          >
+            {history.issues.length} data issue
+            {history.issues.length === 1 ? "" : "s"}{" "}
+            {showHistoryIssues ? "▴" : "▾"}
+          </button>
+        )}
+
+        {historyError && (
+          <span style={{ color: COLORS.accent, fontSize: 12 }}>
+            {historyError}
+          </span>
+        )}
+      </div>
+
+      {showHistoryIssues && history?.issues.length > 0 && (
+        <div
+          style={{
+            ...card,
+            marginTop: 8,
+            fontSize: 12,
+            maxHeight: 180,
+            overflowY: "auto",
+          }}
+        >
+          {history.issues.map((it, i) => (
+            <div
+              key={`issue-${i}`}
+              style={{ display: "flex", gap: 8, marginTop: i ? 4 : 0 }}
+            >
+              <span style={{ color: COLORS.muted, minWidth: 110 }}>
+                {HISTORY_ISSUE_LABELS[it.type] || it.type}
+              </span>
+              <span>{it.message}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* KPIs + Chart */}
+      <div style={{ ...card, marginTop: 8 }}>
+        <div style={kpiGrid}>
+          <div style={kpiCard}>
+            <div style={{ color: COLORS.muted, fontSize: 18 }}>
+              Total Volume
+            </div>
+            <div style={{ fontWeight: 700, fontSize: 28 }}>
+              {fmt(kpis.totalVolume, 0)}
+            </div>
+            {kpis.forecastMonths > 0 && (
+              <div
+                style={{ color: COLORS.muted, fontSize: 12 }}
+                title={`${Math.round(
+                  forecastLevel * 100
+                )}% prediction interval, months summed`}
+              >
+                {fmt(kpis.totalVolumeLo, 0)} – {fmt(kpis.totalVolumeHi, 0)}
+              </div>
+            )}
+            <KpiDelta COLORS={COLORS} kpis={kpis} field="totalVolume" />
+            {forecastTag}
+          </div>
+
+          <div style={kpiCard}>
+            <div style={{ color: COLORS.muted, fontSize: 18 }}>Price Paid</div>
+            <div style={{ fontWeight: 700, fontSize: 28 }}>
+              ${fmt(kpis.weightedATP, 0)}
+            </div>
+            <KpiDelta COLORS={COLORS} kpis={kpis} field="weightedATP" />
+            {forecastTag}
+          </div>
+
+          <div style={kpiCard}>
+            <div style={{ color: COLORS.muted, fontSize: 18 }}>Fleet Mix</div>
+            <div style={{ fontWeight: 700, fontSize: 28 }}>
+              {fmt(kpis.fleetMix, 1)}%
+            </div>
+            <KpiDelta COLORS={COLORS} kpis={kpis} field="fleetMix" />
+            {forecastTag}
           </div>
 
           <div style={kpiCard}>
@@ -935,6 +3725,8 @@ export default function MarketSimulation({ COLORS, useStyles }) {
             <div style={{ fontWeight: 700, fontSize: 28 }}>
               {fmt(kpis.leaseMix, 1)}%
             </div>
+            <KpiDelta COLORS={COLORS} kpis={kpis} field="leaseMix" />
+            {forecastTag}
           </div>
 
           <div style={kpiCard}>
@@ -944,6 +3736,8 @@ export default function MarketSimulation({ COLORS, useStyles }) {
             <div style={{ fontWeight: 700, fontSize: 28 }}>
               {fmt(kpis.daysSupply, 0)}
             </div>
+            <KpiDelta COLORS={COLORS} kpis={kpis} field="daysSupply" />
+            {forecastTag}
           </div>
 
           <div style={kpiCard}>
@@ -951,27 +3745,157 @@ export default function MarketSimulation({ COLORS, useStyles }) {
             <div style={{ fontWeight: 700, fontSize: 28 }}>
               ${fmt(kpis.incentives, 0)}
             </div>
+            <KpiDelta COLORS={COLORS} kpis={kpis} field="incentives" />
+            {forecastTag}
+          </div>
+
+          <div style={kpiCard}>
+            <div
+              style={{ color: COLORS.muted, fontSize: 18 }}
+              title="Volume × price paid net of incentives"
+            >
+              Revenue
+            </div>
+            <div style={{ fontWeight: 700, fontSize: 28 }}>
+              {fmtMoney(kpis.revenue)}
+            </div>
+            <KpiDelta COLORS={COLORS} kpis={kpis} field="revenue" />
+            {forecastTag}
+          </div>
+
+          <div style={kpiCard}>
+            <div
+              style={{ color: COLORS.muted, fontSize: 18 }}
+              title="Revenue less volume × unit cost (set on each card)"
+            >
+              Contribution Margin
+            </div>
+            <div style={{ fontWeight: 700, fontSize: 28 }}>
+              {fmtMoney(kpis.margin)}
+            </div>
+            <KpiDelta COLORS={COLORS} kpis={kpis} field="margin" />
+            {forecastTag}
+          </div>
+        </div>
+
+        {kpis.forecastMonths > 0 && (
+          <div
+            style={{
+              color: COLORS.muted,
+              fontSize: 12,
+              textAlign: "center",
+              marginTop: 4,
+            }}
+          >
+            Range includes {kpis.forecastMonths} forecast month
+            {kpis.forecastMonths === 1 ? "" : "s"} (
+            {ymToLabel(monthTicks[kpis.forecastStartIdx])} –{" "}
+            {ymToLabel(monthTicks[kpis.forecastEndIdx])}); shaded band on the
+            chart is the {Math.round(forecastLevel * 100)}% prediction interval.
+          </div>
+        )}
+
+        {shares.length > 0 && (
+          <div
+            aria-label="Share of market"
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              justifyContent: "center",
+              gap: 8,
+              marginTop: 8,
+            }}
+          >
+            {shares.map((s) => (
+              <ShareChip
+                key={s.key}
+                COLORS={COLORS}
+                share={s}
+                color={keyColor(s.key)}
+              />
+            ))}
           </div>
+        )}
+
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "flex-end",
+            gap: 6,
+            marginTop: 12,
+          }}
+        >
+          {[
+            ["volume", "Volume"],
+            ["share", "Share (100%)"],
+          ].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setChartStyle(id)}
+              aria-pressed={chartStyle === id}
+              style={{
+                padding: "4px 10px",
+                borderRadius: 8,
+                border: `1px solid ${
+                  chartStyle === id ? COLORS.accent : COLORS.border
+                }`,
+                background: "transparent",
+                color: chartStyle === id ? COLORS.text : COLORS.muted,
+                cursor: "pointer",
+                fontSize: 12,
+              }}
+            >
+              {label}
+            </button>
+          ))}
         </div>
 
-        <div style={{ marginTop: 14 }}>
+        <div style={{ marginTop: 6 }}>
           <LineChartGeneric
             COLORS={COLORS}
-            monthTicks={monthTicks}
-            seriesByKey={activeSeriesForChart(activeProfiles)}
-            selectedKeys={selected}
-            selectedIndex={selectedMonthIdx}
-            onSelectIndex={applyMonthToInputs}
-            rangeStart={rangeStartIdx ?? DEFAULT_RANGE_START}
-            rangeEnd={rangeEndIdx ?? DEFAULT_RANGE_END}
-            futureCutoffIdx={futureCutoffIdx}
+            stacked={chartStyle === "share"}
+            {...chartFrame({
+              seriesByKey: activeSeriesForChart({
+                ...simProfiles,
+                ...entrantProfiles,
+              }),
+              baselineByKey: chartBaselines,
+              uncertaintyByKey: chartUncertainty,
+              markers: entrantResults.map((r) => ({
+                i: r.launchIdx,
+                label: `${r.name} launch`,
+                color: keyColor(r.name),
+              })),
+            })}
+            selectedKeys={[...selected, ...entrantNames]}
             showFutureAsDashed={showFutureAsDashed}
-            colorForKey={(label) => colorForKey(label, suvAccent, PICKUP_BLUE)}
+            colorForKey={keyColor}
             isDarkPanel={isDarkHex(COLORS.panel)}
           />
         </div>
       </div>
 
+      {/* Variant comparison */}
+      {showCompare && variantResults && (
+        <ScenarioComparison
+          COLORS={COLORS}
+          style={{ ...card, marginTop: 12 }}
+          results={variantResults}
+          keys={selected}
+          baselineId={
+            variantResults.some((r) => r.id === compareBaseline)
+              ? compareBaseline
+              : "baseline"
+          }
+          onBaselineChange={(id) => updateViewField("compareBaseline", id)}
+          onRename={renameVariant}
+          onRemove={variants.length > 1 ? removeVariant : null}
+          chartFrame={chartFrame}
+          showFutureAsDashed={showFutureAsDashed}
+          isDarkPanel={isDarkHex(COLORS.panel)}
+        />
+      )}
+
       {/* Cards per selection */}
       <div style={{ ...card, marginTop: 12 }}>
         <div
@@ -982,8 +3906,81 @@ export default function MarketSimulation({ COLORS, useStyles }) {
             justifyContent: "flex-end",
             gap: 12,
             alignItems: "center",
+            flexWrap: "wrap",
           }}
         >
+          {/* Variant switcher (left) */}
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 6,
+              marginRight: "auto",
+            }}
+          >
+            <span style={{ fontSize: 12 }}>Variant:</span>
+            {variants.map((v) => {
+              const active = v.id === activeVariantId;
+              const c = VARIANT_COLORS[v.id];
+              return (
+                <button
+                  key={v.id}
+                  onClick={() => switchVariant(v.id)}
+                  title={v.name}
+                  style={{
+                    padding: "4px 10px",
+                    borderRadius: 10,
+                    border: `1px solid ${active ? c : COLORS.border}`,
+                    background: active
+                      ? `rgba(${hexToRgb(c)}, 0.18)`
+                      : "transparent",
+                    color: COLORS.text,
+                    cursor: "pointer",
+                    fontSize: 12,
+                  }}
+                >
+                  {v.name}
+                </button>
+              );
+            })}
+            {variants.length < MAX_VARIANTS && (
+              <button
+                onClick={addVariant}
+                title="Add a variant starting from the current one's inputs"
+                style={{
+                  padding: "4px 8px",
+                  borderRadius: 10,
+                  border: `1px dashed ${COLORS.border}`,
+                  background: "transparent",
+                  color: COLORS.muted,
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+              >
+                + Variant
+              </button>
+            )}
+            <button
+              onClick={() => setShowCompare((v) => !v)}
+              style={{
+                padding: "4px 10px",
+                borderRadius: 10,
+                border: `1px solid ${COLORS.border}`,
+                background: showCompare
+                  ? isDarkHex(COLORS.panel)
+                    ? "rgba(255,255,255,0.18)"
+                    : "rgba(255,84,50,0.16)"
+                  : "transparent",
+                color: COLORS.text,
+                cursor: "pointer",
+                fontSize: 12,
+                marginLeft: 6,
+              }}
+            >
+              {showCompare ? "Hide comparison" : "Compare variants"}
+            </button>
+          </div>
+
           {/* Selected month label (stays on the right) */}
           {selectedMonthLabel && (
             <span style={{ display: "flex", alignItems: "center", gap: 6 }}>
@@ -992,69 +3989,183 @@ export default function MarketSimulation({ COLORS, useStyles }) {
               </strong>
             </span>
           )}
+          {selectedMonthIdx == null && (
+            <span style={{ fontSize: 12 }}>
+              Range averages — select a month on the chart to edit
+            </span>
+          )}
 
-          {/* NEW: Scope toggle — Month only vs Year avg */}
-          <div
-            role="group"
-            aria-label="Apply changes to"
+          {Math.abs(cardEffects.marketChange) >= 0.5 && (
+            <span style={{ fontSize: 12 }}>
+              Total market {cardEffects.marketChange > 0 ? "+" : "−"}
+              {fmt(Math.abs(cardEffects.marketChange), 0)}
+            </span>
+          )}
+
+          <button
+            onClick={() => updateCross({ enabled: !cross.enabled })}
+            title="When on, part of each card's change is taken from (or given to) the other keys in this mode"
             style={{
-              display: "inline-flex",
+              padding: "6px 10px",
+              fontSize: 12,
+              cursor: "pointer",
+              borderRadius: 10,
               border: `1px solid ${COLORS.border}`,
+              background: cross.enabled
+                ? isDarkHex(COLORS.panel)
+                  ? "rgba(255,255,255,0.18)"
+                  : "rgba(255,84,50,0.16)"
+                : "transparent",
+              color: COLORS.text,
+            }}
+          >
+            Cross effects {cross.enabled ? "on" : "off"}
+          </button>
+
+          <button
+            onClick={() => updateUncertainty({ enabled: !uncertainty.enabled })}
+            title="Sample the model coefficients from their standard errors and show P10 / P50 / P90 volumes"
+            style={{
+              padding: "6px 10px",
+              fontSize: 12,
+              cursor: "pointer",
               borderRadius: 10,
-              overflow: "hidden",
-              marginLeft: 6,
+              border: `1px solid ${COLORS.border}`,
+              background: uncertainty.enabled
+                ? isDarkHex(COLORS.panel)
+                  ? "rgba(255,255,255,0.18)"
+                  : "rgba(255,84,50,0.16)"
+                : "transparent",
+              color: COLORS.text,
             }}
           >
-            {/* Month only */}
-            <button
-              onClick={() => updateViewField("applyScope", "month")}
+            Uncertainty {uncertainty.enabled ? "on" : "off"}
+          </button>
+          {uncertainty.enabled && (
+            <span
               style={{
-                padding: "6px 10px",
+                display: "inline-flex",
+                alignItems: "center",
+                gap: 6,
                 fontSize: 12,
-                cursor: "pointer",
-                background:
-                  applyScope === "month"
-                    ? isDarkHex(COLORS.panel)
-                      ? "rgba(255,255,255,0.18)"
-                      : "rgba(255,84,50,0.16)"
-                    : "transparent",
-                color: COLORS.text,
-                border: "none",
-                borderRight: `1px solid ${COLORS.border}`,
-                transition: "background-color 120ms ease",
               }}
-              title="Apply card changes only to the chosen month"
             >
-              Month only
-            </button>
+              <select
+                value={uncertainty.draws}
+                onChange={(e) =>
+                  updateUncertainty({ draws: Number(e.target.value) })
+                }
+                aria-label="Monte Carlo draws"
+                style={{
+                  padding: "4px 6px",
+                  borderRadius: 8,
+                  border: `1px solid ${COLORS.border}`,
+                  background: COLORS.panel,
+                  color: COLORS.text,
+                  fontSize: 12,
+                }}
+              >
+                {[200, 500, 1000, 2000].map((n) => (
+                  <option key={n} value={n}>
+                    {n} draws
+                  </option>
+                ))}
+              </select>
+              <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                Seed
+                <input
+                  type="number"
+                  value={uncertainty.seed}
+                  onChange={(e) =>
+                    updateUncertainty({
+                      seed: Math.round(toNumberSafe(e.target.value)),
+                    })
+                  }
+                  style={{
+                    width: 64,
+                    padding: "4px 6px",
+                    borderRadius: 8,
+                    border: `1px solid ${COLORS.border}`,
+                    background: "transparent",
+                    color: COLORS.text,
+                    fontSize: 12,
+                  }}
+                />
+              </label>
+              {mcBusy && <span>Running…</span>}
+              {mcError && (
+                <span style={{ color: COLORS.accent }}>{mcError}</span>
+              )}
+            </span>
+          )}
 
-            {/* Year avg (label shows the year of the selected month if present) */}
-            <button
-              onClick={() => updateViewField("applyScope", "year")}
+          {/* NEW: Scope toggle — Month only vs Year avg; at quarter / year
+              grain edits always cover the selected period */}
+          {aggregation === "month" ? (
+            <div
+              role="group"
+              aria-label="Apply changes to"
               style={{
-                padding: "6px 10px",
-                fontSize: 12,
-                cursor: "pointer",
-                background:
-                  applyScope === "year"
-                    ? isDarkHex(COLORS.panel)
-                      ? "rgba(255,255,255,0.18)"
-                      : "rgba(255,84,50,0.16)"
-                    : "transparent",
-                color: COLORS.text,
-                border: "none",
-                transition: "background-color 120ms ease",
+                display: "inline-flex",
+                border: `1px solid ${COLORS.border}`,
+                borderRadius: 10,
+                overflow: "hidden",
+                marginLeft: 6,
               }}
-              title="Apply card changes as a calendar-year average"
             >
-              {(() => {
-                if (selectedMonthIdx == null) return "Total Year";
-                const ym = monthTicks[selectedMonthIdx] || "";
-                const year = ym.split("-")[0] || "";
-                return `Total Year ${year}`;
-              })()}
-            </button>
-          </div>
+              {/* Month only */}
+              <button
+                onClick={() => updateViewField("applyScope", "month")}
+                style={{
+                  padding: "6px 10px",
+                  fontSize: 12,
+                  cursor: "pointer",
+                  background:
+                    applyScope === "month"
+                      ? isDarkHex(COLORS.panel)
+                        ? "rgba(255,255,255,0.18)"
+                        : "rgba(255,84,50,0.16)"
+                      : "transparent",
+                  color: COLORS.text,
+                  border: "none",
+                  borderRight: `1px solid ${COLORS.border}`,
+                  transition: "background-color 120ms ease",
+                }}
+                title="Apply card changes only to the chosen month"
+              >
+                Month only
+              </button>
+
+              {/* Year avg (label shows the year of the selected month if present) */}
+              <button
+                onClick={() => updateViewField("applyScope", "year")}
+                style={{
+                  padding: "6px 10px",
+                  fontSize: 12,
+                  cursor: "pointer",
+                  background:
+                    applyScope === "year"
+                      ? isDarkHex(COLORS.panel)
+                        ? "rgba(255,255,255,0.18)"
+                        : "rgba(255,84,50,0.16)"
+                      : "transparent",
+                  color: COLORS.text,
+                  border: "none",
+                  transition: "background-color 120ms ease",
+                }}
+                title="Spread card changes over every month of the selected year (the fiscal year when one is set), keeping its seasonal shape"
+              >
+                {yearLabel ? `Total ${yearLabel}` : "Total Year"}
+              </button>
+            </div>
+          ) : (
+            <span style={{ fontSize: 12 }}>
+              Edits spread over{" "}
+              {selectedPeriod
+                ? selectedPeriod.label
+                : `the selected ${aggregation}`}
+            </span>
+          )}
         </div>
 
         <div
@@ -1066,12 +4177,20 @@ export default function MarketSimulation({ COLORS, useStyles }) {
           }}
         >
           {rows.map((r) => {
-            const c =
-              getKeyColor(r.label) ||
-              colorForKey(r.label, suvAccent, PICKUP_BLUE);
+            const c = keyColor(r.label);
             const alpha = isDarkHex(COLORS.panel) ? 0.1 : 0.14;
 
-            const hasEditsForKey = !!edits[r.key];
+            const hasEditsForKey = hasEdits(edits[r.key]);
+            const scopeLabel =
+              selectedMonthIdx == null
+                ? null
+                : selectedPeriod
+                ? `${selectedPeriod.label} total`
+                : applyScope === "year"
+                ? yearLabel
+                : selectedMonthLabel;
+            const canDrill =
+              mode === "segments" && !drill && nameplatesOf(r.key).length > 0;
 
             return (
               <div
@@ -1091,13 +4210,105 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                     marginBottom: 8,
                   }}
                 >
-                  <div style={{ fontWeight: 700 }}>{r.label}</div>
+                  <div style={{ fontWeight: 700 }}>
+                    {r.label}
+                    {r.segmentShare != null && (
+                      <span
+                        title={`${nameplateInfo(r.key)?.brand} ${
+                          r.label
+                        }: share of ${drill.segment} volume`}
+                        style={{
+                          marginLeft: 8,
+                          fontWeight: 400,
+                          fontSize: 11,
+                          color: COLORS.muted,
+                        }}
+                      >
+                        {fmt(r.segmentShare, 1)}% of {drill.segment}
+                      </span>
+                    )}
+                    {segmentsWithNameplateEdits.has(r.key) && (
+                      <button
+                        onClick={() => drillInto(r.key)}
+                        title="This card includes edits made to its nameplates"
+                        style={{
+                          marginLeft: 8,
+                          padding: "1px 6px",
+                          borderRadius: 6,
+                          border: `1px dashed ${COLORS.accent}`,
+                          background: "transparent",
+                          color: COLORS.text,
+                          fontWeight: 400,
+                          fontSize: 11,
+                          cursor: "pointer",
+                        }}
+                      >
+                        nameplate edits
+                      </button>
+                    )}
+                    {!activeProfiles.profileByKey[r.key]?.fromHistory && (
+                      <span
+                        title="No loaded history for this key; values come from the synthetic sample"
+                        style={{
+                          marginLeft: 8,
+                          fontWeight: 400,
+                          fontSize: 11,
+                          color: COLORS.muted,
+                        }}
+                      >
+                        sample
+                      </span>
+                    )}
+                    {deviatingFields(
+                      calibratedCoeffs(modelCalibration, simMode, r.key),
+                      coeffEdits[r.key]
+                    ).length > 0 && (
+                      <button
+                        onClick={() => setShowCoeffPanel(true)}
+                        title="Coefficients for this key were edited and no longer match the calibrated set"
+                        style={{
+                          marginLeft: 8,
+                          padding: "1px 6px",
+                          borderRadius: 6,
+                          border: `1px dashed ${COLORS.accent}`,
+                          background: "transparent",
+                          color: COLORS.text,
+                          fontWeight: 400,
+                          fontSize: 11,
+                          cursor: "pointer",
+                        }}
+                      >
+                        custom coefficients
+                      </button>
+                    )}
+                    {view.editStates?.[r.key] && (
+                      <button
+                        onClick={() => setShowRegions(true)}
+                        title="These edits of this card apply in these states only"
+                        style={{
+                          marginLeft: 8,
+                          padding: "1px 6px",
+                          borderRadius: 6,
+                          border: `1px dashed ${COLORS.border}`,
+                          background: "transparent",
+                          color: COLORS.text,
+                          fontWeight: 400,
+                          fontSize: 11,
+                          cursor: "pointer",
+                        }}
+                      >
+                        {scopedFieldsLabel(view.editStates[r.key])}
+                      </button>
+                    )}
+                  </div>
 
-                  {hasEditsForKey && (
+                  {canDrill && (
                     <button
-                      onClick={() => resetCard(r.key)}
-                      title="Reset this card"
+                      onClick={() => drillInto(r.key)}
+                      title="Drill down into this segment's nameplates"
                       style={{
+                        marginLeft: "auto",
+                        marginRight: 6,
                         padding: "4px 8px",
                         borderRadius: 8,
                         border: `1px solid rgba(${hexToRgb(c)}, 0.55)`,
@@ -1107,12 +4318,98 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                         cursor: "pointer",
                       }}
                     >
-                      Reset
+                      Nameplates ›
                     </button>
                   )}
-                </div>
 
-                <div
+                  <button
+                    onClick={() => toggleSensitivity(r.key)}
+                    title="Which driver moves this card's volume the most"
+                    style={{
+                      marginLeft: canDrill ? 0 : "auto",
+                      marginRight: 6,
+                      padding: "4px 8px",
+                      borderRadius: 8,
+                      border: `1px solid rgba(${hexToRgb(c)}, 0.55)`,
+                      background: sensitivityKeys.includes(r.key)
+                        ? `rgba(${hexToRgb(c)}, 0.25)`
+                        : "transparent",
+                      color: COLORS.text,
+                      fontSize: 12,
+                      cursor: "pointer",
+                    }}
+                  >
+                    Sensitivity
+                  </button>
+
+                  {selectedMonthIdx != null && (
+                    <button
+                      onClick={() =>
+                        setGoalSeekKey((k) => (k === r.key ? null : r.key))
+                      }
+                      title="Solve drivers for a target volume or share"
+                      style={{
+                        marginRight: 6,
+                        padding: "4px 8px",
+                        borderRadius: 8,
+                        border: `1px solid rgba(${hexToRgb(c)}, 0.55)`,
+                        background:
+                          goalSeekKey === r.key
+                            ? `rgba(${hexToRgb(c)}, 0.25)`
+                            : "transparent",
+                        color: COLORS.text,
+                        fontSize: 12,
+                        cursor: "pointer",
+                      }}
+                    >
+                      Goal seek
+                    </button>
+                  )}
+
+                  {selectedMonthIdx != null && (
+                    <button
+                      onClick={() =>
+                        setOptimizerKey((k) => (k === r.key ? null : r.key))
+                      }
+                      title="Find the price / incentives that maximize contribution margin"
+                      style={{
+                        marginRight: 6,
+                        padding: "4px 8px",
+                        borderRadius: 8,
+                        border: `1px solid rgba(${hexToRgb(c)}, 0.55)`,
+                        background:
+                          optimizerKey === r.key
+                            ? `rgba(${hexToRgb(c)}, 0.25)`
+                            : "transparent",
+                        color: COLORS.text,
+                        fontSize: 12,
+                        cursor: "pointer",
+                      }}
+                    >
+                      Optimize
+                    </button>
+                  )}
+
+                  {hasEditsForKey && (
+                    <button
+                      onClick={() => resetCard(r.key)}
+                      title="Remove this card's edits in every month"
+                      style={{
+                        padding: "4px 8px",
+                        borderRadius: 8,
+                        border: `1px solid rgba(${hexToRgb(c)}, 0.55)`,
+                        background: "transparent",
+                        color: COLORS.text,
+                        fontSize: 12,
+                        cursor: "pointer",
+                      }}
+                    >
+                      Reset
+                    </button>
+                  )}
+                </div>
+
+                <div
                   style={{
                     border: "none",
                     borderRadius: 10,
@@ -1124,8 +4421,58 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                   <div style={{ fontWeight: 800, fontSize: 24 }}>
                     {fmt(r.volume, 0)}
                   </div>
+                  {uncertainty.enabled && (
+                    <VolumeBands
+                      COLORS={COLORS}
+                      bands={mcBusy ? null : mcResult?.cardBands[r.key]}
+                      draws={uncertainty.draws}
+                    />
+                  )}
+                  {r.sources && (
+                    <SourceOfVolume
+                      COLORS={COLORS}
+                      sources={r.sources}
+                      colorForKey={keyColor}
+                    />
+                  )}
+                  <CardProfit
+                    COLORS={COLORS}
+                    profit={r.profit}
+                    windowLabel={selectedMonthLabel || "Selected range"}
+                  />
                 </div>
 
+                {sensitivityKeys.includes(r.key) && (
+                  <TornadoChart
+                    COLORS={COLORS}
+                    color={c}
+                    data={sensitivityFor(r.key)}
+                    pct={sensitivityPct}
+                    onPctChange={setSensitivityPct}
+                    contextLabel={selectedMonthLabel || "Selected range"}
+                  />
+                )}
+
+                {goalSeekKey === r.key && selectedMonthIdx != null && (
+                  <GoalSeekPanel
+                    key={`${r.key}-${applyScope}`}
+                    COLORS={COLORS}
+                    borderColor={`rgba(${hexToRgb(c)}, 0.55)`}
+                    scopeLabel={scopeLabel}
+                    onSolve={(spec) => handleGoalSeek(r.key, spec)}
+                  />
+                )}
+
+                {optimizerKey === r.key && selectedMonthIdx != null && (
+                  <MarginOptimizerPanel
+                    key={`${r.key}-${applyScope}`}
+                    COLORS={COLORS}
+                    borderColor={`rgba(${hexToRgb(c)}, 0.55)`}
+                    scopeLabel={scopeLabel}
+                    onOptimize={(spec) => handleOptimizeMargin(r.key, spec)}
+                  />
+                )}
+
                 <div style={inputRow}>
                   <div>
                     <div style={label}>Avg Price Paid</div>
@@ -1133,6 +4480,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                   <input
                     type="number"
                     value={r.price}
+                    disabled={selectedMonthIdx == null}
                     onChange={(e) =>
                       handleChange(r.key, "price", e.target.value)
                     }
@@ -1150,6 +4498,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                   <input
                     type="number"
                     value={r.fleet}
+                    disabled={selectedMonthIdx == null}
                     onChange={(e) =>
                       handleChange(r.key, "fleet", e.target.value)
                     }
@@ -1167,6 +4516,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                   <input
                     type="number"
                     value={r.lease}
+                    disabled={selectedMonthIdx == null}
                     onChange={(e) =>
                       handleChange(r.key, "lease", e.target.value)
                     }
@@ -1184,6 +4534,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                   <input
                     type="number"
                     value={r.days}
+                    disabled={selectedMonthIdx == null}
                     onChange={(e) =>
                       handleChange(r.key, "days", e.target.value)
                     }
@@ -1201,6 +4552,7 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                   <input
                     type="number"
                     value={r.incentives}
+                    disabled={selectedMonthIdx == null}
                     onChange={(e) =>
                       handleChange(r.key, "incentives", e.target.value)
                     }
@@ -1210,53 +4562,3081 @@ export default function MarketSimulation({ COLORS, useStyles }) {
                     }}
                   />
                 </div>
+
+                <div style={{ ...inputRow, marginTop: 10 }}>
+                  <div>
+                    <div style={label}>Unit Cost ($)</div>
+                  </div>
+                  <input
+                    type="number"
+                    value={unitCosts[r.key] ?? ""}
+                    placeholder={fmt(r.profit.unitCost, 0).replace(/,/g, "")}
+                    aria-label={`Unit cost for ${r.key}`}
+                    title={`Cost per unit for contribution margin, in every month; empty uses ${
+                      DEFAULT_COST_SHARE * 100
+                    }% of the baseline price`}
+                    onChange={(e) => setUnitCost(r.key, e.target.value)}
+                    style={{
+                      ...number,
+                      border: `1px solid rgba(${hexToRgb(c)}, 0.55)`,
+                    }}
+                  />
+                </div>
+
+                <textarea
+                  value={cardNotes[mode]?.[r.key] ?? ""}
+                  onChange={(e) => setCardNote(r.key, e.target.value)}
+                  placeholder="Assumptions, e.g. incentive matches Ford Q3 program"
+                  aria-label={`Assumptions for ${r.key}`}
+                  rows={2}
+                  style={{
+                    width: "100%",
+                    boxSizing: "border-box",
+                    marginTop: 10,
+                    padding: "6px 8px",
+                    borderRadius: 8,
+                    border: `1px solid ${COLORS.border}`,
+                    background: "transparent",
+                    color: COLORS.text,
+                    fontFamily: "inherit",
+                    fontSize: 12,
+                    resize: "vertical",
+                  }}
+                />
               </div>
             );
           })}
+
+          {entrants.map((e) => (
+            <EntrantCard
+              key={e.id}
+              COLORS={COLORS}
+              entrant={e}
+              stats={entrantStats(e.name)}
+              windowLabel={selectedMonthLabel || "Selected range"}
+              launchOptions={monthTicks
+                .map((ym, i) => ({ ym, i }))
+                .filter(({ i }) => i > futureCutoffIdx && i <= lastDataIdx)
+                .map(({ ym }) => ({ ym, label: ymToLabel(ym) }))}
+              segments={BUILTIN_SEGMENT_KEYS}
+              powertrains={POWERTRAIN_KEYS}
+              onChange={(patch) => updateEntrant(e.id, patch)}
+              onRemove={() => removeEntrant(e.id)}
+              colorForKey={keyColor}
+              tint={(hex, a) => `rgba(${hexToRgb(hex)}, ${a})`}
+            />
+          ))}
+
+          <button
+            onClick={addEntrant}
+            title="Add a vehicle without history, launched into a segment and powertrain"
+            style={{
+              minHeight: 120,
+              borderRadius: 12,
+              border: `1px dashed ${COLORS.border}`,
+              background: "transparent",
+              color: COLORS.muted,
+              cursor: "pointer",
+              fontSize: 14,
+            }}
+          >
+            + New entrant
+          </button>
+        </div>
+      </div>
+
+      {/* Regions */}
+      <div style={{ ...card, marginTop: 12 }}>
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            flexWrap: "wrap",
+          }}
+        >
+          <button
+            onClick={() => setShowRegions((v) => !v)}
+            style={{
+              padding: 0,
+              border: "none",
+              background: "transparent",
+              color: COLORS.text,
+              fontWeight: 700,
+              fontSize: 16,
+              cursor: "pointer",
+            }}
+          >
+            Regions {showRegions ? "▴" : "▾"}
+          </button>
+          <span style={{ color: COLORS.muted, fontSize: 12 }}>
+            {Object.keys(view.editStates || {}).length > 0
+              ? `Edits limited to states for ${
+                  Object.keys(view.editStates).length
+                } key${Object.keys(view.editStates).length === 1 ? "" : "s"}`
+              : "Edits apply nationwide"}
+          </span>
+        </div>
+
+        {showRegions && (
+          <RegionalPanel
+            COLORS={COLORS}
+            {...regionalVolumes()}
+            level={regionLevel}
+            onLevelChange={setRegionLevel}
+            metric={regionMetric}
+            onMetricChange={setRegionMetric}
+            scopeLabel={
+              selectedMonthLabel ??
+              `${ymToLabel(monthTicks[getRangeBounds()[0]])} – ${ymToLabel(
+                monthTicks[getRangeBounds()[1]]
+              )}`
+            }
+            picked={pickedStates}
+            onTogglePick={togglePickedState}
+            onClearPicks={() => setPickedStates([])}
+            scopes={selected.map((key) => ({
+              key,
+              color: keyColor(key),
+              fields: EDIT_FIELDS.map((field) => {
+                const states = view.editStates?.[key]?.[field] || [];
+                return {
+                  field,
+                  label: FIELD_WORDS[field],
+                  states,
+                  share: scopeShare(regionWeightsFor(simMode, key), states),
+                };
+              }),
+            }))}
+            onScope={setEditStates}
+            tint={(hex, a) => `rgba(${hexToRgb(hex)}, ${a})`}
+          />
+        )}
+      </div>
+
+      {/* Macro drivers */}
+      <div style={{ ...card, marginTop: 12 }}>
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            flexWrap: "wrap",
+          }}
+        >
+          <button
+            onClick={() => setShowMacroPanel((v) => !v)}
+            style={{
+              padding: 0,
+              border: "none",
+              background: "transparent",
+              color: COLORS.text,
+              fontWeight: 700,
+              fontSize: 16,
+              cursor: "pointer",
+            }}
+          >
+            Macro drivers {showMacroPanel ? "▴" : "▾"}
+          </button>
+          <span style={{ color: COLORS.muted, fontSize: 12 }}>
+            Base path: {macro.source}
+            {macroShifts.length > 0 &&
+              ` · ${macroShifts.length} shift${
+                macroShifts.length === 1 ? "" : "s"
+              }`}
+          </span>
+        </div>
+
+        {showMacroPanel && (
+          <MacroPanel
+            COLORS={COLORS}
+            base={macro.series}
+            shifted={shiftedMacro}
+            monthTicks={monthTicks}
+            rangeStartIdx={cardWindow()[0]}
+            rangeEndIdx={cardWindow()[1]}
+            selectedMonthIdx={selectedPeriod ? null : selectedMonthIdx}
+            shifts={macroShifts}
+            shiftMonths={monthTicks
+              .map((ym, i) => ({ ym, i }))
+              .filter(({ i }) => i > futureCutoffIdx && i <= lastDataIdx)
+              .map(({ ym }) => ({ ym, label: ymToLabel(ym) }))}
+            onAddShift={addMacroShift}
+            onChangeShift={updateMacroShift}
+            onRemoveShift={removeMacroShift}
+            onLoadFile={handleMacroFile}
+            onUseBuiltin={macroFile ? () => setMacroFile(null) : null}
+            issues={macro.issues}
+            error={macroError}
+          />
+        )}
+      </div>
+
+      {/* Model coefficients */}
+      <div style={{ ...card, marginTop: 12 }}>
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            flexWrap: "wrap",
+          }}
+        >
+          <button
+            onClick={() => setShowCoeffPanel((v) => !v)}
+            style={{
+              padding: 0,
+              border: "none",
+              background: "transparent",
+              color: COLORS.text,
+              fontWeight: 700,
+              fontSize: 16,
+              cursor: "pointer",
+            }}
+          >
+            Model coefficients {showCoeffPanel ? "▴" : "▾"}
+          </button>
+          <span style={{ color: COLORS.muted, fontSize: 12 }}>
+            Calibrated set: {calibration.source}
+            {Object.keys(coeffEdits).length > 0 &&
+              ` · ${Object.keys(coeffEdits).length} key${
+                Object.keys(coeffEdits).length === 1 ? "" : "s"
+              } edited`}
+          </span>
+        </div>
+
+        {showCoeffPanel && (
+          <CoefficientPanel
+            COLORS={COLORS}
+            keys={defs.keys}
+            selectedKeys={selected}
+            calibratedFor={(key) =>
+              calibratedCoeffs(modelCalibration, simMode, key)
+            }
+            coeffEdits={coeffEdits}
+            onChange={handleCoeffChange}
+            onReset={resetCoeffs}
+            onLoadFile={handleCoefficientFile}
+            onUseBuiltin={
+              calibration.byMode === BUILTIN_COEFFS
+                ? null
+                : () => setCalibration(BUILTIN_CALIBRATION)
+            }
+            issues={calibration.issues}
+            error={coeffError}
+            colorForKey={keyColor}
+          />
+        )}
+
+        {showCoeffPanel && (
+          <SubstitutionPanel
+            COLORS={COLORS}
+            // 32 matrix cells would make a 32 × 32 table: edit the
+            // weights among the selected cells only
+            keys={mode === "matrix" ? selected : defs.builtInKeys}
+            weights={crossWeights}
+            weightEdits={cross.weightEdits}
+            expansion={marketExpansion}
+            builtinExpansion={BUILTIN_EXPANSION[simMode]}
+            enabled={cross.enabled}
+            onWeightChange={handleCrossWeightChange}
+            onExpansionChange={(v) =>
+              updateCross({
+                [expansionField]:
+                  Math.abs(v - BUILTIN_EXPANSION[simMode]) < 1e-9 ? null : v,
+              })
+            }
+            onReset={() =>
+              updateCross({ [expansionField]: null, weightEdits: {} })
+            }
+          />
+        )}
+      </div>
+
+      {/* Signature */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "flex-end",
+          marginTop: 8,
+          paddingRight: 10,
+        }}
+      >
+        <img
+          src={sigSrc}
+          alt="Scout Almanac Pro signature"
+          style={{ width: 50, height: "auto", opacity: 0.9 }}
+        />
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Undo history -------------------- */
+
+// The mode's undo steps, oldest first, then the undone ones greyed out.
+// Clicking a step returns to the view just after it; "Start" undoes all.
+function UndoHistoryPanel({ COLORS, style, history, onJump }) {
+  const { past, future } = history;
+  const row = (label, steps, state) => (
+    <button
+      key={`${state}-${steps}`}
+      onClick={() => onJump(steps)}
+      disabled={!steps}
+      aria-current={state === "current" ? "step" : undefined}
+      style={{
+        display: "block",
+        width: "100%",
+        textAlign: "left",
+        padding: "4px 8px",
+        border: "none",
+        borderTop: `1px solid ${COLORS.border}`,
+        background: "transparent",
+        color: state === "undone" ? COLORS.muted : COLORS.text,
+        fontWeight: state === "current" ? 700 : 400,
+        cursor: steps ? "pointer" : "default",
+        fontFamily: "inherit",
+        fontSize: 12,
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={style} aria-label="Undo history">
+      {!past.length && !future.length ? (
+        <div style={{ color: COLORS.muted, fontSize: 12 }}>
+          No changes yet in this mode.
+        </div>
+      ) : (
+        <>
+          {row("Start", -past.length, past.length ? "done" : "current")}
+          {past.map((entry, i) =>
+            row(
+              historyLabel(entry),
+              i + 1 - past.length,
+              i === past.length - 1 ? "current" : "done"
+            )
+          )}
+          {future.map((entry, i) => row(historyLabel(entry), i + 1, "undone"))}
+        </>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- Change log -------------------- */
+
+// The scenario's driver edits, newest first, and the name they are signed
+// with in this browser
+function ChangeLogPanel({ COLORS, style, log, author, onAuthorChange }) {
+  return (
+    <div style={style}>
+      <label
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          fontSize: 12,
+          color: COLORS.muted,
+        }}
+      >
+        Your name
+        <input
+          value={author}
+          onChange={(e) => onAuthorChange(e.target.value)}
+          placeholder="Signs your edits"
+          style={{
+            padding: "5px 8px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: "transparent",
+            color: COLORS.text,
+            fontFamily: "inherit",
+            fontSize: 12,
+            minWidth: 180,
+          }}
+        />
+      </label>
+      {log.length === 0 ? (
+        <div style={{ color: COLORS.muted, fontSize: 12, marginTop: 10 }}>
+          No driver edits in this scenario yet.
+        </div>
+      ) : (
+        <div style={{ marginTop: 10, display: "grid", gap: 4 }}>
+          {[...log].reverse().map((entry, i) => (
+            <div
+              key={`${entry.at}-${i}`}
+              style={{
+                display: "flex",
+                gap: 10,
+                fontSize: 12,
+                padding: "4px 0",
+                borderTop: `1px solid ${COLORS.border}`,
+              }}
+            >
+              <span style={{ color: COLORS.muted, minWidth: 150 }}>
+                {new Date(entry.at).toLocaleString()}
+              </span>
+              <span style={{ color: COLORS.muted, minWidth: 90 }}>
+                {entry.author || "—"}
+              </span>
+              <span style={{ color: COLORS.muted, minWidth: 160 }}>
+                {entry.mode}
+                {entry.variant ? ` · ${entry.variant}` : ""}
+              </span>
+              <span style={{ flex: 1 }}>{auditEntryText(entry)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- Scenario manager -------------------- */
+
+function ScenarioManager(props) {
+  const {
+    COLORS,
+    style,
+    scenarios,
+    activeId,
+    onSaveNew,
+    onOpen,
+    onRename,
+    onDuplicate,
+    onDelete,
+  } = props;
+
+  const [newName, setNewName] = React.useState("");
+  const [renamingId, setRenamingId] = React.useState(null);
+  const [renameText, setRenameText] = React.useState("");
+
+  const btn = {
+    padding: "4px 8px",
+    borderRadius: 8,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.muted,
+    cursor: "pointer",
+    fontSize: 12,
+  };
+  const text = {
+    padding: "5px 8px",
+    borderRadius: 8,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.text,
+    fontFamily: "inherit",
+    fontSize: 12,
+  };
+
+  function submitNew(e) {
+    e.preventDefault();
+    onSaveNew(newName);
+    setNewName("");
+  }
+
+  function submitRename(e) {
+    e.preventDefault();
+    onRename(renamingId, renameText);
+    setRenamingId(null);
+  }
+
+  return (
+    <div style={style}>
+      <form
+        onSubmit={submitNew}
+        style={{ display: "flex", gap: 8, alignItems: "center" }}
+      >
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Scenario name"
+          aria-label="New scenario name"
+          style={{ ...text, minWidth: 220 }}
+        />
+        <button type="submit" style={btn}>
+          Save current as new
+        </button>
+      </form>
+
+      {scenarios.length === 0 ? (
+        <div style={{ color: COLORS.muted, fontSize: 12, marginTop: 10 }}>
+          No saved scenarios yet. Saved scenarios stay in this browser.
+        </div>
+      ) : (
+        <div style={{ marginTop: 10, display: "grid", gap: 6 }}>
+          {scenarios.map((sc) => (
+            <div
+              key={sc.id}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                fontSize: 12,
+                padding: "4px 0",
+                borderTop: `1px solid ${COLORS.border}`,
+              }}
+            >
+              {renamingId === sc.id ? (
+                <form
+                  onSubmit={submitRename}
+                  style={{ display: "flex", gap: 6, flex: 1 }}
+                >
+                  <input
+                    autoFocus
+                    value={renameText}
+                    onChange={(e) => setRenameText(e.target.value)}
+                    aria-label="Scenario name"
+                    style={{ ...text, flex: 1 }}
+                  />
+                  <button type="submit" style={btn}>
+                    OK
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setRenamingId(null)}
+                    style={btn}
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <span
+                    style={{
+                      flex: 1,
+                      fontWeight: sc.id === activeId ? 700 : 400,
+                    }}
+                  >
+                    {sc.name}
+                    <span style={{ color: COLORS.muted, marginLeft: 8 }}>
+                      {new Date(sc.updatedAt).toLocaleString()}
+                    </span>
+                  </span>
+                  <button onClick={() => onOpen(sc.id)} style={btn}>
+                    Open
+                  </button>
+                  <button
+                    onClick={() => {
+                      setRenamingId(sc.id);
+                      setRenameText(sc.name);
+                    }}
+                    style={btn}
+                  >
+                    Rename
+                  </button>
+                  <button onClick={() => onDuplicate(sc.id)} style={btn}>
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Delete scenario "${sc.name}"?`)) {
+                        onDelete(sc.id);
+                      }
+                    }}
+                    style={btn}
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- Scenario comparison -------------------- */
+
+const COMPARE_KPIS = [
+  { id: "totalVolume", label: "Total Volume", fmt: (v) => fmt(v, 0) },
+  { id: "weightedATP", label: "Price Paid", fmt: (v) => `$${fmt(v, 0)}` },
+  { id: "fleetMix", label: "Fleet Mix", fmt: (v) => `${fmt(v, 1)}%` },
+  { id: "leaseMix", label: "Lease Mix", fmt: (v) => `${fmt(v, 1)}%` },
+  { id: "daysSupply", label: "Days' Supply", fmt: (v) => fmt(v, 0) },
+  { id: "incentives", label: "Incentives", fmt: (v) => `$${fmt(v, 0)}` },
+  { id: "revenue", label: "Revenue", fmt: fmtMoney },
+  { id: "margin", label: "Contribution Margin", fmt: fmtMoney },
+];
+
+function ScenarioComparison(props) {
+  const {
+    COLORS,
+    style,
+    results,
+    keys,
+    baselineId,
+    onBaselineChange,
+    onRename,
+    onRemove,
+    chartFrame, // ({ seriesByKey }) → LineChartGeneric props at the view's grain
+    showFutureAsDashed,
+    isDarkPanel,
+  } = props;
+
+  const base = results.find((r) => r.id === baselineId) || results[0];
+
+  // Chart keys must be unique; names are user-editable
+  const labelById = {};
+  const seen = new Set();
+  for (const r of results) {
+    const label = seen.has(r.name) ? `${r.name} (${r.id})` : r.name;
+    seen.add(label);
+    labelById[r.id] = label;
+  }
+  const colorByLabel = Object.fromEntries(
+    results.map((r) => [labelById[r.id], VARIANT_COLORS[r.id]])
+  );
+  const seriesByKey = Object.fromEntries(
+    results.map((r) => [labelById[r.id], r.series])
+  );
+
+  const cell = {
+    padding: "6px 8px",
+    borderBottom: `1px solid ${COLORS.border}`,
+    fontSize: 12,
+    textAlign: "right",
+    verticalAlign: "top",
+  };
+
+  const delta = (v, b, format) => {
+    if (!Number.isFinite(v) || !Number.isFinite(b)) return null;
+    const d = v - b;
+    if (Math.abs(d) < 0.05) return null;
+    const pct =
+      b !== 0
+        ? ` (${d > 0 ? "+" : "−"}${fmt(Math.abs((d / b) * 100), 1)}%)`
+        : "";
+    return `${d > 0 ? "+" : "−"}${format(Math.abs(d))}${pct}`;
+  };
+
+  const renderRow = (label, valueOf, format) => (
+    <tr key={label}>
+      <td style={{ ...cell, textAlign: "left", color: COLORS.muted }}>
+        {label}
+      </td>
+      {results.map((r) => {
+        const d =
+          r.id === base.id ? null : delta(valueOf(r), valueOf(base), format);
+        return (
+          <td key={r.id} style={cell}>
+            <div style={{ fontVariantNumeric: "tabular-nums" }}>
+              {format(valueOf(r))}
+            </div>
+            {d && <div style={{ color: COLORS.muted, fontSize: 11 }}>{d}</div>}
+          </td>
+        );
+      })}
+    </tr>
+  );
+
+  return (
+    <div style={style}>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          flexWrap: "wrap",
+          marginBottom: 10,
+        }}
+      >
+        <div style={{ fontWeight: 700 }}>Compare variants</div>
+        <span style={{ color: COLORS.muted, fontSize: 12, marginLeft: 12 }}>
+          Deltas against
+        </span>
+        <select
+          value={base.id}
+          onChange={(e) => onBaselineChange(e.target.value)}
+          style={{
+            padding: "4px 8px",
+            borderRadius: 8,
+            border: `1px solid ${COLORS.border}`,
+            background: COLORS.panel,
+            color: COLORS.text,
+            fontSize: 12,
+          }}
+        >
+          {results.map((r) => (
+            <option key={r.id} value={r.id}>
+              {r.id === "baseline" ? "Baseline (no edits)" : r.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", width: "100%" }}>
+          <thead>
+            <tr>
+              <th style={cell} />
+              {results.map((r) => (
+                <th key={r.id} style={{ ...cell, minWidth: 120 }}>
+                  <div
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "flex-end",
+                      gap: 6,
+                    }}
+                  >
+                    <span
+                      aria-hidden="true"
+                      style={{
+                        width: 8,
+                        height: 8,
+                        borderRadius: 999,
+                        background: VARIANT_COLORS[r.id],
+                      }}
+                    />
+                    {r.id === "baseline" ? (
+                      <span>Baseline</span>
+                    ) : (
+                      <input
+                        value={r.name}
+                        onChange={(e) => onRename(r.id, e.target.value)}
+                        aria-label={`Name of variant ${r.id}`}
+                        style={{
+                          width: 90,
+                          padding: "2px 4px",
+                          border: "none",
+                          borderBottom: `1px dashed ${COLORS.border}`,
+                          background: "transparent",
+                          color: COLORS.text,
+                          fontFamily: "inherit",
+                          fontSize: 12,
+                          fontWeight: 700,
+                          textAlign: "right",
+                        }}
+                      />
+                    )}
+                    {onRemove && r.id !== "baseline" && (
+                      <button
+                        onClick={() => onRemove(r.id)}
+                        title={`Remove ${r.name}`}
+                        style={{
+                          border: "none",
+                          background: "transparent",
+                          color: COLORS.muted,
+                          cursor: "pointer",
+                          fontSize: 12,
+                          padding: 0,
+                        }}
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARE_KPIS.map((k) =>
+              renderRow(k.label, (r) => r.kpis[k.id], k.fmt)
+            )}
+            {keys.map((key) =>
+              renderRow(
+                `${key} volume`,
+                (r) => r.volumeByKey[key] ?? 0,
+                (v) => fmt(v, 0)
+              )
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ marginTop: 14 }}>
+        <LineChartGeneric
+          COLORS={COLORS}
+          {...chartFrame({ seriesByKey })}
+          selectedKeys={results.map((r) => labelById[r.id])}
+          showFutureAsDashed={showFutureAsDashed}
+          colorForKey={(label) => colorByLabel[label] || COLORS.muted}
+          isDarkPanel={isDarkPanel}
+        />
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Tornado chart -------------------- */
+
+function TornadoChart({ COLORS, color, data, pct, onPctChange, contextLabel }) {
+  if (!data) return null;
+  const { base, bars } = data;
+  const maxDev = Math.max(
+    1,
+    ...bars.flatMap((b) => [Math.abs(b.down - base), Math.abs(b.up - base)])
+  );
+
+  const w = 260;
+  const labelW = 78;
+  const rowH = 20;
+  const mid = labelW + (w - labelW) / 2;
+  const half = (w - labelW) / 2 - 4;
+  const xFor = (v) => mid + ((v - base) / maxDev) * half;
+  const signed = (v) => `${v >= 0 ? "+" : "−"}${fmt(Math.abs(v), 0)}`;
+
+  return (
+    <div style={{ marginBottom: 10, fontSize: 12 }}>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 6,
+          marginBottom: 4,
+          color: COLORS.muted,
+        }}
+      >
+        <span>Sensitivity, {contextLabel}: each driver</span>
+        <select
+          value={pct}
+          onChange={(e) => onPctChange(Number(e.target.value))}
+          aria-label="Sensitivity step"
+          style={{
+            padding: "2px 4px",
+            borderRadius: 6,
+            border: `1px solid ${COLORS.border}`,
+            background: COLORS.panel,
+            color: COLORS.text,
+            fontSize: 12,
+          }}
+        >
+          {[5, 10, 20, 30].map((p) => (
+            <option key={p} value={p}>
+              ±{p}%
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <svg
+        width="100%"
+        viewBox={`0 0 ${w} ${bars.length * rowH + 4}`}
+        role="img"
+        aria-label="Tornado chart of volume sensitivity by driver"
+      >
+        <line
+          x1={mid}
+          x2={mid}
+          y1={0}
+          y2={bars.length * rowH + 4}
+          stroke={COLORS.border}
+        />
+        {bars.map((b, j) => {
+          const y = j * rowH + 4;
+          const seg = (v, fill, opacity) => {
+            const x = xFor(v);
+            return (
+              <rect
+                x={Math.min(x, mid)}
+                y={y}
+                width={Math.max(0.5, Math.abs(x - mid))}
+                height={rowH - 6}
+                fill={fill}
+                fillOpacity={opacity}
+              />
+            );
+          };
+          return (
+            <g key={b.id}>
+              <title>
+                {`${b.label} −${pct}%: ${signed(
+                  b.down - base
+                )} · +${pct}%: ${signed(b.up - base)}`}
+              </title>
+              <text
+                x={0}
+                y={y + rowH / 2}
+                fontSize="10"
+                fill={COLORS.text}
+                dominantBaseline="middle"
+              >
+                {b.label}
+              </text>
+              {seg(b.down, COLORS.muted, 0.55)}
+              {seg(b.up, color, 0.85)}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div style={{ display: "flex", gap: 10, color: COLORS.muted }}>
+        <span>
+          <span style={{ color: COLORS.muted }}>■</span> driver −{pct}%
+        </span>
+        <span>
+          <span style={{ color }}>■</span> driver +{pct}%
+        </span>
+        <span style={{ marginLeft: "auto" }}>
+          max swing {fmt(bars[0]?.swing ?? 0, 0)} units
+        </span>
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Goal seek panel -------------------- */
+
+const GOAL_SEEK_FIELDS = [
+  { id: "price", label: "Price", fmt: (v) => `$${fmt(v, 0)}` },
+  { id: "incentives", label: "Incentives", fmt: (v) => `$${fmt(v, 0)}` },
+  { id: "days", label: "Days' supply", fmt: (v) => fmt(v, 0) },
+];
+
+function GoalSeekPanel({ COLORS, borderColor, scopeLabel, onSolve }) {
+  const [metric, setMetric] = useState("volume");
+  const [target, setTarget] = useState("");
+  const [fields, setFields] = useState(["incentives"]);
+  const [result, setResult] = useState(null);
+
+  const unit = (v) => (metric === "share" ? `${fmt(v, 2)}%` : fmt(v, 0));
+  const targetValue = Number(target);
+  const canSolve =
+    fields.length > 0 && target !== "" && Number.isFinite(targetValue);
+
+  function solve() {
+    if (canSolve) setResult(onSolve({ metric, target: targetValue, fields }));
+  }
+
+  const control = {
+    padding: "4px 6px",
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: "transparent",
+    color: COLORS.text,
+    fontSize: 12,
+  };
+
+  return (
+    <div
+      style={{
+        border: `1px dashed ${borderColor}`,
+        borderRadius: 10,
+        padding: 10,
+        marginBottom: 10,
+        fontSize: 12,
+      }}
+    >
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <select
+          value={metric}
+          onChange={(e) => {
+            setMetric(e.target.value);
+            setResult(null);
+          }}
+          aria-label="Goal seek target"
+          style={control}
+        >
+          <option value="volume">Volume</option>
+          <option value="share">Share (%)</option>
+        </select>
+        <input
+          type="number"
+          value={target}
+          placeholder="Target"
+          aria-label="Goal seek target value"
+          onChange={(e) => setTarget(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && solve()}
+          style={{ ...control, width: 90 }}
+        />
+        <span style={{ color: COLORS.muted }}>{scopeLabel}</span>
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          gap: 10,
+          alignItems: "center",
+          marginTop: 8,
+          flexWrap: "wrap",
+        }}
+      >
+        <span style={{ color: COLORS.muted }}>Solve for</span>
+        {GOAL_SEEK_FIELDS.map((f) => (
+          <label
+            key={f.id}
+            style={{ display: "flex", alignItems: "center", gap: 4 }}
+          >
+            <input
+              type="checkbox"
+              checked={fields.includes(f.id)}
+              onChange={(e) =>
+                setFields((prev) =>
+                  e.target.checked
+                    ? [...prev, f.id]
+                    : prev.filter((x) => x !== f.id)
+                )
+              }
+            />
+            {f.label}
+          </label>
+        ))}
+        <button
+          onClick={solve}
+          disabled={!canSolve}
+          style={{
+            ...control,
+            marginLeft: "auto",
+            cursor: canSolve ? "pointer" : "default",
+            opacity: canSolve ? 1 : 0.5,
+          }}
+        >
+          Solve
+        </button>
+      </div>
+
+      {result && (
+        <div
+          style={{
+            marginTop: 8,
+            color: result.reachable ? COLORS.text : COLORS.accent,
+          }}
+        >
+          {result.reachable ? (
+            <>
+              Solved:{" "}
+              {GOAL_SEEK_FIELDS.filter((f) => f.id in result.values)
+                .map((f) => `${f.label} ${f.fmt(result.values[f.id])}`)
+                .join(", ")}{" "}
+              → {unit(result.achieved)}
+            </>
+          ) : (
+            <>
+              No solution within the input limits: reachable{" "}
+              {unit(result.range[0])} – {unit(result.range[1])}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Revenue and contribution margin of a card's window, with the change
+// against its unedited values
+function CardProfit({ COLORS, profit, windowLabel }) {
+  const line = (label, field) => {
+    const v = profit[field];
+    const d = v - profit.baseline[field];
+    return (
+      <div
+        style={{ display: "flex", gap: 6, alignItems: "baseline" }}
+        title={`${windowLabel}; baseline (before edits): ${fmtMoney(
+          profit.baseline[field]
+        )}`}
+      >
+        <span style={{ color: COLORS.muted }}>{label}</span>
+        <strong>{fmtMoney(v)}</strong>
+        {Math.abs(d) >= 0.5 && (
+          <span style={{ color: COLORS.muted }}>
+            {d > 0 ? "+" : "−"}
+            {fmtMoney(Math.abs(d))} vs baseline
+          </span>
+        )}
+      </div>
+    );
+  };
+  return (
+    <div style={{ marginTop: 6, fontSize: 12 }}>
+      {line("Revenue", "revenue")}
+      {line("Margin", "margin")}
+    </div>
+  );
+}
+
+const OPTIMIZER_FIELDS = GOAL_SEEK_FIELDS.filter((f) =>
+  ["price", "incentives"].includes(f.id)
+);
+
+function MarginOptimizerPanel({ COLORS, borderColor, scopeLabel, onOptimize }) {
+  const [fields, setFields] = useState(["price", "incentives"]);
+  const [band, setBand] = useState("15");
+  const [result, setResult] = useState(null);
+
+  const bandValue = Number(band);
+  const canRun =
+    fields.length > 0 && band !== "" && bandValue > 0 && bandValue <= 100;
+
+  function run() {
+    if (canRun) setResult(onOptimize({ fields, band: bandValue }));
+  }
+
+  const control = {
+    padding: "4px 6px",
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: "transparent",
+    color: COLORS.text,
+    fontSize: 12,
+  };
+
+  return (
+    <div
+      style={{
+        border: `1px dashed ${borderColor}`,
+        borderRadius: 10,
+        padding: 10,
+        marginBottom: 10,
+        fontSize: 12,
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          gap: 10,
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <span style={{ color: COLORS.muted }}>Move</span>
+        {OPTIMIZER_FIELDS.map((f) => (
+          <label
+            key={f.id}
+            style={{ display: "flex", alignItems: "center", gap: 4 }}
+          >
+            <input
+              type="checkbox"
+              checked={fields.includes(f.id)}
+              onChange={(e) =>
+                setFields((prev) =>
+                  e.target.checked
+                    ? [...prev, f.id]
+                    : prev.filter((x) => x !== f.id)
+                )
+              }
+            />
+            {f.label}
+          </label>
+        ))}
+        <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          by up to ±
+          <input
+            type="number"
+            value={band}
+            min={1}
+            max={100}
+            aria-label="Optimizer range (% of price)"
+            onChange={(e) => setBand(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && run()}
+            style={{ ...control, width: 56 }}
+          />
+          % of price
+        </label>
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          gap: 6,
+          alignItems: "center",
+          marginTop: 8,
+        }}
+      >
+        <span style={{ color: COLORS.muted }}>{scopeLabel}</span>
+        <button
+          onClick={run}
+          disabled={!canRun}
+          style={{
+            ...control,
+            marginLeft: "auto",
+            cursor: canRun ? "pointer" : "default",
+            opacity: canRun ? 1 : 0.5,
+          }}
+        >
+          Maximize margin
+        </button>
+      </div>
+
+      {result && (
+        <div style={{ marginTop: 8, color: COLORS.text }}>
+          {result.improved ? (
+            <>
+              Optimized:{" "}
+              {OPTIMIZER_FIELDS.filter((f) => f.id in result.values)
+                .map((f) => `${f.label} ${f.fmt(result.values[f.id])}`)
+                .join(", ")}{" "}
+              → margin {fmtMoney(result.margin)} (was {fmtMoney(result.before)})
+            </>
+          ) : (
+            <>
+              Current inputs already give the best margin in this range (
+              {fmtMoney(result.margin)})
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- New entrant card -------------------- */
+
+const ENTRANT_NUMBER_FIELDS = [
+  { id: "price", label: "Price ($)" },
+  { id: "share", label: "Mature share of segment (%)" },
+  { id: "rampMonths", label: "Months to maturity" },
+  { id: "newToMarket", label: "New to market (%)" },
+];
+
+function EntrantCard(props) {
+  const {
+    COLORS,
+    entrant,
+    stats,
+    windowLabel,
+    launchOptions,
+    segments,
+    powertrains,
+    onChange,
+    onRemove,
+    colorForKey,
+    tint,
+  } = props;
+  const c = entrant.color;
+
+  // The name is a key elsewhere, so it commits on blur / Enter and a
+  // clash is reported instead of applied
+  const [name, setName] = React.useState(entrant.name);
+  const [error, setError] = React.useState(null);
+  const [showSources, setShowSources] = React.useState(false);
+  React.useEffect(() => setName(entrant.name), [entrant.name]);
+
+  function apply(patch) {
+    setError(onChange(patch));
+  }
+  function commitName() {
+    if (name.trim() === entrant.name) return;
+    const err = onChange({ name });
+    setError(err);
+    if (err) setName(entrant.name);
+  }
+
+  let sourceTotal = 0;
+  for (const s of segments) sourceTotal += entrant.sources[s] ?? 0;
+
+  const control = {
+    width: "100%",
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: `1px solid ${tint(c, 0.55)}`,
+    background: "transparent",
+    color: COLORS.text,
+    fontFamily: "inherit",
+    fontSize: 14,
+    boxSizing: "border-box",
+  };
+  const row = {
+    display: "grid",
+    gridTemplateColumns: "1fr 130px",
+    gap: 8,
+    alignItems: "center",
+    marginTop: 10,
+  };
+  const label = { fontSize: 12 };
+  const select = (field, options) => (
+    <select
+      value={entrant[field]}
+      onChange={(e) => apply({ [field]: e.target.value })}
+      style={control}
+    >
+      {options.map(([value, text]) => (
+        <option
+          key={value}
+          value={value}
+          style={{ background: COLORS.panel, color: COLORS.text }}
+        >
+          {text}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div
+      style={{
+        border: `1px dashed ${c}`,
+        borderRadius: 12,
+        padding: 12,
+        background: tint(c, 0.1),
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+          aria-label="New entrant name"
+          style={{
+            ...control,
+            border: "none",
+            padding: 0,
+            fontWeight: 700,
+            fontSize: 16,
+            flex: 1,
+          }}
+        />
+        <span style={{ fontSize: 11, color: COLORS.muted }}>new entrant</span>
+        <button
+          onClick={onRemove}
+          title="Remove this entrant from the scenario"
+          style={{
+            padding: "4px 8px",
+            borderRadius: 8,
+            border: `1px solid ${tint(c, 0.55)}`,
+            background: "transparent",
+            color: COLORS.text,
+            fontSize: 12,
+            cursor: "pointer",
+          }}
+        >
+          Remove
+        </button>
+      </div>
+      {error && (
+        <div style={{ color: COLORS.accent, fontSize: 12, marginTop: 4 }}>
+          {error}
+        </div>
+      )}
+
+      <div style={{ padding: 10, marginTop: 6 }}>
+        <div style={{ fontSize: 16 }}>Volume</div>
+        <div style={{ fontWeight: 800, fontSize: 24 }}>
+          {fmt(stats?.volume ?? 0, 0)}
+        </div>
+        <div style={{ color: COLORS.muted, fontSize: 12 }}>
+          {stats?.launched
+            ? windowLabel
+            : `Not launched by the end of ${windowLabel.toLowerCase()}`}
+        </div>
+        {stats && stats.volume >= 0.5 && (
+          <SourceOfVolume
+            COLORS={COLORS}
+            sources={stats.sources}
+            colorForKey={colorForKey}
+            ownLabel="Entrant volume"
+          />
+        )}
+      </div>
+
+      <div style={row}>
+        <div style={label}>Segment</div>
+        {select(
+          "segment",
+          segments.map((s) => [s, s])
+        )}
+      </div>
+      <div style={row}>
+        <div style={label}>Powertrain</div>
+        {select(
+          "powertrain",
+          powertrains.map((p) => [p, p])
+        )}
+      </div>
+      <div style={row}>
+        <div style={label}>Launch month</div>
+        {select(
+          "launchYM",
+          launchOptions.map((o) => [o.ym, o.label])
+        )}
+      </div>
+      <div style={row}>
+        <div style={label}>Ramp curve</div>
+        {select("ramp", Object.entries(ENTRANT_RAMPS))}
+      </div>
+      {ENTRANT_NUMBER_FIELDS.map((f) => (
+        <div key={f.id} style={row}>
+          <div style={label}>{f.label}</div>
+          <input
+            type="number"
+            min={ENTRANT_LIMITS[f.id][0]}
+            max={ENTRANT_LIMITS[f.id][1]}
+            value={entrant[f.id]}
+            onChange={(e) => apply({ [f.id]: e.target.value })}
+            style={control}
+          />
+        </div>
+      ))}
+
+      <button
+        onClick={() => setShowSources((v) => !v)}
+        aria-expanded={showSources}
+        style={{
+          marginTop: 10,
+          padding: 0,
+          border: "none",
+          background: "transparent",
+          color: COLORS.muted,
+          fontSize: 12,
+          cursor: "pointer",
+        }}
+      >
+        Source-of-volume weights {showSources ? "▴" : "▾"}
+      </button>
+      {showSources && (
+        <div style={{ display: "grid", gap: 4, marginTop: 6, fontSize: 12 }}>
+          {segments.map((s) => {
+            const w = entrant.sources[s] ?? 0;
+            return (
+              <label
+                key={s}
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "1fr 70px 44px",
+                  gap: 6,
+                  alignItems: "center",
+                }}
+              >
+                <span style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <span
+                    style={{
+                      width: 8,
+                      height: 8,
+                      borderRadius: 2,
+                      background: colorForKey(s),
+                    }}
+                  />
+                  {s}
+                </span>
+                <input
+                  type="number"
+                  min={0}
+                  value={w}
+                  onChange={(e) =>
+                    apply({
+                      sources: {
+                        ...entrant.sources,
+                        [s]: Math.max(0, toNumberSafe(e.target.value)),
+                      },
+                    })
+                  }
+                  style={{ ...control, fontSize: 12, padding: "3px 6px" }}
+                />
+                <span style={{ color: COLORS.muted, textAlign: "right" }}>
+                  {fmt(sourceTotal > 0 ? (w / sourceTotal) * 100 : 0, 0)}%
+                </span>
+              </label>
+            );
+          })}
+          <div style={{ color: COLORS.muted, fontSize: 11 }}>
+            Weights are relative. After the new-to-market share, the rest of the
+            entrant's volume is taken from these segments in proportion, and
+            within each from its powertrains by cross weight.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- Custom segment editor -------------------- */
+
+function CustomSegmentPanel(props) {
+  const {
+    COLORS,
+    style,
+    segments,
+    builtInKeys,
+    builtInBaselines,
+    colorForKey,
+    error,
+    onSave,
+    onDelete,
+  } = props;
+
+  const blank = () => ({
+    id: null,
+    name: "",
+    color: "#8B5CF6",
+    source: "members",
+    members: [],
+    baseline: Object.fromEntries(
+      Object.entries(aggregateBaseline(builtInKeys, builtInBaselines)).map(
+        ([k, v]) => [k, Math.round(v)]
+      )
+    ),
+  });
+  const [draft, setDraft] = React.useState(blank);
+  const patch = (p) => setDraft((d) => ({ ...d, ...p }));
+
+  const btn = {
+    padding: "4px 8px",
+    borderRadius: 8,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.muted,
+    cursor: "pointer",
+    fontSize: 12,
+  };
+  const text = {
+    padding: "5px 8px",
+    borderRadius: 8,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.text,
+    fontFamily: "inherit",
+    fontSize: 12,
+  };
+
+  function submit(e) {
+    e.preventDefault();
+    if (onSave(draft)) setDraft(blank());
+  }
+
+  function toggleMember(key) {
+    patch({
+      members: draft.members.includes(key)
+        ? draft.members.filter((k) => k !== key)
+        : [...draft.members, key],
+    });
+  }
+
+  return (
+    <div style={style}>
+      {segments.length > 0 && (
+        <div style={{ display: "grid", gap: 6, marginBottom: 10 }}>
+          {segments.map((seg) => (
+            <div
+              key={seg.id}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                fontSize: 12,
+                padding: "4px 0",
+                borderBottom: `1px solid ${COLORS.border}`,
+              }}
+            >
+              <span
+                style={{
+                  width: 10,
+                  height: 10,
+                  borderRadius: 3,
+                  background: seg.color,
+                }}
+              />
+              <span style={{ flex: 1 }}>
+                {seg.name}
+                <span style={{ color: COLORS.muted, marginLeft: 8 }}>
+                  {seg.source === "members"
+                    ? seg.members.join(" + ")
+                    : CUSTOM_SEGMENT_SOURCES.upload}
+                </span>
+              </span>
+              <button
+                onClick={() =>
+                  setDraft({
+                    ...blank(),
+                    ...seg,
+                    baseline: seg.baseline || blank().baseline,
+                  })
+                }
+                style={btn}
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => {
+                  if (window.confirm(`Delete custom segment "${seg.name}"?`)) {
+                    onDelete(seg.id);
+                    if (draft.id === seg.id) setDraft(blank());
+                  }
+                }}
+                style={btn}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={submit} style={{ display: "grid", gap: 8 }}>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <input
+            value={draft.name}
+            onChange={(e) => patch({ name: e.target.value })}
+            placeholder="e.g. Off-road midsize SUVs"
+            aria-label="Custom segment name"
+            style={{ ...text, minWidth: 220 }}
+          />
+          <input
+            type="color"
+            value={draft.color}
+            onChange={(e) => patch({ color: e.target.value })}
+            aria-label="Custom segment color"
+            style={{ width: 32, height: 26, padding: 0, border: "none" }}
+          />
+          <select
+            value={draft.source}
+            onChange={(e) => patch({ source: e.target.value })}
+            aria-label="Custom segment source"
+            style={text}
+          >
+            {Object.entries(CUSTOM_SEGMENT_SOURCES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {draft.source === "members" ? (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 10 }}>
+            {builtInKeys.map((key) => (
+              <label
+                key={key}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 4,
+                  fontSize: 12,
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={draft.members.includes(key)}
+                  onChange={() => toggleMember(key)}
+                />
+                <span
+                  style={{
+                    width: 8,
+                    height: 8,
+                    borderRadius: 2,
+                    background: colorForKey(key),
+                  }}
+                />
+                {key}
+              </label>
+            ))}
+          </div>
+        ) : (
+          <>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+              {BASELINE_FIELDS.map((f) => (
+                <label
+                  key={f.id}
+                  style={{ display: "grid", gap: 2, fontSize: 11 }}
+                >
+                  <span style={{ color: COLORS.muted }}>{f.label}</span>
+                  <input
+                    type="number"
+                    min={0}
+                    value={draft.baseline[f.id] ?? ""}
+                    onChange={(e) =>
+                      patch({
+                        baseline: { ...draft.baseline, [f.id]: e.target.value },
+                      })
+                    }
+                    style={{ ...text, width: 110 }}
+                  />
+                </label>
+              ))}
+            </div>
+            <div style={{ color: COLORS.muted, fontSize: 11 }}>
+              History file rows whose segment is this name fill its profile;
+              months without rows use the baseline above.
+            </div>
+          </>
+        )}
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <button type="submit" style={btn}>
+            {draft.id ? "Save changes" : "Add segment"}
+          </button>
+          {draft.id && (
+            <button type="button" onClick={() => setDraft(blank())} style={btn}>
+              Cancel
+            </button>
+          )}
+          {error && (
+            <span style={{ color: COLORS.accent, fontSize: 12 }}>{error}</span>
+          )}
+        </div>
+        <div style={{ color: COLORS.muted, fontSize: 11 }}>
+          Custom segments stay in this browser. They overlap the built-in
+          segments, so they are left out of cross-segment substitution.
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/* -------------------- Segment × powertrain grid -------------------- */
+
+// Heatmap of cell volumes for the card window; cells, segment rows and
+// powertrain columns toggle the selection. Margins hold the roll-ups.
+function MatrixGrid(props) {
+  const {
+    COLORS,
+    segments,
+    powertrains,
+    view,
+    selected,
+    onToggle,
+    onToggleGroup,
+    colorForKey,
+    tint,
+    windowLabel,
+  } = props;
+
+  let max = 0;
+  for (const t of Object.values(view.cells)) max = Math.max(max, t.sim);
+
+  const change = (t) =>
+    Math.abs(t.sim - t.base) >= 0.5 && t.base > 0
+      ? `${t.sim > t.base ? "+" : "−"}${fmt(
+          (Math.abs(t.sim - t.base) / t.base) * 100,
+          1
+        )}%`
+      : null;
+  const share = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+  const head = {
+    padding: "6px 8px",
+    fontSize: 12,
+    color: COLORS.muted,
+    background: "transparent",
+    border: "none",
+    cursor: "pointer",
+    textAlign: "left",
+    fontFamily: "inherit",
+  };
+  const total = {
+    padding: "6px 8px",
+    fontSize: 12,
+    textAlign: "right",
+    fontVariantNumeric: "tabular-nums",
+  };
+
+  function rollUp(t, title) {
+    const d = change(t);
+    return (
+      <div style={total} title={title}>
+        <div>{fmt(t?.sim ?? 0)}</div>
+        {d && <div style={{ color: COLORS.muted }}>{d}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginBottom: 20, overflowX: "auto" }}>
+      <div
+        role="grid"
+        aria-label="Segment by powertrain volume"
+        style={{
+          display: "grid",
+          gridTemplateColumns: `max-content repeat(${powertrains.length}, minmax(92px, 1fr)) max-content`,
+          gap: 4,
+          alignItems: "stretch",
+        }}
+      >
+        <div style={{ ...head, cursor: "default" }}>{windowLabel}</div>
+        {powertrains.map((pt) => (
+          <button
+            key={pt}
+            style={{ ...head, textAlign: "center" }}
+            onClick={() =>
+              onToggleGroup(segments.map((seg) => matrixKey(seg, pt)))
+            }
+            title={`Select every ${pt} cell`}
+          >
+            {pt}
+          </button>
+        ))}
+        <div style={{ ...head, cursor: "default", textAlign: "right" }}>
+          Segment total
+        </div>
+
+        {segments.map((seg) => {
+          const rowKeys = powertrains.map((pt) => matrixKey(seg, pt));
+          const row = view.bySegment[seg];
+          return (
+            <React.Fragment key={seg}>
+              <button
+                style={head}
+                onClick={() => onToggleGroup(rowKeys)}
+                title={`Select every ${seg} cell`}
+              >
+                {seg}
+              </button>
+              {rowKeys.map((key, j) => {
+                const t = view.cells[key];
+                const active = selected.includes(key);
+                const c = colorForKey(key);
+                const shareNow = share(t.sim, row?.sim);
+                const shareBase = share(t.base, row?.base);
+                const pp = shareNow - shareBase;
+                return (
+                  <button
+                    key={key}
+                    role="gridcell"
+                    aria-selected={active}
+                    aria-label={key}
+                    onClick={() => onToggle(key)}
+                    title={`${key}: ${fmt(
+                      shareNow,
+                      1
+                    )}% of ${seg} (baseline ${fmt(shareBase, 1)}%)`}
+                    style={{
+                      padding: "6px 8px",
+                      borderRadius: 8,
+                      border: `${active ? 2 : 1}px solid ${
+                        active ? c : COLORS.border
+                      }`,
+                      background: tint(
+                        c,
+                        max > 0 ? 0.08 + 0.5 * (t.sim / max) : 0.08
+                      ),
+                      color: COLORS.text,
+                      cursor: "pointer",
+                      fontSize: 12,
+                      textAlign: "right",
+                      fontFamily: "inherit",
+                      fontVariantNumeric: "tabular-nums",
+                    }}
+                  >
+                    <div style={{ fontWeight: active ? 700 : 400 }}>
+                      {fmt(t.sim)}
+                    </div>
+                    <div style={{ color: COLORS.muted }}>
+                      {fmt(shareNow, 1)}%
+                      {Math.abs(pp) >= 0.05 &&
+                        ` (${pp > 0 ? "+" : "−"}${fmt(Math.abs(pp), 1)}pp)`}
+                    </div>
+                  </button>
+                );
+              })}
+              {rollUp(row, `${seg}, all powertrains`)}
+            </React.Fragment>
+          );
+        })}
+
+        <div style={{ ...head, cursor: "default" }}>Powertrain total</div>
+        {powertrains.map((pt) => (
+          <React.Fragment key={pt}>
+            {rollUp(view.byPowertrain[pt], `${pt}, all segments`)}
+          </React.Fragment>
+        ))}
+        {rollUp(view.total, "All cells")}
+      </div>
+      <div style={{ color: COLORS.muted, fontSize: 11, marginTop: 6 }}>
+        Cells show volume and share of their segment. Click a cell to select it,
+        or a segment / powertrain heading for its whole row or column.
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Regional panel -------------------- */
+
+const REGION_METRICS = {
+  volume: "Simulated volume",
+  delta: "Change vs baseline",
+  deltaPct: "Change vs baseline (%)",
+};
+
+function RegionalPanel(props) {
+  const {
+    COLORS,
+    baseline,
+    simulated,
+    level,
+    onLevelChange,
+    metric,
+    onMetricChange,
+    scopeLabel,
+    picked,
+    onTogglePick,
+    onClearPicks,
+    scopes,
+    onScope,
+    tint,
+  } = props;
+  const [hover, setHover] = React.useState(null);
+
+  // Rows for the level shown; at region level every state takes its
+  // region's value on the map
+  const rows =
+    level === "regions"
+      ? (() => {
+          const b = regionTotals(baseline);
+          const s = regionTotals(simulated);
+          return CENSUS_REGIONS.map((r) => ({
+            id: r,
+            label: r,
+            baseline: b[r],
+            simulated: s[r],
+          }));
+        })()
+      : US_STATES.map((st) => ({
+          id: st.abbr,
+          label: st.name,
+          region: st.region,
+          baseline: baseline[st.abbr],
+          simulated: simulated[st.abbr],
+        }));
+  const valueOf = (row) => {
+    const d = row.simulated - row.baseline;
+    if (metric === "delta") return d;
+    if (metric === "deltaPct")
+      return row.baseline > 0 ? (d / row.baseline) * 100 : 0;
+    return row.simulated;
+  };
+  const byId = Object.fromEntries(rows.map((r) => [r.id, r]));
+  let maxAbs = 0;
+  for (const r of rows) maxAbs = Math.max(maxAbs, Math.abs(valueOf(r)));
+  const rowFor = (st) => byId[level === "regions" ? st.region : st.abbr];
+
+  const fillFor = (row) => {
+    if (!row || !(maxAbs > 0)) return COLORS.panel;
+    const v = valueOf(row);
+    const t = Math.abs(v) / maxAbs;
+    if (metric === "volume") return tint(COLORS.accent2, 0.12 + 0.78 * t);
+    if (Math.abs(v) < 1e-9) return COLORS.panel;
+    return tint(v > 0 ? "#10B981" : COLORS.accent, 0.12 + 0.78 * t);
+  };
+  const show = (row) => {
+    const v = valueOf(row);
+    if (metric === "deltaPct") return `${v >= 0 ? "+" : ""}${fmt(v, 1)}%`;
+    if (metric === "delta") return `${v >= 0 ? "+" : ""}${fmt(v)}`;
+    return fmt(v);
+  };
+
+  const smallBtn = {
+    padding: "4px 8px",
+    borderRadius: 8,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.muted,
+    cursor: "pointer",
+    fontSize: 12,
+  };
+  const control = {
+    padding: "4px 6px",
+    borderRadius: 6,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.text,
+    fontFamily: "inherit",
+    fontSize: 12,
+  };
+  const cell = {
+    padding: "4px 8px",
+    borderBottom: `1px solid ${COLORS.border}`,
+    fontSize: 12,
+    textAlign: "right",
+  };
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          alignItems: "center",
+          flexWrap: "wrap",
+          marginBottom: 8,
+          fontSize: 12,
+        }}
+      >
+        <select
+          aria-label="Regional level"
+          value={level}
+          onChange={(e) => onLevelChange(e.target.value)}
+          style={control}
+        >
+          <option value="states">States</option>
+          <option value="regions">Census regions</option>
+        </select>
+        <select
+          aria-label="Regional metric"
+          value={metric}
+          onChange={(e) => onMetricChange(e.target.value)}
+          style={control}
+        >
+          {Object.entries(REGION_METRICS).map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <span style={{ color: COLORS.muted }}>
+          {scopeLabel} · selected keys and entrants · click states on the map or
+          in the table to pick them
+        </span>
+      </div>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "minmax(0, 3fr) minmax(0, 2fr)",
+          gap: 12,
+        }}
+      >
+        <div style={{ position: "relative", height: 340 }}>
+          <ComposableMap
+            projection="geoAlbersUsa"
+            style={{ width: "100%", height: "100%" }}
+          >
+            <Geographies geography={US_TOPO}>
+              {({ geographies }) =>
+                geographies.map((geo) => {
+                  const st = stateInfo(geo.properties.name);
+                  if (!st) return null;
+                  const row = rowFor(st);
+                  const isPicked = picked.includes(st.abbr);
+                  const fill = fillFor(row);
+                  const stroke = isPicked ? COLORS.text : COLORS.border;
+                  return (
+                    <Geography
+                      key={geo.rsmKey}
+                      geography={geo}
+                      onClick={() => onTogglePick(st.abbr)}
+                      onMouseEnter={() => setHover({ st, row })}
+                      onMouseLeave={() => setHover(null)}
+                      style={{
+                        default: {
+                          fill,
+                          stroke,
+                          strokeWidth: isPicked ? 2 : 0.75,
+                          outline: "none",
+                        },
+                        hover: {
+                          fill,
+                          stroke: COLORS.text,
+                          strokeWidth: 1.5,
+                          outline: "none",
+                          cursor: "pointer",
+                        },
+                        pressed: { fill, stroke, outline: "none" },
+                      }}
+                    />
+                  );
+                })
+              }
+            </Geographies>
+          </ComposableMap>
+          {hover && (
+            <div
+              style={{
+                position: "absolute",
+                left: 8,
+                bottom: 8,
+                padding: "4px 8px",
+                borderRadius: 6,
+                background: COLORS.panel,
+                border: `1px solid ${COLORS.border}`,
+                fontSize: 12,
+              }}
+            >
+              {hover.st.name} · {hover.st.region}
+              {hover.row && ` — ${show(hover.row)}`}
+            </div>
+          )}
+        </div>
+
+        <div style={{ maxHeight: 340, overflowY: "auto" }}>
+          <table style={{ borderCollapse: "collapse", width: "100%" }}>
+            <thead>
+              <tr>
+                <th style={{ ...cell, textAlign: "left", color: COLORS.muted }}>
+                  {level === "regions" ? "Region" : "State"}
+                </th>
+                <th style={{ ...cell, color: COLORS.muted }}>Baseline</th>
+                <th style={{ ...cell, color: COLORS.muted }}>Simulated</th>
+                <th style={{ ...cell, color: COLORS.muted }}>
+                  {REGION_METRICS[metric === "volume" ? "delta" : metric]}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...rows]
+                .sort((a, b) => valueOf(b) - valueOf(a))
+                .map((r) => (
+                  <tr
+                    key={r.id}
+                    // States can be picked from the table as well as the map
+                    onClick={
+                      level === "states" ? () => onTogglePick(r.id) : null
+                    }
+                    aria-selected={
+                      level === "states" ? picked.includes(r.id) : undefined
+                    }
+                    style={{
+                      cursor: level === "states" ? "pointer" : "default",
+                      background: picked.includes(r.id)
+                        ? tint(COLORS.accent2, 0.15)
+                        : "transparent",
+                    }}
+                  >
+                    <td style={{ ...cell, textAlign: "left" }}>{r.label}</td>
+                    <td style={cell}>{fmt(r.baseline)}</td>
+                    <td style={cell}>{fmt(r.simulated)}</td>
+                    <td style={cell}>
+                      {metric === "deltaPct"
+                        ? show(r)
+                        : `${r.simulated >= r.baseline ? "+" : ""}${fmt(
+                            r.simulated - r.baseline
+                          )}`}
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          alignItems: "center",
+          flexWrap: "wrap",
+          margin: "12px 0 6px",
+          fontSize: 12,
+        }}
+      >
+        <span style={{ fontWeight: 700, fontSize: 14 }}>Edit scope</span>
+        <span style={{ color: COLORS.muted }}>
+          Picked states: {picked.length ? statesLabel(picked, 8) : "none"}
+        </span>
+        {picked.length > 0 && (
+          <button onClick={onClearPicks} style={smallBtn}>
+            Clear picks
+          </button>
+        )}
+      </div>
+      {scopes.map((sc) => (
+        <EditScopeRow
+          key={sc.key}
+          COLORS={COLORS}
+          scope={sc}
+          picked={picked}
+          onScope={(field, states) => onScope(sc.key, field, states)}
+          buttonStyle={smallBtn}
+        />
+      ))}
+    </div>
+  );
+}
+
+// One card's state limits: a driver to limit to the picked states, and
+// the drivers already limited
+function EditScopeRow({ COLORS, scope, picked, onScope, buttonStyle }) {
+  const [field, setField] = React.useState("incentives");
+  const limited = scope.fields.filter((f) => f.states.length);
+  return (
+    <div style={{ marginBottom: 6, fontSize: 12 }}>
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <span
+          aria-hidden="true"
+          style={{
+            display: "inline-block",
+            width: 8,
+            height: 8,
+            borderRadius: 999,
+            background: scope.color,
+          }}
+        />
+        <span style={{ minWidth: 120 }}>{scope.key}</span>
+        <span style={{ color: COLORS.muted, flex: 1 }}>
+          {limited.length ? "" : "Edits apply nationwide"}
+        </span>
+        <select
+          value={field}
+          onChange={(e) => setField(e.target.value)}
+          aria-label={`Driver to limit for ${scope.key}`}
+          style={{ ...buttonStyle, color: COLORS.text }}
+        >
+          {scope.fields.map((f) => (
+            <option key={f.field} value={f.field}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => onScope(field, picked)}
+          disabled={!picked.length}
+          title="Limit this card's edits of the driver to the picked states"
+          style={{ ...buttonStyle, opacity: picked.length ? 1 : 0.5 }}
+        >
+          Limit to picked
+        </button>
+      </div>
+      {limited.map((f) => (
+        <div
+          key={f.field}
+          style={{
+            display: "flex",
+            gap: 8,
+            alignItems: "center",
+            margin: "4px 0 0 16px",
+          }}
+        >
+          <span style={{ color: COLORS.muted, flex: 1 }}>
+            {`${f.label[0].toUpperCase()}${f.label.slice(
+              1
+            )} edits in ${statesLabel(f.states, 6)} (${fmt(
+              f.share * 100,
+              1
+            )}% of its volume)`}
+          </span>
+          <button onClick={() => onScope(f.field, null)} style={buttonStyle}>
+            Nationwide
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* -------------------- Macro panel -------------------- */
+
+function MacroPanel(props) {
+  const {
+    COLORS,
+    base,
+    shifted,
+    monthTicks,
+    rangeStartIdx,
+    rangeEndIdx,
+    selectedMonthIdx,
+    shifts,
+    shiftMonths,
+    onAddShift,
+    onChangeShift,
+    onRemoveShift,
+    onLoadFile,
+    onUseBuiltin,
+    issues,
+    error,
+  } = props;
+
+  const fileRef = React.useRef(null);
+
+  const smallBtn = {
+    padding: "6px 10px",
+    borderRadius: 8,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.muted,
+    cursor: "pointer",
+    fontSize: 12,
+  };
+  const cell = {
+    padding: "6px 8px",
+    borderBottom: `1px solid ${COLORS.border}`,
+    fontSize: 12,
+    textAlign: "right",
+  };
+  const control = {
+    padding: "4px 6px",
+    borderRadius: 6,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.text,
+    fontFamily: "inherit",
+    fontSize: 12,
+  };
+
+  // Values at the selected month, or averaged over the range
+  const [from, to] =
+    selectedMonthIdx != null
+      ? [selectedMonthIdx, selectedMonthIdx]
+      : [rangeStartIdx, rangeEndIdx];
+  const avg = (arr) => {
+    let sum = 0;
+    for (let i = from; i <= to; i++) sum += arr[i];
+    return sum / (to - from + 1);
+  };
+  const scopeLabel =
+    selectedMonthIdx != null
+      ? ymToLabel(monthTicks[selectedMonthIdx])
+      : `${ymToLabel(monthTicks[rangeStartIdx])} – ${ymToLabel(
+          monthTicks[rangeEndIdx]
+        )} avg`;
+
+  function sparkline(d) {
+    const W = 140;
+    const H = 28;
+    const b = base[d.id].slice(rangeStartIdx, rangeEndIdx + 1);
+    const s = shifted[d.id].slice(rangeStartIdx, rangeEndIdx + 1);
+    const lo = Math.min(...b, ...s);
+    const hi = Math.max(...b, ...s);
+    const pts = (arr) =>
+      arr
+        .map((v, i) => {
+          const x = arr.length > 1 ? (i / (arr.length - 1)) * W : W / 2;
+          const y = hi > lo ? H - 2 - ((v - lo) / (hi - lo)) * (H - 4) : H / 2;
+          return `${x.toFixed(1)},${y.toFixed(1)}`;
+        })
+        .join(" ");
+    return (
+      <svg width={W} height={H} aria-hidden="true">
+        {shifted[d.id] !== base[d.id] && (
+          <polyline
+            points={pts(b)}
+            fill="none"
+            stroke={COLORS.muted}
+            strokeDasharray="3 3"
+            strokeWidth={1}
+          />
+        )}
+        <polyline
+          points={pts(s)}
+          fill="none"
+          stroke={COLORS.text}
+          strokeWidth={1.5}
+        />
+      </svg>
+    );
+  }
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          alignItems: "center",
+          flexWrap: "wrap",
+          marginBottom: 10,
+        }}
+      >
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".csv,.xlsx,.xls"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            onLoadFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+        <button onClick={() => fileRef.current?.click()} style={smallBtn}>
+          Load macro series…
+        </button>
+        {onUseBuiltin && (
+          <button onClick={onUseBuiltin} style={smallBtn}>
+            Use built-in outlook
+          </button>
+        )}
+        <span style={{ color: COLORS.muted, fontSize: 12 }}>
+          One row per month: month | apr | fuel | electricity | ev credit
+        </span>
+        {error && (
+          <span style={{ color: COLORS.accent, fontSize: 12 }}>{error}</span>
+        )}
+      </div>
+
+      {issues?.length > 0 && (
+        <div style={{ fontSize: 12, marginBottom: 10, color: COLORS.muted }}>
+          {issues.map((it, i) => (
+            <div key={`mi-${i}`}>{it.message}</div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", width: "100%" }}>
+          <thead>
+            <tr>
+              <th style={{ ...cell, textAlign: "left", color: COLORS.muted }}>
+                Driver
+              </th>
+              <th style={{ ...cell, color: COLORS.muted }}>
+                Base · {scopeLabel}
+              </th>
+              <th style={{ ...cell, color: COLORS.muted }}>Scenario</th>
+              <th style={{ ...cell, color: COLORS.muted }}>Range</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MACRO_DRIVERS.map((d) => {
+              const b = avg(base[d.id]);
+              const s = avg(shifted[d.id]);
+              const moved = Math.abs(s - b) > 1e-9;
+              return (
+                <tr key={d.id}>
+                  <td style={{ ...cell, textAlign: "left" }}>{d.label}</td>
+                  <td style={cell}>{formatMacroValue(d, b)}</td>
+                  <td
+                    style={{
+                      ...cell,
+                      fontWeight: moved ? 700 : 400,
+                      color: moved ? COLORS.text : COLORS.muted,
+                    }}
+                  >
+                    {moved ? formatMacroValue(d, s) : "—"}
+                  </td>
+                  <td style={cell}>{sparkline(d)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ fontWeight: 700, fontSize: 14, margin: "14px 0 6px" }}>
+        Scenario shifts
+      </div>
+      {shifts.length === 0 && (
+        <div style={{ color: COLORS.muted, fontSize: 12, marginBottom: 8 }}>
+          No shifts: every key follows the base path. A shift moves volume
+          through each key's macro coefficients (Model coefficients).
+        </div>
+      )}
+      {shifts.map((s) => {
+        const d = MACRO_DRIVERS.find((x) => x.id === s.driver);
+        return (
+          <div
+            key={s.id}
+            style={{
+              display: "flex",
+              gap: 6,
+              alignItems: "center",
+              flexWrap: "wrap",
+              marginBottom: 6,
+              fontSize: 12,
+            }}
+          >
+            <select
+              aria-label="Macro driver"
+              value={s.driver}
+              onChange={(e) => onChangeShift(s.id, { driver: e.target.value })}
+              style={control}
+            >
+              {MACRO_DRIVERS.map((x) => (
+                <option key={x.id} value={x.id}>
+                  {x.label}
+                </option>
+              ))}
+            </select>
+            <select
+              aria-label="Macro shift kind"
+              value={s.kind}
+              onChange={(e) => onChangeShift(s.id, { kind: e.target.value })}
+              style={control}
+            >
+              {Object.entries(MACRO_SHIFT_KINDS).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              aria-label="Macro shift value"
+              value={s.value}
+              onChange={(e) => onChangeShift(s.id, { value: e.target.value })}
+              style={{ ...control, width: 90 }}
+            />
+            <span style={{ color: COLORS.muted }}>
+              {s.kind === "add" ? d?.shiftUnit || d?.unit : d?.unit}
+            </span>
+            <span style={{ color: COLORS.muted }}>from</span>
+            <select
+              aria-label="Macro shift start"
+              value={s.fromYM}
+              onChange={(e) => onChangeShift(s.id, { fromYM: e.target.value })}
+              style={control}
+            >
+              {shiftMonths.map((o) => (
+                <option key={o.ym} value={o.ym}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <span style={{ color: COLORS.muted }}>to</span>
+            <select
+              aria-label="Macro shift end"
+              value={s.toYM ?? ""}
+              onChange={(e) =>
+                onChangeShift(s.id, { toYM: e.target.value || null })
+              }
+              style={control}
+            >
+              <option value="">End of horizon</option>
+              {shiftMonths
+                .filter((o) => o.ym >= s.fromYM)
+                .map((o) => (
+                  <option key={o.ym} value={o.ym}>
+                    {o.label}
+                  </option>
+                ))}
+            </select>
+            <button
+              onClick={() => onRemoveShift(s.id)}
+              title="Remove shift"
+              style={{ ...smallBtn, padding: "4px 8px" }}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+      <button onClick={onAddShift} style={smallBtn}>
+        + Add shift
+      </button>
+    </div>
+  );
+}
+
+/* -------------------- Coefficient panel -------------------- */
+
+function CoefficientPanel(props) {
+  const {
+    COLORS,
+    keys,
+    selectedKeys,
+    calibratedFor,
+    coeffEdits,
+    onChange,
+    onReset,
+    onLoadFile,
+    onUseBuiltin,
+    issues,
+    error,
+    colorForKey,
+  } = props;
+
+  const fileRef = React.useRef(null);
+
+  const smallBtn = {
+    padding: "6px 10px",
+    borderRadius: 8,
+    border: `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.muted,
+    cursor: "pointer",
+    fontSize: 12,
+  };
+  const cell = {
+    padding: "6px 8px",
+    borderBottom: `1px solid ${COLORS.border}`,
+    fontSize: 12,
+    textAlign: "right",
+  };
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          alignItems: "center",
+          flexWrap: "wrap",
+          marginBottom: 10,
+        }}
+      >
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".csv,.xlsx,.xls,.json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            onLoadFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+        <button onClick={() => fileRef.current?.click()} style={smallBtn}>
+          Load coefficients…
+        </button>
+        {onUseBuiltin && (
+          <button onClick={onUseBuiltin} style={smallBtn}>
+            Use built-in defaults
+          </button>
+        )}
+        {Object.keys(coeffEdits).length > 0 && (
+          <button onClick={() => onReset(null)} style={smallBtn}>
+            Reset all to calibrated
+          </button>
+        )}
+        {error && (
+          <span style={{ color: COLORS.accent, fontSize: 12 }}>{error}</span>
+        )}
+      </div>
+
+      {issues?.length > 0 && (
+        <div style={{ fontSize: 12, marginBottom: 10, color: COLORS.muted }}>
+          {issues.map((it, i) => (
+            <div key={`ci-${i}`}>{it.message}</div>
+          ))}
         </div>
+      )}
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", width: "100%" }}>
+          <thead>
+            <tr>
+              <th style={{ ...cell, textAlign: "left", color: COLORS.muted }}>
+                Key
+              </th>
+              {COEFF_FIELDS.map((f) => (
+                <th key={f.id} style={{ ...cell, color: COLORS.muted }}>
+                  {f.label}
+                </th>
+              ))}
+              <th style={cell} />
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map((key) => {
+              const calibrated = calibratedFor(key);
+              const edited = coeffEdits[key] || {};
+              const isSelected = selectedKeys.includes(key);
+              return (
+                <tr key={key} style={{ opacity: isSelected ? 1 : 0.6 }}>
+                  <td style={{ ...cell, textAlign: "left" }}>
+                    <span
+                      aria-hidden="true"
+                      style={{
+                        display: "inline-block",
+                        width: 8,
+                        height: 8,
+                        borderRadius: 999,
+                        background: colorForKey(key),
+                        marginRight: 6,
+                      }}
+                    />
+                    {key}
+                  </td>
+                  {COEFF_FIELDS.map((f) => {
+                    const isEdited = edited[f.id] != null;
+                    return (
+                      <td key={f.id} style={cell}>
+                        <input
+                          type="number"
+                          step={f.step}
+                          value={isEdited ? edited[f.id] : calibrated[f.id]}
+                          onChange={(e) => onChange(key, f.id, e.target.value)}
+                          title={
+                            isEdited
+                              ? `Edited · calibrated value ${calibrated[f.id]}`
+                              : "Calibrated value"
+                          }
+                          style={{
+                            width: 80,
+                            padding: "4px 6px",
+                            borderRadius: 6,
+                            border: isEdited
+                              ? `1px dashed ${COLORS.accent}`
+                              : `1px solid ${COLORS.border}`,
+                            background: "transparent",
+                            color: COLORS.text,
+                            fontFamily: "inherit",
+                            fontSize: 12,
+                            textAlign: "right",
+                          }}
+                        />
+                      </td>
+                    );
+                  })}
+                  <td style={cell}>
+                    {coeffEdits[key] && (
+                      <button
+                        onClick={() => onReset(key)}
+                        style={{ ...smallBtn, padding: "2px 8px" }}
+                      >
+                        Reset
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
       </div>
+    </div>
+  );
+}
 
-      {/* Signature */}
+/* -------------------- Substitution panel -------------------- */
+
+function SubstitutionPanel(props) {
+  const {
+    COLORS,
+    keys,
+    weights,
+    weightEdits,
+    expansion,
+    builtinExpansion,
+    enabled,
+    onWeightChange,
+    onExpansionChange,
+    onReset,
+  } = props;
+
+  const isEdited =
+    Object.keys(weightEdits).length > 0 ||
+    Math.abs(expansion - builtinExpansion) > 1e-9;
+
+  const cell = {
+    padding: "4px 6px",
+    borderBottom: `1px solid ${COLORS.border}`,
+    fontSize: 12,
+    textAlign: "right",
+  };
+  const numberInput = (edited) => ({
+    width: 56,
+    padding: "3px 5px",
+    borderRadius: 6,
+    border: edited
+      ? `1px dashed ${COLORS.accent}`
+      : `1px solid ${COLORS.border}`,
+    background: "transparent",
+    color: COLORS.text,
+    fontFamily: "inherit",
+    fontSize: 12,
+    textAlign: "right",
+  });
+
+  return (
+    <div
+      style={{
+        marginTop: 18,
+        paddingTop: 12,
+        borderTop: `1px dashed ${COLORS.border}`,
+        opacity: enabled ? 1 : 0.6,
+      }}
+    >
       <div
         style={{
           display: "flex",
-          justifyContent: "flex-end",
-          marginTop: 8,
-          paddingRight: 10,
+          gap: 10,
+          alignItems: "center",
+          flexWrap: "wrap",
+          marginBottom: 10,
         }}
       >
-        <img
-          src={sigSrc}
-          alt="Scout Almanac Pro signature"
-          style={{ width: 50, height: "auto", opacity: 0.9 }}
+        <div style={{ fontWeight: 700 }}>Substitution between keys</div>
+        <span style={{ color: COLORS.muted, fontSize: 12 }}>
+          New-to-market share
+        </span>
+        <input
+          type="number"
+          step={0.05}
+          min={0}
+          max={1}
+          value={expansion}
+          onChange={(e) =>
+            onExpansionChange(clamp(toNumberSafe(e.target.value), 0, 1))
+          }
+          title="Share of each card's own change that is new to the market; the rest moves between keys"
+          style={numberInput(Math.abs(expansion - builtinExpansion) > 1e-9)}
         />
+        {isEdited && (
+          <button
+            onClick={onReset}
+            style={{
+              padding: "4px 8px",
+              borderRadius: 8,
+              border: `1px solid ${COLORS.border}`,
+              background: "transparent",
+              color: COLORS.muted,
+              cursor: "pointer",
+              fontSize: 12,
+            }}
+          >
+            Reset matrix
+          </button>
+        )}
+        {!enabled && (
+          <span style={{ color: COLORS.muted, fontSize: 12 }}>
+            (cross effects are off)
+          </span>
+        )}
+      </div>
+
+      <div style={{ color: COLORS.muted, fontSize: 12, marginBottom: 6 }}>
+        Cross-elasticity weights: row key gains from column key (0 = no
+        substitution). Draws are also proportional to each source's volume.
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={cell} />
+              {keys.map((k) => (
+                <th key={k} style={{ ...cell, color: COLORS.muted }}>
+                  {k}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map((gainer) => (
+              <tr key={gainer}>
+                <td style={{ ...cell, textAlign: "left" }}>{gainer}</td>
+                {keys.map((source) => (
+                  <td key={source} style={cell}>
+                    {gainer === source ? (
+                      <span style={{ color: COLORS.muted }}>—</span>
+                    ) : (
+                      <input
+                        type="number"
+                        step={0.05}
+                        min={0}
+                        value={weights[gainer][source]}
+                        onChange={(e) =>
+                          onWeightChange(gainer, source, e.target.value)
+                        }
+                        style={numberInput(
+                          weightEdits[gainer]?.[source] != null
+                        )}
+                      />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Source of volume -------------------- */
+
+/* -------------------- Volume bands -------------------- */
+
+function VolumeBands({ COLORS, bands, draws }) {
+  const style = { color: COLORS.muted, fontSize: 12, marginTop: 2 };
+  if (!bands) return <div style={style}>Sampling {draws} draws…</div>;
+  return (
+    <div
+      style={{ ...style, fontVariantNumeric: "tabular-nums" }}
+      title={`Percentiles over ${draws} coefficient draws`}
+    >
+      P10 {fmt(bands.p10, 0)} · P50 {fmt(bands.p50, 0)} · P90{" "}
+      {fmt(bands.p90, 0)}
+    </div>
+  );
+}
+
+function SourceOfVolume({
+  COLORS,
+  sources,
+  colorForKey,
+  ownLabel = "Own response",
+}) {
+  const flows = Object.entries(sources.byKey)
+    .filter(([, v]) => Math.abs(v) >= 0.5)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+  const hasMarket = Math.abs(sources.market) >= 0.5;
+  if (!flows.length && !hasMarket) return null;
+
+  const signed = (v) => `${v > 0 ? "+" : "−"}${fmt(Math.abs(v), 0)}`;
+  const line = {
+    display: "flex",
+    justifyContent: "space-between",
+    gap: 8,
+    fontSize: 12,
+    marginTop: 2,
+  };
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div style={{ color: COLORS.muted, fontSize: 12, marginBottom: 2 }}>
+        Source of volume
       </div>
+      {Math.abs(sources.own) >= 0.5 && (
+        <div style={line}>
+          <span>{ownLabel}</span>
+          <span style={{ fontVariantNumeric: "tabular-nums" }}>
+            {signed(sources.own)}
+          </span>
+        </div>
+      )}
+      {hasMarket && (
+        <div style={{ ...line, paddingLeft: 10 }}>
+          <span style={{ color: COLORS.muted }}>New to market</span>
+          <span style={{ fontVariantNumeric: "tabular-nums" }}>
+            {signed(sources.market)}
+          </span>
+        </div>
+      )}
+      {flows.map(([k, v]) => (
+        <div key={k} style={{ ...line, paddingLeft: 10 }}>
+          <span style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <span
+              aria-hidden="true"
+              style={{
+                width: 8,
+                height: 8,
+                borderRadius: 999,
+                background: colorForKey(k),
+              }}
+            />
+            <span style={{ color: COLORS.muted }}>
+              {v > 0 ? "from" : "to"} {k}
+            </span>
+          </span>
+          <span style={{ fontVariantNumeric: "tabular-nums" }}>
+            {signed(v)}
+          </span>
+        </div>
+      ))}
     </div>
   );
 }
 
 /* -------------------- Generic Line Chart -------------------- */
 
+// Volume lines, or with `stacked` the keys' mix as a 100% stacked area
+// chart (same props; bands, baselines and the brush are volume-only)
 function LineChartGeneric(props) {
+  return props.stacked ? (
+    <StackedShareChart {...props} />
+  ) : (
+    <VolumeLineChart {...props} />
+  );
+}
+
+function StackedShareChart(props) {
+  const {
+    COLORS,
+    monthTicks,
+    formatTick = ymToLabel,
+    seriesByKey,
+    selectedKeys,
+    selectedIndex,
+    onSelectIndex,
+    rangeStart,
+    rangeEnd,
+    futureCutoffIdx,
+    colorForKey,
+  } = props;
+  const rs = Math.max(0, rangeStart ?? 0);
+  const re = Math.min(rangeEnd ?? monthTicks.length - 1, monthTicks.length - 1);
+  const keys = selectedKeys.filter((k) => seriesByKey[k]);
+  const rows = stackedShareRows(seriesByKey, keys).filter(
+    (r) => r.i >= rs && r.i <= re
+  );
+  const label = (i) => (monthTicks[i] == null ? "" : formatTick(monthTicks[i]));
+
+  return (
+    <div
+      role="img"
+      aria-label="Share of the selected keys by month"
+      style={{ width: "100%", height: 300 }}
+    >
+      <ResponsiveContainer width="100%" height="100%">
+        <AreaChart
+          data={rows}
+          margin={{ top: 18, right: 24, left: 0, bottom: 8 }}
+          onClick={(e) => {
+            if (e?.activeLabel != null) onSelectIndex?.(Number(e.activeLabel));
+          }}
+        >
+          <CartesianGrid stroke={COLORS.border} strokeDasharray="4 6" />
+          <XAxis
+            dataKey="i"
+            tickFormatter={label}
+            stroke={COLORS.muted}
+            fontSize={12}
+          />
+          <YAxis
+            domain={[0, 100]}
+            ticks={[0, 25, 50, 75, 100]}
+            tickFormatter={(v) => `${v}%`}
+            stroke={COLORS.muted}
+            fontSize={12}
+          />
+          <Tooltip
+            labelFormatter={label}
+            formatter={(v, key) => [`${fmt(v, 1)}%`, key]}
+            contentStyle={{
+              background: COLORS.panel,
+              border: `1px solid ${COLORS.border}`,
+              fontSize: 12,
+            }}
+          />
+          <Legend wrapperStyle={{ fontSize: 12 }} />
+          {keys.map((k) => (
+            <Area
+              key={k}
+              type="monotone"
+              dataKey={k}
+              stackId="share"
+              stroke={colorForKey(k)}
+              fill={colorForKey(k)}
+              fillOpacity={0.55}
+              isAnimationActive={false}
+            />
+          ))}
+          {futureCutoffIdx != null && futureCutoffIdx < re && (
+            <ReferenceLine
+              x={Math.max(rs, futureCutoffIdx)}
+              stroke={COLORS.muted}
+              strokeDasharray="4 4"
+              label={{
+                value: "Forecast →",
+                position: "insideTopRight",
+                fill: COLORS.muted,
+                fontSize: 11,
+              }}
+            />
+          )}
+          {selectedIndex != null && (
+            <ReferenceLine x={selectedIndex} stroke={COLORS.text} />
+          )}
+        </AreaChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function VolumeLineChart(props) {
   const {
     COLORS,
     monthTicks,
+    formatTick = ymToLabel, // tick → axis / tooltip label
     seriesByKey,
+    baselineByKey = {},
+    uncertaintyByKey = {},
     selectedKeys,
     selectedIndex,
     onSelectIndex,
     rangeStart,
     rangeEnd,
+    maxIndex = monthTicks.length - 1, // last month the range may reach
+    onRangeChange, // (start, end); without it there is no brush/zoom/navigator
     futureCutoffIdx,
     showFutureAsDashed,
     colorForKey,
     isDarkPanel,
+    markers = [], // [{ i, label, color }], e.g. entrant launches
   } = props;
 
   const svgRef = React.useRef(null);
+  const navRef = React.useRef(null);
   const [hoverI, setHoverI] = React.useState(null);
   const [hoverXsvg, setHoverXsvg] = React.useState(null);
   const [hoverLeftCss, setHoverLeftCss] = React.useState(null);
+  // Drag-to-select: month the drag started on, and the brushed [a, b]
+  const dragFromRef = React.useRef(null);
+  const brushedRef = React.useRef(false);
+  const [brush, setBrush] = React.useState(null);
 
   const w = 1080;
   const h = 300;
@@ -1279,8 +7659,10 @@ function LineChartGeneric(props) {
   const globalMax = Math.max(
     1,
     ...Object.values(seriesByKey)
+      .concat(Object.values(baselineByKey))
+      .concat(Object.values(uncertaintyByKey).map((b) => Object.values(b)))
       .flat()
-      .map((d) => d.v)
+      .map((d) => d.hi ?? d.v ?? 0)
   );
 
   const mapX = (i) => padL + ((i - rs) / Math.max(1, xMax)) * (w - padL - padR);
@@ -1306,6 +7688,14 @@ function LineChartGeneric(props) {
     return pt.matrixTransform(ctm.inverse());
   }
 
+  // Month under the pointer, or null off the chart
+  function indexAt(evt) {
+    const p = clientToSvg(evt);
+    if (!p) return null;
+    const xSvg = Math.max(padL, Math.min(w - padR, p.x));
+    return Math.round(rs + ((xSvg - padL) / (w - padL - padR)) * xMax);
+  }
+
   function handleMove(e) {
     const p = clientToSvg(e);
     if (!p) return;
@@ -1318,30 +7708,143 @@ function LineChartGeneric(props) {
     setHoverI(i >= rs && i <= re ? i : null);
     setHoverXsvg(i >= rs && i <= re ? xSvg : null);
     setHoverLeftCss(leftCss);
+    if (dragFromRef.current != null && i !== dragFromRef.current) {
+      setBrush([dragFromRef.current, i]);
+    }
   }
 
   function handleLeave() {
     setHoverI(null);
     setHoverXsvg(null);
     setHoverLeftCss(null);
+    dragFromRef.current = null;
+    setBrush(null);
+  }
+
+  function handleDown(e) {
+    if (!onRangeChange || e.button !== 0) return;
+    const i = indexAt(e);
+    if (i == null) return;
+    e.preventDefault(); // no text selection while brushing
+    svgRef.current.focus({ preventScroll: true }); // arrows work after a click
+    dragFromRef.current = i;
+    setBrush(null);
+  }
+
+  function handleUp() {
+    if (dragFromRef.current == null) return;
+    dragFromRef.current = null;
+    if (brush) {
+      // The click that follows a brush must not also pick a month
+      brushedRef.current = true;
+      onRangeChange(...normalizeRange(brush[0], brush[1], maxIndex));
+    }
+    setBrush(null);
   }
 
   function handleClick() {
+    if (brushedRef.current) {
+      brushedRef.current = false;
+      return;
+    }
     if (hoverI != null && onSelectIndex) onSelectIndex(hoverI);
   }
 
+  function handleKeyDown(e) {
+    if (!onSelectIndex) return;
+    const step = e.shiftKey ? 12 : 1;
+    let next = null;
+    if (e.key === "ArrowLeft") next = stepIndex(selectedIndex, -step, [rs, re]);
+    else if (e.key === "ArrowRight") {
+      next = stepIndex(selectedIndex, step, [rs, re]);
+    } else if (e.key === "Home") next = rs;
+    else if (e.key === "End") next = re;
+    if (next == null) return;
+    e.preventDefault();
+    onSelectIndex(next);
+  }
+
+  // Wheel / trackpad pinch zooms around the pointer, sideways scroll pans,
+  // two-finger touch pinches. React's wheel and touch listeners are passive
+  // and cannot stop the page from scrolling, so these are attached by hand
+  // and read the latest render through a ref.
+  const gestureRef = React.useRef(null);
+  gestureRef.current = { rs, re, xMax, maxIndex, onRangeChange, indexAt };
+  const pinchRef = React.useRef(null);
+  React.useEffect(() => {
+    const el = svgRef.current;
+    if (!el) return undefined;
+    const onWheel = (e) => {
+      const g = gestureRef.current;
+      if (!g.onRangeChange) return;
+      e.preventDefault();
+      if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        const delta =
+          Math.sign(e.deltaX) * Math.max(1, Math.round(g.xMax / 20));
+        g.onRangeChange(...panRange([g.rs, g.re], delta, g.maxIndex));
+        return;
+      }
+      if (!e.deltaY) return;
+      const factor = e.deltaY > 0 ? 1 / WHEEL_ZOOM_STEP : WHEEL_ZOOM_STEP;
+      const anchor = g.indexAt(e) ?? (g.rs + g.re) / 2;
+      g.onRangeChange(...zoomRange([g.rs, g.re], anchor, factor, g.maxIndex));
+    };
+    const touchGap = (t) => Math.abs(t[0].clientX - t[1].clientX) || 1;
+    const onTouchStart = (e) => {
+      if (e.touches.length !== 2) return;
+      const g = gestureRef.current;
+      const mid = {
+        clientX: (e.touches[0].clientX + e.touches[1].clientX) / 2,
+        clientY: (e.touches[0].clientY + e.touches[1].clientY) / 2,
+      };
+      pinchRef.current = {
+        gap: touchGap(e.touches),
+        range: [g.rs, g.re],
+        anchor: g.indexAt(mid) ?? (g.rs + g.re) / 2,
+      };
+    };
+    const onTouchMove = (e) => {
+      const g = gestureRef.current;
+      const pinch = pinchRef.current;
+      if (!pinch || e.touches.length !== 2 || !g.onRangeChange) return;
+      e.preventDefault();
+      const factor = pinch.gap / touchGap(e.touches);
+      const next = zoomRange(pinch.range, pinch.anchor, factor, g.maxIndex);
+      if (next[0] !== g.rs || next[1] !== g.re) g.onRangeChange(...next);
+    };
+    const onTouchEnd = (e) => {
+      if (e.touches.length < 2) pinchRef.current = null;
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    el.addEventListener("touchstart", onTouchStart, { passive: true });
+    el.addEventListener("touchmove", onTouchMove, { passive: false });
+    el.addEventListener("touchend", onTouchEnd);
+    return () => {
+      el.removeEventListener("wheel", onWheel);
+      el.removeEventListener("touchstart", onTouchStart);
+      el.removeEventListener("touchmove", onTouchMove);
+      el.removeEventListener("touchend", onTouchEnd);
+    };
+  }, []);
+
   const tooltipData =
     hoverI == null
       ? null
       : lines
+          // Lines with no value yet (an entrant before launch) sit out
+          .filter((ln) => ln.values[hoverI]?.v !== null)
           .map((ln) => ({
             key: ln.key,
             color: colorForKey(ln.key),
             v: ln.values[hoverI]?.v ?? 0,
+            lo: ln.values[hoverI]?.lo,
+            hi: ln.values[hoverI]?.hi,
+            base: baselineByKey[ln.key]?.[hoverI]?.v,
+            mc: uncertaintyByKey[ln.key]?.[hoverI],
           }))
           .sort((a, b) => b.v - a.v);
 
-  const hoverMonthLabel = hoverI == null ? "" : ymToLabel(monthTicks[hoverI]);
+  const hoverMonthLabel = hoverI == null ? "" : formatTick(monthTicks[hoverI]);
 
   const toPath = (points) =>
     !points.length
@@ -1386,6 +7889,25 @@ function LineChartGeneric(props) {
               <span style={{ fontSize: 16, color: "#FFFFF" }}>{it.key}</span>
             </div>
           ))}
+          {lines.some((ln) => baselineByKey[ln.key]) && (
+            <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <svg width="22" height="10" aria-hidden="true">
+                <line
+                  x1="1"
+                  y1="5"
+                  x2="21"
+                  y2="5"
+                  stroke={COLORS.muted}
+                  strokeWidth="2"
+                  strokeOpacity="0.6"
+                  strokeDasharray="6 3"
+                />
+              </svg>
+              <span style={{ fontSize: 12, color: COLORS.muted }}>
+                Baseline (before edits)
+              </span>
+            </div>
+          )}
         </div>
       )}
 
@@ -1395,9 +7917,16 @@ function LineChartGeneric(props) {
           width="100%"
           viewBox={`0 0 ${w} ${h}`}
           role="img"
+          tabIndex={0}
+          aria-label={`Chart, ${formatTick(monthTicks[rs])} to ${formatTick(
+            monthTicks[re]
+          )}. Left and right arrows move the selected month.`}
           onMouseMove={handleMove}
           onMouseLeave={handleLeave}
+          onMouseDown={handleDown}
+          onMouseUp={handleUp}
           onClick={handleClick}
+          onKeyDown={handleKeyDown}
           style={{ display: "block", cursor: "crosshair" }}
         >
           {/* Future projection background */}
@@ -1451,7 +7980,7 @@ function LineChartGeneric(props) {
                 textAnchor="middle"
                 fill={COLORS.text}
               >
-                {ymToLabel(monthTicks[ti])}
+                {formatTick(monthTicks[ti])}
               </text>
             </g>
           ))}
@@ -1463,15 +7992,27 @@ function LineChartGeneric(props) {
             const pastEnd = Math.min(re, futureCutoffIdx);
             const pastPts = [];
             for (let i = rs; i <= pastEnd; i++) {
-              const v = ln.values[i]?.v ?? 0;
-              pastPts.push([mapX(i), mapY(v)]);
+              const v = ln.values[i]?.v;
+              if (v !== null) pastPts.push([mapX(i), mapY(v ?? 0)]);
             }
 
             const futStart = Math.max(rs, futureCutoffIdx + 1);
             const futPts = [];
+            const bandHi = [];
+            const bandLo = [];
             for (let i = futStart; i <= re; i++) {
-              const v = ln.values[i]?.v ?? 0;
-              futPts.push([mapX(i), mapY(v)]);
+              const d = ln.values[i];
+              if (d?.v == null) continue;
+              futPts.push([mapX(i), mapY(d.v)]);
+              if (d.lo != null && d.hi != null) {
+                bandHi.push([mapX(i), mapY(d.hi)]);
+                bandLo.push([mapX(i), mapY(d.lo)]);
+              }
+            }
+            if (bandHi.length && pastPts.length) {
+              const anchor = pastPts[pastPts.length - 1];
+              bandHi.unshift(anchor);
+              bandLo.unshift(anchor);
             }
 
             let futPtsWithBridge = futPts;
@@ -1481,8 +8022,86 @@ function LineChartGeneric(props) {
               futPtsWithBridge = [augPoint, ...futPts];
             }
 
+            // Baseline under an edited line: faint, one path per run of
+            // months with data
+            const basePaths = [];
+            const baseVals = baselineByKey[ln.key];
+            if (baseVals) {
+              let run = [];
+              for (let i = rs; i <= re; i++) {
+                const v = baseVals[i]?.v;
+                if (v == null) {
+                  if (run.length > 1) basePaths.push(run);
+                  run = [];
+                } else run.push([mapX(i), mapY(v)]);
+              }
+              if (run.length > 1) basePaths.push(run);
+            }
+
+            // Monte Carlo P10–P90 over each run of consecutive edited months
+            const mcBands = [];
+            const mc = uncertaintyByKey[ln.key];
+            if (mc) {
+              let run = [];
+              for (let i = rs; i <= re + 1; i++) {
+                if (i <= re && mc[i]) {
+                  run.push(i);
+                  continue;
+                }
+                if (run.length) {
+                  // Single months get a small width so they stay visible
+                  const xs =
+                    run.length > 1
+                      ? run.map(mapX)
+                      : [mapX(run[0]) - 3, mapX(run[0]) + 3];
+                  const idx = run.length > 1 ? run : [run[0], run[0]];
+                  const top = idx.map((k, j) => [xs[j], mapY(mc[k].hi)]);
+                  const bottom = idx.map((k, j) => [xs[j], mapY(mc[k].lo)]);
+                  mcBands.push({ top, bottom });
+                }
+                run = [];
+              }
+            }
+
             return (
               <g key={ln.key}>
+                {mcBands.map((b, j) => (
+                  <path
+                    key={`mc-${j}`}
+                    d={`${toPath(b.top)} ${toPath(
+                      b.bottom.slice().reverse()
+                    ).replace(/^M/, "L")} Z`}
+                    fill={stroke}
+                    fillOpacity={isDarkPanel ? 0.28 : 0.22}
+                    stroke={stroke}
+                    strokeOpacity="0.5"
+                    strokeDasharray="2 2"
+                  />
+                ))}
+
+                {basePaths.map((pts, j) => (
+                  <path
+                    key={`base-${j}`}
+                    d={toPath(pts)}
+                    fill="none"
+                    stroke={stroke}
+                    strokeWidth="1.5"
+                    strokeOpacity="0.45"
+                    strokeDasharray="6 3"
+                  />
+                ))}
+
+                {bandHi.length > 1 && (
+                  <path
+                    d={`${toPath(bandHi)} ${toPath(
+                      bandLo.slice().reverse()
+                    ).replace(/^M/, "L")} Z`}
+                    fill={stroke}
+                    fillOpacity={isDarkPanel ? 0.16 : 0.12}
+                    stroke="none"
+                  />
+                )}
+
                 {pastPts.length > 1 && (
                   <path
                     d={toPath(pastPts)}
@@ -1517,6 +8136,44 @@ function LineChartGeneric(props) {
             );
           })}
 
+          {/* Event markers */}
+          {markers
+            .filter((m) => m.i >= rs && m.i <= re)
+            .map((m) => (
+              <g key={`mk-${m.label}`}>
+                <line
+                  x1={mapX(m.i)}
+                  x2={mapX(m.i)}
+                  y1={padT}
+                  y2={h - padB}
+                  stroke={m.color}
+                  strokeOpacity="0.7"
+                  strokeDasharray="3 3"
+                />
+                <text
+                  x={mapX(m.i) + 4}
+                  y={padT + 10}
+                  fontSize="10"
+                  fill={m.color}
+                >
+                  {m.label}
+                </text>
+              </g>
+            ))}
+
+          {/* Brushed range while dragging */}
+          {brush && (
+            <rect
+              x={mapX(Math.min(...brush))}
+              y={padT}
+              width={Math.abs(mapX(brush[1]) - mapX(brush[0]))}
+              height={h - padT - padB}
+              fill={COLORS.text}
+              fillOpacity="0.1"
+              stroke={COLORS.border}
+            />
+          )}
+
           {/* Persistent selected line */}
           {selectedIndex != null &&
             selectedIndex >= rs &&
@@ -1544,7 +8201,8 @@ function LineChartGeneric(props) {
                 strokeDasharray="4 4"
               />
               {lines.map((ln) => {
-                const v = ln.values[hoverI]?.v ?? 0;
+                const v = ln.values[hoverI]?.v;
+                if (v == null) return null;
                 return (
                   <circle
                     key={`pt-${ln.key}`}
@@ -1611,26 +8269,369 @@ function LineChartGeneric(props) {
                   </div>
                   <div style={{ fontVariantNumeric: "tabular-nums" }}>
                     {fmt(row.v, 0)}
+                    {row.base != null && Math.abs(row.v - row.base) >= 0.5 && (
+                      <span style={{ color: COLORS.muted, marginLeft: 6 }}>
+                        vs {fmt(row.base, 0)}
+                      </span>
+                    )}
+                    {row.mc && (
+                      <span style={{ color: COLORS.muted, marginLeft: 6 }}>
+                        P10–P90 {fmt(row.mc.lo, 0)}–{fmt(row.mc.hi, 0)}
+                      </span>
+                    )}
+                    {row.lo != null && row.hi != null && (
+                      <span style={{ color: COLORS.muted, marginLeft: 6 }}>
+                        ({fmt(row.lo, 0)}–{fmt(row.hi, 0)})
+                      </span>
+                    )}
                   </div>
                 </div>
               ))}
             </div>
           )}
       </div>
+
+      {onRangeChange && maxIndex > 0 && (
+        <RangeNavigator
+          COLORS={COLORS}
+          navRef={navRef}
+          lines={lines}
+          colorForKey={colorForKey}
+          rangeStart={rs}
+          rangeEnd={re}
+          maxIndex={maxIndex}
+          onRangeChange={onRangeChange}
+          width={w}
+          padL={padL}
+          padR={padR}
+        />
+      )}
+    </div>
+  );
+}
+
+/* -------------------- Range navigator -------------------- */
+
+// Mini overview of the whole horizon under a chart. The window marks the
+// chart's range: drag it to pan, drag its edges to resize, or click outside
+// it to centre it there.
+function RangeNavigator({
+  COLORS,
+  navRef,
+  lines,
+  colorForKey,
+  rangeStart,
+  rangeEnd,
+  maxIndex,
+  onRangeChange,
+  width,
+  padL,
+  padR,
+}) {
+  const h = 44;
+  const padY = 4;
+  const innerW = width - padL - padR;
+  const navX = (i) => padL + (i / maxIndex) * innerW;
+  const edgePx = 8;
+
+  function indexAt(evt) {
+    const svg = navRef.current;
+    const ctm = svg?.getScreenCTM();
+    if (!ctm) return null;
+    const pt = svg.createSVGPoint();
+    pt.x = evt.clientX;
+    pt.y = evt.clientY;
+    const x = pt.matrixTransform(ctm.inverse()).x;
+    return Math.max(0, Math.min(maxIndex, ((x - padL) / innerW) * maxIndex));
+  }
+
+  function handleDown(e) {
+    if (e.button !== 0) return;
+    const at = indexAt(e);
+    if (at == null) return;
+    e.preventDefault();
+    const x = navX(at);
+    let mode = "move";
+    let range = [rangeStart, rangeEnd];
+    if (Math.abs(x - navX(rangeStart)) <= edgePx) mode = "start";
+    else if (Math.abs(x - navX(rangeEnd)) <= edgePx) mode = "end";
+    else if (at < rangeStart || at > rangeEnd) {
+      range = panRange(range, at - (rangeStart + rangeEnd) / 2, maxIndex);
+      onRangeChange(...range);
+    }
+
+    let last = range;
+    const onMove = (ev) => {
+      const i = indexAt(ev);
+      if (i == null) return;
+      let next;
+      if (mode === "move") next = panRange(range, i - at, maxIndex);
+      else if (mode === "start") {
+        next = normalizeRange(
+          Math.min(i, range[1] - MIN_RANGE_SPAN),
+          range[1],
+          maxIndex
+        );
+      } else {
+        next = normalizeRange(
+          range[0],
+          Math.max(i, range[0] + MIN_RANGE_SPAN),
+          maxIndex
+        );
+      }
+      if (next[0] === last[0] && next[1] === last[1]) return;
+      last = next;
+      onRangeChange(...next);
+    };
+    const onUp = () => {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+    };
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+  }
+
+  // Each line scaled to its own peak, so small keys still show a shape
+  const paths = lines.map((ln) => {
+    let peak = 0;
+    for (let i = 0; i <= maxIndex; i++) {
+      peak = Math.max(peak, ln.values[i]?.v ?? 0);
+    }
+    const pts = [];
+    for (let i = 0; i <= maxIndex; i++) {
+      const v = ln.values[i]?.v;
+      if (v == null) continue;
+      const y = h - padY - (peak > 0 ? v / peak : 0) * (h - 2 * padY);
+      pts.push(`${pts.length ? "L" : "M"}${navX(i)},${y}`);
+    }
+    return { key: ln.key, d: pts.join(" ") };
+  });
+
+  const x0 = navX(rangeStart);
+  const x1 = navX(rangeEnd);
+
+  return (
+    <svg
+      ref={navRef}
+      width="100%"
+      viewBox={`0 0 ${width} ${h}`}
+      aria-label="Range navigator"
+      onMouseDown={handleDown}
+      style={{ display: "block", marginTop: 4, cursor: "pointer" }}
+    >
+      <rect
+        x={padL}
+        y={0}
+        width={innerW}
+        height={h}
+        fill="none"
+        stroke={COLORS.border}
+      />
+      {paths.map((p) => (
+        <path
+          key={p.key}
+          d={p.d}
+          fill="none"
+          stroke={colorForKey(p.key)}
+          strokeWidth="1"
+          strokeOpacity="0.7"
+        />
+      ))}
+      {/* Dim everything outside the window */}
+      <rect
+        x={padL}
+        y={0}
+        width={Math.max(0, x0 - padL)}
+        height={h}
+        fill={COLORS.text}
+        fillOpacity="0.12"
+      />
+      <rect
+        x={x1}
+        y={0}
+        width={Math.max(0, padL + innerW - x1)}
+        height={h}
+        fill={COLORS.text}
+        fillOpacity="0.12"
+      />
+      <rect
+        x={x0}
+        y={0}
+        width={Math.max(1, x1 - x0)}
+        height={h}
+        fill="none"
+        stroke={COLORS.text}
+        strokeOpacity="0.5"
+        style={{ cursor: "grab" }}
+      />
+      {[x0, x1].map((x, j) => (
+        <rect
+          key={j}
+          x={x - 3}
+          y={h / 2 - 9}
+          width={6}
+          height={18}
+          rx={2}
+          fill={COLORS.panel}
+          stroke={COLORS.text}
+          strokeOpacity="0.6"
+          style={{ cursor: "ew-resize" }}
+        />
+      ))}
+    </svg>
+  );
+}
+
+/* -------------------- KPI delta -------------------- */
+
+// Units of each KPI's change (rules in simulation/kpiDeltas.js)
+const KPI_DELTA_FORMATS = {
+  totalVolume: (d) => fmt(d, 0),
+  weightedATP: (d) => `$${fmt(d, 0)}`,
+  fleetMix: (d) => `${fmt(d, 1)} pp`,
+  leaseMix: (d) => `${fmt(d, 1)} pp`,
+  daysSupply: (d) => fmt(d, 1),
+  incentives: (d) => `$${fmt(d, 0)}`,
+  revenue: fmtMoney,
+  margin: fmtMoney,
+};
+
+// One key's share of its group, with the change against the baseline
+function ShareChip({ COLORS, share, color }) {
+  const d =
+    share.share != null && share.baseShare != null
+      ? share.share - share.baseShare
+      : 0;
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: 6,
+        padding: "4px 10px",
+        borderRadius: 999,
+        border: `1px solid ${COLORS.border}`,
+        fontSize: 12,
+      }}
+      title={
+        share.baseShare == null
+          ? undefined
+          : `Baseline (before edits): ${fmt(share.baseShare, 1)}%`
+      }
+    >
+      <span
+        style={{ width: 8, height: 8, borderRadius: 999, background: color }}
+      />
+      <strong>{share.key}</strong>
+      <span>{share.share == null ? "–" : `${fmt(share.share, 1)}%`}</span>
+      <span style={{ color: COLORS.muted }}>of {share.group}</span>
+      {Math.abs(d) >= 0.05 && (
+        <span>
+          {d > 0 ? "+" : "−"}
+          {fmt(Math.abs(d), 1)} pp
+          <span style={{ color: COLORS.muted }}> vs baseline</span>
+        </span>
+      )}
+    </div>
+  );
+}
+
+function KpiDelta({ COLORS, kpis, field }) {
+  const change = kpiDelta(kpis, field);
+  if (!change) return null;
+  const f = KPI_DELTA_FORMATS[field];
+  const sign = change.delta > 0 ? "+" : "−";
+  return (
+    <div
+      style={{ color: COLORS.text, fontSize: 12 }}
+      title={`Baseline (before edits): ${f(change.base)}`}
+    >
+      {sign}
+      {f(Math.abs(change.delta))}
+      {change.pct != null && (
+        <span style={{ color: COLORS.muted }}>
+          {" "}
+          ({sign}
+          {fmt(Math.abs(change.pct), 1)}%)
+        </span>
+      )}
+      <span style={{ color: COLORS.muted }}> vs baseline</span>
     </div>
   );
 }
 
 /* -------------------- Series builder -------------------- */
 
-function activeSeriesForChart(activeProfiles) {
+// KPI strip values for `keys` over [rs, re]; drivers are volume-weighted.
+// With costOf (key → unit cost) they include revenue and margin.
+function rangeKpis(profileByKey, keys, rs, re, costOf) {
+  let sumVol = 0;
+  let sumLo = 0;
+  let sumHi = 0;
+  const acc = { price: 0, fleet: 0, lease: 0, days: 0, incentives: 0 };
+
+  for (const key of keys) {
+    const prof = profileByKey[key];
+    if (!prof) continue;
+    for (let i = rs; i <= re; i++) {
+      const v = prof.volume[i]?.v ?? 0;
+      sumVol += v;
+      sumLo += prof.volume[i]?.lo ?? v;
+      sumHi += prof.volume[i]?.hi ?? v;
+      for (const f of Object.keys(acc)) acc[f] += (prof[f][i] ?? 0) * v;
+    }
+  }
+
+  const w = (x) => (sumVol > 0 ? x / sumVol : 0);
+  return {
+    totalVolume: sumVol,
+    // Bounds are summed month by month, i.e. assume fully correlated errors
+    totalVolumeLo: sumLo,
+    totalVolumeHi: sumHi,
+    weightedATP: w(acc.price),
+    fleetMix: w(acc.fleet),
+    leaseMix: w(acc.lease),
+    daysSupply: w(acc.days),
+    incentives: w(acc.incentives),
+    ...(costOf && rangeProfit(profileByKey, keys, rs, re, costOf)),
+  };
+}
+
+// Card inputs for month i of a profile (rounded as the inputs show them)
+function monthSnapshot(prof, i, monthTicks) {
+  return {
+    price: Math.round(prof.price[i]),
+    fleet: Math.round(prof.fleet[i]),
+    lease: Math.round(prof.lease[i]),
+    days: Math.round(prof.days[i]),
+    incentives: Math.round(prof.incentives[i]),
+    month: ymToMonthNumber(monthTicks[i]),
+  };
+}
+
+function activeSeriesForChart(profileByKey) {
   const out = {};
-  for (const [k, prof] of Object.entries(activeProfiles.profileByKey)) {
-    out[k] = prof.volume.map((d, i) => ({ i, v: d.v }));
+  for (const [k, prof] of Object.entries(profileByKey)) {
+    out[k] = prof.volume.map((d, i) => ({ i, v: d.v, lo: d.lo, hi: d.hi }));
   }
   return out;
 }
 
+/* -------------------- Regions -------------------- */
+
+// "CA, OR, WA +2"
+function statesLabel(states, max = 3) {
+  const shown = states.slice(0, max).join(", ");
+  return states.length > max ? `${shown} +${states.length - max}` : shown;
+}
+
+// "incentives in TX; price in CA, OR, WA +2"
+function scopedFieldsLabel(fieldStates, max = 3) {
+  return Object.entries(fieldStates)
+    .map(([f, states]) => `${FIELD_WORDS[f]} in ${statesLabel(states, max)}`)
+    .join("; ");
+}
+
 /* -------------------- Color helpers -------------------- */
 
 function colorForKey(label, suvAccent, pickupBlue) {
@@ -1708,14 +8709,6 @@ function makeMonthRange(startYM, endYM) {
   }
   return out;
 }
-function mulberry32(a) {
-  return function () {
-    let t = (a += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
 function hashString(str) {
   let h = 2166136261;
   for (let i = 0; i < str.length; i++) {
@@ -1790,30 +8783,6 @@ function hslToRgb(h, s, l) {
   return { r, g, b };
 }
 
-/* -------------------- Model -------------------- */
-
-function computeVolume(s, base, K) {
-  const priceFactor = Math.pow(s.price / base.price, K.E_PRICE);
-  const fleetFactor = Math.exp(
-    K.B_FLEET_PER10PP * ((s.fleet - base.fleet) / 10)
-  );
-  const leaseFactor = Math.exp(
-    K.B_LEASE_PER10PP * ((s.lease - base.lease) / 10)
-  );
-  const daysFactor = Math.exp(K.B_DAYS_PER10 * ((s.days - base.days) / 10));
-  const incFactor = Math.exp(
-    K.B_INCENTIVES_PER_K * ((s.incentives - base.incentives) / 1000)
-  );
-  const vol =
-    base.base_volume *
-    priceFactor *
-    fleetFactor *
-    leaseFactor *
-    daysFactor *
-    incFactor;
-  return Math.max(0, vol);
-}
-
 /* -------------------- Utils -------------------- */
 
 function toNumberSafe(v) {
@@ -1833,6 +8802,22 @@ function fmt(v, digits = 0) {
         maximumFractionDigits: digits,
       });
 }
+// Dollar totals, compact: $950, $12.3K, $4.56M, −$1.2B
+function fmtMoney(v) {
+  if (!Number.isFinite(v)) return "";
+  const a = Math.abs(v);
+  const [div, unit] =
+    a >= 1e9
+      ? [1e9, "B"]
+      : a >= 1e6
+      ? [1e6, "M"]
+      : a >= 1e3
+      ? [1e3, "K"]
+      : [1, ""];
+  const n = a / div;
+  const digits = div === 1 ? 0 : n < 10 ? 2 : n < 100 ? 1 : 0;
+  return `${v < 0 ? "−" : ""}$${fmt(n, digits)}${unit}`;
+}
 function clampPx(px, minPx, max) {
   if (typeof max === "number") return `${Math.max(minPx, Math.min(px, max))}px`;
   return `min(max(${px}px, ${minPx}px), ${max})`;
@@ -0,0 +1,121 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter, useLocation } from "react-router-dom";
+import MarketSimulation from "./MarketSimulation";
+
+const COLORS = {
+  bg: "#0f172a",
+  panel: "#111827",
+  text: "#e5e7eb",
+  muted: "#9ca3af",
+  border: "#374151",
+  accent: "#FF5432",
+  accent2: "#FF5432",
+};
+const useStyles = () => ({ h1: {} });
+
+beforeAll(() => {
+  // recharts measures its container; jsdom has no layout
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+// The query string the page last wrote
+function Location() {
+  return <output aria-label="Location">{useLocation().search}</output>;
+}
+
+function renderAt(url) {
+  return render(
+    <MemoryRouter initialEntries={[url]}>
+      <MarketSimulation COLORS={COLORS} useStyles={useStyles} />
+      <Location />
+    </MemoryRouter>
+  );
+}
+
+const editsParam = (edits) => encodeURIComponent(JSON.stringify(edits));
+
+test("a shared link opens its view and reports what it dropped", () => {
+  renderAt(
+    `/market-simulation?mode=powertrains&key=BEV&key=Zeppelin&month=2025-03&edits=${editsParam(
+      { BEV: { "2025-03": { price: 52000 } } }
+    )}`
+  );
+  expect(
+    screen.getByText(/Opened the shared view without unknown keys Zeppelin/)
+  ).toBeInTheDocument();
+  expect(screen.getAllByText("Mar 2025").length).toBeGreaterThan(0);
+  expect(screen.getByDisplayValue("52000")).toBeInTheDocument();
+});
+
+test("card edits are written back to the link", async () => {
+  renderAt(
+    `/market-simulation?mode=powertrains&key=BEV&month=2025-03&edits=${editsParam(
+      { BEV: { "2025-03": { price: 52000 } } }
+    )}`
+  );
+  fireEvent.change(screen.getByDisplayValue("52000"), {
+    target: { value: "48000" },
+  });
+  await waitFor(() => {
+    const params = new URLSearchParams(
+      screen.getByLabelText("Location").textContent
+    );
+    expect(JSON.parse(params.get("edits"))).toEqual({
+      BEV: { "2025-03": { price: 48000 } },
+    });
+  });
+  const params = new URLSearchParams(
+    screen.getByLabelText("Location").textContent
+  );
+  expect(params.get("mode")).toBe("powertrains");
+  expect(params.getAll("key")).toEqual(["BEV"]);
+  expect(params.get("month")).toBe("2025-03");
+});
+
+test("entrants, macro shifts and unit costs reach the change log", () => {
+  renderAt("/market-simulation?mode=powertrains&key=BEV&month=2025-03");
+  fireEvent.click(screen.getByText("+ New entrant"));
+  const name = screen.getByLabelText("New entrant name");
+  fireEvent.change(name, { target: { value: "Traveler" } });
+  fireEvent.blur(name);
+  fireEvent.click(screen.getByText("Remove"));
+
+  fireEvent.click(screen.getByText(/^Macro drivers/));
+  fireEvent.click(screen.getByText("+ Add shift"));
+  fireEvent.change(screen.getByLabelText("Macro shift value"), {
+    target: { value: "300" },
+  });
+  fireEvent.change(screen.getByLabelText("Unit cost for BEV"), {
+    target: { value: "41000" },
+  });
+
+  fireEvent.click(screen.getByText(/^Change log \(/));
+  for (const text of [
+    "Add entrant New entrant",
+    "New entrant name New entrant → Traveler",
+    "Remove entrant Traveler",
+    /^Add macro shift Auto loan APR \+150/,
+    /^Macro shift Auto loan APR \+150 .* → Auto loan APR \+300/,
+    /^BEV unit cost [\d,]+ → 41,000$/,
+  ]) {
+    expect(screen.getByText(text)).toBeInTheDocument();
+  }
+});
+
+test("a typed coefficient outside its range is refused", () => {
+  renderAt("/market-simulation?mode=powertrains&key=BEV");
+  fireEvent.click(screen.getByText(/^Model coefficients/));
+  const elasticity = screen.getAllByTitle("Calibrated value")[0];
+  const before = elasticity.value;
+  fireEvent.change(elasticity, { target: { value: "40" } });
+  expect(
+    screen.getByText(
+      "ICE: kept the current value for E_PRICE 40 (expected -6 to 0)"
+    )
+  ).toBeInTheDocument();
+  expect(elasticity.value).toBe(before);
+});
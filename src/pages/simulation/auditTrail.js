@@ -0,0 +1,80 @@
+// src/pages/simulation/auditTrail.js
+import { COALESCE_MS } from "./history";
+
+/**
+ * Scenario audit trail: a change log of driver edits (card values, model
+ * coefficients, unit costs, state limits, entrants and macro shifts) and
+ * free-text assumptions per card, both saved with the scenario and carried
+ * into the export and the printable summary.
+ *
+ *    log entry = { at, author, mode, variant, subject, from, to, period,
+ *                  group }
+ *    notes     = { [mode]: { [key]: text } }
+ *
+ * `at` is an ISO timestamp, `author` the name this browser signs edits
+ * with (empty when none is set), `mode` / `variant` the labels on screen,
+ * and `subject`, `from`, `to` the words of the undo step (history.js).
+ * `period` is where the edit applies ("Mar 2025", "Q1 2025"); `group`
+ * only joins keystrokes in one input into one entry.
+ */
+
+export const AUTHOR_STORAGE_KEY = "almanac_market_author";
+
+/** The name this browser signs change log entries with, or "". */
+export function readAuthor() {
+  try {
+    return window.localStorage.getItem(AUTHOR_STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+// Best effort: without storage the name still signs this session's edits
+export function saveAuthor(name) {
+  try {
+    window.localStorage.setItem(AUTHOR_STORAGE_KEY, name);
+  } catch {
+    // nothing to do
+  }
+}
+
+/**
+ * Log with `entry` appended. Quick edits to the same input by the same
+ * author are one entry (the first `from`, the last `to`), and an input
+ * typed back to where it started leaves no entry at all.
+ */
+export function recordAuditEntry(log, entry) {
+  const last = log[log.length - 1];
+  const joins =
+    entry.group &&
+    last?.group === entry.group &&
+    last.author === entry.author &&
+    last.mode === entry.mode &&
+    last.variant === entry.variant &&
+    Date.parse(entry.at) - Date.parse(last.at) < COALESCE_MS;
+  if (!joins) return [...log, entry];
+  const merged = { ...last, to: entry.to, at: entry.at };
+  return merged.from != null && merged.from === merged.to
+    ? log.slice(0, -1)
+    : [...log.slice(0, -1), merged];
+}
+
+/** "M SUV price 45,000 → 42,500 (Mar 2025)" */
+export function auditEntryText(entry) {
+  const change =
+    entry.to == null
+      ? entry.subject
+      : `${entry.subject} ${entry.from} → ${entry.to}`;
+  return entry.period ? `${change} (${entry.period})` : change;
+}
+
+/** Notes of every mode as [{ mode, key, text }], modes labelled by `modeLabel`. */
+export function listNotes(notes, modeLabel = (m) => m) {
+  const out = [];
+  for (const [mode, byKey] of Object.entries(notes || {})) {
+    for (const [key, text] of Object.entries(byKey || {})) {
+      if (text?.trim()) out.push({ mode: modeLabel(mode), key, text });
+    }
+  }
+  return out;
+}
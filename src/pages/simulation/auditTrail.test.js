@@ -0,0 +1,55 @@
+import { auditEntryText, listNotes, recordAuditEntry } from "./auditTrail";
+
+const edit = (at, from, to, extra = {}) => ({
+  at: new Date(Date.UTC(2025, 2, 14, 9, 30, 0, at)).toISOString(),
+  author: "Dana",
+  mode: "Segments",
+  variant: "Variant A",
+  subject: "M SUV price",
+  from,
+  to,
+  period: "Mar 2025",
+  group: "edit:M SUV:price",
+  ...extra,
+});
+
+test("keystrokes in one input are one entry with the first and last value", () => {
+  let log = recordAuditEntry([], edit(0, "45,000", "4"));
+  log = recordAuditEntry(log, edit(200, "4", "42"));
+  log = recordAuditEntry(log, edit(400, "42", "42,500"));
+  expect(log).toHaveLength(1);
+  expect(auditEntryText(log[0])).toBe("M SUV price 45,000 → 42,500 (Mar 2025)");
+
+  // Typed back to the start: nothing happened
+  expect(recordAuditEntry(log, edit(600, "42,500", "45,000"))).toEqual([]);
+});
+
+test("other authors, variants and later edits get entries of their own", () => {
+  const log = [edit(0, "45,000", "44,000")];
+  expect(
+    recordAuditEntry(log, edit(300, "1", "2", { author: "Lee" }))
+  ).toHaveLength(2);
+  expect(
+    recordAuditEntry(log, edit(300, "1", "2", { variant: "Variant B" }))
+  ).toHaveLength(2);
+  expect(recordAuditEntry(log, edit(60000, "1", "2"))).toHaveLength(2);
+  const reset = { ...edit(300), subject: "Reset M SUV", group: null };
+  expect(auditEntryText(recordAuditEntry(log, reset)[1])).toBe(
+    "Reset M SUV (Mar 2025)"
+  );
+});
+
+test("notes list every mode and skip blank ones", () => {
+  const notes = {
+    segments: { "M SUV": "incentive matches Ford Q3 program", "L SUV": " " },
+    powertrains: { BEV: "credit ends 2026" },
+  };
+  expect(listNotes(notes, (m) => m.toUpperCase())).toEqual([
+    {
+      mode: "SEGMENTS",
+      key: "M SUV",
+      text: "incentive matches Ford Q3 program",
+    },
+    { mode: "POWERTRAINS", key: "BEV", text: "credit ends 2026" },
+  ]);
+});
@@ -0,0 +1,159 @@
+// src/pages/simulation/calendar.js
+
+/**
+ * Calendar aggregation: monthly series rolled up to quarters or years.
+ *
+ * Periods follow a fiscal year that starts in `fiscalStart` (1 = January,
+ * the calendar year). A fiscal year is named after the calendar year it
+ * ends in, so with an October start Oct 2024 – Sep 2025 is FY2025 and its
+ * first quarter is Oct – Dec 2024. Periods are contiguous runs of month
+ * indices; one cut by the start or end of the data sums the months it has.
+ *
+ * Volumes sum over a period; prices, mixes, days' supply and incentives
+ * are volume-weighted means, as for a date range (rangeStatsForKey).
+ */
+
+export const AGGREGATIONS = {
+  month: "Monthly",
+  quarter: "Quarterly",
+  year: "Yearly",
+};
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/** "Jan" … "Dec" for a month number 1 – 12. */
+export function monthName(m) {
+  return MONTH_NAMES[(m - 1 + 12) % 12];
+}
+
+/**
+ * Period of a "YYYY-MM" month at `grain`: { key, label }. Months are their
+ * own period; quarters are "Q1 2025" ("FY2025 Q1" off a January start),
+ * years "2025" (or "FY2025").
+ */
+export function periodOf(ym, grain, fiscalStart = 1) {
+  const [y, m] = ym.split("-").map((x) => parseInt(x, 10));
+  if (grain === "month") return { key: ym, label: ym };
+  const fiscal = fiscalStart !== 1;
+  const offset = (m - fiscalStart + 12) % 12;
+  const year = fiscal && m >= fiscalStart ? y + 1 : y;
+  const yearLabel = fiscal ? `FY${year}` : String(year);
+  if (grain === "year") return { key: yearLabel, label: yearLabel };
+  const q = Math.floor(offset / 3) + 1;
+  return {
+    key: `${yearLabel}-Q${q}`,
+    label: fiscal ? `${yearLabel} Q${q}` : `Q${q} ${year}`,
+  };
+}
+
+/**
+ * Periods over monthTicks[0 … lastIdx]:
+ *   { periods: [{ key, label, start, end }], periodIdx: number[] }
+ * `periodIdx[i]` is the period month i falls in.
+ */
+export function buildPeriods(
+  monthTicks,
+  grain,
+  fiscalStart = 1,
+  lastIdx = monthTicks.length - 1
+) {
+  const periods = [];
+  const periodIdx = [];
+  for (let i = 0; i <= lastIdx && i < monthTicks.length; i++) {
+    const p = periodOf(monthTicks[i], grain, fiscalStart);
+    const last = periods[periods.length - 1];
+    if (last && last.key === p.key) last.end = i;
+    else periods.push({ ...p, start: i, end: i });
+    periodIdx.push(periods.length - 1);
+  }
+  return { periods, periodIdx };
+}
+
+/** Month indices start … end of a period. */
+export function periodMonths(period) {
+  const out = [];
+  for (let i = period.start; i <= period.end; i++) out.push(i);
+  return out;
+}
+
+/**
+ * A monthly volume series ([{ v, lo?, hi? }]) summed by period:
+ * [{ i, v, lo, hi }]. `v` is null when no month of the period has a value
+ * (an entrant before launch). Interval bounds sum where a month has them
+ * and its point value where it has not, so a period straddling the
+ * history cutoff gets a band for its forecast months only.
+ */
+export function aggregateSeries(values, periods) {
+  return periods.map((p, i) => {
+    let v = null;
+    let lo = 0;
+    let hi = 0;
+    let banded = false;
+    for (let k = p.start; k <= p.end; k++) {
+      const d = values[k];
+      if (d?.v == null) continue;
+      v = (v ?? 0) + d.v;
+      const hasBand = d.lo != null && d.hi != null;
+      banded ||= hasBand;
+      lo += hasBand ? d.lo : d.v;
+      hi += hasBand ? d.hi : d.v;
+    }
+    return banded ? { i, v, lo, hi } : { i, v };
+  });
+}
+
+/**
+ * Sparse monthly bands ({ [monthIdx]: { lo, hi } }) rolled up like
+ * aggregateSeries: a period with any banded month gets a band, the other
+ * months adding their point value from `values`.
+ */
+export function aggregateBands(bandsByIdx, values, periods) {
+  const out = {};
+  periods.forEach((p, i) => {
+    let any = false;
+    let lo = 0;
+    let hi = 0;
+    for (let k = p.start; k <= p.end; k++) {
+      const b = bandsByIdx[k];
+      const v = values[k]?.v ?? 0;
+      any ||= !!b;
+      lo += b ? b.lo : v;
+      hi += b ? b.hi : v;
+    }
+    if (any) out[i] = { lo, hi };
+  });
+  return out;
+}
+
+/**
+ * Σ w·x / Σ w over `indices`, where valueAt(i) and weightAt(i) give the
+ * month's value and weight. Falls back to the plain mean when the weights
+ * sum to zero; null for no months.
+ */
+export function weightedMean(indices, valueAt, weightAt) {
+  if (!indices.length) return null;
+  let sumW = 0;
+  let sumWX = 0;
+  let sumX = 0;
+  for (const i of indices) {
+    const x = valueAt(i) ?? 0;
+    const w = weightAt(i) ?? 0;
+    sumW += w;
+    sumWX += w * x;
+    sumX += x;
+  }
+  return sumW > 0 ? sumWX / sumW : sumX / indices.length;
+}
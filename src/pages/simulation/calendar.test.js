@@ -0,0 +1,75 @@
+import {
+  aggregateBands,
+  aggregateSeries,
+  buildPeriods,
+  periodOf,
+  weightedMean,
+} from "./calendar";
+
+const TICKS = [
+  "2024-08",
+  "2024-09",
+  "2024-10",
+  "2024-11",
+  "2024-12",
+  "2025-01",
+  "2025-02",
+];
+
+test("calendar and fiscal periods are labelled by the year they end in", () => {
+  expect(periodOf("2025-02", "quarter").label).toBe("Q1 2025");
+  expect(periodOf("2025-02", "year").label).toBe("2025");
+  expect(periodOf("2024-10", "quarter", 10).label).toBe("FY2025 Q1");
+  expect(periodOf("2024-09", "quarter", 10).label).toBe("FY2024 Q4");
+  expect(periodOf("2025-02", "year", 10).label).toBe("FY2025");
+});
+
+test("periods are contiguous month runs, cut at the data end", () => {
+  const { periods, periodIdx } = buildPeriods(TICKS, "quarter");
+  expect(periods.map((p) => [p.label, p.start, p.end])).toEqual([
+    ["Q3 2024", 0, 1],
+    ["Q4 2024", 2, 4],
+    ["Q1 2025", 5, 6],
+  ]);
+  expect(periodIdx).toEqual([0, 0, 1, 1, 1, 2, 2]);
+  const fiscal = buildPeriods(TICKS, "year", 10, 5).periods;
+  expect(fiscal.map((p) => [p.label, p.start, p.end])).toEqual([
+    ["FY2024", 0, 1],
+    ["FY2025", 2, 5],
+  ]);
+});
+
+test("volumes sum by period and bands only cover forecast months", () => {
+  const { periods } = buildPeriods(TICKS, "quarter");
+  const values = [
+    { v: null },
+    { v: 10 },
+    { v: 20 },
+    { v: 30 },
+    { v: 40, lo: 35, hi: 50 },
+    { v: 50, lo: 40, hi: 60 },
+    { v: 60, lo: 50, hi: 70 },
+  ];
+  expect(aggregateSeries(values, periods)).toEqual([
+    { i: 0, v: 10 },
+    { i: 1, v: 90, lo: 85, hi: 100 },
+    { i: 2, v: 110, lo: 90, hi: 130 },
+  ]);
+  expect(aggregateSeries([{ v: null }, { v: null }], periods)[0].v).toBeNull();
+  expect(aggregateBands({ 3: { lo: 25, hi: 36 } }, values, periods)).toEqual({
+    1: { lo: 85, hi: 96 },
+  });
+});
+
+test("weighted means weight by volume and fall back to the plain mean", () => {
+  const price = [40000, 50000];
+  const mean = (indices, weights) =>
+    weightedMean(
+      indices,
+      (i) => price[i],
+      (i) => weights[i]
+    );
+  expect(mean([0, 1], [300, 100])).toBeCloseTo(42500);
+  expect(mean([0, 1], [0, 0])).toBe(45000);
+  expect(mean([], [1, 1])).toBeNull();
+});
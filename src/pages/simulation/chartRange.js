@@ -0,0 +1,67 @@
+// src/pages/simulation/chartRange.js
+
+/**
+ * Month-range math behind the chart's brushing, zoom and navigator.
+ *
+ * A range is a pair of month indexes [start, end], both inclusive, kept
+ * inside [0, max] and at least MIN_RANGE_SPAN months apart (a narrower
+ * range has nothing to draw a line through). Zooming keeps the month
+ * under the cursor where it is on screen; panning keeps the span.
+ */
+
+export const MIN_RANGE_SPAN = 2;
+
+// Range change per wheel notch (below 1 zooms in)
+export const WHEEL_ZOOM_STEP = 0.85;
+
+function clampIdx(i, max) {
+  return Math.max(0, Math.min(max, Math.round(i)));
+}
+
+/** [start, end] in order, inside [0, max] and at least MIN_RANGE_SPAN wide. */
+export function normalizeRange(a, b, max) {
+  let start = clampIdx(Math.min(a, b), max);
+  let end = clampIdx(Math.max(a, b), max);
+  const span = Math.min(MIN_RANGE_SPAN, max);
+  if (end - start < span) {
+    end = Math.min(max, start + span);
+    start = Math.max(0, end - span);
+  }
+  return [start, end];
+}
+
+/**
+ * Range scaled by `factor` around month `anchor` (factor < 1 zooms in).
+ * The anchor keeps its relative position inside the range.
+ */
+export function zoomRange([start, end], anchor, factor, max) {
+  const span = end - start;
+  const at = Math.max(start, Math.min(end, anchor));
+  const t = span > 0 ? (at - start) / span : 0.5;
+  let next = Math.max(MIN_RANGE_SPAN, span * factor);
+  // Always move by at least a month, or small ranges never zoom
+  if (Math.round(next) === span) next = span + (factor < 1 ? -1 : 1);
+  next = Math.min(max, Math.max(Math.min(MIN_RANGE_SPAN, max), next));
+  let s = Math.round(at - t * next);
+  s = Math.max(0, Math.min(max - Math.round(next), s));
+  return [s, s + Math.round(next)];
+}
+
+/** Range moved by `delta` months with its span kept. */
+export function panRange([start, end], delta, max) {
+  const span = end - start;
+  const s = Math.max(0, Math.min(max - span, Math.round(start + delta)));
+  return [s, s + span];
+}
+
+/**
+ * Selected month moved by `delta`, kept inside the range. With nothing
+ * selected, stepping right starts at the range start and stepping left at
+ * its end.
+ */
+export function stepIndex(idx, delta, [start, end]) {
+  if (idx == null || idx < start || idx > end) {
+    return delta >= 0 ? start : end;
+  }
+  return Math.max(start, Math.min(end, idx + delta));
+}
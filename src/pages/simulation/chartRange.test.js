@@ -0,0 +1,41 @@
+import {
+  MIN_RANGE_SPAN,
+  normalizeRange,
+  panRange,
+  stepIndex,
+  zoomRange,
+} from "./chartRange";
+
+test("brushed ranges come out ordered, clamped and wide enough", () => {
+  expect(normalizeRange(40, 10, 100)).toEqual([10, 40]);
+  expect(normalizeRange(-5, 140, 100)).toEqual([0, 100]);
+  expect(normalizeRange(50, 50, 100)).toEqual([50, 50 + MIN_RANGE_SPAN]);
+  expect(normalizeRange(100, 100, 100)).toEqual([100 - MIN_RANGE_SPAN, 100]);
+});
+
+test("zoom keeps the anchor month in place and stays inside the horizon", () => {
+  const [s, e] = zoomRange([0, 100], 50, 0.5, 200);
+  expect([s, e]).toEqual([25, 75]);
+  // Anchored at the left edge, only the right edge moves
+  expect(zoomRange([20, 60], 20, 0.5, 200)).toEqual([20, 40]);
+  // Zooming out is capped by the horizon
+  expect(zoomRange([10, 190], 100, 2, 200)).toEqual([0, 200]);
+  // Small ranges still move, but never below the minimum span
+  expect(zoomRange([10, 14], 12, 0.85, 200)).toEqual([10, 13]);
+  expect(zoomRange([10, 12], 11, 0.5, 200)).toEqual([10, 12]);
+});
+
+test("pan keeps the span and stops at the ends", () => {
+  expect(panRange([10, 30], 5, 100)).toEqual([15, 35]);
+  expect(panRange([10, 30], -50, 100)).toEqual([0, 20]);
+  expect(panRange([10, 30], 500, 100)).toEqual([80, 100]);
+});
+
+test("arrow steps stay inside the range", () => {
+  expect(stepIndex(12, 1, [10, 20])).toBe(13);
+  expect(stepIndex(20, 1, [10, 20])).toBe(20);
+  expect(stepIndex(10, -12, [10, 20])).toBe(10);
+  expect(stepIndex(null, 1, [10, 20])).toBe(10);
+  expect(stepIndex(null, -1, [10, 20])).toBe(20);
+  expect(stepIndex(50, 1, [10, 20])).toBe(10);
+});
@@ -0,0 +1,164 @@
+// src/pages/simulation/coefficientLoader.js
+import {
+  readSpreadsheetRows,
+  mapColumns,
+  isBlankRow,
+  normalizeToken,
+  normalizeMode,
+  parseNumber,
+  makeKeyLookup,
+} from "./spreadsheet";
+import { COEFF_FIELDS, coeffRangeProblem } from "./model";
+
+/**
+ * Coefficient files from the econometrics team.
+ *
+ * CSV/XLSX: one row per key, columns
+ *    mode (optional) | key | E_PRICE | B_FLEET_PER10PP | B_LEASE_PER10PP |
+ *    B_INCENTIVES_PER_K | B_DAYS_PER10
+ * JSON: { "segments": { "M SUV": { "E_PRICE": -1.2, ... } }, ... }
+ *    or a flat { "M SUV": { ... } } keyed by key only.
+ * A key of "*" (or "all") applies to every key of its mode. Missing
+ * coefficient columns keep the built-in value for that key, as do values
+ * outside the coefficient's plausible range (COEFF_FIELDS), which are
+ * reported. Optional <COEFFICIENT>_SE columns (or JSON fields) give
+ * standard errors.
+ */
+
+const COLUMN_ALIASES = {
+  mode: ["mode", "dimension", "level"],
+  key: ["key", "segment", "powertrain", "category", "name"],
+  ...Object.fromEntries(
+    COEFF_FIELDS.map((f) => [f.id, [normalizeToken(f.id)]])
+  ),
+  ...Object.fromEntries(
+    COEFF_FIELDS.map((f) => [`${f.id}_SE`, [normalizeToken(`${f.id}_SE`)]])
+  ),
+};
+
+const WILDCARDS = new Set(["*", "all"]);
+
+export async function readCoefficientFile(file, knownKeysByMode) {
+  if (/\.json$/i.test(file.name)) {
+    const json = JSON.parse(await file.text());
+    return parseCoefficientRows(jsonToRows(json), knownKeysByMode);
+  }
+  const rows = await readSpreadsheetRows(file);
+  return parseCoefficientRows(rows, knownKeysByMode);
+}
+
+export function parseCoefficientRows(rows, knownKeysByMode) {
+  const keyLookup = makeKeyLookup(knownKeysByMode);
+  const byMode = {};
+  const issues = [];
+  let rowCount = 0;
+
+  const assign = (mode, key, { se, ...values }) => {
+    byMode[mode] = byMode[mode] || {};
+    const prev = byMode[mode][key] || {};
+    byMode[mode][key] = { ...prev, ...values };
+    if (Object.keys(se).length) {
+      byMode[mode][key].se = { ...(prev.se || {}), ...se };
+    }
+  };
+
+  for (const raw of rows) {
+    const row = mapColumns(raw, COLUMN_ALIASES);
+    const where = `${raw.__sheet ? `${raw.__sheet} ` : ""}row ${
+      raw.__row ?? "?"
+    }`;
+    if (isBlankRow(row)) continue;
+    rowCount++;
+
+    const values = { se: {} };
+    const bad = [];
+    const outOfRange = [];
+    for (const f of COEFF_FIELDS) {
+      for (const [col, put] of [
+        [
+          f.id,
+          (n) => {
+            const problem = coeffRangeProblem(f.id, n);
+            if (problem) outOfRange.push(problem);
+            else values[f.id] = n;
+          },
+        ],
+        [`${f.id}_SE`, (n) => (values.se[f.id] = Math.abs(n))],
+      ]) {
+        if (row[col] == null || String(row[col]).trim() === "") continue;
+        const n = parseNumber(row[col]);
+        if (n == null) bad.push(col);
+        else put(n);
+      }
+    }
+    if (bad.length) {
+      issues.push({
+        type: "malformed",
+        message: `${where}: unreadable ${bad.join(", ")}`,
+      });
+      continue;
+    }
+    if (outOfRange.length) {
+      issues.push({
+        type: "out-of-range",
+        message: `${where}: kept the built-in value for ${outOfRange.join(
+          ", "
+        )}`,
+      });
+    }
+    if (Object.keys(values).length === 1 && !Object.keys(values.se).length) {
+      if (outOfRange.length) continue;
+      issues.push({
+        type: "malformed",
+        message: `${where}: no coefficient values`,
+      });
+      continue;
+    }
+
+    const rowMode = normalizeMode(row.mode) || raw.__sheetMode || null;
+    const token = normalizeToken(row.key);
+    if (WILDCARDS.has(token)) {
+      const modes = rowMode ? [rowMode] : Object.keys(knownKeysByMode);
+      for (const m of modes) {
+        for (const key of knownKeysByMode[m] || []) assign(m, key, values);
+      }
+      continue;
+    }
+
+    const known = keyLookup.get(token);
+    if (!known || (rowMode && rowMode !== known.mode)) {
+      issues.push({
+        type: "unknown-key",
+        message: `${where}: unknown key "${row.key ?? ""}" skipped`,
+      });
+      continue;
+    }
+    assign(known.mode, known.key, values);
+  }
+
+  if (rowCount === 0) {
+    issues.push({
+      type: "malformed",
+      message: `No usable rows found. Expected columns: ${Object.keys(
+        COLUMN_ALIASES
+      ).join(", ")}`,
+    });
+  }
+
+  return { byMode, issues, rowCount };
+}
+
+function jsonToRows(json) {
+  const rows = [];
+  const pushKeys = (mode, obj) => {
+    for (const [key, coeffs] of Object.entries(obj || {})) {
+      rows.push({ mode, key, ...coeffs, __row: rows.length + 1 });
+    }
+  };
+  for (const [top, val] of Object.entries(json || {})) {
+    const m = normalizeMode(top);
+    if (m) pushKeys(m, val);
+    else pushKeys(null, { [top]: val });
+  }
+  return rows;
+}
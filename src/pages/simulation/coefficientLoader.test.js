@@ -0,0 +1,135 @@
+import { parseCoefficientRows, readCoefficientFile } from "./coefficientLoader";
+import {
+  BUILTIN_COEFFS,
+  COEFF_FIELDS,
+  DEFAULT_COEFFS,
+  coeffRangeProblem,
+} from "./model";
+
+const knownKeysByMode = {
+  segments: ["M SUV", "L SUV"],
+  powertrains: ["ICE", "BEV"],
+};
+const row = (key, values, extra = {}) => ({ key, ...values, ...extra });
+
+test("loads rows per key and reports unknown keys and malformed rows", () => {
+  const { byMode, issues, rowCount } = parseCoefficientRows(
+    [
+      row("m suv", { E_PRICE: "-1.3", B_DAYS_PER10: -0.04 }, { __row: 2 }),
+      row("BEV", { E_PRICE: -0.9, E_PRICE_SE: -0.1 }, { __row: 3 }),
+      row("Zeppelin", { E_PRICE: -1 }, { __row: 4 }),
+      row("L SUV", { E_PRICE: "steep" }, { __row: 5 }),
+      row("L SUV", { note: "no values" }, { __row: 6 }),
+      row("BEV", { E_PRICE: -1 }, { mode: "segments", __row: 7 }),
+      { key: "", E_PRICE: "", __row: 8 },
+    ],
+    knownKeysByMode
+  );
+  expect(rowCount).toBe(6);
+  expect(byMode.segments["M SUV"]).toEqual({
+    E_PRICE: -1.3,
+    B_DAYS_PER10: -0.04,
+  });
+  expect(byMode.powertrains.BEV).toEqual({
+    E_PRICE: -0.9,
+    se: { E_PRICE: 0.1 },
+  });
+  expect(byMode.segments["L SUV"]).toBeUndefined();
+  expect(issues.map((i) => i.message)).toEqual([
+    'row 4: unknown key "Zeppelin" skipped',
+    "row 5: unreadable E_PRICE",
+    "row 6: no coefficient values",
+    'row 7: unknown key "BEV" skipped',
+  ]);
+});
+
+test("a * or all row applies to every key of its mode, later rows win", () => {
+  const { byMode } = parseCoefficientRows(
+    [
+      row("*", { B_FLEET_PER10PP: 0.1 }, { mode: "segments" }),
+      row("M SUV", { B_FLEET_PER10PP: 0.2 }),
+      row("ALL", { B_LEASE_PER10PP: 0.05 }),
+    ],
+    knownKeysByMode
+  );
+  expect(byMode.segments).toEqual({
+    "M SUV": { B_FLEET_PER10PP: 0.2, B_LEASE_PER10PP: 0.05 },
+    "L SUV": { B_FLEET_PER10PP: 0.1, B_LEASE_PER10PP: 0.05 },
+  });
+  expect(byMode.powertrains.ICE).toEqual({ B_LEASE_PER10PP: 0.05 });
+});
+
+test("values outside the plausible range keep the built-in value", () => {
+  const { byMode, issues } = parseCoefficientRows(
+    [
+      row("M SUV", { E_PRICE: 1.2, B_DAYS_PER10: -0.04 }, { __row: 2 }),
+      row("ICE", { B_INCENTIVES_PER_K: 5 }, { __row: 3 }),
+    ],
+    knownKeysByMode
+  );
+  expect(byMode.segments["M SUV"]).toEqual({ B_DAYS_PER10: -0.04 });
+  expect(byMode.powertrains).toBeUndefined();
+  expect(issues).toEqual([
+    {
+      type: "out-of-range",
+      message:
+        "row 2: kept the built-in value for E_PRICE 1.2 (expected -6 to 0)",
+    },
+    {
+      type: "out-of-range",
+      message:
+        "row 3: kept the built-in value for B_INCENTIVES_PER_K 5 (expected -1 to 1)",
+    },
+  ]);
+});
+
+test("the range check names the value and the expected range", () => {
+  expect(coeffRangeProblem("E_PRICE", -1.2)).toBeNull();
+  expect(coeffRangeProblem("E_PRICE", 40)).toBe(
+    "E_PRICE 40 (expected -6 to 0)"
+  );
+});
+
+test("built-in coefficients are inside their ranges", () => {
+  const sets = [
+    DEFAULT_COEFFS,
+    ...Object.values(BUILTIN_COEFFS).flatMap((byKey) => Object.values(byKey)),
+  ];
+  for (const set of sets) {
+    for (const f of COEFF_FIELDS) {
+      if (set[f.id] == null) continue;
+      expect(set[f.id]).toBeGreaterThanOrEqual(f.range[0]);
+      expect(set[f.id]).toBeLessThanOrEqual(f.range[1]);
+    }
+  }
+});
+
+test("JSON files nest keys by mode or list them flat", async () => {
+  const file = (json) => ({
+    name: "coefficients.json",
+    text: async () => JSON.stringify(json),
+  });
+  const nested = await readCoefficientFile(
+    file({ powertrains: { BEV: { E_PRICE: -0.8, E_PRICE_SE: 0.3 } } }),
+    knownKeysByMode
+  );
+  expect(nested.byMode.powertrains.BEV).toEqual({
+    E_PRICE: -0.8,
+    se: { E_PRICE: 0.3 },
+  });
+
+  const flat = await readCoefficientFile(
+    file({ "L SUV": { E_PRICE: -1.4 }, Blimp: { E_PRICE: -1 } }),
+    knownKeysByMode
+  );
+  expect(flat.byMode.segments["L SUV"]).toEqual({ E_PRICE: -1.4 });
+  expect(flat.issues.map((i) => i.type)).toEqual(["unknown-key"]);
+});
+
+test("an empty file says which columns it expects", () => {
+  const { issues, rowCount } = parseCoefficientRows([], knownKeysByMode);
+  expect(rowCount).toBe(0);
+  expect(issues[0].message).toMatch(
+    /^No usable rows found\. Expected columns: mode, key, E_PRICE/
+  );
+});
@@ -0,0 +1,137 @@
+// src/pages/simulation/crossEffects.js
+import { splitMatrixKey } from "./matrix";
+import { nameplateInfo } from "./nameplates";
+
+/**
+ * Cross-segment / cross-powertrain substitution.
+ *
+ * computeVolume() gives each key's own response to its drivers. Only part
+ * of that change is new to the market; the rest is taken from (or, for a
+ * loss, handed to) the other keys of the same mode:
+ *    Δk            = own_k − base_k
+ *    new to market = expansion · Δk
+ *    from key i    = (1 − expansion) · Δk · W[k][i]·base_i / Σj≠k W[k][j]·base_j
+ * W[k][i] is the cross-elasticity weight: how readily buyers move between
+ * k and i. Total-market volume therefore moves only by the `expansion`
+ * share of the own effects.
+ *
+ * Matrix cells (segment × powertrain) substitute along both axes: within a
+ * segment by powertrain weight, within a powertrain by segment weight, and
+ * diagonally by the product of the two. Nameplates substitute only with
+ * the other nameplates of their segment.
+ */
+
+const SEGMENT_SIZES = ["S", "M", "L", "XL"];
+
+function segmentWeight(a, b) {
+  const [sa, ...ba] = a.split(" ");
+  const [sb, ...bb] = b.split(" ");
+  const ia = SEGMENT_SIZES.indexOf(sa);
+  const ib = SEGMENT_SIZES.indexOf(sb);
+  if (ia < 0 || ib < 0) return 0.1;
+  const dist = Math.abs(ia - ib);
+  const sameBody = ba.join(" ") === bb.join(" ");
+  if (sameBody) return [0, 1, 0.4, 0.15][dist];
+  return [0.35, 0.15, 0.05, 0.05][dist];
+}
+
+const POWERTRAIN_WEIGHTS = {
+  ICE: { HEV: 1, PHEV: 0.4, BEV: 0.2 },
+  HEV: { ICE: 1, PHEV: 0.7, BEV: 0.35 },
+  PHEV: { ICE: 0.4, HEV: 0.7, BEV: 0.9 },
+  BEV: { ICE: 0.2, HEV: 0.35, PHEV: 0.9 },
+};
+
+export const BUILTIN_EXPANSION = {
+  segments: 0.35,
+  powertrains: 0.25,
+  matrix: 0.3,
+  nameplates: 0.2,
+};
+
+/** Built-in weight W[gainer][source] for two keys of a mode. */
+export function builtinCrossWeight(mode, gainer, source) {
+  if (gainer === source) return 0;
+  if (mode === "powertrains") return POWERTRAIN_WEIGHTS[gainer]?.[source] ?? 0;
+  if (mode === "segments") return segmentWeight(gainer, source);
+  if (mode === "matrix") return matrixWeight(gainer, source);
+  if (mode === "nameplates") {
+    const a = nameplateInfo(gainer);
+    return a && a.segment === nameplateInfo(source)?.segment ? 1 : 0;
+  }
+  return 0;
+}
+
+function matrixWeight(gainer, source) {
+  const a = splitMatrixKey(gainer);
+  const b = splitMatrixKey(source);
+  if (!a || !b) return 0;
+  const pt =
+    a.powertrain === b.powertrain
+      ? 1
+      : POWERTRAIN_WEIGHTS[a.powertrain]?.[b.powertrain] ?? 0;
+  if (a.segment === b.segment) return pt;
+  return segmentWeight(a.segment, b.segment) * pt;
+}
+
+/** Weights in effect: built-in values overlaid with user edits. */
+export function resolveCrossWeights(mode, keys, weightEdits = {}) {
+  const W = {};
+  for (const k of keys) {
+    W[k] = {};
+    for (const i of keys) {
+      W[k][i] = weightEdits[k]?.[i] ?? builtinCrossWeight(mode, k, i);
+    }
+  }
+  return W;
+}
+
+/**
+ * Redistribute own effects across keys.
+ * Returns { volumeByKey, sourcesByKey, marketChange } where
+ *   sourcesByKey[k] = { own, market, byKey: { i: net units moved i → k } }
+ */
+export function applyCrossEffects(keys, baseByKey, ownByKey, opts) {
+  const { weights, expansion } = opts;
+  const taken = {}; // taken[k][i]: units k takes from i
+  const sourcesByKey = {};
+  let marketChange = 0;
+
+  for (const k of keys) {
+    taken[k] = {};
+    const delta = (ownByKey[k] ?? 0) - (baseByKey[k] ?? 0);
+    sourcesByKey[k] = { own: delta, market: 0, byKey: {} };
+    if (Math.abs(delta) < 1e-9) continue;
+
+    let denom = 0;
+    for (const i of keys) {
+      if (i !== k) denom += (weights[k]?.[i] ?? 0) * (baseByKey[i] ?? 0);
+    }
+    const market = denom > 0 ? expansion * delta : delta;
+    sourcesByKey[k].market = market;
+    marketChange += market;
+    if (denom <= 0) continue;
+
+    const substitution = delta - market;
+    for (const i of keys) {
+      if (i === k) continue;
+      const w = (weights[k]?.[i] ?? 0) * (baseByKey[i] ?? 0);
+      if (w > 0) taken[k][i] = (substitution * w) / denom;
+    }
+  }
+
+  const volumeByKey = {};
+  for (const k of keys) {
+    let v = ownByKey[k] ?? baseByKey[k] ?? 0;
+    for (const j of keys) {
+      if (j === k) continue;
+      const out = taken[j][k] ?? 0;
+      const inn = taken[k][j] ?? 0;
+      v -= out;
+      if (out || inn) sourcesByKey[k].byKey[j] = inn - out;
+    }
+    volumeByKey[k] = Math.max(0, v);
+  }
+
+  return { volumeByKey, sourcesByKey, marketChange };
+}
@@ -0,0 +1,49 @@
+import { applyCrossEffects, resolveCrossWeights } from "./crossEffects";
+
+const keys = ["S SUV", "M SUV", "L SUV", "M Pickup"];
+const base = { "S SUV": 100, "M SUV": 200, "L SUV": 100, "M Pickup": 100 };
+
+test("only the expansion share of an own change reaches the total market", () => {
+  const weights = resolveCrossWeights("segments", keys);
+  const own = { ...base, "M SUV": 300 };
+  const { volumeByKey, sourcesByKey, marketChange } = applyCrossEffects(
+    keys,
+    base,
+    own,
+    { weights, expansion: 0.4 }
+  );
+
+  const total = (o) => Object.values(o).reduce((a, b) => a + b, 0);
+  expect(marketChange).toBeCloseTo(40);
+  expect(total(volumeByKey) - total(base)).toBeCloseTo(40);
+
+  // Adjacent SUVs give up more than the pickup
+  const m = sourcesByKey["M SUV"];
+  expect(m.byKey["S SUV"]).toBeGreaterThan(m.byKey["M Pickup"]);
+  expect(sourcesByKey["S SUV"].byKey["M SUV"]).toBeCloseTo(-m.byKey["S SUV"]);
+  expect(volumeByKey["M SUV"]).toBeCloseTo(300);
+});
+
+test("unchanged inputs leave every key at its base", () => {
+  const weights = resolveCrossWeights("segments", keys);
+  const { volumeByKey, marketChange } = applyCrossEffects(keys, base, base, {
+    weights,
+    expansion: 0.35,
+  });
+  expect(volumeByKey).toEqual(base);
+  expect(marketChange).toBe(0);
+});
+
+test("matrix cells substitute along both axes", () => {
+  const W = resolveCrossWeights("matrix", [
+    "M SUV · BEV",
+    "M SUV · PHEV",
+    "L SUV · BEV",
+    "L SUV · PHEV",
+  ]);
+  const bev = W["M SUV · BEV"];
+  expect(bev["M SUV · PHEV"]).toBeCloseTo(0.9);
+  expect(bev["L SUV · BEV"]).toBeCloseTo(1);
+  expect(bev["L SUV · PHEV"]).toBeCloseTo(0.9);
+  expect(bev["M SUV · BEV"]).toBe(0);
+});
@@ -0,0 +1,217 @@
+// src/pages/simulation/customSegments.js
+
+/**
+ * User-defined segments for the Segments mode, persisted in localStorage.
+ *
+ * A custom segment is either
+ *    members   a grouping of built-in segments: volumes are summed and
+ *              drivers volume-weighted month by month, so it follows its
+ *              members' history and forecast
+ *    upload    a key of its own: the history file rows named after it fill
+ *              its profile, and its baseline stands in elsewhere
+ * The segment name is its key everywhere in the page (chips, edits,
+ * history rows, exports), so names must not clash with built-in keys.
+ *
+ * Custom segments overlap the built-in ones, so they take no part in
+ * cross-segment substitution: their changes are all new to the market.
+ */
+
+export const CUSTOM_SEGMENT_STORAGE_KEY = "almanac_market_custom_segments";
+
+export const CUSTOM_SEGMENT_SOURCES = {
+  members: "Built-in segments",
+  upload: "Uploaded data",
+};
+
+export const BASELINE_FIELDS = [
+  { id: "price", label: "Price ($)" },
+  { id: "fleet", label: "Fleet" },
+  { id: "lease", label: "Lease" },
+  { id: "days", label: "Days' supply" },
+  { id: "incentives", label: "Incentives ($)" },
+  { id: "base_volume", label: "Monthly volume" },
+];
+
+const DRIVER_FIELDS = ["price", "fleet", "lease", "days", "incentives"];
+
+export class CustomSegmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CustomSegmentError";
+  }
+}
+
+/* -------------------- Storage -------------------- */
+
+function readStore() {
+  try {
+    const raw = window.localStorage.getItem(CUSTOM_SEGMENT_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return Array.isArray(parsed?.segments) ? parsed : { segments: [] };
+  } catch {
+    return { segments: [] };
+  }
+}
+
+function writeStore(store) {
+  try {
+    window.localStorage.setItem(
+      CUSTOM_SEGMENT_STORAGE_KEY,
+      JSON.stringify(store)
+    );
+  } catch (err) {
+    throw new CustomSegmentError(
+      `Could not save custom segments to this browser (${err.message || err})`
+    );
+  }
+}
+
+function newId() {
+  return `cs-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 7)}`;
+}
+
+/* -------------------- API -------------------- */
+
+/** Saved custom segments in creation order. */
+export function listCustomSegments() {
+  return readStore().segments;
+}
+
+/**
+ * Create a custom segment, or overwrite `def.id` when it exists.
+ * `builtInKeys` are the names a segment may not take.
+ * Returns the saved definition.
+ */
+export function saveCustomSegment(def, builtInKeys) {
+  const store = readStore();
+  const existing = def.id ? store.segments.find((s) => s.id === def.id) : null;
+  const entry = validateCustomSegment(
+    { ...def, id: existing?.id || newId() },
+    builtInKeys,
+    store.segments
+  );
+  store.segments = existing
+    ? store.segments.map((s) => (s.id === entry.id ? entry : s))
+    : [...store.segments, entry];
+  writeStore(store);
+  return entry;
+}
+
+export function deleteCustomSegment(id) {
+  const store = readStore();
+  store.segments = store.segments.filter((s) => s.id !== id);
+  writeStore(store);
+}
+
+/** Normalised copy of a definition; throws CustomSegmentError if unusable. */
+export function validateCustomSegment(def, builtInKeys, others = []) {
+  const name = String(def.name || "").trim();
+  if (!name) throw new CustomSegmentError("Segment name cannot be empty");
+  if (builtInKeys.includes(name)) {
+    throw new CustomSegmentError(`"${name}" is a built-in segment`);
+  }
+  if (others.some((s) => s.id !== def.id && s.name === name)) {
+    throw new CustomSegmentError(`A custom segment "${name}" already exists`);
+  }
+
+  const source = def.source === "upload" ? "upload" : "members";
+  const color = /^#[0-9a-f]{6}$/i.test(def.color || "") ? def.color : "#8B5CF6";
+
+  if (source === "members") {
+    const members = (def.members || []).filter((k) => builtInKeys.includes(k));
+    if (!members.length) {
+      throw new CustomSegmentError("Pick at least one member segment");
+    }
+    return { id: def.id, name, color, source, members, baseline: null };
+  }
+
+  const baseline = {};
+  for (const { id, label } of BASELINE_FIELDS) {
+    const v = Number(def.baseline?.[id]);
+    if (!Number.isFinite(v) || v < 0) {
+      throw new CustomSegmentError(`${label} must be a number ≥ 0`);
+    }
+    baseline[id] = v;
+  }
+  if (!(baseline.price > 0) || !(baseline.base_volume > 0)) {
+    throw new CustomSegmentError("Price and monthly volume must be above 0");
+  }
+  return { id: def.id, name, color, source, members: [], baseline };
+}
+
+/* -------------------- Aggregation -------------------- */
+
+/** Members' baselines: volumes summed, drivers volume-weighted. */
+export function aggregateBaseline(members, baselines) {
+  const out = { month: baselines[members[0]]?.month ?? 1, base_volume: 0 };
+  for (const f of DRIVER_FIELDS) out[f] = 0;
+  for (const key of members) {
+    out.base_volume += baselines[key]?.base_volume ?? 0;
+  }
+  for (const key of members) {
+    const b = baselines[key];
+    const w = out.base_volume > 0 ? (b?.base_volume ?? 0) / out.base_volume : 0;
+    for (const f of DRIVER_FIELDS) out[f] += (b?.[f] ?? 0) * w;
+  }
+  return out;
+}
+
+/**
+ * Members' profiles combined month by month the same way. Expects the
+ * unforecast profiles (history or synthetic), so the group gets a forecast
+ * of its own rather than a sum of member forecasts.
+ */
+export function aggregateProfiles(members, profileByKey) {
+  const profs = members.map((k) => profileByKey[k]).filter(Boolean);
+  const n = profs[0]?.volume.length ?? 0;
+  const out = { volume: [] };
+  for (const f of DRIVER_FIELDS) out[f] = Array(n).fill(null);
+
+  for (let i = 0; i < n; i++) {
+    let total = 0;
+    for (const p of profs) total += p.volume[i]?.v ?? 0;
+    out.volume.push({ v: total });
+    for (const f of DRIVER_FIELDS) {
+      let acc = 0;
+      let weight = 0;
+      for (const p of profs) {
+        const v = p[f][i];
+        if (v == null) continue;
+        const w = total > 0 ? p.volume[i]?.v ?? 0 : 1;
+        acc += v * w;
+        weight += w;
+      }
+      out[f][i] = weight > 0 ? acc / weight : null;
+    }
+  }
+
+  if (profs.some((p) => p.fromHistory)) {
+    out.fromHistory = true;
+    out.filled = Array.from({ length: n }, (_, i) =>
+      profs.some((p) => p.filled?.[i])
+    );
+  }
+  return out;
+}
+
+/**
+ * Members' coefficient sets (or standard errors) weighted by baseline
+ * volume. `valuesFor(key)` returns the set for a member.
+ */
+export function aggregateCoeffs(members, baselines, valuesFor) {
+  let total = 0;
+  for (const key of members) total += baselines[key]?.base_volume ?? 0;
+  const out = {};
+  for (const key of members) {
+    const w =
+      total > 0
+        ? (baselines[key]?.base_volume ?? 0) / total
+        : 1 / members.length;
+    for (const [id, v] of Object.entries(valuesFor(key) || {})) {
+      out[id] = (out[id] ?? 0) + v * w;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,81 @@
+import {
+  CustomSegmentError,
+  aggregateBaseline,
+  aggregateCoeffs,
+  aggregateProfiles,
+  validateCustomSegment,
+} from "./customSegments";
+import { flatProfile } from "./testProfiles";
+
+const BUILT_IN = ["M SUV", "M Pickup"];
+
+const baselines = {
+  "M SUV": {
+    price: 40000,
+    fleet: 10,
+    lease: 20,
+    days: 60,
+    incentives: 1000,
+    base_volume: 300,
+  },
+  "M Pickup": {
+    price: 50000,
+    fleet: 20,
+    lease: 10,
+    days: 40,
+    incentives: 2000,
+    base_volume: 100,
+  },
+};
+
+test("grouped segments sum volume and volume-weight the drivers", () => {
+  const base = aggregateBaseline(BUILT_IN, baselines);
+  expect(base.base_volume).toBe(400);
+  expect(base.price).toBeCloseTo(42500);
+  expect(base.fleet).toBeCloseTo(12.5);
+
+  const prof = aggregateProfiles(BUILT_IN, {
+    "M SUV": flatProfile([100, 300], 40000),
+    "M Pickup": flatProfile([100, 100], 50000),
+  });
+  expect(prof.volume.map((d) => d.v)).toEqual([200, 400]);
+  expect(prof.price[0]).toBeCloseTo(45000);
+  expect(prof.price[1]).toBeCloseTo(42500);
+  expect(prof.fromHistory).toBeUndefined();
+});
+
+test("grouped coefficients are weighted by baseline volume", () => {
+  const K = aggregateCoeffs(BUILT_IN, baselines, (k) =>
+    k === "M SUV" ? { E_PRICE: -1.2 } : { E_PRICE: -0.8 }
+  );
+  expect(K.E_PRICE).toBeCloseTo(-1.1);
+});
+
+test("definitions are checked before they are saved", () => {
+  expect(() =>
+    validateCustomSegment({ name: "M SUV", members: ["M Pickup"] }, BUILT_IN)
+  ).toThrow(CustomSegmentError);
+  expect(() =>
+    validateCustomSegment({ name: "Mid", members: ["Unknown"] }, BUILT_IN)
+  ).toThrow("Pick at least one member segment");
+  expect(() =>
+    validateCustomSegment(
+      { id: "b", name: "Mid", members: ["M SUV"] },
+      BUILT_IN,
+      [{ id: "a", name: "Mid" }]
+    )
+  ).toThrow("already exists");
+  expect(() =>
+    validateCustomSegment(
+      { name: "Import", source: "upload", baseline: { price: 0 } },
+      BUILT_IN
+    )
+  ).toThrow(CustomSegmentError);
+
+  const ok = validateCustomSegment(
+    { name: "  Mid  ", color: "red", members: ["M SUV", "X"] },
+    BUILT_IN
+  );
+  expect(ok).toMatchObject({ name: "Mid", members: ["M SUV"], baseline: null });
+  expect(ok.color).toMatch(/^#/);
+});
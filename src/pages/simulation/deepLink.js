@@ -0,0 +1,254 @@
+// src/pages/simulation/deepLink.js
+
+/**
+ * Shareable links: the view of one mode in the page's query string.
+ *
+ *    ?mode=segments&key=M%20SUV&key=L%20SUV&from=2024-01&to=2026-12
+ *     &month=2025-03&scope=year&view=quarter&fy=10&drill=M%20SUV
+ *     &edits={"M SUV":{"2025-03":{"price":38000}}}
+ *     &states={"M SUV":{"price":["CA","TX"]}}
+ *
+ * Months travel as "YYYY-MM" rather than indexes, so a link survives a
+ * different forecast horizon. Card edits are JSON keyed by key and month,
+ * the states an edited driver is limited to (editStates) by key and field.
+ * Decoding never throws: what the link names but this browser cannot show
+ * (a custom segment it does not have, a month past the data) is left out
+ * and listed in `dropped`, and the rest of the view still opens.
+ */
+
+const SCOPES = ["month", "year"];
+const VIEWS = ["month", "quarter", "year"];
+
+// Edit values are rounded on the way out to keep links short
+const round2 = (x) => Math.round(x * 100) / 100;
+
+/**
+ * Query parameters for `view` (one mode's state, see makeModeState).
+ * Defaults (month scope, monthly view, calendar year) are left out.
+ */
+export function encodeViewLink(mode, view, monthTicks) {
+  const p = new URLSearchParams();
+  const ym = (i) => (i == null ? null : monthTicks[i] ?? null);
+  p.set("mode", mode);
+  if (view.drill) p.set("drill", view.drill.segment);
+  for (const key of view.selected || []) p.append("key", key);
+  if (ym(view.rangeStartIdx)) p.set("from", ym(view.rangeStartIdx));
+  if (ym(view.rangeEndIdx)) p.set("to", ym(view.rangeEndIdx));
+  if (ym(view.selectedMonthIdx)) p.set("month", ym(view.selectedMonthIdx));
+  if (view.applyScope && view.applyScope !== "month") {
+    p.set("scope", view.applyScope);
+  }
+  if (view.aggregation && view.aggregation !== "month") {
+    p.set("view", view.aggregation);
+  }
+  if (view.fiscalStartMonth && view.fiscalStartMonth !== 1) {
+    p.set("fy", String(view.fiscalStartMonth));
+  }
+
+  const edits = {};
+  for (const [key, byMonth] of Object.entries(view.edits || {})) {
+    for (const [i, fields] of Object.entries(byMonth || {})) {
+      const month = ym(Number(i));
+      if (!month) continue;
+      const out = {};
+      for (const [f, v] of Object.entries(fields)) out[f] = round2(v);
+      (edits[key] ||= {})[month] = out;
+    }
+  }
+  if (Object.keys(edits).length) p.set("edits", JSON.stringify(edits));
+
+  const states = {};
+  for (const [key, byField] of Object.entries(view.editStates || {})) {
+    for (const [f, codes] of Object.entries(byField || {})) {
+      if (codes?.length) (states[key] ||= {})[f] = codes;
+    }
+  }
+  if (Object.keys(states).length) p.set("states", JSON.stringify(states));
+  return p;
+}
+
+/**
+ * The view a link describes, or null when the query string carries none.
+ * ctx = {
+ *   modes,           { [mode]: keys } of this browser
+ *   nameplatesOf,    segment → nameplate keys ([] for none)
+ *   nameplateKeys,   every nameplate key
+ *   monthTicks,
+ *   lastIdx,         last month with data
+ *   limits,          { [field]: [min, max] } for card edits
+ *   stateCodes       two-letter codes edits can be limited to
+ * }
+ * Returns { mode, drill, patch, dropped } where `patch` holds the view
+ * fields to merge onto the mode's state (edits keyed by month index) and
+ * `dropped` lists what was left out, in words.
+ */
+export function decodeViewLink(params, ctx) {
+  const {
+    modes,
+    nameplatesOf,
+    nameplateKeys,
+    monthTicks,
+    lastIdx,
+    limits,
+    stateCodes,
+  } = ctx;
+  if (!params.has("mode") && !params.has("key")) return null;
+  const dropped = [];
+  const idxOf = (ym) => {
+    const i = ym == null ? -1 : monthTicks.indexOf(ym);
+    return i >= 0 && i <= lastIdx ? i : null;
+  };
+
+  let mode = params.get("mode") || "segments";
+  if (!modes[mode]) {
+    dropped.push(`unknown mode "${mode}"`);
+    mode = "segments";
+  }
+
+  let drill = null;
+  const drillSegment = params.get("drill");
+  if (drillSegment) {
+    const nameplates = mode === "segments" ? nameplatesOf(drillSegment) : [];
+    if (nameplates.length) drill = drillSegment;
+    else dropped.push(`drill-down into "${drillSegment}"`);
+  }
+  const known = drill ? nameplatesOf(drill) : modes[mode];
+
+  const patch = {};
+  const keys = params.getAll("key");
+  const unknown = keys.filter((k) => !known.includes(k));
+  if (unknown.length) dropped.push(`unknown keys ${unknown.join(", ")}`);
+  // With none of its keys known the mode keeps its own selection
+  const selected = keys.filter((k) => known.includes(k));
+  if (selected.length) patch.selected = selected;
+
+  const month = (name, label) => {
+    const ym = params.get(name);
+    if (ym == null) return undefined;
+    const i = idxOf(ym);
+    if (i == null) dropped.push(`${label} ${ym} (outside the data)`);
+    return i;
+  };
+  const from = month("from", "range start");
+  const to = month("to", "range end");
+  if (from != null) patch.rangeStartIdx = from;
+  if (to != null) patch.rangeEndIdx = to;
+  if (from != null && to != null && from > to) {
+    patch.rangeStartIdx = to;
+    patch.rangeEndIdx = from;
+  }
+  const selectedMonth = month("month", "selected month");
+  patch.selectedMonthIdx = selectedMonth ?? null;
+
+  const scope = params.get("scope") || "month";
+  patch.applyScope = SCOPES.includes(scope) ? scope : "month";
+  const aggregation = params.get("view") || "month";
+  patch.aggregation = VIEWS.includes(aggregation) ? aggregation : "month";
+  const fy = Number(params.get("fy") || 1);
+  patch.fiscalStartMonth = Number.isInteger(fy) && fy >= 1 && fy <= 12 ? fy : 1;
+
+  // Segments mode keeps segment and nameplate edits side by side, drilled
+  // in or not
+  const editable =
+    mode === "segments" ? [...modes.segments, ...nameplateKeys] : modes[mode];
+  patch.edits = decodeEdits(params.get("edits"), {
+    known: editable,
+    idxOf,
+    limits,
+    dropped,
+  });
+  patch.editStates = decodeEditStates(params.get("states"), {
+    known: editable,
+    limits,
+    stateCodes,
+    dropped,
+  });
+  return { mode, drill, patch, dropped };
+}
+
+// A limit that loses some of its states would apply more widely than the
+// sender set it, so every state or field left out is listed
+function decodeEditStates(raw, { known, limits, stateCodes, dropped }) {
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    dropped.push("state limits (unreadable)");
+    return {};
+  }
+  if (!parsed || typeof parsed !== "object") return {};
+
+  const out = {};
+  const lost = [];
+  for (const [key, byField] of Object.entries(parsed)) {
+    for (const [f, codes] of Object.entries(byField || {})) {
+      if (!known.includes(key) || !limits[f] || !Array.isArray(codes)) {
+        lost.push(`${key} ${f}`);
+        continue;
+      }
+      const valid = codes.filter((c) => stateCodes.includes(c));
+      const unknown = codes.filter((c) => !stateCodes.includes(c));
+      if (unknown.length) lost.push(`${key} ${f} in ${unknown.join(", ")}`);
+      if (valid.length) (out[key] ||= {})[f] = valid;
+    }
+  }
+  if (lost.length) dropped.push(`state limits for ${lost.join("; ")}`);
+  return out;
+}
+
+function decodeEdits(raw, { known, idxOf, limits, dropped }) {
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    dropped.push("card edits (unreadable)");
+    return {};
+  }
+  if (!parsed || typeof parsed !== "object") return {};
+
+  const out = {};
+  const unknownKeys = [];
+  let badMonths = 0;
+  let badValues = 0;
+  for (const [key, byMonth] of Object.entries(parsed)) {
+    if (!known.includes(key)) {
+      unknownKeys.push(key);
+      continue;
+    }
+    for (const [ym, fields] of Object.entries(byMonth || {})) {
+      const i = idxOf(ym);
+      if (i == null) {
+        badMonths++;
+        continue;
+      }
+      const month = {};
+      for (const [f, v] of Object.entries(fields || {})) {
+        const n = Number(v);
+        if (!limits[f] || !Number.isFinite(n)) {
+          badValues++;
+          continue;
+        }
+        month[f] = Math.min(limits[f][1], Math.max(limits[f][0], n));
+      }
+      if (Object.keys(month).length) (out[key] ||= {})[i] = month;
+    }
+  }
+  if (unknownKeys.length) {
+    dropped.push(`edits for unknown keys ${unknownKeys.join(", ")}`);
+  }
+  if (badMonths) {
+    dropped.push(
+      `edits in ${badMonths} month${
+        badMonths === 1 ? "" : "s"
+      } outside the data`
+    );
+  }
+  if (badValues) {
+    dropped.push(
+      `${badValues} invalid edit value${badValues === 1 ? "" : "s"}`
+    );
+  }
+  return out;
+}
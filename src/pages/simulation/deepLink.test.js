@@ -0,0 +1,132 @@
+import { decodeViewLink, encodeViewLink } from "./deepLink";
+
+const TICKS = ["2025-01", "2025-02", "2025-03", "2025-04", "2025-05"];
+const ctx = {
+  modes: { segments: ["M SUV", "L SUV"], powertrains: ["ICE", "BEV"] },
+  nameplatesOf: (s) => (s === "M SUV" ? ["Explorer", "Traveler"] : []),
+  nameplateKeys: ["Explorer", "Traveler"],
+  monthTicks: TICKS,
+  lastIdx: 3,
+  limits: { price: [1000, 250000], fleet: [0, 100] },
+  stateCodes: ["CA", "TX", "NY"],
+};
+
+test("a view round-trips through the query string", () => {
+  const view = {
+    selected: ["M SUV", "L SUV"],
+    rangeStartIdx: 0,
+    rangeEndIdx: 3,
+    selectedMonthIdx: 2,
+    applyScope: "year",
+    aggregation: "quarter",
+    fiscalStartMonth: 10,
+    edits: { "M SUV": { 2: { price: 38000.004, fleet: 12 } } },
+    editStates: { "M SUV": { price: ["CA", "TX"], fleet: [] } },
+  };
+  const params = encodeViewLink("segments", view, TICKS);
+  expect(params.get("month")).toBe("2025-03");
+  const back = decodeViewLink(new URLSearchParams(params.toString()), ctx);
+  expect(back.mode).toBe("segments");
+  expect(back.dropped).toEqual([]);
+  expect(back.patch).toEqual({
+    selected: ["M SUV", "L SUV"],
+    rangeStartIdx: 0,
+    rangeEndIdx: 3,
+    selectedMonthIdx: 2,
+    applyScope: "year",
+    aggregation: "quarter",
+    fiscalStartMonth: 10,
+    edits: { "M SUV": { 2: { price: 38000, fleet: 12 } } },
+    editStates: { "M SUV": { price: ["CA", "TX"] } },
+  });
+});
+
+test("state limits this browser cannot apply are listed", () => {
+  const params = new URLSearchParams();
+  params.set("mode", "segments");
+  params.set(
+    "states",
+    JSON.stringify({
+      "M SUV": { price: ["CA", "ZZ"], color: ["TX"] },
+      Zeppelin: { price: ["NY"] },
+    })
+  );
+  const res = decodeViewLink(params, ctx);
+  expect(res.patch.editStates).toEqual({ "M SUV": { price: ["CA"] } });
+  expect(res.dropped).toEqual([
+    "state limits for M SUV price in ZZ; M SUV color; Zeppelin price",
+  ]);
+});
+
+test("a page without view parameters is not a link", () => {
+  expect(decodeViewLink(new URLSearchParams(""), ctx)).toBeNull();
+});
+
+test("unknown keys and months outside the data are dropped and listed", () => {
+  const params = new URLSearchParams();
+  params.set("mode", "powertrains");
+  params.append("key", "BEV");
+  params.append("key", "Zeppelin");
+  params.set("from", "2024-06");
+  params.set("month", "2025-05");
+  params.set(
+    "edits",
+    JSON.stringify({
+      BEV: { "2025-02": { price: 9e9, color: 3 }, "2030-01": { price: 1 } },
+      Zeppelin: { "2025-02": { price: 40000 } },
+    })
+  );
+  const res = decodeViewLink(params, ctx);
+  expect(res.patch.selected).toEqual(["BEV"]);
+  expect(res.patch.rangeStartIdx).toBeUndefined();
+  expect(res.patch.selectedMonthIdx).toBeNull();
+  expect(res.patch.edits).toEqual({ BEV: { 1: { price: 250000 } } });
+  expect(res.dropped).toEqual([
+    "unknown keys Zeppelin",
+    "range start 2024-06 (outside the data)",
+    "selected month 2025-05 (outside the data)",
+    "edits for unknown keys Zeppelin",
+    "edits in 1 month outside the data",
+    "1 invalid edit value",
+  ]);
+});
+
+test("bad modes, drill-downs and edits fall back instead of failing", () => {
+  const params = new URLSearchParams(
+    "mode=boats&drill=Tiny&key=M%20SUV&edits=%7Bnope"
+  );
+  const res = decodeViewLink(params, ctx);
+  expect(res.mode).toBe("segments");
+  expect(res.drill).toBeNull();
+  expect(res.patch.selected).toEqual(["M SUV"]);
+  expect(res.dropped).toEqual([
+    'unknown mode "boats"',
+    'drill-down into "Tiny"',
+    "card edits (unreadable)",
+  ]);
+
+  const drilled = decodeViewLink(
+    new URLSearchParams("mode=segments&drill=M%20SUV&key=Traveler"),
+    ctx
+  );
+  expect(drilled.drill).toBe("M SUV");
+  expect(drilled.patch.selected).toEqual(["Traveler"]);
+});
+
+test("segment and nameplate edits travel together, drilled in or not", () => {
+  const edits = {
+    "M SUV": { 1: { price: 40000 } },
+    Explorer: { 2: { fleet: 12 } },
+  };
+  for (const drill of [null, { segment: "M SUV" }]) {
+    const view = {
+      drill,
+      selected: drill ? ["Explorer"] : ["M SUV"],
+      edits,
+    };
+    const params = encodeViewLink("segments", view, TICKS);
+    const back = decodeViewLink(new URLSearchParams(params.toString()), ctx);
+    expect(back.dropped).toEqual([]);
+    expect(back.patch.edits).toEqual(edits);
+  }
+});
@@ -0,0 +1,135 @@
+// src/pages/simulation/edits.js
+
+import { periodOf } from "./calendar";
+
+/**
+ * Card edits anchored to months.
+ *
+ *    edits[key][monthIdx] = { price?, fleet?, lease?, days?, incentives? }
+ *
+ * Values are absolute drivers for that month; fields without an entry keep
+ * the profile (history or forecast) value. A "Month only" edit writes one
+ * month. A "Total Year" edit is spread over every month of the calendar
+ * year relative to the unedited profile, so the seasonal shape survives:
+ * price, days and incentives scale by the ratio typed at the anchor month,
+ * the fleet and lease mixes (percentage points) shift by the same amount.
+ * When the view has a fiscal year start other than January, "Total Year"
+ * means that fiscal year instead, matching the quarterly / yearly view.
+ */
+
+export const EDIT_FIELDS = ["price", "fleet", "lease", "days", "incentives"];
+
+const SPREAD_BY_FIELD = {
+  price: "ratio",
+  days: "ratio",
+  incentives: "ratio",
+  fleet: "shift",
+  lease: "shift",
+};
+
+/**
+ * Month indices in the year of `idx`, up to `lastIdx`: the calendar year,
+ * or the fiscal year starting in month `fiscalStart` (simulation/calendar.js).
+ */
+export function yearMonthIndices(
+  monthTicks,
+  idx,
+  lastIdx = Infinity,
+  fiscalStart = 1
+) {
+  const out = [];
+  if (!monthTicks[idx]) return out;
+  const year = periodOf(monthTicks[idx], "year", fiscalStart).key;
+  monthTicks.forEach((ym, i) => {
+    if (i <= lastIdx && periodOf(ym, "year", fiscalStart).key === year) {
+      out.push(i);
+    }
+  });
+  return out;
+}
+
+/** The year a "Total Year" edit at `ym` spans: "Year 2025" or "FY2025". */
+export function yearScopeLabel(ym, fiscalStart = 1) {
+  const { label } = periodOf(ym, "year", fiscalStart);
+  return fiscalStart === 1 ? `Year ${label}` : label;
+}
+
+/**
+ * Values for `indices` that move `field` from `reference` to `value` while
+ * keeping the shape of `baseValues`. Ratio fields fall back to a shift when
+ * the reference is not positive.
+ */
+export function spreadFieldValues(
+  field,
+  baseValues,
+  indices,
+  reference,
+  value
+) {
+  const ratio = SPREAD_BY_FIELD[field] === "ratio" && reference > 0;
+  const out = {};
+  for (const i of indices) {
+    const b = baseValues[i];
+    if (b == null) continue;
+    out[i] = Math.max(
+      0,
+      ratio ? (b * value) / reference : b + value - reference
+    );
+  }
+  return out;
+}
+
+/**
+ * Set `field` of one key at `indices` (see spreadFieldValues). Months where
+ * the result comes back to the profile value (up to float noise) drop the
+ * field again, so an edit typed back to its original value leaves no trace.
+ * `reference` is the value being replaced: the anchor month's by default,
+ * or a period's average when a quarter or year is edited as a whole.
+ */
+export function applyFieldEdit(
+  keyEdits,
+  prof,
+  field,
+  anchorIdx,
+  indices,
+  value,
+  reference = prof[field][anchorIdx]
+) {
+  const values = spreadFieldValues(
+    field,
+    prof[field],
+    indices,
+    reference,
+    value
+  );
+  const next = { ...(keyEdits || {}) };
+  for (const [i, v] of Object.entries(values)) {
+    const month = { ...(next[i] || {}) };
+    if (Math.abs(v - prof[field][i]) < 1e-9) delete month[field];
+    else month[field] = v;
+    if (Object.keys(month).length) next[i] = month;
+    else delete next[i];
+  }
+  return next;
+}
+
+/** Drivers in effect for a key at month `i`. */
+export function driversAt(prof, keyEdits, i) {
+  const e = keyEdits?.[i] || {};
+  const out = {};
+  for (const f of EDIT_FIELDS) out[f] = e[f] ?? prof[f][i];
+  return out;
+}
+
+/** Sorted month indices that carry an edit for any key. */
+export function editedMonthIndices(edits) {
+  const set = new Set();
+  for (const byMonth of Object.values(edits || {})) {
+    for (const i of Object.keys(byMonth || {})) set.add(Number(i));
+  }
+  return [...set].sort((a, b) => a - b);
+}
+
+export function hasEdits(keyEdits) {
+  return !!keyEdits && Object.keys(keyEdits).length > 0;
+}
@@ -0,0 +1,70 @@
+import {
+  applyFieldEdit,
+  driversAt,
+  yearMonthIndices,
+  yearScopeLabel,
+} from "./edits";
+
+const monthTicks = ["2024-11", "2024-12", "2025-01", "2025-02", "2025-03"];
+const prof = {
+  price: [40000, 41000, 38000, 39000, 42000],
+  fleet: [10, 12, 8, 9, 11],
+  lease: [20, 20, 20, 20, 20],
+  days: [60, 60, 60, 60, 60],
+  incentives: [0, 0, 0, 0, 0],
+};
+
+test("year indices stay in the calendar year and before the data end", () => {
+  expect(yearMonthIndices(monthTicks, 3)).toEqual([2, 3, 4]);
+  expect(yearMonthIndices(monthTicks, 3, 3)).toEqual([2, 3]);
+  expect(yearMonthIndices(monthTicks, 0)).toEqual([0, 1]);
+});
+
+test("year indices follow a fiscal year start", () => {
+  // FY2025 runs Dec 2024 – Nov 2025
+  expect(yearMonthIndices(monthTicks, 3, Infinity, 12)).toEqual([1, 2, 3, 4]);
+  expect(yearMonthIndices(monthTicks, 0, Infinity, 12)).toEqual([0]);
+  expect(yearMonthIndices(monthTicks, 9)).toEqual([]);
+});
+
+test("the year is named once, calendar or fiscal", () => {
+  expect(yearScopeLabel("2024-12")).toBe("Year 2024");
+  expect(yearScopeLabel("2024-12", 12)).toBe("FY2025");
+  expect(yearScopeLabel("2024-11", 12)).toBe("FY2024");
+});
+
+test("a Total Year price edit scales every month by the anchor ratio", () => {
+  const indices = yearMonthIndices(monthTicks, 3);
+  const e = applyFieldEdit(undefined, prof, "price", 3, indices, 35100);
+  expect(e[3].price).toBeCloseTo(35100);
+  expect(e[2].price).toBeCloseTo(38000 * 0.9);
+  expect(e[4].price).toBeCloseTo(42000 * 0.9);
+  expect(e[1]).toBeUndefined();
+});
+
+test("a mix edit under one point is kept; typing the value back drops it", () => {
+  const e = applyFieldEdit({}, prof, "fleet", 3, [3], 9.4);
+  expect(e[3].fleet).toBeCloseTo(9.4);
+  expect(applyFieldEdit(e, prof, "fleet", 3, [3], 9)).toEqual({});
+  const year = applyFieldEdit({}, prof, "price", 3, [2, 3, 4], 39000);
+  expect(year).toEqual({});
+});
+
+test("mix edits shift by percentage points and never go negative", () => {
+  const e = applyFieldEdit({}, prof, "fleet", 3, [2, 3, 4], 0);
+  expect(driversAt(prof, e, 2).fleet).toBe(0);
+  expect(driversAt(prof, e, 4).fleet).toBe(2);
+});
+
+test("typing the original value back removes the edit", () => {
+  const e1 = applyFieldEdit({}, prof, "price", 3, [3], 30000);
+  expect(e1[3].price).toBe(30000);
+  const e2 = applyFieldEdit(e1, prof, "price", 3, [3], 39000);
+  expect(e2).toEqual({});
+});
+
+test("a period edit replaces the period average and keeps the shape", () => {
+  const e = applyFieldEdit({}, prof, "price", 2, [2, 3, 4], 43000, 39666.67);
+  expect(e[2].price).toBeCloseTo(38000 * (43000 / 39666.67));
+  expect(e[4].price).toBeCloseTo(42000 * (43000 / 39666.67));
+});
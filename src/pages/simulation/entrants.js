@@ -0,0 +1,248 @@
+// src/pages/simulation/entrants.js
+import { builtinCrossWeight } from "./crossEffects";
+import { matrixKey } from "./matrix";
+
+/**
+ * New entrants: vehicles with no history, launched into a segment and
+ * powertrain at a chosen month.
+ *
+ * From launch, an entrant sells a share of its segment's monthly volume,
+ * moved by its price against the segment's (price elasticity of its
+ * segment × powertrain cell) and scaled by a ramp curve up to maturity:
+ *    V_i = share · segment_i · (price / segmentPrice_i) ^ E · ramp(i − launch)
+ * `newToMarket` percent of V_i is new to the market. The rest is taken from
+ * the built-in segments by the entrant's `sources` weights, and within a
+ * segment from its powertrains by cross weight (the entrant's own
+ * powertrain counting 1) times powertrain volume. Losses are kept per
+ * segment × powertrain cell, so every mode can sum them onto its own keys.
+ */
+
+export const ENTRANT_RAMPS = {
+  linear: "Linear",
+  scurve: "S-curve",
+  fast: "Fast start",
+};
+
+// Input bounds, [min, max]
+export const ENTRANT_LIMITS = {
+  price: [1000, 250000],
+  share: [0, 100],
+  rampMonths: [1, 60],
+  newToMarket: [0, 100],
+};
+
+// Weight of the entrant's own segment in the default sources; the other
+// segments get their cross-segment weight
+const OWN_SEGMENT_WEIGHT = 2;
+
+const DRIVER_FIELDS = ["fleet", "lease", "days", "incentives"];
+
+export class EntrantError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EntrantError";
+  }
+}
+
+/** Share of mature volume `k` months after launch (0 at launch). */
+export function rampFactor(ramp, k, rampMonths) {
+  if (k < 0) return 0;
+  const t = Math.min(1, (k + 1) / Math.max(1, rampMonths));
+  if (ramp === "linear") return t;
+  if (ramp === "fast") return (1 - Math.exp(-3 * t)) / (1 - Math.exp(-3));
+  // S-curve: a logistic rescaled to run from 0 to 1 over the ramp
+  const s = (x) => 1 / (1 + Math.exp(-10 * (x - 0.5)));
+  return (s(t) - s(0)) / (s(1) - s(0));
+}
+
+/** Default source weights (percent, rounded) over `segments`. */
+export function defaultSources(segment, segments) {
+  const raw = {};
+  let total = 0;
+  for (const s of segments) {
+    raw[s] =
+      s === segment
+        ? OWN_SEGMENT_WEIGHT
+        : builtinCrossWeight("segments", segment, s);
+    total += raw[s];
+  }
+  const out = {};
+  for (const s of segments) {
+    if (raw[s] > 0) out[s] = Math.round((raw[s] / total) * 100);
+  }
+  return out;
+}
+
+/**
+ * Normalised copy of a definition; throws EntrantError for a name that is
+ * empty or taken, or an unknown segment / powertrain. Numbers are clamped
+ * to ENTRANT_LIMITS.
+ */
+export function validateEntrant(def, { takenNames, segments, powertrains }) {
+  const name = String(def.name || "").trim();
+  if (!name) throw new EntrantError("Entrant name cannot be empty");
+  if (takenNames.includes(name)) {
+    throw new EntrantError(`"${name}" is already used`);
+  }
+  if (!segments.includes(def.segment)) {
+    throw new EntrantError(`Unknown segment "${def.segment}"`);
+  }
+  if (!powertrains.includes(def.powertrain)) {
+    throw new EntrantError(`Unknown powertrain "${def.powertrain}"`);
+  }
+
+  const num = (field) => {
+    const v = Number(def[field]);
+    const [lo, hi] = ENTRANT_LIMITS[field];
+    return Math.min(hi, Math.max(lo, Number.isFinite(v) ? v : lo));
+  };
+  const sources = {};
+  for (const s of segments) {
+    const w = Number(def.sources?.[s]);
+    if (Number.isFinite(w) && w > 0) sources[s] = w;
+  }
+  return {
+    id: def.id,
+    name,
+    color: def.color,
+    segment: def.segment,
+    powertrain: def.powertrain,
+    launchYM: def.launchYM,
+    price: num("price"),
+    share: num("share"),
+    ramp: ENTRANT_RAMPS[def.ramp] ? def.ramp : "scurve",
+    rampMonths: Math.round(num("rampMonths")),
+    newToMarket: num("newToMarket"),
+    sources,
+  };
+}
+
+/**
+ * entrants  validated definitions
+ * ctx = {
+ *   monthTicks,
+ *   segmentProfiles,      { [segment]: profile }, before edits
+ *   powertrainProfiles,   { [powertrain]: profile }, before edits
+ *   elasticityFor(entrant)
+ * }
+ * Returns one result per entrant (launch months outside monthTicks get
+ * none):
+ *   { name, launchIdx, profile, newToMarket: [], taken: { [cellKey]: [] } }
+ * `profile` is shaped like a key's profile: volume is null before launch,
+ * price is the entrant's, the other drivers follow the segment.
+ */
+export function simulateEntrants(entrants, ctx) {
+  const { monthTicks, segmentProfiles, powertrainProfiles, elasticityFor } =
+    ctx;
+  const n = monthTicks.length;
+  const out = [];
+
+  for (const e of entrants) {
+    const launchIdx = monthTicks.indexOf(e.launchYM);
+    const seg = segmentProfiles[e.segment];
+    if (launchIdx < 0 || !seg) continue;
+
+    const E = elasticityFor(e);
+    const sources = Object.entries(e.sources).filter(
+      ([s, w]) => w > 0 && segmentProfiles[s]
+    );
+    let sourceTotal = 0;
+    for (const [, w] of sources) sourceTotal += w;
+    const ptWeights = Object.keys(powertrainProfiles).map((q) => [
+      q,
+      q === e.powertrain
+        ? 1
+        : builtinCrossWeight("powertrains", e.powertrain, q),
+    ]);
+
+    const profile = { volume: [], price: Array(n).fill(null) };
+    for (const f of DRIVER_FIELDS) profile[f] = Array(n).fill(null);
+    const newToMarket = Array(n).fill(0);
+    const taken = {};
+
+    for (let i = 0; i < n; i++) {
+      const segV = seg.volume[i]?.v;
+      const segPrice = seg.price[i];
+      if (i < launchIdx || segV == null || !(segPrice > 0)) {
+        profile.volume.push({ v: null });
+        continue;
+      }
+      const v =
+        (e.share / 100) *
+        segV *
+        Math.pow(e.price / segPrice, E) *
+        rampFactor(e.ramp, i - launchIdx, e.rampMonths);
+      profile.volume.push({ v });
+      profile.price[i] = e.price;
+      for (const f of DRIVER_FIELDS) profile[f][i] = seg[f][i];
+
+      const substitution = sourceTotal > 0 ? v * (1 - e.newToMarket / 100) : 0;
+      newToMarket[i] = v - substitution;
+      if (!substitution) continue;
+
+      let ptTotal = 0;
+      const ptSplit = ptWeights.map(([q, w]) => {
+        const x = w * (powertrainProfiles[q].volume[i]?.v ?? 0);
+        ptTotal += x;
+        return [q, x];
+      });
+      for (const [s, w] of sources) {
+        const fromSegment = (substitution * w) / sourceTotal;
+        for (const [q, x] of ptSplit) {
+          if (!(x > 0)) continue;
+          const cell = matrixKey(s, q);
+          (taken[cell] ||= Array(n).fill(0))[i] += (fromSegment * x) / ptTotal;
+        }
+      }
+    }
+    out.push({ name: e.name, launchIdx, profile, newToMarket, taken });
+  }
+  return out;
+}
+
+/**
+ * Entrant losses summed onto keys: `keyOf(cellKey)` names the key a
+ * segment × powertrain cell belongs to (null to skip it).
+ * Returns { [key]: number[] } by month.
+ */
+export function entrantLossesBy(results, keyOf) {
+  const out = {};
+  for (const r of results) {
+    for (const [cell, arr] of Object.entries(r.taken)) {
+      const key = keyOf(cell);
+      if (key == null) continue;
+      const acc = (out[key] ||= Array(arr.length).fill(0));
+      for (let i = 0; i < arr.length; i++) acc[i] += arr[i];
+    }
+  }
+  return out;
+}
+
+/**
+ * Profiles with entrant losses taken out of their volume (bands scale
+ * with the point value; moved months are flagged `simulated`). Returns
+ * `profileByKey` itself when nothing is lost.
+ */
+export function applyEntrantLosses(profileByKey, lossByKey) {
+  let changed = false;
+  const out = { ...profileByKey };
+  for (const [key, loss] of Object.entries(lossByKey)) {
+    const prof = profileByKey[key];
+    if (!prof || !loss.some((x) => x > 0)) continue;
+    const volume = prof.volume.map((d, i) => {
+      if (d?.v == null || !(loss[i] > 0)) return d;
+      const v = Math.max(0, d.v - loss[i]);
+      const scale = d.v > 0 ? v / d.v : 1;
+      return {
+        ...d,
+        v,
+        ...(d.lo != null && { lo: d.lo * scale }),
+        ...(d.hi != null && { hi: d.hi * scale }),
+        simulated: true,
+      };
+    });
+    out[key] = { ...prof, volume };
+    changed = true;
+  }
+  return changed ? out : profileByKey;
+}
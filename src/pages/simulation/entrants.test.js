@@ -0,0 +1,97 @@
+import {
+  EntrantError,
+  applyEntrantLosses,
+  defaultSources,
+  entrantLossesBy,
+  rampFactor,
+  simulateEntrants,
+  validateEntrant,
+} from "./entrants";
+import { flatProfile } from "./testProfiles";
+
+const SEGMENTS = ["M SUV", "L SUV", "M Pickup"];
+const POWERTRAINS = ["ICE", "BEV"];
+const TICKS = ["2026-01", "2026-02", "2026-03", "2026-04"];
+
+const entrant = (patch) =>
+  validateEntrant(
+    {
+      id: "ne-1",
+      name: "Traveler",
+      segment: "M SUV",
+      powertrain: "BEV",
+      launchYM: "2026-02",
+      price: 45000,
+      share: 10,
+      ramp: "linear",
+      rampMonths: 1,
+      newToMarket: 20,
+      sources: { "M SUV": 3, "L SUV": 1 },
+      ...patch,
+    },
+    { takenNames: ["M SUV"], segments: SEGMENTS, powertrains: POWERTRAINS }
+  );
+
+const ctx = {
+  monthTicks: TICKS,
+  segmentProfiles: {
+    "M SUV": flatProfile([1000, 1000, 1000, 1000], 45000),
+    "L SUV": flatProfile([500, 500, 500, 500], 55000),
+    "M Pickup": flatProfile([800, 800, 800, 800], 50000),
+  },
+  powertrainProfiles: {
+    ICE: flatProfile([3000, 3000, 3000, 3000], 40000),
+    BEV: flatProfile([1000, 1000, 1000, 1000], 48000),
+  },
+  elasticityFor: () => -1.2,
+};
+
+test("ramp curves run from launch to maturity", () => {
+  for (const ramp of ["linear", "scurve", "fast"]) {
+    expect(rampFactor(ramp, -1, 12)).toBe(0);
+    expect(rampFactor(ramp, 11, 12)).toBeCloseTo(1);
+    expect(rampFactor(ramp, 30, 12)).toBe(1);
+    expect(rampFactor(ramp, 3, 12)).toBeLessThan(rampFactor(ramp, 6, 12));
+  }
+  expect(rampFactor("fast", 2, 12)).toBeGreaterThan(
+    rampFactor("linear", 2, 12)
+  );
+});
+
+test("default sources favour the entrant's own segment", () => {
+  const sources = defaultSources("M SUV", SEGMENTS);
+  const top = Object.entries(sources).sort((a, b) => b[1] - a[1])[0][0];
+  expect(top).toBe("M SUV");
+  expect(sources["M Pickup"]).toBeGreaterThan(0);
+});
+
+test("entrant names must be new", () => {
+  expect(() => entrant({ name: "M SUV" })).toThrow(EntrantError);
+  expect(() => entrant({ name: " " })).toThrow(EntrantError);
+  expect(entrant({ share: 400 }).share).toBe(100);
+});
+
+test("entrant volume starts at launch and is taken from its sources", () => {
+  const [res] = simulateEntrants([entrant()], ctx);
+  expect(res.launchIdx).toBe(1);
+  expect(res.profile.volume[0].v).toBeNull();
+  expect(res.profile.volume[1].v).toBeCloseTo(100);
+  expect(res.newToMarket[1]).toBeCloseTo(20);
+
+  const bySegment = entrantLossesBy([res], (cell) => cell.split(" · ")[0]);
+  expect(bySegment["M SUV"][1]).toBeCloseTo(60);
+  expect(bySegment["L SUV"][1]).toBeCloseTo(20);
+  expect(bySegment["M Pickup"]).toBeUndefined();
+
+  // A higher price sells less
+  const [dear] = simulateEntrants([entrant({ price: 60000 })], ctx);
+  expect(dear.profile.volume[1].v).toBeLessThan(100);
+});
+
+test("losses come out of the incumbents' volume", () => {
+  const profiles = { "M SUV": flatProfile([1000, 1000], 45000) };
+  expect(applyEntrantLosses(profiles, {})).toBe(profiles);
+  const after = applyEntrantLosses(profiles, { "M SUV": [0, 60] });
+  expect(after["M SUV"].volume[0]).toBe(profiles["M SUV"].volume[0]);
+  expect(after["M SUV"].volume[1]).toMatchObject({ v: 940, simulated: true });
+});
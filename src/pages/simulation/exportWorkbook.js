@@ -0,0 +1,399 @@
+// src/pages/simulation/exportWorkbook.js
+import * as XLSX from "xlsx";
+import { COEFF_FIELDS } from "./model";
+import { CUSTOM_SEGMENT_SOURCES } from "./customSegments";
+import { ENTRANT_RAMPS } from "./entrants";
+import { US_STATES } from "./regions";
+
+/**
+ * Excel export of the scenario on screen, one sheet per view:
+ *    Metadata      scenario, mode, export time and the settings in effect
+ *    KPIs          baseline vs simulated summary for the range
+ *    Monthly       one row per key and month: baseline and simulated
+ *                  volume plus the simulated drivers (long format, so it
+ *                  pivots cleanly)
+ *    Inputs        card values as shown
+ *    Coefficients  model coefficients used per key
+ *    Custom segments  definitions of the custom segments on screen (only
+ *                  when there are any)
+ *    New entrants  entrant definitions and their volume over the range
+ *                  (only when there are any)
+ *    Regions       baseline and simulated volume by state for the cards'
+ *                  month or range, and the keys whose edits are limited
+ *                  to each state
+ *    Assumptions   free-text notes on the cards, per mode (only when
+ *                  there are any)
+ *    Change log    driver edits with time and author (only when there
+ *                  are any)
+ */
+
+const KPI_ROWS = [
+  ["Total Volume", "totalVolume"],
+  ["Price Paid ($)", "weightedATP"],
+  ["Fleet Mix (%)", "fleetMix"],
+  ["Lease Mix (%)", "leaseMix"],
+  ["Days' Supply", "daysSupply"],
+  ["Incentives ($)", "incentives"],
+  ["Revenue ($)", "revenue"],
+  ["Contribution margin ($)", "margin"],
+];
+
+const round = (v, digits = 0) =>
+  Number.isFinite(v) ? Number(v.toFixed(digits)) : null;
+
+/** "Market Simulation - <scenario> - <Mode> - 2025-03-14 0930.xlsx" */
+export function scenarioExportFileName(scenarioName, modeLabel, date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )} ${pad(date.getHours())}${pad(date.getMinutes())}`;
+  const safe = (s) =>
+    String(s)
+      .replace(/[\\/:*?"<>|]+/g, "-")
+      .trim();
+  return `Market Simulation - ${safe(scenarioName)} - ${safe(
+    modeLabel
+  )} - ${stamp}.xlsx`;
+}
+
+/**
+ * input = {
+ *   scenarioName, variantName, modeLabel, exportedAt (Date),
+ *   keys, monthTicks, monthLabel(i), rangeStartIdx, rangeEndIdx,
+ *   futureCutoffIdx, selectedMonthIdx, applyScope,
+ *   selectedLabel,                   optional label of the selected month
+ *                                    or quarter / year (default: the month)
+ *   baselineByKey, simulatedByKey,   profiles before / after edits
+ *   edits,                           month-anchored card edits
+ *   cards,                           card rows as shown, with `profit`
+ *                                    { unitCost, revenue, margin }
+ *   coeffsByKey, customCoeffKeys, coefficientSource,
+ *   customSegments,                  definitions (customSegments.js)
+ *   entrants,                        definitions (entrants.js) with
+ *                                    `volume` over the range
+ *   regions,                         optional { baseline, simulated }
+ *                                    volume by state code, and
+ *                                    editStates { [key]: { [field]:
+ *                                    state codes } }
+ *   notes,                           [{ mode, key, text }] card notes
+ *   changeLog,                       entries (auditTrail.js)
+ *   kpis, baselineKpis,
+ *   settings                         extra [label, value] metadata rows
+ * }
+ */
+export function buildScenarioWorkbook(input) {
+  const wb = XLSX.utils.book_new();
+  const add = (name, rows) =>
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name);
+
+  add("Metadata", metadataRows(input));
+  add("KPIs", kpiRows(input));
+  add("Monthly", monthlyRows(input));
+  add("Inputs", inputRows(input));
+  add("Coefficients", coefficientRows(input));
+  if (input.customSegments?.length) {
+    add("Custom segments", customSegmentRows(input));
+  }
+  if (input.entrants?.length) {
+    add("New entrants", entrantRows(input));
+  }
+  if (input.regions) {
+    add("Regions", regionRows(input));
+  }
+  if (input.notes?.length) add("Assumptions", noteRows(input));
+  if (input.changeLog?.length) add("Change log", changeLogRows(input));
+  return wb;
+}
+
+/**
+ * What the printable summary shows, as [{ title, rows }]: the metadata,
+ * KPIs, card inputs, assumptions and change log sheets. The monthly
+ * series is left to the workbook.
+ */
+export function summaryTables(input) {
+  return [
+    { title: "Scenario", rows: metadataRows(input) },
+    { title: "KPIs", rows: kpiRows(input) },
+    { title: "Inputs", rows: inputRows(input) },
+    input.notes?.length && { title: "Assumptions", rows: noteRows(input) },
+    input.changeLog?.length && {
+      title: "Change log",
+      rows: changeLogRows(input),
+    },
+  ].filter(Boolean);
+}
+
+/** Build the workbook and hand it to the browser as a download. */
+export function downloadScenarioWorkbook(input) {
+  const fileName = scenarioExportFileName(
+    input.scenarioName,
+    input.modeLabel,
+    input.exportedAt
+  );
+  XLSX.writeFile(buildScenarioWorkbook(input), fileName);
+  return fileName;
+}
+
+/* -------------------- Sheets -------------------- */
+
+function metadataRows(input) {
+  const { monthLabel } = input;
+  return [
+    ["Field", "Value"],
+    ["Scenario", input.scenarioName],
+    ["Variant", input.variantName],
+    ["Mode", input.modeLabel],
+    ["Exported at", input.exportedAt.toISOString()],
+    [
+      "Date range",
+      `${monthLabel(input.rangeStartIdx)} – ${monthLabel(input.rangeEndIdx)}`,
+    ],
+    ["Selected month", selectedLabel(input)],
+    ["Selected keys", input.keys.join(", ")],
+    ["Apply scope", input.applyScope === "year" ? "Total Year" : "Month only"],
+    ["History cutoff", monthLabel(input.futureCutoffIdx)],
+    ["Coefficients", input.coefficientSource],
+    ...(input.settings || []),
+  ];
+}
+
+function kpiRows({ kpis, baselineKpis }) {
+  const base = baselineKpis || kpis;
+  return [
+    ["KPI", "Baseline", "Simulated", "Change", "Change %"],
+    ...KPI_ROWS.map(([label, id]) => {
+      const digits = id === "fleetMix" || id === "leaseMix" ? 2 : 0;
+      const b = base[id];
+      const s = kpis[id];
+      return [
+        label,
+        round(b, digits),
+        round(s, digits),
+        round(s - b, digits),
+        b ? round(((s - b) / b) * 100, 2) : null,
+      ];
+    }),
+  ];
+}
+
+function monthlyRows(input) {
+  const {
+    keys,
+    monthTicks,
+    rangeStartIdx,
+    rangeEndIdx,
+    futureCutoffIdx,
+    baselineByKey,
+    simulatedByKey,
+    edits,
+  } = input;
+  const rows = [
+    [
+      "Month",
+      "Key",
+      "Period",
+      "Baseline volume",
+      "Simulated volume",
+      "Change",
+      "Avg price paid",
+      "Fleet mix (%)",
+      "Lease mix (%)",
+      "Days supply",
+      "Incentives ($)",
+      "Edited",
+    ],
+  ];
+  for (const key of keys) {
+    const base = baselineByKey[key];
+    const sim = simulatedByKey[key];
+    if (!base || !sim) continue;
+    for (let i = rangeStartIdx; i <= rangeEndIdx; i++) {
+      const b = base.volume[i]?.v;
+      const s = sim.volume[i]?.v;
+      if (b == null && s == null) continue;
+      rows.push([
+        monthTicks[i],
+        key,
+        i > futureCutoffIdx ? "Forecast" : "History",
+        round(b),
+        round(s),
+        round((s ?? 0) - (b ?? 0)),
+        round(sim.price[i]),
+        round(sim.fleet[i], 2),
+        round(sim.lease[i], 2),
+        round(sim.days[i], 1),
+        round(sim.incentives[i]),
+        edits?.[key]?.[i] ? "yes" : "",
+      ]);
+    }
+  }
+  return rows;
+}
+
+function selectedLabel({ selectedMonthIdx, selectedLabel, monthLabel }) {
+  if (selectedMonthIdx == null) return "";
+  return selectedLabel ?? monthLabel(selectedMonthIdx);
+}
+
+function inputRows(input) {
+  const { cards, selectedMonthIdx } = input;
+  const basis =
+    selectedMonthIdx == null ? "Range average" : selectedLabel(input);
+  return [
+    [
+      "Key",
+      "Basis",
+      "Avg price paid",
+      "Fleet mix (%)",
+      "Lease mix (%)",
+      "Days supply",
+      "Incentives ($)",
+      "Volume",
+      "Unit cost ($)",
+      "Revenue ($)",
+      "Contribution margin ($)",
+    ],
+    ...cards.map((r) => [
+      r.key,
+      basis,
+      r.price,
+      r.fleet,
+      r.lease,
+      r.days,
+      r.incentives,
+      round(r.volume),
+      r.profit?.unitCost ?? null,
+      round(r.profit?.revenue),
+      round(r.profit?.margin),
+    ]),
+  ];
+}
+
+function coefficientRows({ keys, coeffsByKey, customCoeffKeys }) {
+  return [
+    ["Key", ...COEFF_FIELDS.map((f) => f.id), "Edited"],
+    ...keys.map((key) => [
+      key,
+      ...COEFF_FIELDS.map((f) => coeffsByKey[key]?.[f.id] ?? null),
+      customCoeffKeys.includes(key) ? "yes" : "",
+    ]),
+  ];
+}
+
+function customSegmentRows({ customSegments }) {
+  return [
+    [
+      "Name",
+      "Source",
+      "Members",
+      "Color",
+      "Baseline price",
+      "Baseline fleet",
+      "Baseline lease",
+      "Baseline days supply",
+      "Baseline incentives ($)",
+      "Baseline monthly volume",
+    ],
+    ...customSegments.map((s) => [
+      s.name,
+      CUSTOM_SEGMENT_SOURCES[s.source],
+      s.members.join(", "),
+      s.color,
+      s.baseline?.price ?? null,
+      s.baseline?.fleet ?? null,
+      s.baseline?.lease ?? null,
+      s.baseline?.days ?? null,
+      s.baseline?.incentives ?? null,
+      s.baseline?.base_volume ?? null,
+    ]),
+  ];
+}
+
+function entrantRows({ entrants, monthLabel, monthTicks }) {
+  return [
+    [
+      "Name",
+      "Segment",
+      "Powertrain",
+      "Launch month",
+      "Price ($)",
+      "Mature share of segment (%)",
+      "Ramp curve",
+      "Months to maturity",
+      "New to market (%)",
+      "Source weights",
+      "Volume in range",
+    ],
+    ...entrants.map((e) => {
+      const i = monthTicks.indexOf(e.launchYM);
+      return [
+        e.name,
+        e.segment,
+        e.powertrain,
+        i >= 0 ? monthLabel(i) : e.launchYM,
+        e.price,
+        e.share,
+        ENTRANT_RAMPS[e.ramp],
+        e.rampMonths,
+        e.newToMarket,
+        Object.entries(e.sources)
+          .map(([k, w]) => `${k} ${w}`)
+          .join(", "),
+        round(e.volume),
+      ];
+    }),
+  ];
+}
+
+function regionRows({ regions }) {
+  const { baseline, simulated, editStates = {} } = regions;
+  return [
+    [
+      "State",
+      "Code",
+      "Census region",
+      "Baseline volume",
+      "Simulated volume",
+      "Change",
+      "Edits limited to this state",
+    ],
+    ...US_STATES.map((st) => [
+      st.name,
+      st.abbr,
+      st.region,
+      round(baseline[st.abbr]),
+      round(simulated[st.abbr]),
+      round(simulated[st.abbr] - baseline[st.abbr]),
+      Object.entries(editStates)
+        .flatMap(([key, fieldStates]) =>
+          Object.entries(fieldStates)
+            .filter(([, states]) => states.includes(st.abbr))
+            .map(([field]) => `${key} ${field}`)
+        )
+        .join(", "),
+    ]),
+  ];
+}
+
+function noteRows({ notes }) {
+  return [
+    ["Mode", "Key", "Assumptions"],
+    ...notes.map((n) => [n.mode, n.key, n.text]),
+  ];
+}
+
+function changeLogRows({ changeLog }) {
+  return [
+    ["Time", "Author", "Mode", "Variant", "Change", "Period", "From", "To"],
+    ...changeLog.map((e) => [
+      e.at,
+      e.author || "",
+      e.mode,
+      e.variant || "",
+      e.subject,
+      e.period || "",
+      e.from ?? "",
+      e.to ?? "",
+    ]),
+  ];
+}
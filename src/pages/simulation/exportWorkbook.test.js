@@ -0,0 +1,209 @@
+import * as XLSX from "xlsx";
+import {
+  buildScenarioWorkbook,
+  scenarioExportFileName,
+  summaryTables,
+} from "./exportWorkbook";
+import { flatProfile } from "./testProfiles";
+
+const input = {
+  scenarioName: "Q3 price cut",
+  variantName: "Variant A",
+  modeLabel: "Segments",
+  exportedAt: new Date("2025-03-14T09:30:00Z"),
+  keys: ["M SUV"],
+  monthTicks: ["2025-01", "2025-02", "2025-03"],
+  monthLabel: (i) => ["Jan 2025", "Feb 2025", "Mar 2025"][i],
+  rangeStartIdx: 0,
+  rangeEndIdx: 2,
+  futureCutoffIdx: 1,
+  selectedMonthIdx: 2,
+  applyScope: "month",
+  baselineByKey: { "M SUV": flatProfile([100, 110, 120], 40000) },
+  simulatedByKey: { "M SUV": flatProfile([100, 110, 150], 38000) },
+  edits: { "M SUV": { 2: { price: 38000 } } },
+  cards: [
+    {
+      key: "M SUV",
+      price: 38000,
+      fleet: 10,
+      lease: 20,
+      days: 60,
+      incentives: 1000,
+      volume: 150,
+    },
+  ],
+  coeffsByKey: { "M SUV": { E_PRICE: -1.2 } },
+  customCoeffKeys: [],
+  coefficientSource: "Built-in defaults",
+  kpis: { totalVolume: 360, weightedATP: 38000 },
+  baselineKpis: { totalVolume: 330, weightedATP: 40000 },
+};
+
+const sheetRows = (wb, name) =>
+  XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1 });
+
+test("writes one sheet per view with metadata first", () => {
+  const wb = buildScenarioWorkbook(input);
+  expect(wb.SheetNames).toEqual([
+    "Metadata",
+    "KPIs",
+    "Monthly",
+    "Inputs",
+    "Coefficients",
+  ]);
+  const meta = Object.fromEntries(sheetRows(wb, "Metadata"));
+  expect(meta.Scenario).toBe("Q3 price cut");
+  expect(meta.Mode).toBe("Segments");
+  expect(meta["Exported at"]).toBe("2025-03-14T09:30:00.000Z");
+});
+
+test("monthly rows carry baseline, simulated and the edit flag", () => {
+  const rows = sheetRows(buildScenarioWorkbook(input), "Monthly");
+  expect(rows).toHaveLength(4);
+  expect(rows[3]).toEqual(
+    expect.arrayContaining(["2025-03", "M SUV", "Forecast", 120, 150, 30])
+  );
+  expect(rows[3][rows[0].indexOf("Edited")]).toBe("yes");
+  expect(rows[1][2]).toBe("History");
+});
+
+test("KPIs and inputs carry revenue and contribution margin", () => {
+  const wb = buildScenarioWorkbook({
+    ...input,
+    cards: [
+      {
+        ...input.cards[0],
+        profit: { unitCost: 30000, revenue: 5550000.4, margin: 1050000.4 },
+      },
+    ],
+    kpis: { ...input.kpis, revenue: 12e6, margin: 2e6 },
+    baselineKpis: { ...input.baselineKpis, revenue: 11e6, margin: 2.5e6 },
+  });
+  const kpis = sheetRows(wb, "KPIs");
+  expect(kpis.find((r) => r[0] === "Contribution margin ($)")).toEqual([
+    "Contribution margin ($)",
+    2500000,
+    2000000,
+    -500000,
+    -20,
+  ]);
+  const [head, row] = sheetRows(wb, "Inputs");
+  expect(row[head.indexOf("Unit cost ($)")]).toBe(30000);
+  expect(row[head.indexOf("Revenue ($)")]).toBe(5550000);
+  expect(row[head.indexOf("Contribution margin ($)")]).toBe(1050000);
+});
+
+test("file names are safe and record scenario, mode and time", () => {
+  const name = scenarioExportFileName(
+    "Cut: M/L SUV",
+    "Segments",
+    new Date(2025, 2, 14, 9, 5)
+  );
+  expect(name).toBe(
+    "Market Simulation - Cut- M-L SUV - Segments - 2025-03-14 0905.xlsx"
+  );
+});
+
+test("custom segment definitions get a sheet of their own", () => {
+  const wb = buildScenarioWorkbook({
+    ...input,
+    customSegments: [
+      {
+        id: "cs-1",
+        name: "Midsize trucks",
+        color: "#8B5CF6",
+        source: "members",
+        members: ["M SUV", "M Pickup"],
+        baseline: null,
+      },
+    ],
+  });
+  expect(wb.SheetNames).toContain("Custom segments");
+  const rows = sheetRows(wb, "Custom segments");
+  expect(rows[1].slice(0, 3)).toEqual([
+    "Midsize trucks",
+    "Built-in segments",
+    "M SUV, M Pickup",
+  ]);
+});
+
+test("new entrants are listed with their volume over the range", () => {
+  const wb = buildScenarioWorkbook({
+    ...input,
+    entrants: [
+      {
+        id: "ne-1",
+        name: "Traveler",
+        segment: "M SUV",
+        powertrain: "BEV",
+        launchYM: "2025-03",
+        price: 52000,
+        share: 5,
+        ramp: "scurve",
+        rampMonths: 12,
+        newToMarket: 20,
+        sources: { "M SUV": 60, "L SUV": 40 },
+        volume: 1234.4,
+      },
+    ],
+  });
+  const rows = sheetRows(wb, "New entrants");
+  expect(rows[1][0]).toBe("Traveler");
+  expect(rows[1][rows[0].indexOf("Ramp curve")]).toBe("S-curve");
+  expect(rows[1][rows[0].indexOf("Volume in range")]).toBe(1234);
+});
+
+test("regions list every state with its scoped edits", () => {
+  const baseline = { CA: 100, TX: 50 };
+  const simulated = { CA: 130, TX: 50 };
+  const wb = buildScenarioWorkbook({
+    ...input,
+    regions: {
+      baseline,
+      simulated,
+      editStates: { "M SUV": { incentives: ["CA", "TX"], price: ["CA"] } },
+    },
+  });
+  const rows = sheetRows(wb, "Regions");
+  expect(rows).toHaveLength(52);
+  const ca = rows.find((r) => r[1] === "CA");
+  expect(ca[rows[0].indexOf("Change")]).toBe(30);
+  const limited = rows[0].indexOf("Edits limited to this state");
+  expect(ca[limited]).toBe("M SUV incentives, M SUV price");
+  expect(rows.find((r) => r[1] === "TX")[limited]).toBe("M SUV incentives");
+  expect(wb.SheetNames).toContain("Regions");
+});
+
+test("assumptions and the change log get sheets when there are any", () => {
+  const wb = buildScenarioWorkbook({
+    ...input,
+    notes: [{ mode: "Segments", key: "M SUV", text: "matches Q3 program" }],
+    changeLog: [
+      {
+        at: "2025-03-14T09:30:00.000Z",
+        author: "Dana",
+        mode: "Segments",
+        variant: "Variant A",
+        subject: "M SUV price",
+        from: "40,000",
+        to: "38,000",
+        period: "Mar 2025",
+      },
+    ],
+  });
+  expect(wb.SheetNames.slice(-2)).toEqual(["Assumptions", "Change log"]);
+  expect(sheetRows(wb, "Assumptions")[1]).toEqual([
+    "Segments",
+    "M SUV",
+    "matches Q3 program",
+  ]);
+  const log = sheetRows(wb, "Change log");
+  expect(log[1][log[0].indexOf("Author")]).toBe("Dana");
+  expect(log[1][log[0].indexOf("To")]).toBe("38,000");
+  expect(summaryTables(input).map((t) => t.title)).toEqual([
+    "Scenario",
+    "KPIs",
+    "Inputs",
+  ]);
+});
@@ -0,0 +1,155 @@
+// src/pages/simulation/forecast.js
+
+/**
+ * Forecast engine for months after the history cutoff.
+ *
+ * Classical seasonal decomposition (period 12) followed by a damped linear
+ * trend on the seasonally adjusted series:
+ *    1. centered 2×12 moving average → trend-cycle
+ *    2. month-of-year seasonal indices (multiplicative when the series is
+ *       strictly positive, additive otherwise), normalized
+ *    3. OLS trend on the adjusted series, damped by `damping` per month so
+ *       long horizons flatten out instead of running away
+ *    4. prediction intervals from the trend residuals, widened with the
+ *       usual OLS leverage term at the (damped) forecast position
+ * Series shorter than two full seasons skip step 2.
+ */
+
+export const FORECAST_DEFAULTS = {
+  period: 12,
+  damping: 0.98,
+  level: 0.8,
+};
+
+const Z_BY_LEVEL = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+
+/**
+ * Forecast `horizon` steps after the last value of `y`.
+ * Returns { point, lo, hi, seasonal, multiplicative } (arrays of `horizon`).
+ * `phase` is the month-of-year position (0-based) of y[0].
+ */
+export function forecastSeries(y, horizon, opts = {}) {
+  const { period, damping, level } = { ...FORECAST_DEFAULTS, ...opts };
+  const phase = opts.phase ?? 0;
+  const n = y.length;
+  const z = Z_BY_LEVEL[level] ?? 1.2816;
+
+  if (n === 0 || horizon <= 0) {
+    return { point: [], lo: [], hi: [], seasonal: null, multiplicative: false };
+  }
+
+  const multiplicative = y.every((v) => v > 0);
+  const seasonal =
+    n >= 2 * period ? seasonalIndices(y, period, phase, multiplicative) : null;
+  const sAt = (t) =>
+    seasonal ? seasonal[(((t + phase) % period) + period) % period] : null;
+  const adjust = (v, t) =>
+    !seasonal ? v : multiplicative ? v / sAt(t) : v - sAt(t);
+  const reseason = (v, t) =>
+    !seasonal ? v : multiplicative ? v * sAt(t) : v + sAt(t);
+
+  const d = y.map(adjust);
+
+  // OLS trend on the adjusted series
+  const xMean = (n - 1) / 2;
+  const yMean = d.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0,
+    sxy = 0;
+  for (let t = 0; t < n; t++) {
+    sxx += (t - xMean) ** 2;
+    sxy += (t - xMean) * (d[t] - yMean);
+  }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = yMean - slope * xMean;
+
+  let sse = 0;
+  for (let t = 0; t < n; t++) sse += (d[t] - (intercept + slope * t)) ** 2;
+  const sigma = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+
+  const point = [],
+    lo = [],
+    hi = [];
+  let dampedSteps = 0;
+  for (let h = 1; h <= horizon; h++) {
+    dampedSteps += damping ** h;
+    const x = n - 1 + dampedSteps;
+    const base = intercept + slope * x;
+    const se =
+      sigma * Math.sqrt(1 + 1 / n + (sxx > 0 ? (x - xMean) ** 2 / sxx : 0));
+    const t = n - 1 + h;
+    point.push(Math.max(0, reseason(base, t)));
+    lo.push(Math.max(0, reseason(base - z * se, t)));
+    hi.push(Math.max(0, reseason(base + z * se, t)));
+  }
+
+  return { point, lo, hi, seasonal, multiplicative };
+}
+
+/**
+ * Replace everything after `cutoffIdx` in a profile with forecasts built
+ * from [histStartIdx, cutoffIdx]. Months past `cutoffIdx + horizon` are
+ * left empty (null / { v: null }). Volume entries carry { lo, hi } bands.
+ */
+export function forecastProfile(profile, opts) {
+  const { histStartIdx, cutoffIdx, horizon, phase = 0, ...rest } = opts;
+  const n = profile.volume.length;
+  const steps = Math.max(0, Math.min(horizon, n - 1 - cutoffIdx));
+  const hist = (arr) => arr.slice(histStartIdx, cutoffIdx + 1);
+  const seriesOpts = { ...rest, phase };
+
+  const driver = (arr) => {
+    const fc = forecastSeries(hist(arr), steps, seriesOpts);
+    return arr.map((v, i) =>
+      i <= cutoffIdx
+        ? v
+        : i - cutoffIdx <= steps
+        ? fc.point[i - cutoffIdx - 1]
+        : null
+    );
+  };
+
+  const volHist = hist(profile.volume.map((d) => d.v));
+  const vfc = forecastSeries(volHist, steps, seriesOpts);
+
+  return {
+    ...profile,
+    price: driver(profile.price),
+    fleet: driver(profile.fleet),
+    lease: driver(profile.lease),
+    days: driver(profile.days),
+    incentives: driver(profile.incentives),
+    volume: profile.volume.map((d, i) => {
+      if (i <= cutoffIdx) return d;
+      const h = i - cutoffIdx - 1;
+      if (h >= steps) return { v: null };
+      return { v: vfc.point[h], lo: vfc.lo[h], hi: vfc.hi[h], forecast: true };
+    }),
+    forecastEndIdx: cutoffIdx + steps,
+  };
+}
+
+/* -------------------- Decomposition -------------------- */
+
+function seasonalIndices(y, period, phase, multiplicative) {
+  const n = y.length;
+  const half = Math.floor(period / 2);
+  const sums = Array(period).fill(0);
+  const counts = Array(period).fill(0);
+
+  for (let t = half; t < n - half; t++) {
+    // 2×12 centered moving average: half weights on the two end points
+    let acc = (y[t - half] + y[t + half]) / 2;
+    for (let k = -half + 1; k < half; k++) acc += y[t + k];
+    const ma = acc / period;
+    if (multiplicative && ma <= 0) continue;
+    const m = (t + phase) % period;
+    sums[m] += multiplicative ? y[t] / ma : y[t] - ma;
+    counts[m]++;
+  }
+
+  const raw = sums.map((s, m) =>
+    counts[m] ? s / counts[m] : multiplicative ? 1 : 0
+  );
+  const mean = raw.reduce((a, b) => a + b, 0) / period;
+  return raw.map((v) => (multiplicative ? v / mean : v - mean));
+}
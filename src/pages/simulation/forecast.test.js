@@ -0,0 +1,48 @@
+import { forecastSeries, forecastProfile } from "./forecast";
+
+const seasonalShape = (i) => 1 + 0.2 * Math.sin((2 * Math.PI * i) / 12);
+
+test("recovers trend and seasonality of a clean series", () => {
+  const y = Array.from({ length: 36 }, (_, i) => (100 + i) * seasonalShape(i));
+  const fc = forecastSeries(y, 12, { damping: 1 });
+  fc.point.forEach((v, h) => {
+    const t = 36 + h;
+    expect(v).toBeCloseTo((100 + t) * seasonalShape(t), 0);
+  });
+  expect(fc.multiplicative).toBe(true);
+});
+
+test("intervals contain the point and widen with the horizon", () => {
+  const y = Array.from({ length: 32 }, (_, i) => 50 + ((i * 7) % 5));
+  const fc = forecastSeries(y, 24);
+  fc.point.forEach((v, h) => {
+    expect(fc.lo[h]).toBeLessThanOrEqual(v);
+    expect(fc.hi[h]).toBeGreaterThanOrEqual(v);
+  });
+  const width = (h) => fc.hi[h] - fc.lo[h];
+  expect(width(23)).toBeGreaterThan(width(0));
+});
+
+test("forecastProfile keeps history and empties months past the horizon", () => {
+  const n = 10;
+  const arr = (v) => Array(n).fill(v);
+  const profile = {
+    price: arr(100),
+    fleet: arr(10),
+    lease: arr(20),
+    days: arr(50),
+    incentives: arr(1000),
+    volume: arr(0).map((_, i) => ({ v: 10 + i })),
+  };
+  const out = forecastProfile(profile, {
+    histStartIdx: 0,
+    cutoffIdx: 5,
+    horizon: 2,
+  });
+  expect(out.volume.slice(0, 6)).toEqual(profile.volume.slice(0, 6));
+  expect(out.volume[6].forecast).toBe(true);
+  expect(out.volume[8].v).toBeNull();
+  expect(out.price[7]).toBeCloseTo(100);
+  expect(out.price[8]).toBeNull();
+  expect(out.forecastEndIdx).toBe(7);
+});
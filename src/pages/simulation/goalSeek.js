@@ -0,0 +1,75 @@
+// src/pages/simulation/goalSeek.js
+
+/**
+ * Goal seek: find driver values that hit a target (volume or share).
+ *
+ * Free drivers move together along one parameter t ∈ [−1, 1]:
+ *    t = 0   every driver at its current value
+ *    t = 1   every driver at the limit that raises the result the most
+ *    t = −1  every driver at the opposite limit
+ * each driver travelling the same fraction of the way to its limit. As long
+ * as the result is monotone in each driver (true for computeVolume and for
+ * a key's share), it is monotone in t, so bisection finds the answer or
+ * proves the target is outside what the limits allow.
+ */
+
+/**
+ * drivers   [{ field, start, min, max }]
+ * evaluate  ({ [field]: value }) → number
+ * Returns { reachable, values, achieved, range: [lowest, highest] }; when
+ * unreachable, `values` is the limit closest to the target.
+ */
+export function solveGoal({
+  drivers,
+  evaluate,
+  target,
+  tolerance = 0.5,
+  maxIter = 80,
+}) {
+  const startValues = Object.fromEntries(
+    drivers.map((d) => [d.field, d.start])
+  );
+
+  // Which limit raises the result, per driver
+  const ends = drivers.map((d) => {
+    const atMax = evaluate({ ...startValues, [d.field]: d.max });
+    const atMin = evaluate({ ...startValues, [d.field]: d.min });
+    return atMax >= atMin
+      ? { field: d.field, start: d.start, up: d.max, down: d.min }
+      : { field: d.field, start: d.start, up: d.min, down: d.max };
+  });
+
+  const at = (t) =>
+    Object.fromEntries(
+      ends.map((e) => [
+        e.field,
+        e.start + Math.abs(t) * ((t >= 0 ? e.up : e.down) - e.start),
+      ])
+    );
+
+  const lowest = evaluate(at(-1));
+  const highest = evaluate(at(1));
+  const range = [lowest, highest];
+
+  if (target < lowest - tolerance || target > highest + tolerance) {
+    const values = at(target < lowest ? -1 : 1);
+    return {
+      reachable: false,
+      values,
+      achieved: target < lowest ? lowest : highest,
+      range,
+    };
+  }
+
+  let lo = -1;
+  let hi = 1;
+  let t = 0;
+  let achieved = evaluate(at(t));
+  for (let n = 0; n < maxIter && Math.abs(achieved - target) > tolerance; n++) {
+    if (achieved < target) lo = t;
+    else hi = t;
+    t = (lo + hi) / 2;
+    achieved = evaluate(at(t));
+  }
+  return { reachable: true, values: at(t), achieved, range };
+}
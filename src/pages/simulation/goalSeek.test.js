@@ -0,0 +1,55 @@
+import { solveGoal } from "./goalSeek";
+import { computeVolume } from "./model";
+
+const base = {
+  price: 40000,
+  fleet: 10,
+  lease: 20,
+  days: 60,
+  incentives: 2000,
+  base_volume: 10000,
+};
+const K = {
+  E_PRICE: -1.2,
+  B_FLEET_PER10PP: 0.06,
+  B_LEASE_PER10PP: 0.04,
+  B_INCENTIVES_PER_K: 0.05,
+  B_DAYS_PER10: -0.05,
+};
+const volumeWith = (values) => computeVolume({ ...base, ...values }, base, K);
+
+test("solves a single free driver to the target", () => {
+  const res = solveGoal({
+    drivers: [{ field: "incentives", start: 2000, min: 0, max: 25000 }],
+    evaluate: volumeWith,
+    target: 11000,
+  });
+  expect(res.reachable).toBe(true);
+  expect(volumeWith(res.values)).toBeCloseTo(11000, 0);
+  expect(res.values.incentives).toBeGreaterThan(2000);
+});
+
+test("moves several drivers together, each in its own direction", () => {
+  const res = solveGoal({
+    drivers: [
+      { field: "price", start: 40000, min: 1000, max: 250000 },
+      { field: "days", start: 60, min: 0, max: 400 },
+    ],
+    evaluate: volumeWith,
+    target: 12000,
+  });
+  expect(res.reachable).toBe(true);
+  expect(res.values.price).toBeLessThan(40000);
+  expect(res.values.days).toBeLessThan(60);
+});
+
+test("reports targets outside the limits", () => {
+  const res = solveGoal({
+    drivers: [{ field: "incentives", start: 2000, min: 0, max: 25000 }],
+    evaluate: volumeWith,
+    target: 1e6,
+  });
+  expect(res.reachable).toBe(false);
+  expect(res.values.incentives).toBe(25000);
+  expect(res.achieved).toBeCloseTo(res.range[1]);
+});
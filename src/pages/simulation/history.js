@@ -0,0 +1,84 @@
+// src/pages/simulation/history.js
+
+/**
+ * Undo / redo for one mode's view (see makeModeState).
+ *
+ *    { past: [entry], future: [entry] }
+ *    entry = { state, subject, from, to, group, at }
+ *
+ * A past entry holds the view from before its change, a future entry the
+ * view after it, so undo and redo just swap the current view for the
+ * entry's. `subject`, `from` and `to` describe the change in words
+ * ("M SUV price", "45,000", "42,500"); `from` / `to` are left out for
+ * changes without a value ("Reset all cards").
+ *
+ * Changes sharing a `group` within COALESCE_MS of each other (keystrokes in
+ * one card input, a wheel zoom) are one step: the entry keeps the view
+ * from before the first and the `from` of the first, and takes the `to`
+ * of the last. A second change away from the view the last step already
+ * left (two writes from one click, before the page re-renders) joins that
+ * step as it is.
+ */
+
+export const HISTORY_LIMIT = 100;
+export const COALESCE_MS = 1000;
+
+export function emptyHistory() {
+  return { past: [], future: [] };
+}
+
+/** "M SUV price 45,000 → 42,500", or the subject alone. */
+export function historyLabel(entry) {
+  return entry.to == null
+    ? entry.subject
+    : `${entry.subject} ${entry.from} → ${entry.to}`;
+}
+
+/**
+ * History after a change away from view `state`. Recording a change drops
+ * the redo branch; the oldest entries go past HISTORY_LIMIT.
+ */
+export function recordChange(history, change) {
+  const { state, subject, from, to, group = null, at = 0 } = change;
+  const last = history.past[history.past.length - 1];
+  if (last && last.state === state) return history;
+  if (group && last?.group === group && at - last.at < COALESCE_MS) {
+    return {
+      past: [...history.past.slice(0, -1), { ...last, subject, to, at }],
+      future: [],
+    };
+  }
+  return {
+    past: [...history.past, { state, subject, from, to, group, at }].slice(
+      -HISTORY_LIMIT
+    ),
+    future: [],
+  };
+}
+
+/**
+ * Move `steps` changes back (negative) or forward (positive) from view
+ * `current`: { history, state }, or null when there is nothing that far.
+ */
+export function travel(history, current, steps) {
+  if (!steps) return null;
+  const back = steps < 0;
+  const n = Math.abs(steps);
+  if (n > (back ? history.past : history.future).length) return null;
+  let { past, future } = history;
+  let state = current;
+  for (let k = 0; k < n; k++) {
+    if (back) {
+      const entry = past[past.length - 1];
+      past = past.slice(0, -1);
+      future = [{ ...entry, state, group: null }, ...future];
+      state = entry.state;
+    } else {
+      const entry = future[0];
+      future = future.slice(1);
+      past = [...past, { ...entry, state, group: null }];
+      state = entry.state;
+    }
+  }
+  return { history: { past, future }, state };
+}
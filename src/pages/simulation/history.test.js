@@ -0,0 +1,72 @@
+import {
+  HISTORY_LIMIT,
+  emptyHistory,
+  historyLabel,
+  recordChange,
+  travel,
+} from "./history";
+
+const price = (state, from, to, at, group = "edit:M SUV:price") => ({
+  state,
+  subject: "M SUV price",
+  from,
+  to,
+  group,
+  at,
+});
+
+test("undo and redo walk the recorded views", () => {
+  let h = recordChange(emptyHistory(), price("v0", "45,000", "44,000", 0));
+  h = recordChange(h, { state: "v1", subject: "Reset all cards", at: 5000 });
+  expect(h.past.map(historyLabel)).toEqual([
+    "M SUV price 45,000 → 44,000",
+    "Reset all cards",
+  ]);
+
+  const back = travel(h, "v2", -1);
+  expect(back.state).toBe("v1");
+  expect(back.history.future.map(historyLabel)).toEqual(["Reset all cards"]);
+  const forward = travel(back.history, back.state, 1);
+  expect(forward.state).toBe("v2");
+  expect(forward.history.past).toHaveLength(2);
+
+  const start = travel(h, "v2", -2);
+  expect(start.state).toBe("v0");
+  expect(travel(start.history, start.state, 2).state).toBe("v2");
+  expect(travel(h, "v2", -3)).toBeNull();
+  expect(travel(h, "v2", 1)).toBeNull();
+});
+
+test("quick changes to the same input are one step", () => {
+  let h = recordChange(emptyHistory(), price("v0", "45,000", "4", 0));
+  h = recordChange(h, price("v1", "4", "42", 300));
+  h = recordChange(h, price("v2", "42", "42,500", 600));
+  expect(h.past).toHaveLength(1);
+  expect(h.past[0].state).toBe("v0");
+  expect(historyLabel(h.past[0])).toBe("M SUV price 45,000 → 42,500");
+
+  // A second write from the same view adds nothing
+  expect(recordChange(h, { state: "v0", subject: "Other", at: 9000 })).toBe(h);
+
+  // A pause or another input starts a new step
+  expect(recordChange(h, price("v3", "42,500", "1", 5000)).past).toHaveLength(
+    2
+  );
+  expect(
+    recordChange(h, price("v3", "10", "12", 700, "edit:M SUV:fleet")).past
+  ).toHaveLength(2);
+});
+
+test("a new change drops the redo branch and old steps fall off", () => {
+  let h = recordChange(emptyHistory(), { state: "v0", subject: "A", at: 0 });
+  h = travel(h, "v1", -1).history;
+  expect(h.future).toHaveLength(1);
+  h = recordChange(h, { state: "v0", subject: "B", at: 9000 });
+  expect(h.future).toEqual([]);
+
+  for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+    h = recordChange(h, { state: i, subject: `S${i}`, at: 10000 + i * 5000 });
+  }
+  expect(h.past).toHaveLength(HISTORY_LIMIT);
+  expect(h.past[0].state).toBe(5);
+});
@@ -0,0 +1,319 @@
+// src/pages/simulation/historyLoader.js
+import {
+  readSpreadsheetRows,
+  mapColumns,
+  isBlankRow,
+  normalizeToken,
+  normalizeMode,
+  parseNumber,
+  makeKeyLookup,
+} from "./spreadsheet";
+
+/**
+ * Monthly segment / powertrain history loader (CSV or XLSX).
+ *
+ * Expected layout is one row per key per month ("long" format). Column
+ * names are matched loosely (case, spacing and a few common aliases):
+ *    month | mode | key | price | fleet | lease | days | incentives | volume
+ * - `mode` is optional; when absent it is inferred from the key.
+ * - Every sheet of a workbook is read; a sheet named like a mode
+ *   ("Segments", "Powertrains", "Matrix") supplies the mode for its rows.
+ * - Segment × powertrain cells are keyed "M SUV · BEV" (see matrix.js).
+ * - Nameplates ("Explorer") form a mode of their own (nameplates.js).
+ *
+ * Nothing is dropped silently: malformed rows, unknown keys, months outside
+ * the history window and gaps inside it all come back as `issues`.
+ */
+
+export const HISTORY_FIELDS = [
+  "price",
+  "fleet",
+  "lease",
+  "days",
+  "incentives",
+  "volume",
+];
+
+const COLUMN_ALIASES = {
+  month: ["month", "ym", "period", "date", "yearmonth"],
+  mode: ["mode", "dimension", "level", "type"],
+  key: ["key", "segment", "powertrain", "category", "name"],
+  price: ["price", "atp", "pricepaid", "avgpricepaid", "transactionprice"],
+  fleet: ["fleet", "fleetmix", "fleetpct", "fleet%"],
+  lease: ["lease", "leasemix", "leasepct", "lease%"],
+  days: ["days", "dayssupply", "days'supply", "ds"],
+  incentives: ["incentives", "incentive", "incentivespend"],
+  volume: ["volume", "registrations", "units", "sales"],
+};
+
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/* -------------------- File reading -------------------- */
+
+export async function readHistoryFile(file) {
+  return readSpreadsheetRows(file);
+}
+
+/* -------------------- Parsing -------------------- */
+
+/**
+ * Turn raw spreadsheet rows into per-mode, per-key monthly arrays aligned
+ * to `monthTicks`. Only months in [histStartYM, cutoffYM] are kept.
+ *
+ * Returns { seriesByMode, issues, rowCount } where
+ *   seriesByMode[mode][key] = { price: [], ..., volume: [], filled: [] }
+ * and arrays have monthTicks.length entries (null outside history).
+ */
+export function parseHistoryRows(rows, opts) {
+  const { knownKeysByMode, monthTicks, histStartYM, cutoffYM } = opts;
+  const issues = [];
+  const monthIndex = new Map(monthTicks.map((m, i) => [m, i]));
+  const histStartIdx = monthIndex.get(histStartYM) ?? 0;
+  const cutoffIdx = monthIndex.get(cutoffYM) ?? monthTicks.length - 1;
+
+  const keyLookup = makeKeyLookup(knownKeysByMode);
+
+  const seriesByMode = {};
+  const unknownKeys = new Map();
+  const outOfRange = new Map();
+  let rowCount = 0;
+
+  for (const raw of rows) {
+    const row = mapColumns(raw, COLUMN_ALIASES);
+    const where = `${raw.__sheet ? `${raw.__sheet} ` : ""}row ${
+      raw.__row ?? "?"
+    }`;
+
+    if (isBlankRow(row)) continue;
+    rowCount++;
+
+    const ym = parseMonth(row.month);
+    if (!ym) {
+      issues.push(malformed(where, `unreadable month "${show(row.month)}"`));
+      continue;
+    }
+
+    const keyToken = normalizeToken(row.key);
+    if (!keyToken) {
+      issues.push(malformed(where, "missing key"));
+      continue;
+    }
+    const known = keyLookup.get(keyToken);
+    const rowMode = normalizeMode(row.mode) || raw.__sheetMode || null;
+    if (!known || (rowMode && rowMode !== known.mode)) {
+      const label = String(row.key).trim();
+      unknownKeys.set(label, (unknownKeys.get(label) || 0) + 1);
+      continue;
+    }
+
+    const values = {};
+    const bad = [];
+    for (const f of HISTORY_FIELDS) {
+      const n = parseNumber(row[f]);
+      if (n == null || n < 0) bad.push(f);
+      else values[f] = n;
+    }
+    if (bad.length) {
+      issues.push(
+        malformed(where, `${known.key} ${ym}: bad or missing ${bad.join(", ")}`)
+      );
+      continue;
+    }
+
+    const idx = monthIndex.get(ym);
+    if (idx == null || idx < histStartIdx || idx > cutoffIdx) {
+      outOfRange.set(known.key, (outOfRange.get(known.key) || 0) + 1);
+      continue;
+    }
+
+    const byKey = (seriesByMode[known.mode] ||= {});
+    const s = (byKey[known.key] ||= emptySeries(monthTicks.length));
+    if (s.volume[idx] != null) {
+      issues.push({
+        type: "duplicate",
+        key: known.key,
+        message: `${where}: duplicate ${known.key} row for ${ym}, later row kept`,
+      });
+    }
+    for (const f of HISTORY_FIELDS) s[f][idx] = values[f];
+  }
+
+  for (const [label, count] of unknownKeys) {
+    issues.push({
+      type: "unknown-key",
+      key: label,
+      message: `Unknown key "${label}" (${count} row${
+        count === 1 ? "" : "s"
+      }) was not loaded`,
+    });
+  }
+  for (const [key, count] of outOfRange) {
+    issues.push({
+      type: "out-of-range",
+      key,
+      message: `${key}: ${count} row${
+        count === 1 ? "" : "s"
+      } outside ${histStartYM} – ${cutoffYM} ignored`,
+    });
+  }
+
+  if (rowCount === 0) {
+    issues.push({
+      type: "malformed",
+      message: `No usable rows found. Expected columns: ${Object.keys(
+        COLUMN_ALIASES
+      ).join(", ")}`,
+    });
+  }
+
+  // Gaps inside the history window are interpolated, and always reported.
+  for (const [m, byKey] of Object.entries(seriesByMode)) {
+    for (const [key, s] of Object.entries(byKey)) {
+      const missing = [];
+      for (let i = histStartIdx; i <= cutoffIdx; i++) {
+        if (s.volume[i] == null) missing.push(i);
+      }
+      if (!missing.length) continue;
+      for (const f of HISTORY_FIELDS) fillGaps(s[f], histStartIdx, cutoffIdx);
+      missing.forEach((i) => (s.filled[i] = true));
+      issues.push({
+        type: "missing-months",
+        mode: m,
+        key,
+        months: missing.map((i) => monthTicks[i]),
+        message: `${key}: ${missing.length} missing month${
+          missing.length === 1 ? "" : "s"
+        } (${summarizeMonths(
+          missing.map((i) => monthTicks[i])
+        )}) filled by interpolation`,
+      });
+    }
+  }
+
+  // Known keys with no rows at all keep the synthetic sample.
+  const loadedAny = Object.keys(seriesByMode).length > 0;
+  for (const [m, keys] of Object.entries(knownKeysByMode)) {
+    const have = seriesByMode[m] || {};
+    const none = keys.filter((k) => !have[k]);
+    if (none.length && loadedAny) {
+      issues.push({
+        type: "no-history",
+        mode: m,
+        keys: none,
+        message: `No history for ${none.join(", ")}; synthetic sample shown`,
+      });
+    }
+  }
+
+  return { seriesByMode, issues, rowCount };
+}
+
+/* -------------------- Profile merge -------------------- */
+
+/**
+ * Overlay loaded history onto a profile (same shape as the dummy profile
+ * builder output). Months outside the loaded window keep `fallback`.
+ */
+export function mergeHistoryIntoProfile(series, fallback) {
+  if (!series) return fallback;
+  const pick = (f) =>
+    fallback[f].map((v, i) => (series[f][i] != null ? series[f][i] : v));
+  return {
+    price: pick("price"),
+    fleet: pick("fleet"),
+    lease: pick("lease"),
+    days: pick("days"),
+    incentives: pick("incentives"),
+    volume: fallback.volume.map((d, i) =>
+      series.volume[i] != null ? { v: series.volume[i] } : d
+    ),
+    filled: series.filled,
+    fromHistory: true,
+  };
+}
+
+/* -------------------- Helpers -------------------- */
+
+function emptySeries(n) {
+  const s = { filled: Array(n).fill(false) };
+  for (const f of HISTORY_FIELDS) s[f] = Array(n).fill(null);
+  return s;
+}
+
+export function parseMonth(v) {
+  if (v == null || v === "") return null;
+  if (v instanceof Date && !Number.isNaN(v.getTime())) {
+    return toYM(v.getFullYear(), v.getMonth() + 1);
+  }
+  if (typeof v === "number") {
+    // Excel serial date (1900 system)
+    if (v > 20000 && v < 80000) {
+      const d = new Date(Math.round((v - 25569) * 86400 * 1000));
+      return toYM(d.getUTCFullYear(), d.getUTCMonth() + 1);
+    }
+    return null;
+  }
+  const s = String(v).trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.]\d{1,2})?$/);
+  if (m) return toYM(+m[1], +m[2]);
+  m = s.match(/^(\d{1,2})[-/.](?:\d{1,2}[-/.])?(\d{4})$/);
+  if (m) return toYM(+m[2], +m[1]);
+  m = s.match(/^([A-Za-z]{3})[A-Za-z]*[\s\-']+(\d{2}|\d{4})$/);
+  if (m) {
+    const mi = MONTH_NAMES.indexOf(m[1].toLowerCase());
+    const y = m[2].length === 2 ? 2000 + +m[2] : +m[2];
+    if (mi >= 0) return toYM(y, mi + 1);
+  }
+  return null;
+}
+
+function toYM(y, m) {
+  if (!Number.isInteger(y) || !Number.isInteger(m) || m < 1 || m > 12) {
+    return null;
+  }
+  return `${y}-${String(m).padStart(2, "0")}`;
+}
+
+function fillGaps(arr, lo, hi) {
+  let prev = null;
+  for (let i = lo; i <= hi; i++) {
+    if (arr[i] != null) {
+      if (prev != null && i - prev > 1) {
+        for (let j = prev + 1; j < i; j++) {
+          const t = (j - prev) / (i - prev);
+          arr[j] = arr[prev] + t * (arr[i] - arr[prev]);
+        }
+      } else if (prev == null) {
+        for (let j = lo; j < i; j++) arr[j] = arr[i];
+      }
+      prev = i;
+    }
+  }
+  if (prev != null) for (let j = prev + 1; j <= hi; j++) arr[j] = arr[prev];
+}
+
+function summarizeMonths(yms) {
+  if (yms.length <= 3) return yms.join(", ");
+  return `${yms[0]} … ${yms[yms.length - 1]}`;
+}
+
+function malformed(where, reason) {
+  return { type: "malformed", message: `${where}: ${reason}` };
+}
+
+function show(v) {
+  return v instanceof Date ? v.toISOString() : String(v ?? "");
+}
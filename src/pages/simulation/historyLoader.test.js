@@ -0,0 +1,70 @@
+import { parseHistoryRows, parseMonth } from "./historyLoader";
+
+const monthTicks = ["2023-01", "2023-02", "2023-03", "2023-04", "2023-05"];
+const opts = {
+  knownKeysByMode: { segments: ["M SUV", "L SUV"], powertrains: ["BEV"] },
+  monthTicks,
+  histStartYM: "2023-01",
+  cutoffYM: "2023-04",
+};
+const row = (month, key, volume, extra = {}) => ({
+  month,
+  key,
+  price: "45,000",
+  fleet: 12,
+  lease: "16%",
+  days: 55,
+  incentives: "$1,000",
+  volume,
+  ...extra,
+});
+
+test("parses month formats", () => {
+  expect(parseMonth("2024-03")).toBe("2024-03");
+  expect(parseMonth("2024/3/15")).toBe("2024-03");
+  expect(parseMonth("Mar 2024")).toBe("2024-03");
+  expect(parseMonth("3/1/2024")).toBe("2024-03");
+  expect(parseMonth("13/2024")).toBeNull();
+  expect(parseMonth("soon")).toBeNull();
+});
+
+test("loads rows and reports unknown keys, malformed rows and gaps", () => {
+  const { seriesByMode, issues } = parseHistoryRows(
+    [
+      row("2023-01", "m suv", 100),
+      row("2023-04", "M SUV", 400),
+      row("2023-02", "Mid SUV", 10),
+      row("bad", "M SUV", 10),
+      row("2023-03", "BEV", "n/a"),
+      row("2023-05", "BEV", 5),
+    ],
+    opts
+  );
+
+  const m = seriesByMode.segments["M SUV"];
+  expect(m.price[0]).toBe(45000);
+  expect(m.lease[0]).toBe(16);
+  expect(m.volume.slice(0, 4)).toEqual([100, 200, 300, 400]);
+  expect(m.filled.slice(0, 4)).toEqual([false, true, true, false]);
+
+  const types = issues.map((i) => i.type).sort();
+  expect(types).toEqual([
+    "malformed",
+    "malformed",
+    "missing-months",
+    "no-history",
+    "no-history",
+    "out-of-range",
+    "unknown-key",
+  ]);
+  expect(seriesByMode.powertrains).toBeUndefined();
+});
+
+test("rejects a key listed under the wrong mode", () => {
+  const { seriesByMode, issues } = parseHistoryRows(
+    [row("2023-01", "BEV", 5, { mode: "Segments" })],
+    opts
+  );
+  expect(seriesByMode).toEqual({});
+  expect(issues.find((i) => i.type === "unknown-key")).toBeTruthy();
+});
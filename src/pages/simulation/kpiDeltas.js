@@ -0,0 +1,57 @@
+// src/pages/simulation/kpiDeltas.js
+
+/**
+ * Baseline vs simulated: the KPI strip's change against the unedited
+ * values and the chart's baseline lines.
+ *
+ * Mixes move in percentage points; the other KPIs also get a relative
+ * change. Changes below a KPI's `min` are rounding noise and not shown.
+ */
+
+export const KPI_DELTA_RULES = {
+  totalVolume: { pct: true, min: 0.5 },
+  weightedATP: { pct: true, min: 0.5 },
+  fleetMix: { pct: false, min: 0.05 },
+  leaseMix: { pct: false, min: 0.05 },
+  daysSupply: { pct: true, min: 0.05 },
+  incentives: { pct: true, min: 0.5 },
+  revenue: { pct: true, min: 0.5 },
+  margin: { pct: true, min: 0.5 },
+};
+
+/**
+ * Change of `field` against its baseline: { base, delta, pct }, where pct
+ * is the relative change in percent (null for mixes or a zero baseline).
+ * Null when there is no baseline or the change is below the KPI's `min`.
+ */
+export function kpiDelta(kpis, field) {
+  const base = kpis.baseline?.[field];
+  if (base == null) return null;
+  const rule = KPI_DELTA_RULES[field];
+  const delta = kpis[field] - base;
+  if (!(Math.abs(delta) >= rule.min)) return null;
+  return {
+    base,
+    delta,
+    pct: rule.pct && base !== 0 ? (delta / Math.abs(base)) * 100 : null,
+  };
+}
+
+/**
+ * Baseline series ({ [key]: [{ i, v }] }) for the keys whose simulated
+ * volume moved by half a unit or more in any month, edited directly or
+ * through cross effects.
+ */
+export function movedBaselines(baseByKey, simByKey, keys) {
+  const out = {};
+  for (const key of keys) {
+    const base = baseByKey[key];
+    const sim = simByKey[key];
+    if (!base || !sim || sim === base) continue;
+    const moved = sim.volume.some(
+      (d, i) => d.simulated && Math.abs(d.v - base.volume[i].v) >= 0.5
+    );
+    if (moved) out[key] = base.volume.map((d, i) => ({ i, v: d.v }));
+  }
+  return out;
+}
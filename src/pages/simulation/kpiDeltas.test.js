@@ -0,0 +1,53 @@
+import { kpiDelta, movedBaselines } from "./kpiDeltas";
+
+test("deltas need a baseline and a change above the KPI's threshold", () => {
+  expect(kpiDelta({ totalVolume: 120 }, "totalVolume")).toBeNull();
+  const kpis = {
+    totalVolume: 1200.4,
+    fleetMix: 12.04,
+    daysSupply: 60.1,
+    baseline: { totalVolume: 1200, fleetMix: 12, daysSupply: 60 },
+  };
+  expect(kpiDelta(kpis, "totalVolume")).toBeNull();
+  expect(kpiDelta(kpis, "fleetMix")).toBeNull();
+  expect(kpiDelta(kpis, "daysSupply").delta).toBeCloseTo(0.1);
+});
+
+test("mixes change in points, the rest also in percent", () => {
+  const kpis = {
+    totalVolume: 900,
+    leaseMix: 25,
+    margin: -50,
+    incentives: 500,
+    baseline: { totalVolume: 1000, leaseMix: 20, margin: -100, incentives: 0 },
+  };
+  expect(kpiDelta(kpis, "totalVolume")).toEqual({
+    base: 1000,
+    delta: -100,
+    pct: -10,
+  });
+  expect(kpiDelta(kpis, "leaseMix")).toEqual({ base: 20, delta: 5, pct: null });
+  // A negative baseline keeps the sign of the change
+  expect(kpiDelta(kpis, "margin").pct).toBe(50);
+  // Nothing to be relative to
+  expect(kpiDelta(kpis, "incentives").pct).toBeNull();
+});
+
+test("baseline lines only for keys whose simulated volume moved", () => {
+  const base = {
+    A: { volume: [{ v: 100 }, { v: 100 }] },
+    B: { volume: [{ v: 50 }, { v: 50 }] },
+    C: { volume: [{ v: 10 }, { v: 10 }] },
+  };
+  const sim = {
+    A: { volume: [{ v: 100 }, { v: 120, simulated: true }] },
+    B: { volume: [{ v: 50 }, { v: 50.2, simulated: true }] },
+    C: base.C,
+  };
+  expect(movedBaselines(base, sim, ["A", "B", "C", "D"])).toEqual({
+    A: [
+      { i: 0, v: 100 },
+      { i: 1, v: 100 },
+    ],
+  });
+});
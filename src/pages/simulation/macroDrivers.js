@@ -0,0 +1,388 @@
+// src/pages/simulation/macroDrivers.js
+import {
+  readSpreadsheetRows,
+  mapColumns,
+  isBlankRow,
+  parseNumber,
+} from "./spreadsheet";
+import { parseMonth } from "./historyLoader";
+
+/**
+ * Macro-economic drivers: market-wide monthly series that move every key's
+ * volume through coefficients of its own (model.js, `macro: true` fields).
+ *
+ * History already reflects the path each driver took, and the baseline
+ * forecast was fitted with the built-in outlook, so only the difference a
+ * scenario makes counts:
+ *    V_i × exp(Σ_d B_d · (shifted_d,i − base_d,i) / per_d)
+ * The scenario's path is the built-in outlook or a file loaded over it,
+ * changed with shifts ("APR +150 bp from Jan 2026"); `base` is what the
+ * profiles already assume (fittedMacroBase).
+ */
+
+export const MACRO_DRIVERS = [
+  {
+    id: "apr",
+    label: "Auto loan APR",
+    unit: "%",
+    coeff: "B_APR_PER_PP",
+    per: 1,
+    decimals: 2,
+    // "Change by" shifts are entered in basis points
+    shiftUnit: "bp",
+    shiftScale: 0.01,
+  },
+  {
+    id: "fuel",
+    label: "Gasoline price",
+    unit: "$/gal",
+    coeff: "B_FUEL_PER_USD",
+    per: 1,
+    decimals: 2,
+  },
+  {
+    id: "electricity",
+    label: "Electricity price",
+    unit: "¢/kWh",
+    coeff: "B_ELECTRICITY_PER10C",
+    per: 10,
+    decimals: 1,
+  },
+  {
+    id: "evCredit",
+    label: "EV tax credit",
+    unit: "$",
+    coeff: "B_EV_CREDIT_PER_K",
+    per: 1000,
+    decimals: 0,
+  },
+];
+
+export const MACRO_SHIFT_KINDS = {
+  add: "Change by",
+  set: "Set to",
+};
+
+const BY_ID = Object.fromEntries(MACRO_DRIVERS.map((d) => [d.id, d]));
+
+const COLUMN_ALIASES = {
+  month: ["month", "ym", "period", "date", "yearmonth"],
+  apr: ["apr", "autoloanapr", "loanrate", "interestrate", "rate"],
+  fuel: ["fuel", "gas", "gasoline", "gasprice", "fuelprice", "gasoline$/gal"],
+  electricity: ["electricity", "power", "electricityprice", "¢/kwh", "kwh"],
+  evCredit: ["evcredit", "evtaxcredit", "taxcredit", "credit"],
+};
+
+// Built-in outlook anchors, interpolated linearly month to month
+const OUTLOOK = {
+  apr: [
+    ["2023-01", 6.6],
+    ["2024-01", 7.4],
+    ["2025-01", 7.1],
+    ["2025-08", 6.9],
+    ["2028-01", 6.0],
+    ["2040-12", 6.0],
+  ],
+  fuel: [
+    ["2023-01", 3.4],
+    ["2024-01", 3.2],
+    ["2025-01", 3.1],
+    ["2025-08", 3.15],
+    ["2040-12", 3.6],
+  ],
+  electricity: [
+    ["2023-01", 16.0],
+    ["2025-08", 17.4],
+    ["2040-12", 23.0],
+  ],
+};
+// Summer driving season lifts gasoline by up to this much ($/gal)
+const FUEL_SEASONAL = 0.15;
+const EV_CREDIT = 7500;
+const EV_CREDIT_ENDS = "2025-10";
+
+export function macroDriver(id) {
+  return BY_ID[id] || null;
+}
+
+/** Built-in base path: { [driverId]: number[] } aligned to monthTicks. */
+export function builtinMacroSeries(monthTicks) {
+  const series = {};
+  for (const [id, anchors] of Object.entries(OUTLOOK)) {
+    series[id] = monthTicks.map((ym) => interpolate(anchors, ym));
+  }
+  series.fuel = series.fuel.map((v, i) => {
+    const month = Number(monthTicks[i].slice(5, 7));
+    return v + FUEL_SEASONAL * Math.sin((2 * Math.PI * (month - 3)) / 12);
+  });
+  series.evCredit = monthTicks.map((ym) =>
+    ym < EV_CREDIT_ENDS ? EV_CREDIT : 0
+  );
+  for (const d of MACRO_DRIVERS) {
+    series[d.id] = series[d.id].map((v) => round(v, d.decimals));
+  }
+  return series;
+}
+
+/* -------------------- File reading -------------------- */
+
+export async function readMacroFile(file) {
+  return readSpreadsheetRows(file);
+}
+
+/**
+ * Macro rows, one per month with a column per driver:
+ *    month | apr | fuel | electricity | ev credit
+ * Loaded values replace the built-in outlook month by month; drivers or
+ * months the file leaves out keep it (and are reported).
+ * Returns { series, issues, rowCount }.
+ */
+export function parseMacroRows(rows, { monthTicks }) {
+  const issues = [];
+  const monthIndex = new Map(monthTicks.map((m, i) => [m, i]));
+  const series = builtinMacroSeries(monthTicks);
+  const loaded = Object.fromEntries(MACRO_DRIVERS.map((d) => [d.id, 0]));
+  const seen = new Set();
+  let outOfRange = 0;
+  let rowCount = 0;
+
+  for (const raw of rows) {
+    const row = mapColumns(raw, COLUMN_ALIASES);
+    const where = `${raw.__sheet ? `${raw.__sheet} ` : ""}row ${
+      raw.__row ?? "?"
+    }`;
+    if (isBlankRow(row)) continue;
+    rowCount++;
+
+    const ym = parseMonth(row.month);
+    if (!ym) {
+      issues.push({
+        type: "malformed",
+        message: `${where}: unreadable month "${row.month ?? ""}"`,
+      });
+      continue;
+    }
+    const idx = monthIndex.get(ym);
+    if (idx == null) {
+      outOfRange++;
+      continue;
+    }
+    if (seen.has(ym)) {
+      issues.push({
+        type: "duplicate",
+        message: `${where}: duplicate row for ${ym}, later row kept`,
+      });
+    }
+    seen.add(ym);
+
+    const bad = [];
+    for (const d of MACRO_DRIVERS) {
+      if (row[d.id] == null || String(row[d.id]).trim() === "") continue;
+      const n = parseNumber(row[d.id]);
+      if (n == null || n < 0) {
+        bad.push(d.id);
+        continue;
+      }
+      series[d.id][idx] = n;
+      loaded[d.id]++;
+    }
+    if (bad.length) {
+      issues.push({
+        type: "malformed",
+        message: `${where}: bad ${bad.join(", ")} for ${ym}, outlook kept`,
+      });
+    }
+  }
+
+  if (outOfRange) {
+    issues.push({
+      type: "out-of-range",
+      message: `${outOfRange} row${outOfRange === 1 ? "" : "s"} outside ${
+        monthTicks[0]
+      } – ${monthTicks[monthTicks.length - 1]} ignored`,
+    });
+  }
+  if (rowCount === 0) {
+    issues.push({
+      type: "malformed",
+      message: `No usable rows found. Expected columns: ${Object.keys(
+        COLUMN_ALIASES
+      ).join(", ")}`,
+    });
+  } else {
+    const none = MACRO_DRIVERS.filter((d) => !loaded[d.id]);
+    if (none.length) {
+      issues.push({
+        type: "no-series",
+        message: `No ${none
+          .map((d) => d.label)
+          .join(", ")} in the file; built-in outlook used`,
+      });
+    }
+  }
+
+  return { series, issues, rowCount };
+}
+
+/* -------------------- Shifts -------------------- */
+
+/**
+ * Normalised copy of a shift { id, driver, kind, value, fromYM, toYM };
+ * null when it names an unknown driver or has no usable value. `toYM`
+ * null runs the shift to the end of the horizon.
+ */
+export function normalizeMacroShift(shift) {
+  const d = BY_ID[shift?.driver];
+  const value = Number(shift?.value);
+  if (!d || !Number.isFinite(value) || !shift.fromYM) return null;
+  return {
+    id: shift.id,
+    driver: d.id,
+    kind: MACRO_SHIFT_KINDS[shift.kind] ? shift.kind : "add",
+    value,
+    fromYM: shift.fromYM,
+    toYM: shift.toYM && shift.toYM >= shift.fromYM ? shift.toYM : null,
+  };
+}
+
+/**
+ * The base path with `shifts` applied in order (later shifts build on
+ * earlier ones). Values never go below 0. Returns `series` itself when no
+ * shift changes anything.
+ */
+export function applyMacroShifts(series, shifts, monthTicks) {
+  let out = series;
+  for (const raw of shifts) {
+    const s = normalizeMacroShift(raw);
+    if (!s) continue;
+    const d = BY_ID[s.driver];
+    const from = monthTicks.indexOf(s.fromYM);
+    const to = s.toYM ? monthTicks.indexOf(s.toYM) : monthTicks.length - 1;
+    if (from < 0 || to < from) continue;
+    const prev = out[d.id];
+    const arr = prev.slice();
+    for (let i = from; i <= to; i++) {
+      const v =
+        s.kind === "set" ? s.value : arr[i] + s.value * (d.shiftScale ?? 1);
+      arr[i] = Math.max(0, v);
+    }
+    if (arr.every((v, i) => v === prev[i])) continue;
+    out = { ...out, [d.id]: arr };
+  }
+  return out;
+}
+
+/** "Auto loan APR +150 bp from Jan 2026 to Dec 2026" */
+export function describeMacroShift(shift, monthLabel = (ym) => ym) {
+  const s = normalizeMacroShift(shift);
+  if (!s) return "";
+  const d = BY_ID[s.driver];
+  const amount =
+    s.kind === "set"
+      ? `set to ${formatMacroValue(d, s.value)}`
+      : `${s.value >= 0 ? "+" : "−"}${Math.abs(s.value)} ${
+          d.shiftUnit || d.unit
+        }`;
+  const when = s.toYM
+    ? `from ${monthLabel(s.fromYM)} to ${monthLabel(s.toYM)}`
+    : `from ${monthLabel(s.fromYM)}`;
+  return `${d.label} ${amount} ${when}`;
+}
+
+export function formatMacroValue(driver, v) {
+  if (v == null) return "—";
+  const n = v.toLocaleString("en-US", {
+    minimumFractionDigits: driver.decimals,
+    maximumFractionDigits: driver.decimals,
+  });
+  if (driver.unit === "$") return `$${n}`;
+  if (driver.unit === "%") return `${n}%`;
+  return `${n} ${driver.unit}`;
+}
+
+/* -------------------- Volume response -------------------- */
+
+/**
+ * The path the profiles already assume: the loaded series up to the
+ * history cutoff (what happened), the built-in outlook after it (what the
+ * forecast was fitted on). A loaded outlook thus moves forecast volume.
+ * Returns `builtin` itself when nothing is loaded over it.
+ */
+export function fittedMacroBase(series, builtin, forecastFrom) {
+  if (series === builtin) return builtin;
+  const out = {};
+  for (const d of MACRO_DRIVERS) {
+    out[d.id] = series[d.id].map((v, i) =>
+      i < forecastFrom ? v : builtin[d.id][i]
+    );
+  }
+  return out;
+}
+
+/**
+ * Profiles with volume moved by the macro shifts: months where `shifted`
+ * differs from `base` scale by each key's macro coefficients (bands scale
+ * with the point value; moved months are flagged `simulated`).
+ * `coeffsFor(key)` returns the key's coefficient set. Returns
+ * `profileByKey` itself when the paths are the same.
+ */
+export function applyMacro(profileByKey, { base, shifted, coeffsFor }) {
+  if (shifted === base) return profileByKey;
+  const moved = MACRO_DRIVERS.filter((d) => shifted[d.id] !== base[d.id]);
+  if (!moved.length) return profileByKey;
+
+  let changed = false;
+  const out = {};
+  for (const [key, prof] of Object.entries(profileByKey)) {
+    const K = coeffsFor(key);
+    const volume = prof.volume.map((d, i) => {
+      if (d?.v == null) return d;
+      let x = 0;
+      for (const m of moved) {
+        const delta = shifted[m.id][i] - base[m.id][i];
+        if (delta) x += ((K[m.coeff] ?? 0) * delta) / m.per;
+      }
+      if (!x) return d;
+      const scale = Math.exp(x);
+      return {
+        ...d,
+        v: d.v * scale,
+        ...(d.lo != null && { lo: d.lo * scale }),
+        ...(d.hi != null && { hi: d.hi * scale }),
+        simulated: true,
+      };
+    });
+    if (volume.every((d, i) => d === prof.volume[i])) {
+      out[key] = prof;
+      continue;
+    }
+    out[key] = { ...prof, volume };
+    changed = true;
+  }
+  return changed ? out : profileByKey;
+}
+
+/* -------------------- Helpers -------------------- */
+
+function ymNumber(ym) {
+  return Number(ym.slice(0, 4)) * 12 + Number(ym.slice(5, 7)) - 1;
+}
+
+function interpolate(anchors, ym) {
+  const t = ymNumber(ym);
+  if (t <= ymNumber(anchors[0][0])) return anchors[0][1];
+  for (let j = 1; j < anchors.length; j++) {
+    const [ym1, v1] = anchors[j];
+    const t1 = ymNumber(ym1);
+    if (t > t1) continue;
+    const [ym0, v0] = anchors[j - 1];
+    const t0 = ymNumber(ym0);
+    return v0 + ((v1 - v0) * (t - t0)) / (t1 - t0);
+  }
+  return anchors[anchors.length - 1][1];
+}
+
+function round(v, decimals) {
+  const f = Math.pow(10, decimals);
+  return Math.round(v * f) / f;
+}
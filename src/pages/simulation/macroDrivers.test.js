@@ -0,0 +1,100 @@
+import {
+  applyMacro,
+  applyMacroShifts,
+  builtinMacroSeries,
+  describeMacroShift,
+  fittedMacroBase,
+  parseMacroRows,
+} from "./macroDrivers";
+
+const TICKS = ["2025-08", "2025-09", "2025-10", "2025-11"];
+
+test("built-in outlook covers every driver and month", () => {
+  const series = builtinMacroSeries(TICKS);
+  for (const id of ["apr", "fuel", "electricity", "evCredit"]) {
+    expect(series[id]).toHaveLength(TICKS.length);
+  }
+  expect(series.evCredit).toEqual([7500, 7500, 0, 0]);
+  expect(series.apr[0]).toBeCloseTo(6.9);
+});
+
+test("macro file rows replace the outlook month by month", () => {
+  const rows = [
+    { Month: "2025-09", APR: "7.5%", Gasoline: 3.9, __row: 2 },
+    { Month: "2025-09", APR: 7.6, __row: 3 },
+    { Month: "2031-01", APR: 5, __row: 4 },
+    { Month: "soon", APR: 5, __row: 5 },
+  ];
+  const { series, issues } = parseMacroRows(rows, { monthTicks: TICKS });
+  expect(series.apr[1]).toBe(7.6);
+  expect(series.fuel[1]).toBe(3.9);
+  expect(series.apr[0]).toBe(builtinMacroSeries(TICKS).apr[0]);
+  expect(issues.map((i) => i.type).sort()).toEqual([
+    "duplicate",
+    "malformed",
+    "no-series",
+    "out-of-range",
+  ]);
+});
+
+test("shifts change the path from their start month", () => {
+  const base = builtinMacroSeries(TICKS);
+  expect(applyMacroShifts(base, [], TICKS)).toBe(base);
+
+  const shifts = [
+    { driver: "apr", kind: "add", value: 150, fromYM: "2025-09" },
+    { driver: "evCredit", kind: "set", value: 3750, fromYM: "2025-10" },
+  ];
+  const shifted = applyMacroShifts(base, shifts, TICKS);
+  expect(shifted.apr[0]).toBe(base.apr[0]);
+  expect(shifted.apr[1]).toBeCloseTo(base.apr[1] + 1.5);
+  expect(shifted.evCredit).toEqual([7500, 7500, 3750, 3750]);
+  expect(shifted.fuel).toBe(base.fuel);
+
+  expect(describeMacroShift(shifts[0])).toBe(
+    "Auto loan APR +150 bp from 2025-09"
+  );
+});
+
+test("shifted months move volume by each key's macro coefficients", () => {
+  const base = builtinMacroSeries(TICKS);
+  const shifted = applyMacroShifts(
+    base,
+    [{ driver: "apr", kind: "add", value: 100, fromYM: "2025-10" }],
+    TICKS
+  );
+  const profiles = {
+    BEV: { volume: TICKS.map(() => ({ v: 1000, lo: 900, hi: 1100 })) },
+  };
+  const coeffsFor = () => ({ B_APR_PER_PP: -0.05 });
+
+  expect(applyMacro(profiles, { base, shifted: base, coeffsFor })).toBe(
+    profiles
+  );
+  const out = applyMacro(profiles, { base, shifted, coeffsFor });
+  expect(out.BEV.volume[1]).toBe(profiles.BEV.volume[1]);
+  expect(out.BEV.volume[2].v).toBeCloseTo(1000 * Math.exp(-0.05));
+  expect(out.BEV.volume[2].hi).toBeCloseTo(1100 * Math.exp(-0.05));
+  expect(out.BEV.volume[2].simulated).toBe(true);
+});
+
+test("a loaded outlook moves forecast volume against the built-in one", () => {
+  const builtin = builtinMacroSeries(TICKS);
+  const { series: loaded } = parseMacroRows(
+    TICKS.map((Month, i) => ({ Month, APR: 8, __row: i + 2 })),
+    { monthTicks: TICKS }
+  );
+  const profiles = { BEV: { volume: TICKS.map(() => ({ v: 1000 })) } };
+  const coeffsFor = () => ({ B_APR_PER_PP: -0.05 });
+
+  expect(fittedMacroBase(builtin, builtin, 2)).toBe(builtin);
+  // History up to 2025-09 took the loaded path already
+  const base = fittedMacroBase(loaded, builtin, 2);
+  expect(base.apr).toEqual([8, 8, builtin.apr[2], builtin.apr[3]]);
+
+  const out = applyMacro(profiles, { base, shifted: loaded, coeffsFor });
+  expect(out.BEV.volume[1]).toBe(profiles.BEV.volume[1]);
+  expect(out.BEV.volume[2].v).toBeCloseTo(
+    1000 * Math.exp(-0.05 * (8 - builtin.apr[2]))
+  );
+});
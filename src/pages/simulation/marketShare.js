@@ -0,0 +1,72 @@
+// src/pages/simulation/marketShare.js
+
+/**
+ * Share-of-market metrics.
+ *
+ * A key's share is its volume over a date range divided by the volume of
+ * its share group over the same months: the other keys it competes with
+ * (BEV among all powertrains, M SUV among the SUVs). Shares are in
+ * percent and compare the simulated profiles with the baseline ones.
+ *
+ * The stacked chart shows the mix of the keys on screen instead, so its
+ * shares add up to 100% in every month.
+ */
+
+function rangeVolume(profileByKey, keys, rs, re) {
+  let sum = 0;
+  for (const key of keys) {
+    const prof = profileByKey[key];
+    if (!prof) continue;
+    for (let i = rs; i <= re; i++) sum += prof.volume[i]?.v ?? 0;
+  }
+  return sum;
+}
+
+/**
+ * Share of `key` in `groupKeys` over [rs, re] (percent), or null when the
+ * group sold nothing.
+ */
+export function rangeShare(profileByKey, key, groupKeys, rs, re) {
+  const total = rangeVolume(profileByKey, groupKeys, rs, re);
+  if (!(total > 0)) return null;
+  return (rangeVolume(profileByKey, [key], rs, re) / total) * 100;
+}
+
+/**
+ * Share KPIs for `keys`: [{ key, group, share, baseShare }], where
+ * groupOf(key) = { label, keys } names the share group.
+ */
+export function shareKpis(simByKey, baseByKey, keys, groupOf, rs, re) {
+  return keys.map((key) => {
+    const group = groupOf(key);
+    return {
+      key,
+      group: group.label,
+      share: rangeShare(simByKey, key, group.keys, rs, re),
+      baseShare: rangeShare(baseByKey, key, group.keys, rs, re),
+    };
+  });
+}
+
+/**
+ * Rows for a 100% stacked chart: [{ i, [key]: percent }] from a chart
+ * series ({ [key]: [{ i, v }] }). A key without a value that month
+ * (an entrant before launch) counts as 0; months where none of the keys
+ * has volume are left out.
+ */
+export function stackedShareRows(seriesByKey, keys) {
+  const shown = keys.filter((k) => seriesByKey[k]);
+  const n = Math.max(0, ...shown.map((k) => seriesByKey[k].length));
+  const rows = [];
+  for (let idx = 0; idx < n; idx++) {
+    let total = 0;
+    for (const k of shown) total += seriesByKey[k][idx]?.v ?? 0;
+    if (!(total > 0)) continue;
+    const row = { i: seriesByKey[shown[0]][idx]?.i ?? idx };
+    for (const k of shown) {
+      row[k] = ((seriesByKey[k][idx]?.v ?? 0) / total) * 100;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
@@ -0,0 +1,43 @@
+import { rangeShare, shareKpis, stackedShareRows } from "./marketShare";
+
+const prof = (vols) => ({ volume: vols.map((v) => ({ v })) });
+
+const base = {
+  ICE: prof([60, 60, 60]),
+  BEV: prof([20, 20, 20]),
+  HEV: prof([20, 20, 20]),
+};
+const sim = { ...base, BEV: prof([20, 40, 40]) };
+const all = { label: "all powertrains", keys: ["ICE", "BEV", "HEV"] };
+
+test("a key's share is its range volume over its group's", () => {
+  expect(rangeShare(base, "BEV", all.keys, 0, 2)).toBeCloseTo(20);
+  expect(rangeShare(sim, "BEV", all.keys, 1, 2)).toBeCloseTo(33.333);
+  expect(rangeShare({ BEV: prof([0]) }, "BEV", ["BEV"], 0, 0)).toBeNull();
+});
+
+test("share KPIs carry the group and the baseline share", () => {
+  const [bev] = shareKpis(sim, base, ["BEV"], () => all, 0, 2);
+  expect(bev.group).toBe("all powertrains");
+  expect(bev.share).toBeCloseTo(29.412);
+  expect(bev.baseShare).toBeCloseTo(20);
+});
+
+test("stacked rows add up to 100% and skip empty months", () => {
+  const series = {
+    ICE: [
+      { i: 4, v: 30 },
+      { i: 5, v: 0 },
+      { i: 6, v: 50 },
+    ],
+    Traveler: [
+      { i: 4, v: null },
+      { i: 5, v: 0 },
+      { i: 6, v: 50 },
+    ],
+  };
+  expect(stackedShareRows(series, ["ICE", "Traveler", "Gone"])).toEqual([
+    { i: 4, ICE: 100, Traveler: 0 },
+    { i: 6, ICE: 50, Traveler: 50 },
+  ]);
+});
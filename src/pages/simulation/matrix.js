@@ -0,0 +1,102 @@
+// src/pages/simulation/matrix.js
+
+/**
+ * Segment × powertrain matrix mode: every built-in segment / powertrain
+ * combination is a key of its own ("M SUV · BEV"), simulated like any
+ * segment or powertrain.
+ *
+ * Cell defaults come from the two parent modes. A cell's volume is the
+ * segment's volume times the powertrain's share of the powertrain total;
+ * its drivers are the segment's, scaled by how far the powertrain sits
+ * from the volume-weighted powertrain average (BEV prices above the mean
+ * lift every segment's BEV price by the same ratio). Coefficients default
+ * to the mean of the segment's and the powertrain's sets.
+ */
+
+export const MATRIX_SEPARATOR = " · ";
+
+const DRIVER_FIELDS = ["price", "fleet", "lease", "days", "incentives"];
+
+export function matrixKey(segment, powertrain) {
+  return `${segment}${MATRIX_SEPARATOR}${powertrain}`;
+}
+
+/** { segment, powertrain } of a cell key, or null for any other key. */
+export function splitMatrixKey(key) {
+  const at = String(key).lastIndexOf(MATRIX_SEPARATOR);
+  if (at < 0) return null;
+  return {
+    segment: key.slice(0, at),
+    powertrain: key.slice(at + MATRIX_SEPARATOR.length),
+  };
+}
+
+/** Cell keys, segment-major (all of a segment's powertrains together). */
+export function matrixKeys(segments, powertrains) {
+  return segments.flatMap((s) => powertrains.map((p) => matrixKey(s, p)));
+}
+
+/** Cell baselines from the segment and powertrain baselines. */
+export function matrixBaselines(segmentBaselines, powertrainBaselines) {
+  const pts = Object.entries(powertrainBaselines);
+  let ptTotal = 0;
+  for (const [, b] of pts) ptTotal += b.base_volume;
+  const ptMean = {};
+  for (const f of DRIVER_FIELDS) {
+    ptMean[f] =
+      ptTotal > 0
+        ? pts.reduce((acc, [, b]) => acc + b[f] * b.base_volume, 0) / ptTotal
+        : 0;
+  }
+
+  const out = {};
+  for (const [seg, sb] of Object.entries(segmentBaselines)) {
+    for (const [pt, pb] of pts) {
+      const cell = {
+        month: sb.month,
+        base_volume:
+          ptTotal > 0 ? (sb.base_volume * pb.base_volume) / ptTotal : 0,
+      };
+      for (const f of DRIVER_FIELDS) {
+        cell[f] = ptMean[f] > 0 ? (sb[f] * pb[f]) / ptMean[f] : sb[f];
+      }
+      out[matrixKey(seg, pt)] = cell;
+    }
+  }
+  return out;
+}
+
+/** Mean of two coefficient sets (or standard errors), field by field. */
+export function blendCoeffs(a, b) {
+  const out = {};
+  for (const id of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    out[id] =
+      a[id] == null ? b[id] : b[id] == null ? a[id] : (a[id] + b[id]) / 2;
+  }
+  return out;
+}
+
+/**
+ * Roll cell totals up to segments and powertrains.
+ * totalsByKey  { [cellKey]: { base, sim } }
+ * Returns { bySegment, byPowertrain, total }, each entry { base, sim }.
+ */
+export function rollUpMatrix(totalsByKey) {
+  const bySegment = {};
+  const byPowertrain = {};
+  const total = { base: 0, sim: 0 };
+  const add = (bucket, name, t) => {
+    const acc = (bucket[name] ||= { base: 0, sim: 0 });
+    acc.base += t.base;
+    acc.sim += t.sim;
+  };
+  for (const [key, t] of Object.entries(totalsByKey)) {
+    const cell = splitMatrixKey(key);
+    if (!cell) continue;
+    add(bySegment, cell.segment, t);
+    add(byPowertrain, cell.powertrain, t);
+    total.base += t.base;
+    total.sim += t.sim;
+  }
+  return { bySegment, byPowertrain, total };
+}
@@ -0,0 +1,54 @@
+import {
+  matrixBaselines,
+  matrixKeys,
+  rollUpMatrix,
+  splitMatrixKey,
+} from "./matrix";
+
+const pack = (price, fleet, base_volume) => ({
+  price,
+  fleet,
+  lease: 10,
+  days: 60,
+  incentives: 1000,
+  month: 6,
+  base_volume,
+});
+
+test("cell keys round-trip to their segment and powertrain", () => {
+  const keys = matrixKeys(["M SUV", "XL Pickup"], ["ICE", "BEV"]);
+  expect(keys).toEqual([
+    "M SUV · ICE",
+    "M SUV · BEV",
+    "XL Pickup · ICE",
+    "XL Pickup · BEV",
+  ]);
+  expect(splitMatrixKey("XL Pickup · BEV")).toEqual({
+    segment: "XL Pickup",
+    powertrain: "BEV",
+  });
+  expect(splitMatrixKey("M SUV")).toBeNull();
+});
+
+test("cell baselines split segment volume by powertrain share", () => {
+  const cells = matrixBaselines(
+    { "M SUV": pack(40000, 10, 1000) },
+    { ICE: pack(30000, 10, 300), BEV: pack(50000, 30, 100) }
+  );
+  expect(cells["M SUV · ICE"].base_volume).toBeCloseTo(750);
+  expect(cells["M SUV · BEV"].base_volume).toBeCloseTo(250);
+  // Powertrain mean price is 35000: BEV sits 50000 / 35000 above it
+  expect(cells["M SUV · BEV"].price).toBeCloseTo((40000 * 50000) / 35000);
+  expect(cells["M SUV · ICE"].fleet).toBeCloseTo((10 * 10) / 15);
+});
+
+test("roll-ups total cells by segment and by powertrain", () => {
+  const { bySegment, byPowertrain, total } = rollUpMatrix({
+    "M SUV · ICE": { base: 100, sim: 90 },
+    "M SUV · BEV": { base: 20, sim: 40 },
+    "L SUV · BEV": { base: 10, sim: 10 },
+  });
+  expect(bySegment["M SUV"]).toEqual({ base: 120, sim: 130 });
+  expect(byPowertrain.BEV).toEqual({ base: 30, sim: 50 });
+  expect(total).toEqual({ base: 130, sim: 140 });
+});
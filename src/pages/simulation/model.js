@@ -0,0 +1,208 @@
+// src/pages/simulation/model.js
+
+/**
+ * Volume response model and its coefficients.
+ *
+ * computeVolume() scales a baseline volume by one factor per driver:
+ *    price       constant elasticity   (s.price / base.price) ^ E_PRICE
+ *    fleet/lease semi-log, per 10 pp    exp(B * Δpp / 10)
+ *    days        semi-log, per 10 days  exp(B * Δdays / 10)
+ *    incentives  semi-log, per $1k      exp(B * Δ$ / 1000)
+ * Macro drivers (APR, fuel, electricity, EV credit) have coefficients here
+ * too (`macro: true`), applied by macroDrivers.js to shifts of their series.
+ *
+ * Coefficients are resolved per key as
+ *    DEFAULT_COEFFS → calibrated set for the key → user edits
+ * where the calibrated set is either the built-in table below or a file
+ * loaded from the econometrics team. Standard errors resolve the same way
+ * (DEFAULT_COEFF_SE → `se` of the calibrated set) and feed the Monte Carlo
+ * bands.
+ */
+
+// `range` bounds plausible values; files outside it are rejected
+// (coefficientLoader.js)
+export const COEFF_FIELDS = [
+  { id: "E_PRICE", label: "Price elasticity", step: 0.05, range: [-6, 0] },
+  {
+    id: "B_FLEET_PER10PP",
+    label: "Fleet / 10pp",
+    step: 0.01,
+    range: [-1, 1],
+  },
+  {
+    id: "B_LEASE_PER10PP",
+    label: "Lease / 10pp",
+    step: 0.01,
+    range: [-1, 1],
+  },
+  {
+    id: "B_INCENTIVES_PER_K",
+    label: "Incentives / $1k",
+    step: 0.01,
+    range: [-1, 1],
+  },
+  {
+    id: "B_DAYS_PER10",
+    label: "Days' supply / 10",
+    step: 0.01,
+    range: [-1, 1],
+  },
+  {
+    id: "B_APR_PER_PP",
+    label: "APR / 1pp",
+    step: 0.005,
+    range: [-1, 1],
+    macro: true,
+  },
+  {
+    id: "B_FUEL_PER_USD",
+    label: "Gasoline / $1",
+    step: 0.01,
+    range: [-1, 1],
+    macro: true,
+  },
+  {
+    id: "B_ELECTRICITY_PER10C",
+    label: "Electricity / 10¢",
+    step: 0.01,
+    range: [-1, 1],
+    macro: true,
+  },
+  {
+    id: "B_EV_CREDIT_PER_K",
+    label: "EV credit / $1k",
+    step: 0.005,
+    range: [-1, 1],
+    macro: true,
+  },
+];
+
+/**
+ * Why `value` is implausible for coefficient `id`, e.g.
+ * "E_PRICE 40 (expected -6 to 0)"; null when it is inside the field's range.
+ */
+export function coeffRangeProblem(id, value) {
+  const f = COEFF_FIELDS.find((x) => x.id === id);
+  if (!f) return null;
+  const [lo, hi] = f.range;
+  return value >= lo && value <= hi
+    ? null
+    : `${id} ${value} (expected ${lo} to ${hi})`;
+}
+
+export const DEFAULT_COEFFS = {
+  E_PRICE: -1.1,
+  B_FLEET_PER10PP: 0.06,
+  B_LEASE_PER10PP: 0.04,
+  B_INCENTIVES_PER_K: 0.05,
+  B_DAYS_PER10: -0.05,
+  B_APR_PER_PP: -0.04,
+  B_FUEL_PER_USD: 0,
+  B_ELECTRICITY_PER10C: 0,
+  B_EV_CREDIT_PER_K: 0,
+};
+
+// Standard errors used when the calibration does not provide its own
+export const DEFAULT_COEFF_SE = {
+  E_PRICE: 0.2,
+  B_FLEET_PER10PP: 0.02,
+  B_LEASE_PER10PP: 0.015,
+  B_INCENTIVES_PER_K: 0.015,
+  B_DAYS_PER10: 0.015,
+  B_APR_PER_PP: 0.01,
+  B_FUEL_PER_USD: 0.01,
+  B_ELECTRICITY_PER10C: 0.01,
+  B_EV_CREDIT_PER_K: 0.005,
+};
+
+const k = (E_PRICE, fleet, lease, incentives, days, macro) => ({
+  E_PRICE,
+  B_FLEET_PER10PP: fleet,
+  B_LEASE_PER10PP: lease,
+  B_INCENTIVES_PER_K: incentives,
+  B_DAYS_PER10: days,
+  ...macro,
+});
+
+const m = (apr, fuel, electricity, evCredit) => ({
+  B_APR_PER_PP: apr,
+  B_FUEL_PER_USD: fuel,
+  B_ELECTRICITY_PER10C: electricity,
+  B_EV_CREDIT_PER_K: evCredit,
+});
+
+// Built-in per-key sets: smaller/cheaper segments and electrified
+// powertrains are more price sensitive; pickups lean more on fleet.
+// Dearer gasoline moves buyers out of large ICE vehicles and into
+// electrified ones; the EV credit and electricity prices only move
+// plug-ins.
+export const BUILTIN_COEFFS = {
+  segments: {
+    "S SUV": k(-1.35, 0.05, 0.05, 0.06, -0.05, m(-0.05, 0.02, 0, 0.004)),
+    "M SUV": k(-1.2, 0.06, 0.05, 0.055, -0.05, m(-0.045, 0, 0, 0.003)),
+    "L SUV": k(-1.05, 0.06, 0.04, 0.05, -0.045, m(-0.04, -0.03, 0, 0.002)),
+    "XL SUV": k(-0.9, 0.05, 0.03, 0.045, -0.04, m(-0.035, -0.05, 0, 0)),
+    "S Pickup": k(-1.25, 0.07, 0.03, 0.055, -0.05, m(-0.05, 0.01, 0, 0.002)),
+    "M Pickup": k(-1.1, 0.08, 0.03, 0.05, -0.05, m(-0.045, -0.01, 0, 0.002)),
+    "L Pickup": k(-0.95, 0.09, 0.02, 0.05, -0.045, m(-0.04, -0.03, 0, 0.001)),
+    "XL Pickup": k(-0.85, 0.1, 0.02, 0.045, -0.04, m(-0.035, -0.04, 0, 0)),
+  },
+  powertrains: {
+    ICE: k(-0.9, 0.07, 0.03, 0.04, -0.05, m(-0.04, -0.03, 0, -0.004)),
+    HEV: k(-1.1, 0.05, 0.04, 0.05, -0.05, m(-0.04, 0.06, 0, 0)),
+    PHEV: k(-1.3, 0.04, 0.06, 0.06, -0.055, m(-0.045, 0.07, -0.04, 0.025)),
+    BEV: k(-1.6, 0.03, 0.08, 0.07, -0.06, m(-0.05, 0.09, -0.08, 0.04)),
+  },
+};
+
+/** Calibrated coefficients for a key (before user edits). */
+export function calibratedCoeffs(calibration, mode, key) {
+  const { se: _se, ...values } = calibration?.byMode?.[mode]?.[key] || {};
+  return { ...DEFAULT_COEFFS, ...values };
+}
+
+/** Standard errors of a key's coefficients. */
+export function coeffStdErrors(calibration, mode, key) {
+  return {
+    ...DEFAULT_COEFF_SE,
+    ...(calibration?.byMode?.[mode]?.[key]?.se || {}),
+  };
+}
+
+/** Coefficients in effect for a key: calibrated set plus user edits. */
+export function resolveCoeffs(calibration, coeffEdits, mode, key) {
+  return {
+    ...calibratedCoeffs(calibration, mode, key),
+    ...(coeffEdits?.[key] || {}),
+  };
+}
+
+/** Fields of `edits` that differ from the calibrated value. */
+export function deviatingFields(calibrated, edits) {
+  if (!edits) return [];
+  return COEFF_FIELDS.map((f) => f.id).filter(
+    (id) => edits[id] != null && Math.abs(edits[id] - calibrated[id]) > 1e-9
+  );
+}
+
+export function computeVolume(s, base, K) {
+  const priceFactor = Math.pow(s.price / base.price, K.E_PRICE);
+  const fleetFactor = Math.exp(
+    K.B_FLEET_PER10PP * ((s.fleet - base.fleet) / 10)
+  );
+  const leaseFactor = Math.exp(
+    K.B_LEASE_PER10PP * ((s.lease - base.lease) / 10)
+  );
+  const daysFactor = Math.exp(K.B_DAYS_PER10 * ((s.days - base.days) / 10));
+  const incFactor = Math.exp(
+    K.B_INCENTIVES_PER_K * ((s.incentives - base.incentives) / 1000)
+  );
+  const vol =
+    base.base_volume *
+    priceFactor *
+    fleetFactor *
+    leaseFactor *
+    daysFactor *
+    incFactor;
+  return Math.max(0, vol);
+}
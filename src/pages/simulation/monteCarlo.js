@@ -0,0 +1,126 @@
+// src/pages/simulation/monteCarlo.js
+import { COEFF_FIELDS } from "./model";
+import { simulateMonth } from "./simulate";
+import { editedMonthIndices } from "./edits";
+import { mulberry32, normalSampler } from "./random";
+
+/**
+ * Monte Carlo bands for simulated volume.
+ *
+ * Each draw samples every key's coefficients independently from
+ * N(coefficient, standard error) and re-runs the scenario engine on the
+ * edited months. Unedited months do not depend on the coefficients, so
+ * they add the same amount to every draw. Draws come from a seeded
+ * generator: the same input and seed always give the same bands.
+ *
+ * The input is plain data (no functions) so it can be posted to a worker.
+ */
+
+export const MONTE_CARLO_DEFAULTS = { draws: 500, seed: 1 };
+
+const PERCENTILES = { p10: 0.1, p50: 0.5, p90: 0.9 };
+
+/**
+ * input = {
+ *   keys, baselines, profileByKey, edits,
+ *   coeffsByKey, seByKey,             point estimates and standard errors
+ *   cross,                            null or { weights, expansion }
+ *   regionScopeByKey,                 optional, see simulate.js
+ *   cardKeys, cardFrom, cardTo,       what the card totals cover
+ *   draws, seed
+ * }
+ * Returns {
+ *   draws,
+ *   monthBands: { [idx]: { [key]: { p10, p50, p90 } } },   edited months
+ *   cardBands:  { [key]: { p10, p50, p90 } }               card totals
+ * }
+ */
+export function runMonteCarlo(input) {
+  const {
+    keys,
+    profileByKey,
+    edits,
+    coeffsByKey,
+    seByKey,
+    cardKeys,
+    cardFrom,
+    cardTo,
+  } = input;
+  const draws = Math.max(1, input.draws ?? MONTE_CARLO_DEFAULTS.draws);
+  const z = normalSampler(mulberry32(input.seed ?? MONTE_CARLO_DEFAULTS.seed));
+
+  const months = editedMonthIndices(edits).filter((i) =>
+    keys.some((k) => profileByKey[k]?.volume[i]?.v != null)
+  );
+
+  // Card totals from unedited months are the same in every draw
+  const fixedTotal = {};
+  for (const key of cardKeys) {
+    let sum = 0;
+    for (let i = cardFrom; i <= cardTo; i++) {
+      if (!months.includes(i)) sum += profileByKey[key]?.volume[i]?.v ?? 0;
+    }
+    fixedTotal[key] = sum;
+  }
+
+  const monthSamples = {};
+  for (const i of months) {
+    monthSamples[i] = {};
+    for (const key of keys) monthSamples[i][key] = new Float64Array(draws);
+  }
+  const cardSamples = {};
+  for (const key of cardKeys) cardSamples[key] = new Float64Array(draws);
+
+  for (let d = 0; d < draws; d++) {
+    const sampled = {};
+    for (const key of keys) {
+      const K = { ...coeffsByKey[key] };
+      // Macro coefficients only act on macro shifts, which are applied to
+      // the profiles before the draws
+      for (const f of COEFF_FIELDS) {
+        if (f.macro) continue;
+        K[f.id] += (seByKey[key]?.[f.id] ?? 0) * z();
+      }
+      sampled[key] = K;
+    }
+    const ctx = { ...input, coeffsFor: (key) => sampled[key] };
+
+    const cardTotal = { ...fixedTotal };
+    for (const i of months) {
+      const { volumeByKey } = simulateMonth(ctx, edits, i);
+      for (const key of keys) monthSamples[i][key][d] = volumeByKey[key];
+      if (i >= cardFrom && i <= cardTo) {
+        for (const key of cardKeys) cardTotal[key] += volumeByKey[key] ?? 0;
+      }
+    }
+    for (const key of cardKeys) cardSamples[key][d] = cardTotal[key];
+  }
+
+  const monthBands = {};
+  for (const i of months) {
+    monthBands[i] = {};
+    for (const key of keys) monthBands[i][key] = bands(monthSamples[i][key]);
+  }
+  const cardBands = {};
+  for (const key of cardKeys) cardBands[key] = bands(cardSamples[key]);
+
+  return { draws, monthBands, cardBands };
+}
+
+function bands(samples) {
+  const sorted = Float64Array.from(samples).sort();
+  const out = {};
+  for (const [name, p] of Object.entries(PERCENTILES)) {
+    out[name] = quantile(sorted, p);
+  }
+  return out;
+}
+
+// Linear interpolation between closest ranks
+function quantile(sorted, p) {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
@@ -0,0 +1,46 @@
+import { runMonteCarlo } from "./monteCarlo";
+import { DEFAULT_COEFFS, DEFAULT_COEFF_SE } from "./model";
+import { flatProfile } from "./testProfiles";
+
+const profile = (v) => flatProfile([v, v, v]);
+
+const input = (edits, seed = 7) => ({
+  keys: ["A", "B"],
+  baselines: {},
+  profileByKey: { A: profile(1000), B: profile(500) },
+  edits,
+  coeffsByKey: { A: DEFAULT_COEFFS, B: DEFAULT_COEFFS },
+  seByKey: { A: DEFAULT_COEFF_SE, B: DEFAULT_COEFF_SE },
+  cross: null,
+  cardKeys: ["A"],
+  cardFrom: 0,
+  cardTo: 2,
+  draws: 300,
+  seed,
+});
+
+const priceCut = { A: { 1: { price: 36000 } } };
+
+test("the same seed gives the same bands", () => {
+  expect(runMonteCarlo(input(priceCut))).toEqual(
+    runMonteCarlo(input(priceCut))
+  );
+  expect(runMonteCarlo(input(priceCut, 8)).cardBands.A.p10).not.toBe(
+    runMonteCarlo(input(priceCut)).cardBands.A.p10
+  );
+});
+
+test("bands spread around the edited month only", () => {
+  const { monthBands, cardBands } = runMonteCarlo(input(priceCut));
+  expect(Object.keys(monthBands)).toEqual(["1"]);
+  const a = monthBands[1].A;
+  expect(a.p10).toBeLessThan(a.p50);
+  expect(a.p50).toBeLessThan(a.p90);
+  // Unedited months add the same 2 × 1000 units to every draw
+  expect(cardBands.A.p50).toBeCloseTo(2000 + a.p50, 6);
+});
+
+test("without edits every draw equals the profile", () => {
+  const { cardBands } = runMonteCarlo(input({}));
+  expect(cardBands.A).toEqual({ p10: 3000, p50: 3000, p90: 3000 });
+});
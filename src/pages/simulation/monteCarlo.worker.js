@@ -0,0 +1,12 @@
+// src/pages/simulation/monteCarlo.worker.js
+/* eslint-disable no-restricted-globals */
+import { runMonteCarlo } from "./monteCarlo";
+
+self.onmessage = (e) => {
+  const { id, input } = e.data;
+  try {
+    self.postMessage({ id, result: runMonteCarlo(input) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,62 @@
+// src/pages/simulation/monteCarloRunner.js
+import { runMonteCarlo } from "./monteCarlo";
+
+/**
+ * Run Monte Carlo off the main thread when the browser has workers, on it
+ * otherwise (tests, old browsers). Resolves with runMonteCarlo() output.
+ * A newer call supersedes an unfinished one: the old promise never settles.
+ */
+
+let worker = null;
+let lastId = 0;
+const pending = new Map();
+
+export function runMonteCarloAsync(input) {
+  const id = ++lastId;
+  if (typeof Worker === "undefined") {
+    return new Promise((resolve, reject) => {
+      // Yield first so the "running" state can paint
+      setTimeout(() => {
+        if (id !== lastId) return;
+        try {
+          resolve(runMonteCarlo(input));
+        } catch (err) {
+          reject(err);
+        }
+      }, 0);
+    });
+  }
+
+  return getWorker().then(
+    (w) =>
+      new Promise((resolve, reject) => {
+        pending.clear();
+        pending.set(id, { resolve, reject });
+        w.postMessage({ id, input });
+      })
+  );
+}
+
+function getWorker() {
+  if (worker) return Promise.resolve(worker);
+  // Loaded lazily: the worker URL needs import.meta, which only the
+  // bundler understands.
+  return import("./monteCarloWorkerHost").then(({ createMonteCarloWorker }) => {
+    worker = worker || createMonteCarloWorker();
+    worker.onmessage = (e) => {
+      const { id, result, error } = e.data;
+      const p = pending.get(id);
+      if (!p) return;
+      pending.delete(id);
+      if (error) p.reject(new Error(error));
+      else p.resolve(result);
+    };
+    worker.onerror = (e) => {
+      for (const p of pending.values()) {
+        p.reject(new Error(e.message || "Monte Carlo worker failed"));
+      }
+      pending.clear();
+    };
+    return worker;
+  });
+}
@@ -0,0 +1,5 @@
+// src/pages/simulation/monteCarloWorkerHost.js
+
+export function createMonteCarloWorker() {
+  return new Worker(new URL("./monteCarlo.worker.js", import.meta.url));
+}
@@ -0,0 +1,208 @@
+// src/pages/simulation/nameplates.js
+import { mulberry32 } from "./random";
+
+/**
+ * Nameplate drill-down under the built-in segments.
+ *
+ * Each segment splits into the nameplates of NAMEPLATES; a nameplate's
+ * name is its key ("Explorer"), simulated like any other key with its own
+ * history. Nameplates substitute only within their segment, and their
+ * simulated changes roll back up into the segment: the segment's volume
+ * moves by the sum of its nameplates' changes, and its drivers by the
+ * change in their volume-weighted average (rollUpNameplates).
+ *
+ * Without loaded history a nameplate follows its segment: a share of the
+ * segment's volume that drifts slowly month to month (shares always sum to
+ * the segment), and the segment's drivers with price scaled by priceIndex.
+ */
+
+export const NAMEPLATES = {
+  "S SUV": [
+    { name: "Bronco Sport", brand: "Ford", share: 0.28, priceIndex: 1.02 },
+    { name: "HR-V", brand: "Honda", share: 0.26, priceIndex: 0.95 },
+    { name: "Corolla Cross", brand: "Toyota", share: 0.26, priceIndex: 0.98 },
+    { name: "Kona", brand: "Hyundai", share: 0.2, priceIndex: 1.05 },
+  ],
+  "M SUV": [
+    { name: "Explorer", brand: "Ford", share: 0.3, priceIndex: 1.0 },
+    { name: "Atlas", brand: "Volkswagen", share: 0.18, priceIndex: 0.97 },
+    { name: "Highlander", brand: "Toyota", share: 0.3, priceIndex: 1.03 },
+    { name: "Pilot", brand: "Honda", share: 0.22, priceIndex: 0.99 },
+  ],
+  "L SUV": [
+    { name: "Tahoe", brand: "Chevrolet", share: 0.42, priceIndex: 1.0 },
+    { name: "Expedition", brand: "Ford", share: 0.34, priceIndex: 0.98 },
+    { name: "Wagoneer", brand: "Jeep", share: 0.24, priceIndex: 1.04 },
+  ],
+  "XL SUV": [
+    { name: "Suburban", brand: "Chevrolet", share: 0.4, priceIndex: 1.0 },
+    { name: "Expedition MAX", brand: "Ford", share: 0.3, priceIndex: 0.98 },
+    { name: "Yukon XL", brand: "GMC", share: 0.3, priceIndex: 1.03 },
+  ],
+  "S Pickup": [
+    { name: "Maverick", brand: "Ford", share: 0.72, priceIndex: 0.97 },
+    { name: "Santa Cruz", brand: "Hyundai", share: 0.28, priceIndex: 1.08 },
+  ],
+  "M Pickup": [
+    { name: "Tacoma", brand: "Toyota", share: 0.4, priceIndex: 1.03 },
+    { name: "Colorado", brand: "Chevrolet", share: 0.22, priceIndex: 0.98 },
+    { name: "Ranger", brand: "Ford", share: 0.2, priceIndex: 1.0 },
+    { name: "Frontier", brand: "Nissan", share: 0.18, priceIndex: 0.96 },
+  ],
+  "L Pickup": [
+    { name: "F-150", brand: "Ford", share: 0.36, priceIndex: 1.02 },
+    { name: "Silverado 1500", brand: "Chevrolet", share: 0.3, priceIndex: 1.0 },
+    { name: "Ram 1500", brand: "Ram", share: 0.24, priceIndex: 0.98 },
+    { name: "Tundra", brand: "Toyota", share: 0.1, priceIndex: 1.01 },
+  ],
+  "XL Pickup": [
+    { name: "F-250 Super Duty", brand: "Ford", share: 0.45, priceIndex: 1.0 },
+    { name: "Ram 2500", brand: "Ram", share: 0.3, priceIndex: 0.98 },
+    { name: "Silverado HD", brand: "Chevrolet", share: 0.25, priceIndex: 1.01 },
+  ],
+};
+
+const DRIVER_FIELDS = ["price", "fleet", "lease", "days", "incentives"];
+
+const BY_NAME = Object.fromEntries(
+  Object.entries(NAMEPLATES).flatMap(([segment, list]) =>
+    list.map((np) => [np.name, { ...np, segment }])
+  )
+);
+
+export const NAMEPLATE_KEYS = Object.keys(BY_NAME);
+
+/** Catalog entry { name, brand, segment, share, priceIndex } or null. */
+export function nameplateInfo(key) {
+  return BY_NAME[key] || null;
+}
+
+export function nameplatesOf(segment) {
+  return (NAMEPLATES[segment] || []).map((np) => np.name);
+}
+
+export function nameplateBaselines(segmentBaselines) {
+  const out = {};
+  for (const [segment, list] of Object.entries(NAMEPLATES)) {
+    const sb = segmentBaselines[segment];
+    if (!sb) continue;
+    for (const np of list) {
+      out[np.name] = {
+        ...sb,
+        price: sb.price * np.priceIndex,
+        base_volume: sb.base_volume * np.share,
+      };
+    }
+  }
+  return out;
+}
+
+/**
+ * Synthetic (unforecast) profiles for a segment's nameplates, derived from
+ * the segment's own profile. Returns { [name]: profile }.
+ */
+export function nameplateProfiles(segment, segmentProfile) {
+  const list = NAMEPLATES[segment] || [];
+  const n = segmentProfile.volume.length;
+  const drift = list.map((np) => {
+    const rnd = mulberry32(hashName(np.name));
+    let walk = 0;
+    return Array.from({ length: n }, () => {
+      walk = 0.95 * walk + (rnd() - 0.5) * 0.04;
+      return np.share * (1 + walk);
+    });
+  });
+
+  const out = {};
+  list.forEach((np, j) => {
+    const share = (i) => {
+      let sum = 0;
+      for (const d of drift) sum += d[i];
+      return sum > 0 ? drift[j][i] / sum : 0;
+    };
+    const prof = {
+      volume: segmentProfile.volume.map((d, i) => ({
+        v: d.v == null ? null : d.v * share(i),
+      })),
+    };
+    for (const f of DRIVER_FIELDS) {
+      const scale = f === "price" ? np.priceIndex : 1;
+      prof[f] = segmentProfile[f].map((v) => (v == null ? null : v * scale));
+    }
+    out[np.name] = prof;
+  });
+  return out;
+}
+
+/**
+ * Segment profiles with their nameplates' simulated changes folded in.
+ * baseByKey / simByKey are nameplate profiles before / after edits. A
+ * segment whose nameplates did not move keeps its profile object, and
+ * nothing moved at all returns `segmentProfileByKey` itself.
+ */
+export function rollUpNameplates(segmentProfileByKey, baseByKey, simByKey) {
+  let changed = false;
+  const out = { ...segmentProfileByKey };
+  for (const [segment, prof] of Object.entries(segmentProfileByKey)) {
+    const names = nameplatesOf(segment).filter(
+      (k) => simByKey[k] && simByKey[k] !== baseByKey[k]
+    );
+    if (!names.length) continue;
+
+    const next = { ...prof, volume: prof.volume.slice() };
+    for (const f of DRIVER_FIELDS) next[f] = prof[f].slice();
+    for (let i = 0; i < prof.volume.length; i++) {
+      if (!names.some((k) => simByKey[k].volume[i]?.simulated)) continue;
+      const d = prof.volume[i];
+      if (d?.v == null) continue;
+
+      let delta = 0;
+      const acc = {};
+      for (const f of DRIVER_FIELDS) acc[f] = { base: 0, sim: 0, wb: 0, ws: 0 };
+      for (const k of nameplatesOf(segment)) {
+        const b = baseByKey[k];
+        const s = simByKey[k] || b;
+        if (!b) continue;
+        const vb = b.volume[i]?.v ?? 0;
+        const vs = s.volume[i]?.v ?? 0;
+        delta += vs - vb;
+        for (const f of DRIVER_FIELDS) {
+          if (b[f][i] == null || s[f][i] == null) continue;
+          acc[f].base += b[f][i] * vb;
+          acc[f].wb += vb;
+          acc[f].sim += s[f][i] * vs;
+          acc[f].ws += vs;
+        }
+      }
+
+      const v = Math.max(0, d.v + delta);
+      const scale = d.v > 0 ? v / d.v : 1;
+      next.volume[i] = {
+        ...d,
+        v,
+        ...(d.lo != null && { lo: d.lo * scale }),
+        ...(d.hi != null && { hi: d.hi * scale }),
+        simulated: true,
+      };
+      for (const f of DRIVER_FIELDS) {
+        const a = acc[f];
+        if (!(a.wb > 0 && a.ws > 0 && a.base > 0) || prof[f][i] == null) {
+          continue;
+        }
+        next[f][i] = prof[f][i] * (a.sim / a.ws / (a.base / a.wb));
+      }
+    }
+    out[segment] = next;
+    changed = true;
+  }
+  return changed ? out : segmentProfileByKey;
+}
+
+function hashName(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,58 @@
+import {
+  NAMEPLATE_KEYS,
+  nameplateInfo,
+  nameplateProfiles,
+  nameplatesOf,
+  rollUpNameplates,
+} from "./nameplates";
+
+const segmentProfile = (vols) => ({
+  volume: vols.map((v) => ({ v })),
+  price: vols.map(() => 45000),
+  fleet: vols.map(() => 10),
+  lease: vols.map(() => 20),
+  days: vols.map(() => 60),
+  incentives: vols.map(() => 1000),
+});
+
+test("nameplate keys are unique and map back to their segment", () => {
+  expect(new Set(NAMEPLATE_KEYS).size).toBe(NAMEPLATE_KEYS.length);
+  expect(nameplateInfo("Explorer")).toMatchObject({
+    segment: "M SUV",
+    brand: "Ford",
+  });
+  expect(nameplatesOf("M SUV")).toContain("Atlas");
+});
+
+test("synthetic nameplates add up to their segment every month", () => {
+  const seg = segmentProfile([1000, 1200, 900]);
+  const profs = nameplateProfiles("M SUV", seg);
+  for (let i = 0; i < 3; i++) {
+    const sum = Object.values(profs).reduce((a, p) => a + p.volume[i].v, 0);
+    expect(sum).toBeCloseTo(seg.volume[i].v);
+  }
+  expect(profs.Highlander.price[0]).toBeCloseTo(45000 * 1.03);
+});
+
+test("nameplate changes roll up into the segment", () => {
+  const segments = { "M SUV": segmentProfile([1000, 1000]) };
+  const base = nameplateProfiles("M SUV", segments["M SUV"]);
+  expect(rollUpNameplates(segments, base, base)).toBe(segments);
+
+  const explorer = base.Explorer;
+  const sim = {
+    ...base,
+    Explorer: {
+      ...explorer,
+      volume: [
+        explorer.volume[0],
+        { v: explorer.volume[1].v + 50, simulated: true },
+      ],
+      price: [explorer.price[0], explorer.price[1] * 0.9],
+    },
+  };
+  const rolled = rollUpNameplates(segments, base, sim);
+  expect(rolled["M SUV"].volume[0].v).toBe(1000);
+  expect(rolled["M SUV"].volume[1].v).toBeCloseTo(1050);
+  expect(rolled["M SUV"].price[1]).toBeLessThan(45000);
+});
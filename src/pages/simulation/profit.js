@@ -0,0 +1,111 @@
+// src/pages/simulation/profit.js
+
+/**
+ * Revenue and contribution margin, and the margin optimizer.
+ *
+ *    revenue = Σ volume · (price − incentives)      price paid, net
+ *    margin  = revenue − Σ volume · unit cost
+ *
+ * The unit cost is set per key on its card; until it is, a key costs
+ * DEFAULT_COST_SHARE of its baseline price.
+ *
+ * The optimizer maximizes a card's margin over the drivers it may move
+ * (price, incentives) inside a box around their current values. The page
+ * evaluates each candidate through the simulation, so volume answers
+ * through computeVolume exactly as it does for a typed edit.
+ */
+
+export const DEFAULT_COST_SHARE = 0.8;
+
+/** Unit cost of a key without one set: a share of its baseline price, to $100. */
+export function defaultUnitCost(baselinePrice) {
+  return Math.round(((baselinePrice || 0) * DEFAULT_COST_SHARE) / 100) * 100;
+}
+
+/**
+ * { revenue, margin } of `keys` over months [rs, re]; costOf(key) is the
+ * key's unit cost.
+ */
+export function rangeProfit(profileByKey, keys, rs, re, costOf) {
+  let revenue = 0;
+  let cost = 0;
+  for (const key of keys) {
+    const prof = profileByKey[key];
+    if (!prof) continue;
+    const unitCost = costOf(key);
+    for (let i = rs; i <= re; i++) {
+      const v = prof.volume[i]?.v ?? 0;
+      if (!v) continue;
+      revenue += v * ((prof.price[i] ?? 0) - (prof.incentives?.[i] ?? 0));
+      cost += v * unitCost;
+    }
+  }
+  return { revenue, margin: revenue - cost };
+}
+
+const PHI = (Math.sqrt(5) - 1) / 2;
+
+// Golden-section search for the maximum of f on [lo, hi]
+function goldenMax(f, lo, hi, tolerance, maxIter) {
+  let a = lo;
+  let b = hi;
+  let c = b - PHI * (b - a);
+  let d = a + PHI * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+  for (let n = 0; n < maxIter && b - a > tolerance; n++) {
+    if (fc >= fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - PHI * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + PHI * (b - a);
+      fd = f(d);
+    }
+  }
+  return fc >= fd ? c : d;
+}
+
+/**
+ * drivers   [{ field, start, min, max }]
+ * evaluate  ({ [field]: value }) → number to maximize
+ * Searches one driver at a time (golden section, to within `tolerance`)
+ * and repeats the pass `rounds` times, so drivers that interact (a higher
+ * price makes incentives cheaper to cut) settle together. Exact when the
+ * objective is unimodal in each driver, as margin is in price under a
+ * constant elasticity and in incentives under the semi-log response.
+ * Returns { values, best, start }: the best values found (the starting
+ * ones when nothing beats them), their result and the starting result.
+ */
+export function maximize({
+  drivers,
+  evaluate,
+  rounds = 3,
+  tolerance = 1,
+  maxIter = 60,
+}) {
+  const startValues = Object.fromEntries(
+    drivers.map((d) => [d.field, d.start])
+  );
+  const start = evaluate(startValues);
+  let values = { ...startValues };
+  for (let r = 0; r < rounds; r++) {
+    for (const d of drivers) {
+      const others = values;
+      const f = (x) => evaluate({ ...others, [d.field]: x });
+      values = {
+        ...others,
+        [d.field]: goldenMax(f, d.min, d.max, tolerance, maxIter),
+      };
+    }
+  }
+  const best = evaluate(values);
+  return best > start
+    ? { values, best, start }
+    : { values: startValues, best: start, start };
+}
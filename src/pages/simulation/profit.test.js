@@ -0,0 +1,76 @@
+import { computeVolume, DEFAULT_COEFFS } from "./model";
+import { defaultUnitCost, maximize, rangeProfit } from "./profit";
+
+const base = {
+  price: 45000,
+  fleet: 15,
+  lease: 20,
+  days: 60,
+  incentives: 1000,
+  base_volume: 1000,
+};
+
+test("revenue is volume at the net price, margin takes off the unit cost", () => {
+  const profiles = {
+    BEV: {
+      volume: [{ v: 10 }, { v: 20 }, { v: null }],
+      price: [50000, 48000, 47000],
+      incentives: [2000, 0, 0],
+    },
+  };
+  const { revenue, margin } = rangeProfit(profiles, ["BEV"], 0, 2, () => 40000);
+  expect(revenue).toBe(10 * 48000 + 20 * 48000);
+  expect(margin).toBe(revenue - 30 * 40000);
+  expect(defaultUnitCost(45000)).toBe(36000);
+});
+
+test("a single price finds the constant-elasticity optimum", () => {
+  // (p / 45k)^−2 · (p − 30k) peaks at p = 30k · E / (1 + E) = 60k
+  const K = { ...DEFAULT_COEFFS, E_PRICE: -2 };
+  const margin = ({ price }) =>
+    computeVolume({ ...base, price }, base, K) * (price - 1000 - 29000);
+  const res = maximize({
+    drivers: [{ field: "price", start: 45000, min: 40000, max: 70000 }],
+    evaluate: margin,
+  });
+  expect(res.values.price).toBeCloseTo(60000, -1);
+  expect(res.best).toBeGreaterThan(res.start);
+
+  // The optimum outside the box stops at its edge
+  const capped = maximize({
+    drivers: [{ field: "price", start: 45000, min: 40000, max: 50000 }],
+    evaluate: margin,
+  });
+  expect(capped.values.price).toBeCloseTo(50000, -1);
+});
+
+test("price and incentives settle together at the grid optimum", () => {
+  const K = { ...DEFAULT_COEFFS, E_PRICE: -3, B_INCENTIVES_PER_K: 0.2 };
+  const margin = ({ price, incentives }) =>
+    computeVolume({ ...base, price, incentives }, base, K) *
+    (price - incentives - 36000);
+  const res = maximize({
+    drivers: [
+      { field: "price", start: 45000, min: 40000, max: 60000 },
+      { field: "incentives", start: 1000, min: 0, max: 8000 },
+    ],
+    evaluate: margin,
+    rounds: 6,
+  });
+  let grid = -Infinity;
+  for (let p = 40000; p <= 60000; p += 250) {
+    for (let inc = 0; inc <= 8000; inc += 100) {
+      grid = Math.max(grid, margin({ price: p, incentives: inc }));
+    }
+  }
+  expect(res.best).toBeGreaterThanOrEqual(grid * 0.999);
+});
+
+test("nothing better than the start keeps the start", () => {
+  const res = maximize({
+    drivers: [{ field: "price", start: 10, min: 0, max: 20 }],
+    evaluate: ({ price }) => -((price - 10) ** 2),
+  });
+  expect(res.values).toEqual({ price: 10 });
+  expect(res.best).toBe(res.start);
+});
@@ -0,0 +1,30 @@
+// src/pages/simulation/random.js
+
+/* Seeded random numbers, so sampled results repeat for the same seed. */
+
+export function mulberry32(a) {
+  return function () {
+    let t = (a += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal draws (Box–Muller) from a uniform generator. */
+export function normalSampler(rand) {
+  let spare = null;
+  return function () {
+    if (spare != null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    let u = 0;
+    while (u === 0) u = rand();
+    const r = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * rand();
+    spare = r * Math.sin(theta);
+    return r * Math.cos(theta);
+  };
+}
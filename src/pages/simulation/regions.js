@@ -0,0 +1,205 @@
+// src/pages/simulation/regions.js
+import { US_STATE_ABBR_TO_NAME } from "../usStates";
+
+/**
+ * Regional (state-level) view of the national simulation.
+ *
+ * A key's national volume splits over the states by a fixed weight: the
+ * state's share of national registrations, tilted by how much more (or
+ * less) the state buys pickups and plug-ins than the country as a whole,
+ * and normalised so a key's weights sum to 1. State volumes are the
+ * national monthly volumes times those weights, so they follow the
+ * history, forecast and every simulated change; census regions sum their
+ * states.
+ *
+ * Edits can be limited to some states per driver (an incentive in TX only,
+ * a price cut nationwide). The key's volume is then the weighted sum of its
+ * response in each group of states that sees the same set of edits (see
+ * scopeGroups and `regionScopeByKey` in simulate.js).
+ */
+
+export const CENSUS_REGIONS = ["Northeast", "Midwest", "South", "West"];
+
+const S = (abbr, region, share, pickup, bev) => ({
+  abbr,
+  name: US_STATE_ABBR_TO_NAME[abbr],
+  region,
+  share,
+  pickup,
+  bev,
+});
+
+// share: % of national registrations; pickup / bev: index against the
+// national mix (1 = national average)
+export const US_STATES = [
+  S("AL", "South", 1.5, 1.3, 0.4),
+  S("AK", "West", 0.2, 1.6, 0.4),
+  S("AZ", "West", 2.2, 1.0, 1.3),
+  S("AR", "South", 0.9, 1.4, 0.3),
+  S("CA", "West", 11.7, 0.6, 2.6),
+  S("CO", "West", 1.8, 1.1, 1.5),
+  S("CT", "Northeast", 1.1, 0.7, 1.0),
+  S("DE", "South", 0.3, 0.9, 0.9),
+  S("DC", "South", 0.2, 0.3, 1.6),
+  S("FL", "South", 6.7, 0.9, 1.0),
+  S("GA", "South", 3.3, 1.0, 0.9),
+  S("HI", "West", 0.4, 0.9, 1.6),
+  S("ID", "West", 0.6, 1.5, 0.5),
+  S("IL", "Midwest", 3.7, 0.8, 0.9),
+  S("IN", "Midwest", 2.0, 1.2, 0.5),
+  S("IA", "Midwest", 1.0, 1.3, 0.4),
+  S("KS", "Midwest", 0.9, 1.4, 0.5),
+  S("KY", "South", 1.3, 1.3, 0.4),
+  S("LA", "South", 1.4, 1.5, 0.3),
+  S("ME", "Northeast", 0.4, 1.2, 0.7),
+  S("MD", "South", 1.8, 0.7, 1.2),
+  S("MA", "Northeast", 2.1, 0.6, 1.2),
+  S("MI", "Midwest", 3.0, 1.2, 0.5),
+  S("MN", "Midwest", 1.7, 1.1, 0.7),
+  S("MS", "South", 0.9, 1.5, 0.3),
+  S("MO", "Midwest", 1.8, 1.3, 0.5),
+  S("MT", "West", 0.3, 1.7, 0.5),
+  S("NE", "Midwest", 0.6, 1.4, 0.4),
+  S("NV", "West", 1.0, 1.0, 1.4),
+  S("NH", "Northeast", 0.4, 1.0, 0.8),
+  S("NJ", "Northeast", 2.8, 0.6, 1.3),
+  S("NM", "West", 0.6, 1.3, 0.6),
+  S("NY", "Northeast", 5.8, 0.6, 0.9),
+  S("NC", "South", 3.2, 1.0, 0.8),
+  S("ND", "Midwest", 0.2, 1.8, 0.3),
+  S("OH", "Midwest", 3.5, 1.0, 0.6),
+  S("OK", "South", 1.2, 1.6, 0.4),
+  S("OR", "West", 1.3, 1.0, 1.6),
+  S("PA", "Northeast", 3.9, 0.9, 0.7),
+  S("RI", "Northeast", 0.3, 0.6, 0.8),
+  S("SC", "South", 1.6, 1.1, 0.6),
+  S("SD", "Midwest", 0.3, 1.7, 0.3),
+  S("TN", "South", 2.1, 1.2, 0.6),
+  S("TX", "South", 9.1, 1.4, 0.8),
+  S("UT", "West", 1.0, 1.2, 1.2),
+  S("VT", "Northeast", 0.2, 1.1, 1.0),
+  S("VA", "South", 2.6, 0.9, 1.1),
+  S("WA", "West", 2.3, 0.9, 1.9),
+  S("WV", "South", 0.5, 1.5, 0.3),
+  S("WI", "Midwest", 1.8, 1.1, 0.5),
+  S("WY", "West", 0.2, 1.9, 0.3),
+];
+
+const BY_ABBR = Object.fromEntries(US_STATES.map((s) => [s.abbr, s]));
+const BY_NAME = Object.fromEntries(US_STATES.map((s) => [s.name, s]));
+
+/** Catalog entry for a two-letter code or full name, or null. */
+export function stateInfo(abbrOrName) {
+  return BY_ABBR[abbrOrName] || BY_NAME[abbrOrName] || null;
+}
+
+// Powertrain tilt: plug-ins follow the state's BEV index (PHEV halfway),
+// ICE leans slightly the other way
+function powertrainTilt(state, powertrain) {
+  if (powertrain === "BEV") return state.bev;
+  if (powertrain === "PHEV") return (1 + state.bev) / 2;
+  if (powertrain === "ICE") return 1.1 - 0.1 * state.bev;
+  return 1;
+}
+
+/**
+ * State weights of a key: { [abbr]: weight }, summing to 1.
+ * traits = { pickup, powertrain }
+ *   pickup       share of the key's volume that is pickups (0 – 1), or
+ *                null for no segment tilt
+ *   powertrain   "ICE" | "HEV" | "PHEV" | "BEV", or null
+ */
+export function stateWeights({ pickup = null, powertrain = null } = {}) {
+  const raw = {};
+  let total = 0;
+  for (const s of US_STATES) {
+    const segTilt = pickup == null ? 1 : 1 - pickup + pickup * s.pickup;
+    raw[s.abbr] = s.share * segTilt * powertrainTilt(s, powertrain);
+    total += raw[s.abbr];
+  }
+  const out = {};
+  for (const s of US_STATES) out[s.abbr] = total > 0 ? raw[s.abbr] / total : 0;
+  return out;
+}
+
+/** Part of a key's volume sold in `states` (1 for none: nationwide). */
+export function scopeShare(weights, states) {
+  if (!states?.length) return 1;
+  let sum = 0;
+  for (const abbr of states) sum += weights[abbr] ?? 0;
+  return sum;
+}
+
+/**
+ * How state-limited edits split a key. fieldStates = { [field]: state
+ * codes }; fields without states apply nationwide. Returns
+ * { limited: [field], groups: [{ share, fields, states }] }, where each
+ * group is the `states` in which the same limited `fields` apply and
+ * `share` their part of the key's volume; null when nothing is limited.
+ */
+export function scopeGroups(weights, fieldStates) {
+  const limited = Object.entries(fieldStates || {}).filter(
+    ([, states]) => states?.length
+  );
+  if (!limited.length) return null;
+  const groups = new Map();
+  for (const [abbr, w] of Object.entries(weights)) {
+    const fields = limited
+      .filter(([, states]) => states.includes(abbr))
+      .map(([f]) => f);
+    const id = fields.join("|");
+    if (!groups.has(id)) groups.set(id, { share: 0, fields, states: [] });
+    groups.get(id).share += w;
+    groups.get(id).states.push(abbr);
+  }
+  return { limited: limited.map(([f]) => f), groups: [...groups.values()] };
+}
+
+/**
+ * Volume by state over months [from, to] for `keys`.
+ * weightsFor(key) returns the key's state weights. A key's volume splits
+ * by its weights, except in months where `monthResults` (simulate.js) has
+ * state-limited edits for it: there each group of states gets its own
+ * response, and only what cross effects add on top is spread nationwide.
+ * Returns { [abbr]: volume }.
+ */
+export function stateVolumes(
+  profileByKey,
+  keys,
+  weightsFor,
+  from,
+  to,
+  monthResults = {}
+) {
+  const out = Object.fromEntries(US_STATES.map((s) => [s.abbr, 0]));
+  for (const key of keys) {
+    const prof = profileByKey[key];
+    if (!prof) continue;
+    const w = weightsFor(key);
+    let total = 0;
+    for (let i = from; i <= to; i++) {
+      const v = prof.volume[i]?.v ?? 0;
+      const scoped = monthResults[i]?.scopedByKey?.[key];
+      if (!scoped) {
+        total += v;
+        continue;
+      }
+      const spread = v - scoped.own;
+      for (const g of scoped.groups) {
+        for (const abbr of g.states) {
+          out[abbr] += (w[abbr] ?? 0) * (g.volume + spread);
+        }
+      }
+    }
+    if (!total) continue;
+    for (const s of US_STATES) out[s.abbr] += total * (w[s.abbr] ?? 0);
+  }
+  return out;
+}
+
+/** State totals summed by census region: { [region]: volume }. */
+export function regionTotals(byState) {
+  const out = Object.fromEntries(CENSUS_REGIONS.map((r) => [r, 0]));
+  for (const s of US_STATES) out[s.region] += byState[s.abbr] ?? 0;
+  return out;
+}
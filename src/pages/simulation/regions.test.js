@@ -0,0 +1,119 @@
+import {
+  US_STATES,
+  regionTotals,
+  scopeGroups,
+  scopeShare,
+  stateInfo,
+  stateVolumes,
+  stateWeights,
+} from "./regions";
+import { simulateMonth, simulateProfiles } from "./simulate";
+import { flatProfile } from "./testProfiles";
+
+const sum = (obj) => Object.values(obj).reduce((a, b) => a + b, 0);
+
+test("every state has a census region and a name", () => {
+  expect(US_STATES).toHaveLength(51);
+  expect(stateInfo("TX").name).toBe("Texas");
+  expect(stateInfo("California").abbr).toBe("CA");
+  expect(stateInfo("Atlantis")).toBeNull();
+});
+
+test("state weights sum to 1 and tilt by segment and powertrain", () => {
+  const flat = stateWeights();
+  const pickups = stateWeights({ pickup: 1 });
+  const bev = stateWeights({ powertrain: "BEV" });
+  for (const w of [flat, pickups, bev]) expect(sum(w)).toBeCloseTo(1);
+  expect(pickups.TX).toBeGreaterThan(flat.TX);
+  expect(pickups.CA).toBeLessThan(flat.CA);
+  expect(bev.CA).toBeGreaterThan(flat.CA);
+  expect(scopeShare(flat, [])).toBe(1);
+  expect(scopeShare(flat, ["CA", "TX"])).toBeCloseTo(flat.CA + flat.TX);
+});
+
+test("state volumes split the national volume and roll up by region", () => {
+  const profiles = { A: { volume: [{ v: 100 }, { v: 300 }] } };
+  const byState = stateVolumes(profiles, ["A"], () => stateWeights(), 0, 1);
+  expect(sum(byState)).toBeCloseTo(400);
+  const byRegion = regionTotals(byState);
+  expect(Object.keys(byRegion)).toEqual([
+    "Northeast",
+    "Midwest",
+    "South",
+    "West",
+  ]);
+  expect(sum(byRegion)).toBeCloseTo(400);
+});
+
+test("limited fields group the states that see the same edits", () => {
+  const weights = { CA: 0.5, TX: 0.3, NY: 0.2 };
+  expect(scopeGroups(weights, {})).toBeNull();
+  expect(scopeGroups(weights, { price: [] })).toBeNull();
+  const { limited, groups } = scopeGroups(weights, {
+    incentives: ["TX", "NY"],
+    days: ["TX"],
+  });
+  expect(limited).toEqual(["incentives", "days"]);
+  expect(groups).toEqual([
+    { share: 0.5, fields: [], states: ["CA"] },
+    { share: 0.3, fields: ["incentives", "days"], states: ["TX"] },
+    { share: 0.2, fields: ["incentives"], states: ["NY"] },
+  ]);
+});
+
+const scopedCtx = (regionScopeByKey) => ({
+  keys: ["A"],
+  baselines: {},
+  profileByKey: { A: flatProfile([1000], 40000, { incentives: 0 }) },
+  coeffsFor: () => ({
+    E_PRICE: -1,
+    B_FLEET_PER10PP: 0,
+    B_LEASE_PER10PP: 0,
+    B_INCENTIVES_PER_K: 0.05,
+    B_DAYS_PER10: 0,
+  }),
+  cross: null,
+  regionScopeByKey,
+});
+const weights = { CA: 0.75, TX: 0.25 };
+
+test("an edit scoped to some states moves only their share", () => {
+  const edits = { A: { 0: { incentives: 2000 } } };
+  const national = simulateMonth(scopedCtx(), edits, 0).volumeByKey.A;
+  const scoped = simulateMonth(
+    scopedCtx({ A: scopeGroups(weights, { incentives: ["TX"] }) }),
+    edits,
+    0
+  ).volumeByKey.A;
+  expect(national).toBeCloseTo(1000 * Math.exp(0.1));
+  expect(scoped - 1000).toBeCloseTo((national - 1000) * 0.25);
+});
+
+test("an incentive in one state and a price cut nationwide on one card", () => {
+  const edits = { A: { 0: { incentives: 2000, price: 32000 } } };
+  const res = simulateMonth(
+    scopedCtx({ A: scopeGroups(weights, { incentives: ["TX"] }) }),
+    edits,
+    0
+  );
+  const priceOnly = 1000 * (32000 / 40000) ** -1;
+  // CA sees the price cut; TX sees it and the incentive
+  expect(res.volumeByKey.A).toBeCloseTo(
+    0.75 * priceOnly + 0.25 * priceOnly * Math.exp(0.1)
+  );
+});
+
+test("a state-limited edit moves only the states in scope", () => {
+  const w = stateWeights();
+  const ctx = scopedCtx({ A: scopeGroups(w, { incentives: ["TX"] }) });
+  const edits = { A: { 0: { incentives: 2000 } } };
+  const { profileByKey, monthResults } = simulateProfiles(ctx, edits);
+  const base = stateVolumes(ctx.profileByKey, ["A"], () => w, 0, 0);
+  const sim = stateVolumes(profileByKey, ["A"], () => w, 0, 0, monthResults);
+
+  expect(sim.TX / base.TX).toBeCloseTo(Math.exp(0.1));
+  for (const abbr of ["CA", "NY", "FL"]) {
+    expect(sim[abbr]).toBeCloseTo(base[abbr]);
+  }
+  expect(sum(sim)).toBeCloseTo(profileByKey.A.volume[0].v);
+});
@@ -0,0 +1,75 @@
+// src/pages/simulation/scenarioSummary.js
+import { summaryTables } from "./exportWorkbook";
+import { ScenarioError } from "./scenarios";
+
+/**
+ * Printable scenario summary: the tables of summaryTables (metadata, KPIs,
+ * card inputs, assumptions, change log) as a standalone HTML page, opened
+ * in a new window and handed to the browser's print dialog. Takes the same
+ * input as the Excel export (exportWorkbook.js).
+ */
+
+const escapeHtml = (v) =>
+  String(v ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+
+const cell = (v) =>
+  typeof v === "number" ? v.toLocaleString() : escapeHtml(v);
+
+function tableHtml({ title, rows }) {
+  const [head, ...body] = rows;
+  return `<h2>${escapeHtml(title)}</h2>
+<table>
+<thead><tr>${head.map((h) => `<th>${cell(h)}</th>`).join("")}</tr></thead>
+<tbody>
+${body
+  .map((r) => `<tr>${r.map((v) => `<td>${cell(v)}</td>`).join("")}</tr>`)
+  .join("\n")}
+</tbody>
+</table>`;
+}
+
+export function scenarioSummaryHtml(input) {
+  const title = `Market Simulation – ${input.scenarioName}`;
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; font-size: 12px; margin: 24px; color: #111; }
+h1 { font-size: 18px; margin: 0 0 4px; }
+h2 { font-size: 14px; margin: 20px 0 6px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; vertical-align: top; }
+th { background: #f3f4f6; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div>${escapeHtml(input.modeLabel)} · ${escapeHtml(
+    input.variantName
+  )} · printed ${escapeHtml(input.exportedAt.toLocaleString())}</div>
+${summaryTables(input).map(tableHtml).join("\n")}
+</body>
+</html>`;
+}
+
+/** Open the summary in a new window and print it. */
+export function printScenarioSummary(input) {
+  const win = window.open("", "_blank");
+  if (!win) {
+    throw new ScenarioError(
+      "Allow pop-ups for this site to print the scenario summary"
+    );
+  }
+  win.document.write(scenarioSummaryHtml(input));
+  win.document.close();
+  win.focus();
+  win.print();
+}
@@ -0,0 +1,31 @@
+import { scenarioSummaryHtml } from "./scenarioSummary";
+
+const input = {
+  scenarioName: "Q3 <price> cut",
+  variantName: "Variant A",
+  modeLabel: "Segments",
+  exportedAt: new Date("2025-03-14T09:30:00Z"),
+  keys: ["M SUV"],
+  monthTicks: ["2025-01", "2025-02", "2025-03"],
+  monthLabel: (i) => ["Jan 2025", "Feb 2025", "Mar 2025"][i],
+  rangeStartIdx: 0,
+  rangeEndIdx: 2,
+  futureCutoffIdx: 1,
+  selectedMonthIdx: null,
+  applyScope: "month",
+  cards: [{ key: "M SUV", price: 38000, volume: 150 }],
+  coefficientSource: "Built-in defaults",
+  kpis: { totalVolume: 360 },
+  baselineKpis: { totalVolume: 330 },
+  notes: [{ mode: "Segments", key: "M SUV", text: "Ford & GM match" }],
+  changeLog: [],
+};
+
+test("the summary lists its tables and escapes what users typed", () => {
+  const html = scenarioSummaryHtml(input);
+  expect(html).toContain("<title>Market Simulation – Q3 &lt;price&gt; cut");
+  expect(html).toContain("<h2>Assumptions</h2>");
+  expect(html).toContain("<td>Ford &amp; GM match</td>");
+  expect(html).not.toContain("<h2>Change log</h2>");
+  expect(html).toContain("<td>38,000</td>");
+});
@@ -0,0 +1,145 @@
+// src/pages/simulation/scenarios.js
+
+/**
+ * Saved Market Simulation scenarios, persisted in localStorage.
+ *
+ * Each saved entry carries the `schemaVersion` of its `data`. When the
+ * simulation state changes shape, bump SCENARIO_SCHEMA_VERSION and add a
+ * step to MIGRATIONS that upgrades data from the previous version; older
+ * saves are upgraded on load and keep opening.
+ */
+
+export const SCENARIO_STORAGE_KEY = "almanac_market_scenarios";
+export const SCENARIO_SCHEMA_VERSION = 1;
+
+// MIGRATIONS[n] upgrades data from schema n to n + 1
+const MIGRATIONS = {};
+
+export class ScenarioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScenarioError";
+  }
+}
+
+/* -------------------- Storage -------------------- */
+
+function readStore() {
+  try {
+    const raw = window.localStorage.getItem(SCENARIO_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return Array.isArray(parsed?.scenarios) ? parsed : { scenarios: [] };
+  } catch {
+    return { scenarios: [] };
+  }
+}
+
+function writeStore(store) {
+  try {
+    window.localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(store));
+  } catch (err) {
+    throw new ScenarioError(
+      `Could not save scenarios to this browser (${err.message || err})`
+    );
+  }
+}
+
+function newId() {
+  return `sc-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 7)}`;
+}
+
+/* -------------------- API -------------------- */
+
+/** Saved scenarios without their data, newest first. */
+export function listScenarios() {
+  return readStore()
+    .scenarios.map(({ data, ...meta }) => meta)
+    .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+}
+
+/** Create a scenario, or overwrite `id` when given. Returns its metadata. */
+export function saveScenario({ id, name, data }) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  const trimmed = String(name || "").trim() || "Untitled scenario";
+  const existing = id ? store.scenarios.find((s) => s.id === id) : null;
+  const entry = {
+    id: existing?.id || newId(),
+    name: trimmed,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    schemaVersion: SCENARIO_SCHEMA_VERSION,
+    data,
+  };
+  store.scenarios = existing
+    ? store.scenarios.map((s) => (s.id === entry.id ? entry : s))
+    : [...store.scenarios, entry];
+  writeStore(store);
+  const { data: _omit, ...meta } = entry;
+  return meta;
+}
+
+export function renameScenario(id, name) {
+  const store = readStore();
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw new ScenarioError("Scenario name cannot be empty");
+  store.scenarios = store.scenarios.map((s) =>
+    s.id === id
+      ? { ...s, name: trimmed, updatedAt: new Date().toISOString() }
+      : s
+  );
+  writeStore(store);
+}
+
+export function duplicateScenario(id) {
+  const src = readStore().scenarios.find((s) => s.id === id);
+  if (!src) throw new ScenarioError("Scenario not found");
+  return saveScenario({
+    name: uniqueName(`${src.name} (copy)`),
+    data: migrateScenarioData(src.data, src.schemaVersion),
+  });
+}
+
+export function deleteScenario(id) {
+  const store = readStore();
+  store.scenarios = store.scenarios.filter((s) => s.id !== id);
+  writeStore(store);
+}
+
+/** Load a scenario's data, upgraded to the current schema. */
+export function loadScenario(id) {
+  const entry = readStore().scenarios.find((s) => s.id === id);
+  if (!entry) throw new ScenarioError("Scenario not found");
+  const { data: _omit, ...meta } = entry;
+  return {
+    ...meta,
+    data: migrateScenarioData(entry.data, entry.schemaVersion),
+  };
+}
+
+export function migrateScenarioData(data, fromVersion = 1) {
+  let v = Number.isInteger(fromVersion) ? fromVersion : 1;
+  if (v > SCENARIO_SCHEMA_VERSION) {
+    throw new ScenarioError(
+      "This scenario was saved by a newer version of Almanac Pro"
+    );
+  }
+  let out = data;
+  while (v < SCENARIO_SCHEMA_VERSION) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new ScenarioError(`No upgrade path from schema v${v}`);
+    out = step(out);
+    v++;
+  }
+  return out;
+}
+
+function uniqueName(name) {
+  const taken = new Set(readStore().scenarios.map((s) => s.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} ${n}`)) n++;
+  return `${name} ${n}`;
+}
@@ -0,0 +1,105 @@
+import {
+  SCENARIO_SCHEMA_VERSION,
+  SCENARIO_STORAGE_KEY,
+  ScenarioError,
+  deleteScenario,
+  duplicateScenario,
+  listScenarios,
+  loadScenario,
+  migrateScenarioData,
+  renameScenario,
+  saveScenario,
+} from "./scenarios";
+
+const data = { mode: "segments", stateByMode: { segments: { edits: {} } } };
+
+beforeEach(() => {
+  window.localStorage.clear();
+  jest.useFakeTimers("modern");
+  jest.setSystemTime(new Date("2025-03-14T09:00:00Z"));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const tick = () => jest.setSystemTime(Date.now() + 60000);
+
+test("saved scenarios list newest first and load with their data", () => {
+  const first = saveScenario({ name: "  Q3 price cut ", data });
+  tick();
+  const second = saveScenario({ name: "", data: { ...data, mode: "matrix" } });
+
+  expect(first.name).toBe("Q3 price cut");
+  expect(second.name).toBe("Untitled scenario");
+  expect(first.schemaVersion).toBe(SCENARIO_SCHEMA_VERSION);
+  expect(listScenarios().map((s) => s.name)).toEqual([
+    "Untitled scenario",
+    "Q3 price cut",
+  ]);
+  expect(listScenarios()[0]).not.toHaveProperty("data");
+  expect(loadScenario(first.id).data).toEqual(data);
+});
+
+test("saving over an id keeps its creation time", () => {
+  const saved = saveScenario({ name: "Base", data });
+  tick();
+  const again = saveScenario({ id: saved.id, name: "Base v2", data });
+  expect(again.id).toBe(saved.id);
+  expect(again.createdAt).toBe(saved.createdAt);
+  expect(again.updatedAt > saved.updatedAt).toBe(true);
+  expect(listScenarios()).toHaveLength(1);
+});
+
+test("rename, duplicate and delete", () => {
+  const { id } = saveScenario({ name: "Base", data });
+  renameScenario(id, " EV push ");
+  expect(listScenarios()[0].name).toBe("EV push");
+  expect(() => renameScenario(id, "  ")).toThrow(ScenarioError);
+
+  const copy = duplicateScenario(id);
+  const copy2 = duplicateScenario(id);
+  expect(copy.name).toBe("EV push (copy)");
+  expect(copy2.name).toBe("EV push (copy) 2");
+  expect(loadScenario(copy.id).data).toEqual(data);
+
+  deleteScenario(id);
+  expect(listScenarios().map((s) => s.name)).not.toContain("EV push");
+  expect(() => loadScenario(id)).toThrow("Scenario not found");
+  expect(() => duplicateScenario(id)).toThrow("Scenario not found");
+});
+
+test("data saved by a newer version is refused", () => {
+  window.localStorage.setItem(
+    SCENARIO_STORAGE_KEY,
+    JSON.stringify({
+      scenarios: [
+        {
+          id: "sc-1",
+          name: "From the future",
+          schemaVersion: SCENARIO_SCHEMA_VERSION + 1,
+          data,
+        },
+      ],
+    })
+  );
+  expect(listScenarios()).toHaveLength(1);
+  expect(() => loadScenario("sc-1")).toThrow(/newer version/);
+  expect(migrateScenarioData(data, SCENARIO_SCHEMA_VERSION)).toBe(data);
+});
+
+test("an unreadable store lists nothing", () => {
+  window.localStorage.setItem(SCENARIO_STORAGE_KEY, "{not json");
+  expect(listScenarios()).toEqual([]);
+});
+
+test("a failed write is reported as a ScenarioError", () => {
+  jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+    throw new Error("QuotaExceededError");
+  });
+  expect(() => saveScenario({ name: "Big", data })).toThrow(
+    "Could not save scenarios to this browser (QuotaExceededError)"
+  );
+  expect(() => saveScenario({ name: "Big", data })).toThrow(ScenarioError);
+});
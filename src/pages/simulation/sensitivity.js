@@ -0,0 +1,45 @@
+// src/pages/simulation/sensitivity.js
+import { computeVolume } from "./model";
+
+/**
+ * One-at-a-time sensitivity for a card: each driver is moved down and up by
+ * `pct` percent in every month of the card's context (the selected month, or
+ * the range) and the key's own volume response is summed over those months
+ * with computeVolume(). Other keys are held fixed, so cross effects are not
+ * part of the swing.
+ */
+
+export const SENSITIVITY_DRIVERS = [
+  { id: "price", label: "Price" },
+  { id: "fleet", label: "Fleet mix" },
+  { id: "lease", label: "Lease mix" },
+  { id: "days", label: "Days' supply" },
+  { id: "incentives", label: "Incentives" },
+];
+
+/**
+ * months  [{ drivers: { price, ... }, volume }] — the scenario as it stands
+ * K       coefficients for the key
+ * Returns { base, bars } with bars sorted by swing, largest first:
+ *   { id, label, down, up, swing }   (volume with the driver at −pct / +pct)
+ */
+export function tornado({ months, K, pct }) {
+  const f = pct / 100;
+  let base = 0;
+  for (const m of months) base += m.volume;
+
+  const bars = SENSITIVITY_DRIVERS.map(({ id, label }) => {
+    let down = 0;
+    let up = 0;
+    for (const m of months) {
+      const ref = { ...m.drivers, base_volume: m.volume };
+      const at = (scale) =>
+        computeVolume({ ...ref, [id]: m.drivers[id] * scale }, ref, K);
+      down += at(1 - f);
+      up += at(1 + f);
+    }
+    return { id, label, down, up, swing: Math.abs(up - down) };
+  });
+  bars.sort((a, b) => b.swing - a.swing);
+  return { base, bars };
+}
@@ -0,0 +1,24 @@
+import { tornado } from "./sensitivity";
+import { DEFAULT_COEFFS } from "./model";
+
+const month = (volume) => ({
+  drivers: { price: 40000, fleet: 10, lease: 20, days: 60, incentives: 2000 },
+  volume,
+});
+
+test("bars are ranked by swing and price leads for an elastic key", () => {
+  const { base, bars } = tornado({
+    months: [month(1000), month(3000)],
+    K: DEFAULT_COEFFS,
+    pct: 10,
+  });
+  expect(base).toBe(4000);
+  expect(bars.map((b) => b.id)[0]).toBe("price");
+  for (let j = 1; j < bars.length; j++) {
+    expect(bars[j - 1].swing).toBeGreaterThanOrEqual(bars[j].swing);
+  }
+  const price = bars[0];
+  expect(price.down).toBeGreaterThan(base);
+  expect(price.up).toBeLessThan(base);
+  expect(price.up).toBeCloseTo(4000 * Math.pow(1.1, DEFAULT_COEFFS.E_PRICE));
+});
@@ -0,0 +1,178 @@
+// src/pages/simulation/simulate.js
+import { computeVolume } from "./model";
+import { applyCrossEffects } from "./crossEffects";
+import { EDIT_FIELDS, driversAt, editedMonthIndices } from "./edits";
+
+/**
+ * Scenario engine: month-anchored edits (see edits.js) → simulated profiles.
+ *
+ * ctx = {
+ *   keys,            every key of the mode (cross effects need them all)
+ *   marketKeys       optional: the keys that add up to the market, when
+ *                    `keys` overlap (custom segments built from built-in
+ *                    ones); defaults to `keys`
+ *   baselines,       static per-key defaults for keys without a profile
+ *   profileByKey,    unedited profiles (history + forecast)
+ *   coeffsFor(key),  resolved model coefficients
+ *   cross,           null, or { weights, expansion } for applyCrossEffects
+ *   regionScopeByKey optional { [key]: scopeGroups() }: a key with edits
+ *                    limited to some states responds, in each group of
+ *                    states, to the edits that apply there (regions.js);
+ *                    missing keys are nationwide
+ * }
+ *
+ * Each edited month is simulated against that month's own profile values,
+ * so untouched months and keys come out exactly as the profile. A scoped
+ * key's profile carries the edited driver values as typed (they hold in
+ * the states in scope).
+ */
+
+/**
+ * Simulated volumes for one month:
+ *   { volumeByKey, sourcesByKey, marketChange, scopedByKey }
+ * `scopedByKey[key]` = { own, groups: [{ states, volume }] } for keys with
+ * state-limited edits: the key's own response before cross effects, and
+ * the national volume it would have if every state were like the group's
+ * (regions.js stateVolumes gives each group only its own states).
+ */
+
+export function simulateMonth(ctx, edits, idx) {
+  const { keys, baselines, profileByKey, coeffsFor, cross, regionScopeByKey } =
+    ctx;
+  const baseByKey = {};
+  const ownByKey = {};
+  const scopedByKey = {};
+  for (const key of keys) {
+    const prof = profileByKey[key];
+    const ref = prof
+      ? {
+          ...baselines[key],
+          ...driversAt(prof, null, idx),
+          base_volume: prof.volume[idx]?.v ?? 0,
+        }
+      : baselines[key];
+    const s = prof
+      ? { ...ref, ...driversAt(prof, edits?.[key], idx) }
+      : { ...ref, ...(edits?.[key]?.[idx] || {}) };
+    const K = coeffsFor(key);
+    const scope = regionScopeByKey?.[key];
+    baseByKey[key] = ref.base_volume;
+    if (!scope) {
+      ownByKey[key] = computeVolume(s, ref, K);
+      continue;
+    }
+    const groups = scope.groups.map((g) => {
+      const here = { ...s };
+      for (const f of scope.limited) {
+        if (!g.fields.includes(f)) here[f] = ref[f];
+      }
+      return {
+        share: g.share,
+        states: g.states,
+        volume: computeVolume(here, ref, K),
+      };
+    });
+    ownByKey[key] = groups.reduce((acc, g) => acc + g.share * g.volume, 0);
+    scopedByKey[key] = {
+      own: ownByKey[key],
+      groups: groups.map(({ states, volume }) => ({ states, volume })),
+    };
+  }
+  const marketKeys = ctx.marketKeys || keys;
+  if (!cross) {
+    return {
+      volumeByKey: ownByKey,
+      sourcesByKey: {},
+      marketChange: marketKeys.reduce(
+        (acc, k) => acc + ownByKey[k] - baseByKey[k],
+        0
+      ),
+      scopedByKey,
+    };
+  }
+  const res = applyCrossEffects(keys, baseByKey, ownByKey, cross);
+  return {
+    ...res,
+    marketChange: marketKeys.reduce(
+      (acc, k) => acc + (res.sourcesByKey[k]?.market ?? 0),
+      0
+    ),
+    scopedByKey,
+  };
+}
+
+/** Total market volume in `volumeByKey`, over ctx.marketKeys. */
+export function marketVolume(ctx, volumeByKey) {
+  let total = 0;
+  for (const k of ctx.marketKeys || ctx.keys) total += volumeByKey[k] ?? 0;
+  return total;
+}
+
+/**
+ * Profiles with edits applied: drivers overlaid and volumes re-simulated in
+ * every edited month (forecast bands scale with the point value).
+ * Returns { profileByKey, monthResults: { [idx]: simulateMonth() } }.
+ */
+export function simulateProfiles(ctx, edits) {
+  const months = editedMonthIndices(edits).filter((i) =>
+    ctx.keys.some((k) => ctx.profileByKey[k]?.volume[i]?.v != null)
+  );
+  if (!months.length) {
+    return { profileByKey: ctx.profileByKey, monthResults: {} };
+  }
+
+  const monthResults = {};
+  for (const i of months) monthResults[i] = simulateMonth(ctx, edits, i);
+
+  const profileByKey = {};
+  for (const [key, prof] of Object.entries(ctx.profileByKey)) {
+    const keyEdits = edits?.[key];
+    const next = { ...prof, volume: prof.volume.slice() };
+    if (keyEdits) for (const f of EDIT_FIELDS) next[f] = prof[f].slice();
+    for (const i of months) {
+      const d = prof.volume[i];
+      const v = monthResults[i].volumeByKey[key];
+      if (d?.v == null || v == null) continue;
+      const scale = d.v > 0 ? v / d.v : 1;
+      next.volume[i] = {
+        ...d,
+        v,
+        ...(d.lo != null ? { lo: d.lo * scale } : {}),
+        ...(d.hi != null ? { hi: d.hi * scale } : {}),
+        simulated: true,
+      };
+      for (const [f, value] of Object.entries(keyEdits?.[i] || {})) {
+        if (next[f]) next[f][i] = value;
+      }
+    }
+    profileByKey[key] = next;
+  }
+  return { profileByKey, monthResults };
+}
+
+/**
+ * Market change and per-key sources summed over the simulated months in
+ * [from, to]. Returns { marketChange, sourcesByKey } shaped like a single
+ * simulateMonth() result.
+ */
+export function sumMonthResults(monthResults, from, to) {
+  let marketChange = 0;
+  const sourcesByKey = {};
+  for (const [i, res] of Object.entries(monthResults)) {
+    if (Number(i) < from || Number(i) > to) continue;
+    marketChange += res.marketChange;
+    for (const [key, src] of Object.entries(res.sourcesByKey)) {
+      const acc = (sourcesByKey[key] = sourcesByKey[key] || {
+        own: 0,
+        market: 0,
+        byKey: {},
+      });
+      acc.own += src.own;
+      acc.market += src.market;
+      for (const [j, v] of Object.entries(src.byKey)) {
+        acc.byKey[j] = (acc.byKey[j] ?? 0) + v;
+      }
+    }
+  }
+  return { marketChange, sourcesByKey };
+}
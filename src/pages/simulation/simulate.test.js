@@ -0,0 +1,111 @@
+import { DEFAULT_COEFFS } from "./model";
+import {
+  marketVolume,
+  simulateMonth,
+  simulateProfiles,
+  sumMonthResults,
+} from "./simulate";
+import { flatProfile } from "./testProfiles";
+
+const keys = ["A", "B"];
+const ctx = {
+  keys,
+  baselines: {},
+  profileByKey: {
+    A: flatProfile([1000, 1000, 1000], 40000),
+    B: flatProfile([500, 500, 500], 50000),
+  },
+  coeffsFor: () => DEFAULT_COEFFS,
+  cross: null,
+};
+const cross = {
+  weights: { A: { B: 1 }, B: { A: 1 } },
+  expansion: 0.3,
+};
+const total = (volumeByKey) => volumeByKey.A + volumeByKey.B;
+
+test("without edits the profiles come back as they are", () => {
+  const res = simulateProfiles(ctx, {});
+  expect(res.profileByKey).toBe(ctx.profileByKey);
+  expect(res.monthResults).toEqual({});
+});
+
+test("only edited months are simulated; the rest stay untouched", () => {
+  const edits = { A: { 1: { price: 36000 } } };
+  const { profileByKey, monthResults } = simulateProfiles(ctx, edits);
+  const a = profileByKey.A;
+  const b = profileByKey.B;
+
+  expect(Object.keys(monthResults)).toEqual(["1"]);
+  expect(a.volume[0]).toBe(ctx.profileByKey.A.volume[0]);
+  expect(a.volume[2]).toBe(ctx.profileByKey.A.volume[2]);
+  expect(a.volume[1].simulated).toBe(true);
+  expect(a.volume[1].v).toBeGreaterThan(1000);
+  expect(a.price).toEqual([40000, 36000, 40000]);
+  expect(ctx.profileByKey.A.price[1]).toBe(40000);
+
+  // No cross effects: the other key keeps its volume and drivers
+  expect(b.volume[1].v).toBe(500);
+  expect(b.price).toBe(ctx.profileByKey.B.price);
+});
+
+test("cross effects move the market by the expansion share only", () => {
+  const edits = { A: { 0: { incentives: 3000 } } };
+  const own = simulateMonth(ctx, edits, 0).volumeByKey.A - 1000;
+  const res = simulateMonth({ ...ctx, cross }, edits, 0);
+
+  expect(total(res.volumeByKey) - 1500).toBeCloseTo(0.3 * own);
+  expect(res.marketChange).toBeCloseTo(0.3 * own);
+  expect(res.volumeByKey.B).toBeCloseTo(500 - 0.7 * own);
+  expect(res.sourcesByKey.A.byKey.B).toBeCloseTo(0.7 * own);
+});
+
+test("month results add up over a window", () => {
+  const edits = {
+    A: { 0: { incentives: 3000 }, 2: { incentives: 2000 } },
+  };
+  const { monthResults } = simulateProfiles({ ...ctx, cross }, edits);
+  const [m0, m2] = [monthResults[0], monthResults[2]];
+
+  const both = sumMonthResults(monthResults, 0, 2);
+  expect(both.marketChange).toBeCloseTo(m0.marketChange + m2.marketChange);
+  expect(both.sourcesByKey.A.own).toBeCloseTo(
+    m0.sourcesByKey.A.own + m2.sourcesByKey.A.own
+  );
+  expect(both.sourcesByKey.B.byKey.A).toBeCloseTo(
+    m0.sourcesByKey.B.byKey.A + m2.sourcesByKey.B.byKey.A
+  );
+
+  const first = sumMonthResults(monthResults, 0, 1);
+  expect(first.marketChange).toBeCloseTo(m0.marketChange);
+  expect(sumMonthResults(monthResults, 1, 1)).toEqual({
+    marketChange: 0,
+    sourcesByKey: {},
+  });
+});
+
+test("a custom segment over built-in keys is not counted twice", () => {
+  // G groups A and B: its volume is already in theirs
+  const withGroup = {
+    ...ctx,
+    keys: ["A", "B", "G"],
+    marketKeys: keys,
+    profileByKey: {
+      ...ctx.profileByKey,
+      G: flatProfile([1500, 1500, 1500], 43333),
+    },
+    cross,
+  };
+  const edits = {
+    A: { 0: { incentives: 3000 } },
+    G: { 0: { incentives: 3000 } },
+  };
+  const res = simulateMonth(withGroup, edits, 0);
+  const own = simulateMonth(ctx, edits, 0).volumeByKey.A - 1000;
+
+  expect(res.marketChange).toBeCloseTo(0.3 * own);
+  expect(marketVolume(withGroup, res.volumeByKey)).toBeCloseTo(
+    total(res.volumeByKey)
+  );
+  expect(marketVolume(ctx, { A: 1, B: 2 })).toBe(3);
+});
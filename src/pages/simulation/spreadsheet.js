@@ -0,0 +1,91 @@
+// src/pages/simulation/spreadsheet.js
+import * as XLSX from "xlsx";
+
+/* Shared helpers for the CSV/XLSX/JSON inputs of Market Simulation. */
+
+const MODE_ALIASES = {
+  segments: ["segments", "segment", "seg"],
+  powertrains: ["powertrains", "powertrain", "pt", "fuel"],
+  matrix: ["matrix", "segment×powertrain", "segmentxpowertrain", "cells"],
+  nameplates: ["nameplates", "nameplate", "model", "models"],
+};
+
+/**
+ * Read every sheet of a CSV/XLSX file into plain row objects. Each row also
+ * carries __sheet, __row (1-based spreadsheet row) and __sheetMode (a mode
+ * inferred from the sheet name, or null).
+ */
+export async function readSpreadsheetRows(file) {
+  const buf = await file.arrayBuffer();
+  const wb = XLSX.read(buf, { type: "array", cellDates: true });
+  const rows = [];
+  for (const sheetName of wb.SheetNames) {
+    const sheetMode = normalizeMode(sheetName);
+    const sheetRows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], {
+      defval: null,
+      raw: true,
+    });
+    sheetRows.forEach((r, i) =>
+      rows.push({
+        ...r,
+        __sheet: sheetName,
+        // +2: header row, and spreadsheet rows are 1-based
+        __row: i + 2,
+        __sheetMode: sheetMode,
+      })
+    );
+  }
+  return rows;
+}
+
+/** Map loosely named columns onto canonical fields via `aliases`. */
+export function mapColumns(raw, aliases) {
+  const out = {};
+  for (const [col, val] of Object.entries(raw)) {
+    if (col.startsWith("__")) continue;
+    const token = normalizeToken(col).replace(/[()$]/g, "");
+    for (const [field, names] of Object.entries(aliases)) {
+      if (out[field] === undefined && names.includes(token)) {
+        out[field] = val;
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+export function isBlankRow(row) {
+  return Object.values(row).every((v) => v == null || String(v).trim() === "");
+}
+
+export function normalizeToken(v) {
+  if (v == null) return "";
+  return String(v).toLowerCase().replace(/\s+/g, "").trim();
+}
+
+export function normalizeMode(v) {
+  const t = normalizeToken(v);
+  if (!t) return null;
+  for (const [m, aliases] of Object.entries(MODE_ALIASES)) {
+    if (aliases.includes(t)) return m;
+  }
+  return null;
+}
+
+export function parseNumber(v) {
+  if (v == null) return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = String(v).replace(/[$,%\s]/g, "");
+  if (s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Lookup from normalized key token → { mode, key } for known keys. */
+export function makeKeyLookup(knownKeysByMode) {
+  const lookup = new Map();
+  for (const [m, keys] of Object.entries(knownKeysByMode)) {
+    for (const k of keys) lookup.set(normalizeToken(k), { mode: m, key: k });
+  }
+  return lookup;
+}
@@ -0,0 +1,19 @@
+// src/pages/simulation/testProfiles.js
+
+/**
+ * Test helper: a profile (the shape historyLoader.js and the dummy data
+ * produce) with `vols` as its monthly volumes and the same drivers in
+ * every month. `drivers` overrides fleet / lease / days / incentives.
+ */
+export function flatProfile(vols, price = 40000, drivers = {}) {
+  const d = { fleet: 10, lease: 20, days: 60, incentives: 1000, ...drivers };
+  const each = (v) => vols.map(() => v);
+  return {
+    volume: vols.map((v) => ({ v })),
+    price: each(price),
+    fleet: each(d.fleet),
+    lease: each(d.lease),
+    days: each(d.days),
+    incentives: each(d.incentives),
+  };
+}
@@ -0,0 +1,78 @@
+// src/pages/usStates.js
+
+/* US state names and the map topology shared by the pages that draw it. */
+
+export const US_TOPO =
+  "https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json";
+
+export const US_STATE_ABBR_TO_NAME = {
+  AL: "Alabama",
+  AK: "Alaska",
+  AZ: "Arizona",
+  AR: "Arkansas",
+  CA: "California",
+  CO: "Colorado",
+  CT: "Connecticut",
+  DE: "Delaware",
+  FL: "Florida",
+  GA: "Georgia",
+  HI: "Hawaii",
+  ID: "Idaho",
+  IL: "Illinois",
+  IN: "Indiana",
+  IA: "Iowa",
+  KS: "Kansas",
+  KY: "Kentucky",
+  LA: "Louisiana",
+  ME: "Maine",
+  MD: "Maryland",
+  MA: "Massachusetts",
+  MI: "Michigan",
+  MN: "Minnesota",
+  MS: "Mississippi",
+  MO: "Missouri",
+  MT: "Montana",
+  NE: "Nebraska",
+  NV: "Nevada",
+  NH: "New Hampshire",
+  NJ: "New Jersey",
+  NM: "New Mexico",
+  NY: "New York",
+  NC: "North Carolina",
+  ND: "North Dakota",
+  OH: "Ohio",
+  OK: "Oklahoma",
+  OR: "Oregon",
+  PA: "Pennsylvania",
+  RI: "Rhode Island",
+  SC: "South Carolina",
+  SD: "South Dakota",
+  TN: "Tennessee",
+  TX: "Texas",
+  UT: "Utah",
+  VT: "Vermont",
+  VA: "Virginia",
+  WA: "Washington",
+  WV: "West Virginia",
+  WI: "Wisconsin",
+  WY: "Wyoming",
+  DC: "District of Columbia",
+};
+export const US_STATE_NAME_SET = new Set(Object.values(US_STATE_ABBR_TO_NAME));
+
+/** Full state name for a name or two-letter code ("tx", "Texas, US"). */
+export function toStateName(labelRaw) {
+  if (!labelRaw) return null;
+  const s = String(labelRaw).trim();
+  const up = s.toUpperCase();
+  if (US_STATE_ABBR_TO_NAME[up]) return US_STATE_ABBR_TO_NAME[up];
+  const lower = s.toLowerCase();
+  for (const name of US_STATE_NAME_SET) {
+    if (name.toLowerCase() === lower) return name;
+  }
+  const two = (s.match(/\b[A-Z]{2}\b/g) || []).find(
+    (tok) => US_STATE_ABBR_TO_NAME[tok.toUpperCase()]
+  );
+  if (two) return US_STATE_ABBR_TO_NAME[two.toUpperCase()];
+  return null;
+}